@@ -135,8 +135,8 @@ if (process.env.NODE_ENV === 'production' || process.env.DB_HOST || process.env.
         });
     }
 } else {
-    // Use SQLite for development
-    const dbPath = path.join(__dirname, '..', 'niemis_demo.db');
+    // Use SQLite for development; DB_STORAGE points tests at a throwaway database
+    const dbPath = process.env.DB_STORAGE || path.join(__dirname, '..', 'niemis_demo.db');
     sequelize = new Sequelize({
         dialect: 'sqlite',
         storage: dbPath,
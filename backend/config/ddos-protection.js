@@ -448,11 +448,21 @@ class DDoSProtectionManager {
      * Start cleanup interval
      */
     startCleanupInterval() {
-        setInterval(() => {
+        this.cleanupTimer = setInterval(() => {
             this.cleanup();
         }, this.config.cleanupInterval);
     }
 
+    /**
+     * Stop cleanup interval
+     */
+    stopCleanupInterval() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+    }
+
     /**
      * Get statistics
      */
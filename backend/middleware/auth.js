@@ -1,5 +1,5 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Staff } = require('../models');
 const logger = require('../utils/logger');
 const { jwtManager } = require('../config/jwt');
 
@@ -201,6 +201,19 @@ const requireSchoolAccess = (req, res, next) => {
     next();
 };
 
+// School of a staff account, from its Staff record (user accounts carry no school of their own)
+const staffSchoolId = async (user) => {
+    const staff = await Staff.findOne({ where: { user_id: user.id }, attributes: ['school_id'] });
+    return staff ? staff.school_id : null;
+};
+
+// Whether a user may act on a school's records: super admins on any school, other staff only on their own
+const canAccessSchool = async (user, schoolId) => {
+    if (user.role === 'super_admin') return true;
+    const ownSchoolId = await staffSchoolId(user);
+    return !!ownSchoolId && ownSchoolId === schoolId;
+};
+
 // Student data protection middleware
 const requireStudentDataAccess = (req, res, next) => {
     if (!req.user) {
@@ -453,6 +466,8 @@ module.exports = {
     authMiddleware, 
     requireRole, 
     requireSchoolAccess,
+    staffSchoolId,
+    canAccessSchool,
     requireStudentDataAccess,
     requirePermissions,
     refreshToken,
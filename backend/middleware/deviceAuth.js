@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { RFIDDevice } = require('../models');
+const { securityMonitor } = require('../services/securityMonitor');
+const logger = require('../utils/logger');
+
+// Generate a new plaintext API key for an RFID reader (shown to the technician once)
+const generateDeviceKey = () => crypto.randomBytes(32).toString('hex');
+
+// Only the SHA-256 hash of a device key is ever stored
+const hashDeviceKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+
+const keysMatch = (apiKey, storedHash) => {
+    if (!storedHash) {
+        return false;
+    }
+
+    const presented = Buffer.from(hashDeviceKey(apiKey), 'hex');
+    const stored = Buffer.from(storedHash, 'hex');
+
+    return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+};
+
+// RFID device authentication middleware
+// Rejects unknown, decommissioned and inactive readers. Readers in maintenance still
+// authenticate so they can send heartbeats; rfidScanService.processScan refuses their scans.
+const authenticateDevice = async (req, res, next) => {
+    try {
+        const deviceId = req.header('X-Device-Id');
+        const apiKey = req.header('X-Device-Key');
+
+        if (!deviceId || !apiKey) {
+            await securityMonitor.recordRfidRejection('missing_credentials', {
+                deviceId,
+                path: req.path
+            }, req);
+
+            return res.status(401).json({
+                error: 'Device credentials required.',
+                code: 'DEVICE_CREDENTIALS_REQUIRED'
+            });
+        }
+
+        const device = await RFIDDevice.findOne({ where: { device_id: deviceId } });
+
+        if (!device || !keysMatch(apiKey, device.api_key_hash)) {
+            await securityMonitor.recordRfidRejection('invalid_credentials', {
+                deviceId,
+                deviceRecordId: device?.id,
+                path: req.path
+            }, req);
+
+            return res.status(401).json({
+                error: 'Invalid device credentials.',
+                code: 'INVALID_DEVICE_CREDENTIALS'
+            });
+        }
+
+        if (device.decommissioned_at || device.status === 'inactive') {
+            await securityMonitor.recordRfidRejection('device_inactive', {
+                deviceId,
+                deviceRecordId: device.id,
+                status: device.status,
+                decommissionedAt: device.decommissioned_at,
+                path: req.path
+            }, req);
+
+            return res.status(403).json({
+                error: 'Device is not active.',
+                code: 'DEVICE_INACTIVE'
+            });
+        }
+
+        req.device = device;
+        next();
+    } catch (error) {
+        logger.error('Device auth middleware error:', {
+            error: error.message,
+            stack: error.stack,
+            ip: req.ip,
+            path: req.path
+        });
+
+        res.status(401).json({
+            error: 'Device authentication failed.',
+            code: 'DEVICE_AUTH_FAILED'
+        });
+    }
+};
+
+module.exports = {
+    authenticateDevice,
+    generateDeviceKey,
+    hashDeviceKey
+};
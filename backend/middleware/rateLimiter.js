@@ -99,6 +99,16 @@ const rfidLimiter = createRateLimiter(
     }
 );
 
+// Reader-facing RFID endpoints (scans, batches, heartbeats); devices carry no user, so this counts per IP
+const deviceLimiter = createRateLimiter(
+    60 * 1000, // 1 minute
+    300, // 300 device requests per minute, enough for a gate reader at the morning rush
+    {
+        error: 'Too many requests from this device, please try again later.',
+        retryAfter: 60
+    }
+);
+
 // Role-based rate limiting
 const roleBasedLimiter = (req, res, next) => {
     if (!req.user) {
@@ -247,6 +257,7 @@ module.exports = {
     passwordResetLimiter,
     uploadLimiter,
     rfidLimiter,
+    deviceLimiter,
     roleBasedLimiter,
     studentDataLimiter,
     adminActionsLimiter,
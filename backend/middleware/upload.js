@@ -0,0 +1,70 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const multer = require('multer');
+
+// Medical notes and other private documents; deliberately not under the static /uploads route
+const privateUploadsDir = process.env.PRIVATE_UPLOADS_DIR || path.join(__dirname, '..', 'storage');
+
+const NOTE_TYPES = {
+    'application/pdf': '.pdf',
+    'image/jpeg': '.jpg',
+    'image/png': '.png'
+};
+
+// Mark sheets teachers fill in for grade import; browsers report CSV under several types
+const MARK_SHEET_TYPES = {
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+    'text/csv': '.csv',
+    'application/csv': '.csv',
+    'application/vnd.ms-excel': '.csv'
+};
+
+const fileTypeFilter = (allowedTypes) => (req, file, cb) => {
+    if (!allowedTypes[file.mimetype]) {
+        const error = new Error(`File type must be one of: ${Object.keys(allowedTypes).join(', ')}`);
+        error.statusCode = 400;
+        return cb(error);
+    }
+    cb(null, true);
+};
+
+const createPrivateUpload = (subdirectory, allowedTypes, maxFileSize) => {
+    const directory = path.join(privateUploadsDir, subdirectory);
+
+    return multer({
+        storage: multer.diskStorage({
+            destination: (req, file, cb) => {
+                fs.mkdir(directory, { recursive: true }, (error) => cb(error, directory));
+            },
+            // Stored under a random name; the original name is only kept in the database
+            filename: (req, file, cb) => {
+                cb(null, `${crypto.randomUUID()}${allowedTypes[file.mimetype]}`);
+            }
+        }),
+        limits: {
+            fileSize: maxFileSize,
+            files: 1
+        },
+        fileFilter: fileTypeFilter(allowedTypes)
+    });
+};
+
+// Parent-submitted medical notes for absence excuses
+const absenceNoteUpload = createPrivateUpload('absence-notes', NOTE_TYPES, 5 * 1024 * 1024);
+
+// Grade mark sheets are read straight from memory and never stored
+const markSheetUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 2 * 1024 * 1024,
+        files: 1
+    },
+    fileFilter: fileTypeFilter(MARK_SHEET_TYPES)
+});
+
+module.exports = {
+    absenceNoteUpload,
+    markSheetUpload,
+    privateUploadsDir
+};
@@ -0,0 +1,36 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Per-device API credentials and lifecycle tracking for RFID readers
+    await queryInterface.addColumn('rfid_devices', 'api_key_hash', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('rfid_devices', 'api_key_issued_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('rfid_devices', 'firmware_version', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('rfid_devices', 'decommissioned_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('rfid_devices', ['api_key_hash']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('rfid_devices', ['api_key_hash']);
+    await queryInterface.removeColumn('rfid_devices', 'decommissioned_at');
+    await queryInterface.removeColumn('rfid_devices', 'firmware_version');
+    await queryInterface.removeColumn('rfid_devices', 'api_key_issued_at');
+    await queryInterface.removeColumn('rfid_devices', 'api_key_hash');
+  }
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Readers can be fixed to entry or exit gates, or toggle per student
+    await queryInterface.addColumn('rfid_devices', 'scan_direction', {
+      type: Sequelize.ENUM('entry', 'exit', 'toggle'),
+      defaultValue: 'toggle',
+      allowNull: false
+    });
+
+    // Attendance records are now updated on check-out
+    await queryInterface.addColumn('attendance_records', 'updated_at', {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    });
+
+    // Align check-in/out columns with the model (time of day, not timestamp)
+    await queryInterface.sequelize.query(
+      'ALTER TABLE attendance_records ALTER COLUMN check_in_time TYPE TIME USING check_in_time::time'
+    );
+    await queryInterface.sequelize.query(
+      'ALTER TABLE attendance_records ALTER COLUMN check_out_time TYPE TIME USING check_out_time::time'
+    );
+
+    await queryInterface.addIndex('attendance_records', ['school_id', 'attendance_date', 'rfid_exit_time']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('attendance_records', ['school_id', 'attendance_date', 'rfid_exit_time']);
+    await queryInterface.sequelize.query(
+      'ALTER TABLE attendance_records ALTER COLUMN check_out_time TYPE TIMESTAMP WITH TIME ZONE USING (attendance_date + check_out_time)'
+    );
+    await queryInterface.sequelize.query(
+      'ALTER TABLE attendance_records ALTER COLUMN check_in_time TYPE TIMESTAMP WITH TIME ZONE USING (attendance_date + check_in_time)'
+    );
+    await queryInterface.removeColumn('attendance_records', 'updated_at');
+    await queryInterface.removeColumn('rfid_devices', 'scan_direction');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_rfid_devices_scan_direction"');
+  }
+};
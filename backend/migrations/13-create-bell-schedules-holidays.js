@@ -0,0 +1,105 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create bell_schedules table
+    await queryInterface.createTable('bell_schedules', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false
+      },
+      school_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'schools',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      start_time: {
+        type: Sequelize.TIME,
+        allowNull: false,
+        defaultValue: '08:30:00'
+      },
+      grace_period_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 10
+      },
+      half_day_cutoff: {
+        type: Sequelize.TIME,
+        allowNull: false,
+        defaultValue: '12:00:00'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Create school_holidays table
+    await queryInterface.createTable('school_holidays', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false
+      },
+      school_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'schools',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      holiday_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes for performance
+    await queryInterface.addIndex('bell_schedules', ['is_active']);
+
+    await queryInterface.addIndex('school_holidays', ['holiday_date']);
+    await queryInterface.addIndex('school_holidays', ['school_id', 'holiday_date'], { unique: true });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('school_holidays');
+    await queryInterface.dropTable('bell_schedules');
+  }
+};
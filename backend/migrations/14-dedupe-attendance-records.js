@@ -0,0 +1,76 @@
+'use strict';
+
+const SCHOOL_TIMEZONE = 'America/Barbados';
+
+// Per student and day, the record with the earliest scan is kept
+const RANKED_RECORDS = `
+  SELECT id, student_id, attendance_date,
+    ROW_NUMBER() OVER (
+      PARTITION BY student_id, attendance_date
+      ORDER BY rfid_entry_time ASC NULLS LAST, created_at ASC, id ASC
+    ) AS rank
+  FROM attendance_records
+`;
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Scans were dated and timed in UTC or server-local time; re-derive both in school-local time
+    await queryInterface.sequelize.query(`
+      UPDATE attendance_records
+      SET attendance_date = (rfid_entry_time AT TIME ZONE '${SCHOOL_TIMEZONE}')::date,
+          check_in_time = (rfid_entry_time AT TIME ZONE '${SCHOOL_TIMEZONE}')::time
+      WHERE rfid_entry_time IS NOT NULL
+    `);
+    await queryInterface.sequelize.query(`
+      UPDATE attendance_records
+      SET check_out_time = (rfid_exit_time AT TIME ZONE '${SCHOOL_TIMEZONE}')::time
+      WHERE rfid_exit_time IS NOT NULL
+    `);
+
+    // Fold duplicate rows into the kept record: earliest entry, latest exit, excused wins
+    await queryInterface.sequelize.query(`
+      WITH ranked AS (${RANKED_RECORDS}),
+      merged AS (
+        SELECT student_id, attendance_date,
+          MIN(rfid_entry_time) AS rfid_entry_time,
+          MAX(rfid_exit_time) AS rfid_exit_time,
+          MIN(check_in_time) AS check_in_time,
+          MAX(check_out_time) AS check_out_time,
+          BOOL_OR(status = 'excused') AS excused,
+          STRING_AGG(DISTINCT notes, E'\\n') AS notes
+        FROM attendance_records
+        GROUP BY student_id, attendance_date
+        HAVING COUNT(*) > 1
+      )
+      UPDATE attendance_records AS record
+      SET rfid_entry_time = merged.rfid_entry_time,
+          rfid_exit_time = merged.rfid_exit_time,
+          check_in_time = merged.check_in_time,
+          check_out_time = merged.check_out_time,
+          status = CASE WHEN merged.excused THEN 'excused' ELSE record.status END,
+          notes = merged.notes,
+          updated_at = NOW()
+      FROM ranked
+      JOIN merged ON merged.student_id = ranked.student_id
+        AND merged.attendance_date = ranked.attendance_date
+      WHERE record.id = ranked.id AND ranked.rank = 1
+    `);
+
+    await queryInterface.sequelize.query(`
+      DELETE FROM attendance_records
+      WHERE id IN (SELECT id FROM (${RANKED_RECORDS}) AS ranked WHERE ranked.rank > 1)
+    `);
+
+    await queryInterface.removeIndex('attendance_records', ['student_id', 'attendance_date']);
+    await queryInterface.addIndex('attendance_records', ['student_id', 'attendance_date'], {
+      unique: true,
+      name: 'attendance_records_student_date_unique'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // Merged duplicates are not restored
+    await queryInterface.removeIndex('attendance_records', 'attendance_records_student_date_unique');
+    await queryInterface.addIndex('attendance_records', ['student_id', 'attendance_date']);
+  }
+};
@@ -0,0 +1,37 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Distinguish reader scans from class registers and automatic absences
+    await queryInterface.addColumn('attendance_records', 'source', {
+      type: Sequelize.ENUM('rfid', 'register', 'auto'),
+      defaultValue: 'rfid',
+      allowNull: false
+    });
+
+    await queryInterface.addColumn('attendance_records', 'recorded_by', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    // Absences written by the classifier have no scan behind them
+    await queryInterface.sequelize.query(
+      "UPDATE attendance_records SET source = 'auto' WHERE status = 'absent' AND rfid_entry_time IS NULL"
+    );
+
+    await queryInterface.addIndex('attendance_records', ['source']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('attendance_records', ['source']);
+    await queryInterface.removeColumn('attendance_records', 'recorded_by');
+    await queryInterface.removeColumn('attendance_records', 'source');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_attendance_records_source"');
+  }
+};
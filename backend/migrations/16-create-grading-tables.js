@@ -0,0 +1,346 @@
+'use strict';
+
+// Subjects, classes, terms, grades and report cards were only ever created by
+// development-time model sync; create them here so production schemas match.
+// Each step is skipped when a synced database already has the table or column.
+//
+// This is a schema baseline on its own: it moves no data and holds nothing
+// specific to period attendance, which builds on these tables from migration 17.
+
+const timestamps = (Sequelize) => ({
+  created_at: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+  },
+  updated_at: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+  }
+});
+
+const reference = (Sequelize, model, allowNull = false) => ({
+  type: Sequelize.UUID,
+  allowNull,
+  references: {
+    model,
+    key: 'id'
+  },
+  onUpdate: 'CASCADE',
+  onDelete: allowNull ? 'SET NULL' : 'CASCADE'
+});
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    const GRADE_SCALE = Sequelize.ENUM('E', 'G', 'S', 'N');
+
+    if (!tables.includes('subjects')) {
+      await queryInterface.createTable('subjects', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          defaultValue: Sequelize.UUIDV4,
+          allowNull: false
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        code: {
+          type: Sequelize.STRING(10),
+          allowNull: false,
+          unique: true
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        grade_levels: {
+          type: Sequelize.JSONB,
+          allowNull: false
+        },
+        is_core_subject: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: true
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: true
+        },
+        ...timestamps(Sequelize)
+      });
+      await queryInterface.addIndex('subjects', ['is_active']);
+      await queryInterface.addIndex('subjects', ['is_core_subject']);
+    }
+
+    if (!tables.includes('classes')) {
+      await queryInterface.createTable('classes', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          defaultValue: Sequelize.UUIDV4,
+          allowNull: false
+        },
+        school_id: reference(Sequelize, 'schools'),
+        name: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        grade_level: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        section: {
+          type: Sequelize.STRING(10),
+          allowNull: false
+        },
+        class_teacher_id: reference(Sequelize, 'staff', true),
+        school_year: {
+          type: Sequelize.STRING(10),
+          allowNull: false,
+          defaultValue: '2024-2025'
+        },
+        capacity: {
+          type: Sequelize.INTEGER,
+          defaultValue: 25
+        },
+        current_enrollment: {
+          type: Sequelize.INTEGER,
+          defaultValue: 0
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: true
+        },
+        ...timestamps(Sequelize)
+      });
+      await queryInterface.addIndex('classes', ['school_id']);
+      await queryInterface.addIndex('classes', ['grade_level']);
+      await queryInterface.addIndex('classes', ['class_teacher_id']);
+      await queryInterface.addIndex('classes', ['school_year']);
+      await queryInterface.addIndex('classes', ['is_active']);
+    }
+
+    if (!tables.includes('terms')) {
+      await queryInterface.createTable('terms', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          defaultValue: Sequelize.UUIDV4,
+          allowNull: false
+        },
+        name: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        school_year: {
+          type: Sequelize.STRING(10),
+          allowNull: false
+        },
+        term_number: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        start_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        end_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        is_current: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: false
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: true
+        },
+        report_card_release_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: true
+        },
+        ...timestamps(Sequelize)
+      });
+      await queryInterface.addIndex('terms', ['school_year']);
+      await queryInterface.addIndex('terms', ['term_number']);
+      await queryInterface.addIndex('terms', ['is_current']);
+      await queryInterface.addIndex('terms', ['is_active']);
+    }
+
+    const students = await queryInterface.describeTable('students');
+    if (!students.class_id) {
+      await queryInterface.addColumn('students', 'class_id', reference(Sequelize, 'classes', true));
+      await queryInterface.addIndex('students', ['class_id']);
+    }
+
+    if (!tables.includes('grades')) {
+      await queryInterface.createTable('grades', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          defaultValue: Sequelize.UUIDV4,
+          allowNull: false
+        },
+        student_id: reference(Sequelize, 'students'),
+        subject_id: reference(Sequelize, 'subjects'),
+        class_id: reference(Sequelize, 'classes'),
+        term_id: reference(Sequelize, 'terms'),
+        teacher_id: reference(Sequelize, 'staff'),
+        grade_value: {
+          type: GRADE_SCALE,
+          allowNull: false
+        },
+        numeric_score: {
+          type: Sequelize.DECIMAL(5, 2),
+          allowNull: true
+        },
+        effort_grade: {
+          type: GRADE_SCALE,
+          allowNull: false
+        },
+        behavior_grade: {
+          type: GRADE_SCALE,
+          allowNull: false
+        },
+        teacher_comments: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        assessment_components: {
+          type: Sequelize.JSONB,
+          allowNull: true
+        },
+        attendance_impact: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        date_entered: {
+          type: Sequelize.DATE,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        last_modified: {
+          type: Sequelize.DATE,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        is_final: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: false
+        },
+        ...timestamps(Sequelize)
+      });
+      await queryInterface.addIndex('grades', ['subject_id']);
+      await queryInterface.addIndex('grades', ['class_id']);
+      await queryInterface.addIndex('grades', ['term_id']);
+      await queryInterface.addIndex('grades', ['teacher_id']);
+      await queryInterface.addIndex('grades', ['is_final']);
+      await queryInterface.addIndex('grades', ['student_id', 'subject_id', 'term_id'], { unique: true });
+    }
+
+    if (!tables.includes('report_cards')) {
+      await queryInterface.createTable('report_cards', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          defaultValue: Sequelize.UUIDV4,
+          allowNull: false
+        },
+        student_id: reference(Sequelize, 'students'),
+        class_id: reference(Sequelize, 'classes'),
+        term_id: reference(Sequelize, 'terms'),
+        overall_grade: {
+          type: GRADE_SCALE,
+          allowNull: false
+        },
+        overall_effort: {
+          type: GRADE_SCALE,
+          allowNull: false
+        },
+        overall_behavior: {
+          type: GRADE_SCALE,
+          allowNull: false
+        },
+        attendance_days_present: {
+          type: Sequelize.INTEGER,
+          defaultValue: 0
+        },
+        attendance_days_absent: {
+          type: Sequelize.INTEGER,
+          defaultValue: 0
+        },
+        attendance_days_late: {
+          type: Sequelize.INTEGER,
+          defaultValue: 0
+        },
+        attendance_percentage: {
+          type: Sequelize.DECIMAL(5, 2),
+          allowNull: true
+        },
+        class_teacher_comments: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        principal_comments: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        health_notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        social_emotional_notes: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        next_term_goals: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        parent_conference_requested: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: false
+        },
+        generated_date: {
+          type: Sequelize.DATE,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        released_to_parent: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: false
+        },
+        parent_signature_date: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        is_final: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: false
+        },
+        ...timestamps(Sequelize)
+      });
+      await queryInterface.addIndex('report_cards', ['class_id']);
+      await queryInterface.addIndex('report_cards', ['term_id']);
+      await queryInterface.addIndex('report_cards', ['generated_date']);
+      await queryInterface.addIndex('report_cards', ['is_final']);
+      await queryInterface.addIndex('report_cards', ['student_id', 'term_id'], { unique: true });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('report_cards');
+    await queryInterface.dropTable('grades');
+    await queryInterface.removeColumn('students', 'class_id');
+    await queryInterface.dropTable('terms');
+    await queryInterface.dropTable('classes');
+    await queryInterface.dropTable('subjects');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_grades_grade_value"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_grades_effort_grade"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_grades_behavior_grade"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_report_cards_overall_grade"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_report_cards_overall_effort"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_report_cards_overall_behavior"');
+  }
+};
@@ -0,0 +1,232 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create timetable_slots table
+    await queryInterface.createTable('timetable_slots', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false
+      },
+      school_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'schools',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      class_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'classes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      subject_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'subjects',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      teacher_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'staff',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      day_of_week: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      period_number: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      start_time: {
+        type: Sequelize.TIME,
+        allowNull: false
+      },
+      end_time: {
+        type: Sequelize.TIME,
+        allowNull: false
+      },
+      room: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      rfid_device_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'rfid_devices',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Create period_attendance_records table
+    await queryInterface.createTable('period_attendance_records', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false
+      },
+      student_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'students',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      school_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'schools',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      class_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'classes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      subject_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'subjects',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      timetable_slot_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'timetable_slots',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      attendance_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('present', 'absent', 'late', 'excused'),
+        defaultValue: 'present',
+        allowNull: false
+      },
+      source: {
+        type: Sequelize.ENUM('rfid', 'register'),
+        defaultValue: 'rfid',
+        allowNull: false
+      },
+      scanned_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      rfid_device_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'rfid_devices',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      recorded_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('timetable_slots', ['school_id']);
+    await queryInterface.addIndex('timetable_slots', ['class_id', 'day_of_week', 'period_number'], { unique: true });
+    await queryInterface.addIndex('timetable_slots', ['teacher_id', 'day_of_week']);
+    await queryInterface.addIndex('timetable_slots', ['rfid_device_id', 'day_of_week']);
+    await queryInterface.addIndex('timetable_slots', ['is_active']);
+
+    await queryInterface.addIndex('period_attendance_records', ['student_id', 'timetable_slot_id', 'attendance_date'], { unique: true });
+    await queryInterface.addIndex('period_attendance_records', ['timetable_slot_id', 'attendance_date']);
+    await queryInterface.addIndex('period_attendance_records', ['school_id', 'attendance_date']);
+    await queryInterface.addIndex('period_attendance_records', ['subject_id']);
+    await queryInterface.addIndex('period_attendance_records', ['status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('period_attendance_records');
+    await queryInterface.dropTable('timetable_slots');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_period_attendance_records_status"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_period_attendance_records_source"');
+  }
+};
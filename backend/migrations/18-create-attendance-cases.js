@@ -0,0 +1,143 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create attendance_cases table
+    await queryInterface.createTable('attendance_cases', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false
+      },
+      student_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'students',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      school_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'schools',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      term_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'terms',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'in_progress', 'resolved'),
+        defaultValue: 'open',
+        allowNull: false
+      },
+      priority: {
+        type: Sequelize.ENUM('low', 'medium', 'high'),
+        defaultValue: 'low',
+        allowNull: false
+      },
+      risk_score: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      triggers: {
+        type: Sequelize.JSONB,
+        defaultValue: [],
+        allowNull: false
+      },
+      risk_factors: {
+        type: Sequelize.JSONB,
+        defaultValue: [],
+        allowNull: false
+      },
+      school_days: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      days_absent: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      days_late: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      absence_rate: {
+        type: Sequelize.DECIMAL(5, 2),
+        defaultValue: 0,
+        allowNull: false
+      },
+      longest_absence_streak: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      social_worker_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      last_evaluated_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      resolved_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('attendance_cases', ['student_id', 'term_id'], { unique: true });
+    await queryInterface.addIndex('attendance_cases', ['school_id', 'status']);
+    await queryInterface.addIndex('attendance_cases', ['priority']);
+    await queryInterface.addIndex('attendance_cases', ['term_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('attendance_cases');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_attendance_cases_status"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_attendance_cases_priority"');
+  }
+};
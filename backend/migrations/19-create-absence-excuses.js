@@ -0,0 +1,115 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create absence_excuses table
+    await queryInterface.createTable('absence_excuses', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false
+      },
+      attendance_record_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'attendance_records',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      student_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'students',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      parent_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'parents_guardians',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      submitted_by: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      note_file_path: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      note_file_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      note_mime_type: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'rejected'),
+        defaultValue: 'pending',
+        allowNull: false
+      },
+      reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      review_notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('absence_excuses', ['attendance_record_id']);
+    await queryInterface.addIndex('absence_excuses', ['student_id']);
+    await queryInterface.addIndex('absence_excuses', ['parent_id']);
+    await queryInterface.addIndex('absence_excuses', ['status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('absence_excuses');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_absence_excuses_status"');
+  }
+};
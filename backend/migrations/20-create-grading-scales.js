@@ -0,0 +1,175 @@
+'use strict';
+
+const { randomUUID } = require('crypto');
+
+const DEFAULT_SCALES = [
+  {
+    name: 'Primary Descriptors (E/G/S/N)',
+    scale_type: 'descriptor',
+    school_categories: ['nursery', 'primary', 'special'],
+    grade_levels: [],
+    bands: [
+      { label: 'E', min_score: 85, points: 4, description: 'Excellent' },
+      { label: 'G', min_score: 70, points: 3, description: 'Good' },
+      { label: 'S', min_score: 50, points: 2, description: 'Satisfactory' },
+      { label: 'N', min_score: 0, points: 1, description: 'Needs Improvement' }
+    ]
+  },
+  {
+    name: 'Secondary Letter Grades',
+    scale_type: 'letter',
+    school_categories: ['secondary'],
+    grade_levels: [],
+    bands: [
+      { label: 'A', min_score: 80, points: 4, description: 'Excellent' },
+      { label: 'B', min_score: 70, points: 3, description: 'Very Good' },
+      { label: 'C', min_score: 60, points: 2, description: 'Good' },
+      { label: 'D', min_score: 50, points: 1, description: 'Satisfactory' },
+      { label: 'F', min_score: 0, points: 0, description: 'Fail' }
+    ]
+  },
+  {
+    name: 'CXC CSEC Grades (I-VI)',
+    scale_type: 'band',
+    school_categories: ['secondary'],
+    grade_levels: ['Form 4', 'Form 5'],
+    bands: [
+      { label: 'I', min_score: 85, points: 6, description: 'Comprehensive working knowledge' },
+      { label: 'II', min_score: 70, points: 5, description: 'Working knowledge' },
+      { label: 'III', min_score: 55, points: 4, description: 'Fairly good working knowledge' },
+      { label: 'IV', min_score: 45, points: 3, description: 'Moderate working knowledge' },
+      { label: 'V', min_score: 30, points: 2, description: 'Limited working knowledge' },
+      { label: 'VI', min_score: 0, points: 1, description: 'Very limited working knowledge' }
+    ]
+  }
+];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create grading_scales table
+    await queryInterface.createTable('grading_scales', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      scale_type: {
+        type: Sequelize.ENUM('descriptor', 'letter', 'percentage', 'band'),
+        allowNull: false
+      },
+      school_categories: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      grade_levels: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      bands: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      is_default: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('grading_scales', ['is_active']);
+    await queryInterface.addIndex('grading_scales', ['scale_type']);
+
+    const now = new Date();
+    await queryInterface.bulkInsert('grading_scales', DEFAULT_SCALES.map(scale => ({
+      id: randomUUID(),
+      ...scale,
+      school_categories: JSON.stringify(scale.school_categories),
+      grade_levels: JSON.stringify(scale.grade_levels),
+      bands: JSON.stringify(scale.bands),
+      is_default: true,
+      is_active: true,
+      created_at: now,
+      updated_at: now
+    })));
+
+    // Grades and overall grades hold any scale's labels, not only E/G/S/N
+    await queryInterface.sequelize.query(
+      'ALTER TABLE grades ALTER COLUMN grade_value TYPE VARCHAR(10) USING grade_value::text'
+    );
+    await queryInterface.sequelize.query(
+      'ALTER TABLE report_cards ALTER COLUMN overall_grade TYPE VARCHAR(10) USING overall_grade::text'
+    );
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_grades_grade_value"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_report_cards_overall_grade"');
+
+    const scaleReference = {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'grading_scales',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    };
+    await queryInterface.addColumn('grades', 'grading_scale_id', scaleReference);
+    await queryInterface.addColumn('report_cards', 'grading_scale_id', scaleReference);
+    await queryInterface.addColumn('report_cards', 'overall_score', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // Grades on other scales cannot be represented as E/G/S/N, and guessing an
+    // equivalent would rewrite students' results; refuse rather than lose them
+    const [{ grades, reportCards }] = await queryInterface.sequelize.query(
+      "SELECT (SELECT COUNT(*) FROM grades WHERE grade_value NOT IN ('E', 'G', 'S', 'N')) AS \"grades\", " +
+      "(SELECT COUNT(*) FROM report_cards WHERE overall_grade NOT IN ('E', 'G', 'S', 'N')) AS \"reportCards\"",
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+    if (parseInt(grades) > 0 || parseInt(reportCards) > 0) {
+      throw new Error(
+        `Irreversible migration: ${grades} grades and ${reportCards} report cards use scales other than E/G/S/N. ` +
+        'Regrade or remove them before rolling back.'
+      );
+    }
+
+    await queryInterface.removeColumn('report_cards', 'overall_score');
+    await queryInterface.removeColumn('report_cards', 'grading_scale_id');
+    await queryInterface.removeColumn('grades', 'grading_scale_id');
+
+    await queryInterface.sequelize.query("CREATE TYPE \"enum_grades_grade_value\" AS ENUM ('E', 'G', 'S', 'N')");
+    await queryInterface.sequelize.query("CREATE TYPE \"enum_report_cards_overall_grade\" AS ENUM ('E', 'G', 'S', 'N')");
+    await queryInterface.sequelize.query(
+      'ALTER TABLE grades ALTER COLUMN grade_value TYPE "enum_grades_grade_value" USING grade_value::"enum_grades_grade_value"'
+    );
+    await queryInterface.sequelize.query(
+      'ALTER TABLE report_cards ALTER COLUMN overall_grade TYPE "enum_report_cards_overall_grade" USING overall_grade::"enum_report_cards_overall_grade"'
+    );
+
+    await queryInterface.dropTable('grading_scales');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_grading_scales_scale_type"');
+  }
+};
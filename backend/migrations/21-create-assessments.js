@@ -0,0 +1,137 @@
+'use strict';
+
+const reference = (Sequelize, model) => ({
+  type: Sequelize.UUID,
+  allowNull: false,
+  references: {
+    model,
+    key: 'id'
+  },
+  onUpdate: 'CASCADE',
+  onDelete: 'CASCADE'
+});
+
+const timestamps = (Sequelize) => ({
+  created_at: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+  },
+  updated_at: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+  }
+});
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create assessments table
+    await queryInterface.createTable('assessments', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false
+      },
+      class_id: reference(Sequelize, 'classes'),
+      subject_id: reference(Sequelize, 'subjects'),
+      term_id: reference(Sequelize, 'terms'),
+      teacher_id: reference(Sequelize, 'staff'),
+      title: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      assessment_type: {
+        type: Sequelize.ENUM('classwork', 'homework', 'test', 'project', 'exam', 'other'),
+        allowNull: false
+      },
+      weight: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false
+      },
+      max_score: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: false,
+        defaultValue: 100
+      },
+      assessment_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      ...timestamps(Sequelize)
+    });
+
+    await queryInterface.addIndex('assessments', ['class_id', 'subject_id', 'term_id']);
+    await queryInterface.addIndex('assessments', ['teacher_id']);
+    await queryInterface.addIndex('assessments', ['is_active']);
+
+    // Create assessment_scores table
+    await queryInterface.createTable('assessment_scores', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false
+      },
+      assessment_id: reference(Sequelize, 'assessments'),
+      student_id: reference(Sequelize, 'students'),
+      score: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: true
+      },
+      is_excused: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      comments: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      recorded_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      ...timestamps(Sequelize)
+    });
+
+    await queryInterface.addIndex('assessment_scores', ['assessment_id', 'student_id'], { unique: true });
+    await queryInterface.addIndex('assessment_scores', ['student_id']);
+
+    // Grades derived from assessment marks exist before the teacher rates effort and behaviour
+    await queryInterface.sequelize.query('ALTER TABLE grades ALTER COLUMN effort_grade DROP NOT NULL');
+    await queryInterface.sequelize.query('ALTER TABLE grades ALTER COLUMN behavior_grade DROP NOT NULL');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // Grades derived from assessments have no effort or behaviour rating; inventing
+    // one would put a judgement on a student's record that no teacher made
+    const [{ unrated }] = await queryInterface.sequelize.query(
+      'SELECT COUNT(*) AS "unrated" FROM grades WHERE effort_grade IS NULL OR behavior_grade IS NULL',
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+    if (parseInt(unrated) > 0) {
+      throw new Error(
+        `Irreversible migration: ${unrated} grades have no effort or behaviour rating. ` +
+        'Have teachers rate them before rolling back.'
+      );
+    }
+
+    await queryInterface.sequelize.query('ALTER TABLE grades ALTER COLUMN effort_grade SET NOT NULL');
+    await queryInterface.sequelize.query('ALTER TABLE grades ALTER COLUMN behavior_grade SET NOT NULL');
+
+    await queryInterface.dropTable('assessment_scores');
+    await queryInterface.dropTable('assessments');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_assessments_assessment_type"');
+  }
+};
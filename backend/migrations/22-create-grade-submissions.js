@@ -0,0 +1,111 @@
+'use strict';
+
+const { randomUUID } = require('crypto');
+
+const userReference = (Sequelize) => ({
+  type: Sequelize.INTEGER,
+  allowNull: true,
+  references: {
+    model: 'users',
+    key: 'id'
+  },
+  onUpdate: 'CASCADE',
+  onDelete: 'SET NULL'
+});
+
+const reference = (Sequelize, model) => ({
+  type: Sequelize.UUID,
+  allowNull: false,
+  references: {
+    model,
+    key: 'id'
+  },
+  onUpdate: 'CASCADE',
+  onDelete: 'CASCADE'
+});
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create grade_submissions table
+    await queryInterface.createTable('grade_submissions', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false
+      },
+      class_id: reference(Sequelize, 'classes'),
+      subject_id: reference(Sequelize, 'subjects'),
+      term_id: reference(Sequelize, 'terms'),
+      status: {
+        type: Sequelize.ENUM('draft', 'submitted', 'reviewed', 'approved'),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      submitted_by: userReference(Sequelize),
+      submitted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      reviewed_by: userReference(Sequelize),
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      review_notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      approved_by: userReference(Sequelize),
+      approved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      returned_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('grade_submissions', ['class_id', 'subject_id', 'term_id'], { unique: true });
+    await queryInterface.addIndex('grade_submissions', ['term_id', 'status']);
+
+    // Grades and report cards finalised before the workflow existed count as approved
+    const finalised = await queryInterface.sequelize.query(`
+      SELECT class_id, subject_id, term_id, MAX(last_modified) AS approved_at
+      FROM grades
+      GROUP BY class_id, subject_id, term_id
+      HAVING BOOL_AND(is_final)
+    `, { type: Sequelize.QueryTypes.SELECT });
+    if (finalised.length > 0) {
+      await queryInterface.bulkInsert('grade_submissions', finalised.map(row => ({
+        id: randomUUID(),
+        ...row,
+        status: 'approved',
+        created_at: new Date(),
+        updated_at: new Date()
+      })));
+    }
+
+    // Report cards used to be final as soon as they were generated
+    await queryInterface.sequelize.query(`
+      UPDATE report_cards rc SET is_final = false
+      WHERE EXISTS (SELECT 1 FROM grades g WHERE g.student_id = rc.student_id AND g.term_id = rc.term_id AND g.is_final = false)
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('grade_submissions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_grade_submissions_status"');
+  }
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create grade_history table
+    await queryInterface.createTable('grade_history', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false
+      },
+      grade_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'grades',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      change_type: {
+        type: Sequelize.ENUM('created', 'updated', 'locked', 'unlocked'),
+        allowNull: false
+      },
+      source: {
+        type: Sequelize.ENUM('manual', 'admin_override', 'assessment', 'workflow'),
+        allowNull: false,
+        defaultValue: 'manual'
+      },
+      old_values: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      new_values: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      changed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      change_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('grade_history', ['grade_id', 'version'], { unique: true });
+    await queryInterface.addIndex('grade_history', ['changed_by']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('grade_history');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_grade_history_change_type"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_grade_history_source"');
+  }
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create comment_bank table
+    await queryInterface.createTable('comment_bank', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false
+      },
+      school_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'schools',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      comment_type: {
+        type: Sequelize.ENUM('class_teacher', 'principal'),
+        allowNull: false
+      },
+      category: {
+        type: Sequelize.ENUM('achievement', 'progress', 'effort', 'behaviour', 'improvement', 'general'),
+        allowNull: false,
+        defaultValue: 'general'
+      },
+      text: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('comment_bank', ['school_id', 'comment_type']);
+    await queryInterface.addIndex('comment_bank', ['is_active']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('comment_bank');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_comment_bank_comment_type"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_comment_bank_category"');
+  }
+};
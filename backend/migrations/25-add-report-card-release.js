@@ -0,0 +1,44 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('report_cards', 'released_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('report_cards', 'released_by', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('report_cards', 'acknowledged_by', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'parents_guardians',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('report_cards', ['released_to_parent', 'released_at']);
+
+    // Cards already marked as released stay visible
+    await queryInterface.sequelize.query(
+      'UPDATE report_cards SET released_at = updated_at WHERE released_to_parent = true AND released_at IS NULL'
+    );
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('report_cards', ['released_to_parent', 'released_at']);
+    await queryInterface.removeColumn('report_cards', 'acknowledged_by');
+    await queryInterface.removeColumn('report_cards', 'released_by');
+    await queryInterface.removeColumn('report_cards', 'released_at');
+  }
+};
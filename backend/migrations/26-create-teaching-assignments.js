@@ -0,0 +1,141 @@
+'use strict';
+
+const { randomUUID } = require('crypto');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create teaching_assignments table
+    await queryInterface.createTable('teaching_assignments', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false
+      },
+      school_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'schools',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      staff_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'staff',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      class_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'classes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      subject_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'subjects',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      term_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'terms',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      periods_per_week: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('teaching_assignments', ['class_id', 'subject_id', 'term_id'], { unique: true });
+    await queryInterface.addIndex('teaching_assignments', ['staff_id', 'term_id']);
+    await queryInterface.addIndex('teaching_assignments', ['school_id', 'term_id']);
+    await queryInterface.addIndex('teaching_assignments', ['is_active']);
+
+    // Assign the current term's subjects to the teacher timetabled for most of their lessons
+    const [term] = await queryInterface.sequelize.query(
+      'SELECT id FROM terms WHERE is_current = true LIMIT 1',
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+    if (!term) return;
+
+    const timetabled = await queryInterface.sequelize.query(`
+      SELECT school_id, class_id, subject_id, teacher_id, COUNT(*) AS periods
+      FROM timetable_slots
+      WHERE is_active = true AND teacher_id IS NOT NULL
+      GROUP BY school_id, class_id, subject_id, teacher_id
+      ORDER BY COUNT(*) DESC
+    `, { type: Sequelize.QueryTypes.SELECT });
+
+    const assignments = new Map();
+    for (const row of timetabled) {
+      const key = `${row.class_id}|${row.subject_id}`;
+      if (assignments.has(key)) continue;
+      assignments.set(key, {
+        id: randomUUID(),
+        school_id: row.school_id,
+        staff_id: row.teacher_id,
+        class_id: row.class_id,
+        subject_id: row.subject_id,
+        term_id: term.id,
+        periods_per_week: Math.min(parseInt(row.periods), 40),
+        is_active: true,
+        created_at: new Date(),
+        updated_at: new Date()
+      });
+    }
+    if (assignments.size > 0) {
+      await queryInterface.bulkInsert('teaching_assignments', [...assignments.values()]);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('teaching_assignments');
+  }
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('report_cards', 'class_position', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('report_cards', 'class_size', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('report_cards', 'grade_level_position', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('report_cards', 'grade_level_size', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('report_cards', 'previous_overall_score', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true
+    });
+    await queryInterface.addColumn('report_cards', 'previous_class_position', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('report_cards', 'subject_statistics', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      defaultValue: []
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('report_cards', 'subject_statistics');
+    await queryInterface.removeColumn('report_cards', 'previous_class_position');
+    await queryInterface.removeColumn('report_cards', 'previous_overall_score');
+    await queryInterface.removeColumn('report_cards', 'grade_level_size');
+    await queryInterface.removeColumn('report_cards', 'grade_level_position');
+    await queryInterface.removeColumn('report_cards', 'class_size');
+    await queryInterface.removeColumn('report_cards', 'class_position');
+  }
+};
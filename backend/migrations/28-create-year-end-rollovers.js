@@ -0,0 +1,98 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create year_end_rollovers table
+    await queryInterface.createTable('year_end_rollovers', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false
+      },
+      school_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'schools',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      from_school_year: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      to_school_year: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('completed', 'reversed'),
+        allowNull: false,
+        defaultValue: 'completed'
+      },
+      criteria: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      decisions: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      class_changes: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      summary: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      performed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reversed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reversed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('year_end_rollovers', ['school_id', 'from_school_year']);
+    await queryInterface.addIndex('year_end_rollovers', ['status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('year_end_rollovers');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_year_end_rollovers_status"');
+  }
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Tie each lesson to a school year so a new year's timetable can sit beside the old one
+    await queryInterface.addColumn('timetable_slots', 'school_year', {
+      type: Sequelize.STRING(10),
+      allowNull: true
+    });
+
+    // Existing lessons belong to their class's year
+    await queryInterface.sequelize.query(
+      'UPDATE timetable_slots SET school_year = (SELECT classes.school_year FROM classes WHERE classes.id = timetable_slots.class_id)'
+    );
+
+    await queryInterface.changeColumn('timetable_slots', 'school_year', {
+      type: Sequelize.STRING(10),
+      allowNull: false
+    });
+
+    await queryInterface.removeIndex('timetable_slots', ['class_id', 'day_of_week', 'period_number']);
+    await queryInterface.removeIndex('timetable_slots', ['school_id']);
+    await queryInterface.addIndex('timetable_slots', ['class_id', 'school_year', 'day_of_week', 'period_number'], { unique: true });
+    await queryInterface.addIndex('timetable_slots', ['school_id', 'school_year']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('timetable_slots', ['school_id', 'school_year']);
+    await queryInterface.removeIndex('timetable_slots', ['class_id', 'school_year', 'day_of_week', 'period_number']);
+    await queryInterface.removeColumn('timetable_slots', 'school_year');
+    await queryInterface.addIndex('timetable_slots', ['school_id']);
+    await queryInterface.addIndex('timetable_slots', ['class_id', 'day_of_week', 'period_number'], { unique: true });
+  }
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface) => {
+    // A school year can only be rolled over once at a time; reversed rollovers may repeat
+    await queryInterface.addIndex('year_end_rollovers', ['school_id', 'from_school_year'], {
+      name: 'year_end_rollovers_completed_unique',
+      unique: true,
+      where: { status: 'completed' }
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('year_end_rollovers', 'year_end_rollovers_completed_unique');
+  }
+};
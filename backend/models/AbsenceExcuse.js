@@ -0,0 +1,83 @@
+module.exports = (sequelize, DataTypes) => {
+    const AbsenceExcuse = sequelize.define('AbsenceExcuse', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        attendance_record_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'attendance_records',
+                key: 'id'
+            }
+        },
+        student_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'students',
+                key: 'id'
+            }
+        },
+        parent_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'parents_guardians',
+                key: 'id'
+            }
+        },
+        submitted_by: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        reason: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        // Medical notes are kept outside the public uploads directory
+        note_file_path: {
+            type: DataTypes.STRING(255)
+        },
+        note_file_name: {
+            type: DataTypes.STRING(255)
+        },
+        note_mime_type: {
+            type: DataTypes.STRING(100)
+        },
+        status: {
+            type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+            allowNull: false,
+            defaultValue: 'pending'
+        },
+        reviewed_by: {
+            type: DataTypes.INTEGER,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        reviewed_at: {
+            type: DataTypes.DATE
+        },
+        review_notes: {
+            type: DataTypes.TEXT
+        }
+    }, {
+        tableName: 'absence_excuses',
+        indexes: [
+            { fields: ['attendance_record_id'] },
+            { fields: ['student_id'] },
+            { fields: ['parent_id'] },
+            { fields: ['status'] }
+        ]
+    });
+
+    return AbsenceExcuse;
+};
@@ -0,0 +1,85 @@
+module.exports = (sequelize, DataTypes) => {
+    const Assessment = sequelize.define('Assessment', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        class_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'classes',
+                key: 'id'
+            }
+        },
+        subject_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'subjects',
+                key: 'id'
+            }
+        },
+        term_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'terms',
+                key: 'id'
+            }
+        },
+        teacher_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'staff',
+                key: 'id'
+            }
+        },
+        title: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            validate: {
+                len: [1, 100]
+            }
+        },
+        assessment_type: {
+            type: DataTypes.ENUM('classwork', 'homework', 'test', 'project', 'exam', 'other'),
+            allowNull: false
+        },
+        weight: {
+            type: DataTypes.DECIMAL(5, 2),
+            allowNull: false,
+            comment: 'Percentage of the term grade carried by this assessment',
+            validate: {
+                min: 0.01,
+                max: 100
+            }
+        },
+        max_score: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: false,
+            defaultValue: 100,
+            validate: {
+                min: 0.01
+            }
+        },
+        assessment_date: {
+            type: DataTypes.DATEONLY
+        },
+        is_active: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true
+        }
+    }, {
+        tableName: 'assessments',
+        indexes: [
+            { fields: ['class_id', 'subject_id', 'term_id'] },
+            { fields: ['teacher_id'] },
+            { fields: ['is_active'] }
+        ]
+    });
+
+    return Assessment;
+};
@@ -0,0 +1,57 @@
+module.exports = (sequelize, DataTypes) => {
+    const AssessmentScore = sequelize.define('AssessmentScore', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        assessment_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'assessments',
+                key: 'id'
+            }
+        },
+        student_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'students',
+                key: 'id'
+            }
+        },
+        score: {
+            type: DataTypes.DECIMAL(6, 2),
+            validate: {
+                min: 0
+            }
+        },
+        is_excused: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false,
+            comment: 'Excused assessments are left out of the weighted term score'
+        },
+        comments: {
+            type: DataTypes.TEXT,
+            validate: {
+                len: [0, 500]
+            }
+        },
+        recorded_by: {
+            type: DataTypes.INTEGER,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        }
+    }, {
+        tableName: 'assessment_scores',
+        indexes: [
+            { unique: true, fields: ['assessment_id', 'student_id'] },
+            { fields: ['student_id'] }
+        ]
+    });
+
+    return AssessmentScore;
+};
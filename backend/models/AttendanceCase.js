@@ -0,0 +1,115 @@
+module.exports = (sequelize, DataTypes) => {
+    const AttendanceCase = sequelize.define('AttendanceCase', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        student_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'students',
+                key: 'id'
+            }
+        },
+        school_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'schools',
+                key: 'id'
+            }
+        },
+        term_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'terms',
+                key: 'id'
+            }
+        },
+        status: {
+            type: DataTypes.ENUM('open', 'in_progress', 'resolved'),
+            allowNull: false,
+            defaultValue: 'open'
+        },
+        priority: {
+            type: DataTypes.ENUM('low', 'medium', 'high'),
+            allowNull: false,
+            defaultValue: 'low'
+        },
+        risk_score: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            comment: 'Attendance severity plus family and social risk factors; higher is more urgent'
+        },
+        triggers: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: [],
+            comment: 'Thresholds currently crossed: absence_rate, consecutive_absences, repeated_lateness'
+        },
+        risk_factors: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: [],
+            comment: 'Family and social assessment flags that raised the priority'
+        },
+        school_days: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        days_absent: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        days_late: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        absence_rate: {
+            type: DataTypes.DECIMAL(5, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        longest_absence_streak: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        social_worker_name: {
+            type: DataTypes.STRING(100)
+        },
+        notes: {
+            type: DataTypes.TEXT
+        },
+        last_evaluated_at: {
+            type: DataTypes.DATE
+        },
+        resolved_at: {
+            type: DataTypes.DATE
+        },
+        resolved_by: {
+            type: DataTypes.INTEGER,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        }
+    }, {
+        tableName: 'attendance_cases',
+        indexes: [
+            { unique: true, fields: ['student_id', 'term_id'] },
+            { fields: ['school_id', 'status'] },
+            { fields: ['priority'] },
+            { fields: ['term_id'] }
+        ]
+    });
+
+    return AttendanceCase;
+};
@@ -43,13 +43,29 @@ module.exports = (sequelize, DataTypes) => {
         },
         notes: {
             type: DataTypes.TEXT
+        },
+        source: {
+            type: DataTypes.ENUM('rfid', 'register', 'auto'),
+            allowNull: false,
+            defaultValue: 'rfid',
+            comment: 'How the record was taken: reader scan, class register, or end-of-morning classification'
+        },
+        recorded_by: {
+            type: DataTypes.INTEGER,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            comment: 'User who last marked the record on a class register'
         }
     }, {
         tableName: 'attendance_records',
         indexes: [
-            { fields: ['student_id', 'attendance_date'] },
+            // One record per student per school day
+            { unique: true, fields: ['student_id', 'attendance_date'], name: 'attendance_records_student_date_unique' },
             { fields: ['school_id', 'attendance_date'] },
-            { fields: ['status'] }
+            { fields: ['status'] },
+            { fields: ['source'] }
         ]
     });
 
@@ -0,0 +1,58 @@
+module.exports = (sequelize, DataTypes) => {
+    const BellSchedule = sequelize.define('BellSchedule', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        school_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            unique: true,
+            references: {
+                model: 'schools',
+                key: 'id'
+            }
+        },
+        start_time: {
+            type: DataTypes.TIME,
+            allowNull: false,
+            defaultValue: '08:30:00',
+            comment: 'Morning bell; arrivals after start plus grace period are late'
+        },
+        grace_period_minutes: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 10,
+            validate: {
+                min: 0,
+                max: 120
+            }
+        },
+        half_day_cutoff: {
+            type: DataTypes.TIME,
+            allowNull: false,
+            defaultValue: '12:00:00',
+            comment: 'End of the morning session; students with no scan by then are absent'
+        },
+        is_active: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true
+        }
+    }, {
+        tableName: 'bell_schedules',
+        indexes: [
+            { unique: true, fields: ['school_id'] },
+            { fields: ['is_active'] }
+        ],
+        validate: {
+            cutoffAfterStartTime() {
+                if (this.half_day_cutoff <= this.start_time) {
+                    throw new Error('Half-day cutoff must be after the start time');
+                }
+            }
+        }
+    });
+
+    return BellSchedule;
+};
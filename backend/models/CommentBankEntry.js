@@ -0,0 +1,54 @@
+module.exports = (sequelize, DataTypes) => {
+    const CommentBankEntry = sequelize.define('CommentBankEntry', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        school_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'schools',
+                key: 'id'
+            }
+        },
+        comment_type: {
+            type: DataTypes.ENUM('class_teacher', 'principal'),
+            allowNull: false,
+            comment: 'Report card comment the entry is written for'
+        },
+        category: {
+            type: DataTypes.ENUM('achievement', 'progress', 'effort', 'behaviour', 'improvement', 'general'),
+            allowNull: false,
+            defaultValue: 'general'
+        },
+        text: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+            validate: {
+                len: [5, 1000]
+            },
+            comment: 'Comment with placeholders such as {first_name} and {strongest_subjects}'
+        },
+        created_by: {
+            type: DataTypes.INTEGER,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        is_active: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true
+        }
+    }, {
+        tableName: 'comment_bank',
+        indexes: [
+            { fields: ['school_id', 'comment_type'] },
+            { fields: ['is_active'] }
+        ]
+    });
+
+    return CommentBankEntry;
+};
@@ -46,9 +46,17 @@ module.exports = (sequelize, DataTypes) => {
             }
         },
         grade_value: {
-            type: DataTypes.ENUM('E', 'G', 'S', 'N'),
+            type: DataTypes.STRING(10),
             allowNull: false,
-            comment: 'E=Excellent, G=Good, S=Satisfactory, N=Needs Improvement'
+            comment: 'Band label from the grading scale, e.g. E/G/S/N, A-F, I-VI or a percentage'
+        },
+        grading_scale_id: {
+            type: DataTypes.UUID,
+            references: {
+                model: 'grading_scales',
+                key: 'id'
+            },
+            comment: 'Scale the grade was awarded on; null for the built-in E/G/S/N scale'
         },
         numeric_score: {
             type: DataTypes.DECIMAL(5, 2),
@@ -59,11 +67,11 @@ module.exports = (sequelize, DataTypes) => {
         },
         effort_grade: {
             type: DataTypes.ENUM('E', 'G', 'S', 'N'),
-            allowNull: false
+            comment: 'Entered by the teacher; empty on grades derived from assessments until rated'
         },
         behavior_grade: {
             type: DataTypes.ENUM('E', 'G', 'S', 'N'),
-            allowNull: false
+            comment: 'Entered by the teacher; empty on grades derived from assessments until rated'
         },
         teacher_comments: {
             type: DataTypes.TEXT,
@@ -73,7 +81,7 @@ module.exports = (sequelize, DataTypes) => {
         },
         assessment_components: {
             type: DataTypes.JSONB,
-            comment: 'Breakdown of assessments: classwork, participation, projects, etc.'
+            comment: 'Snapshot of the weighted assessment marks the numeric score was computed from'
         },
         attendance_impact: {
             type: DataTypes.TEXT,
@@ -0,0 +1,64 @@
+module.exports = (sequelize, DataTypes) => {
+    const GradeHistory = sequelize.define('GradeHistory', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        grade_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'grades',
+                key: 'id'
+            }
+        },
+        version: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            comment: 'Sequential per grade, starting at 1'
+        },
+        change_type: {
+            type: DataTypes.ENUM('created', 'updated', 'locked', 'unlocked'),
+            allowNull: false
+        },
+        source: {
+            type: DataTypes.ENUM('manual', 'admin_override', 'assessment', 'workflow'),
+            allowNull: false,
+            defaultValue: 'manual',
+            comment: 'manual=teacher entry, assessment=recomputed from marks, workflow=approval or reopening'
+        },
+        old_values: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {},
+            comment: 'Changed fields before the change; empty when the grade was created'
+        },
+        new_values: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {}
+        },
+        changed_by: {
+            type: DataTypes.INTEGER,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        change_reason: {
+            type: DataTypes.TEXT,
+            validate: {
+                len: [0, 500]
+            }
+        }
+    }, {
+        tableName: 'grade_history',
+        indexes: [
+            { unique: true, fields: ['grade_id', 'version'] },
+            { fields: ['changed_by'] }
+        ]
+    });
+
+    return GradeHistory;
+};
@@ -0,0 +1,77 @@
+module.exports = (sequelize, DataTypes) => {
+    const userReference = {
+        type: DataTypes.INTEGER,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    };
+
+    const GradeSubmission = sequelize.define('GradeSubmission', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        class_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'classes',
+                key: 'id'
+            }
+        },
+        subject_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'subjects',
+                key: 'id'
+            }
+        },
+        term_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'terms',
+                key: 'id'
+            }
+        },
+        status: {
+            type: DataTypes.ENUM('draft', 'submitted', 'reviewed', 'approved'),
+            allowNull: false,
+            defaultValue: 'draft',
+            comment: 'Grades can only be edited in draft; approved grades are locked'
+        },
+        submitted_by: userReference,
+        submitted_at: {
+            type: DataTypes.DATE
+        },
+        reviewed_by: userReference,
+        reviewed_at: {
+            type: DataTypes.DATE
+        },
+        review_notes: {
+            type: DataTypes.TEXT,
+            validate: {
+                len: [0, 1000]
+            }
+        },
+        approved_by: userReference,
+        approved_at: {
+            type: DataTypes.DATE
+        },
+        returned_reason: {
+            type: DataTypes.TEXT,
+            comment: 'Why the grades were last sent back to the teacher or reopened after approval'
+        }
+    }, {
+        tableName: 'grade_submissions',
+        indexes: [
+            { unique: true, fields: ['class_id', 'subject_id', 'term_id'] },
+            { fields: ['term_id', 'status'] }
+        ]
+    });
+
+    return GradeSubmission;
+};
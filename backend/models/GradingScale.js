@@ -0,0 +1,83 @@
+module.exports = (sequelize, DataTypes) => {
+    const GradingScale = sequelize.define('GradingScale', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            validate: {
+                len: [2, 100]
+            }
+        },
+        scale_type: {
+            type: DataTypes.ENUM('descriptor', 'letter', 'percentage', 'band'),
+            allowNull: false,
+            comment: 'descriptor=E/G/S/N, letter=A-F, percentage=raw score, band=CXC-style I-VI'
+        },
+        school_categories: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: [],
+            comment: 'School categories the scale applies to (primary, secondary, nursery, special, tertiary)'
+        },
+        grade_levels: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: [],
+            comment: 'Grade levels the scale applies to; empty means every level in the categories'
+        },
+        bands: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: [],
+            comment: 'Mapping rules from numeric_score: [{ label, min_score, points, description }]',
+            validate: {
+                validBands(value) {
+                    if (this.scale_type === 'percentage') return;
+                    if (!Array.isArray(value) || value.length === 0) {
+                        throw new Error('A grading scale needs at least one band');
+                    }
+                    const labels = new Set();
+                    for (const band of value) {
+                        if (!band || typeof band.label !== 'string' || band.label.length === 0 || band.label.length > 10) {
+                            throw new Error('Each band needs a label of up to 10 characters');
+                        }
+                        if (typeof band.min_score !== 'number' || band.min_score < 0 || band.min_score > 100) {
+                            throw new Error(`Band ${band.label} needs a minimum score between 0 and 100`);
+                        }
+                        if (typeof band.points !== 'number') {
+                            throw new Error(`Band ${band.label} needs numeric points`);
+                        }
+                        if (labels.has(band.label)) {
+                            throw new Error(`Band ${band.label} appears more than once`);
+                        }
+                        labels.add(band.label);
+                    }
+                    if (!value.some(band => band.min_score === 0)) {
+                        throw new Error('The lowest band must start at a score of 0');
+                    }
+                }
+            }
+        },
+        is_default: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false,
+            comment: 'Preferred scale when several match a school category and grade level'
+        },
+        is_active: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true
+        }
+    }, {
+        tableName: 'grading_scales',
+        indexes: [
+            { fields: ['is_active'] },
+            { fields: ['scale_type'] }
+        ]
+    });
+
+    return GradingScale;
+};
@@ -0,0 +1,96 @@
+module.exports = (sequelize, DataTypes) => {
+    const PeriodAttendance = sequelize.define('PeriodAttendance', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        student_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'students',
+                key: 'id'
+            }
+        },
+        school_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'schools',
+                key: 'id'
+            }
+        },
+        class_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'classes',
+                key: 'id'
+            }
+        },
+        subject_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'subjects',
+                key: 'id'
+            }
+        },
+        timetable_slot_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'timetable_slots',
+                key: 'id'
+            }
+        },
+        attendance_date: {
+            type: DataTypes.DATEONLY,
+            allowNull: false
+        },
+        status: {
+            type: DataTypes.ENUM('present', 'absent', 'late', 'excused'),
+            allowNull: false,
+            defaultValue: 'present'
+        },
+        source: {
+            type: DataTypes.ENUM('rfid', 'register'),
+            allowNull: false,
+            defaultValue: 'rfid'
+        },
+        scanned_at: {
+            type: DataTypes.DATE,
+            comment: 'First classroom reader scan for the lesson'
+        },
+        rfid_device_id: {
+            type: DataTypes.UUID,
+            references: {
+                model: 'rfid_devices',
+                key: 'id'
+            }
+        },
+        recorded_by: {
+            type: DataTypes.INTEGER,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        notes: {
+            type: DataTypes.TEXT
+        }
+    }, {
+        tableName: 'period_attendance_records',
+        indexes: [
+            // One mark per student per lesson
+            { unique: true, fields: ['student_id', 'timetable_slot_id', 'attendance_date'] },
+            { fields: ['timetable_slot_id', 'attendance_date'] },
+            { fields: ['school_id', 'attendance_date'] },
+            { fields: ['subject_id'] },
+            { fields: ['status'] }
+        ]
+    });
+
+    return PeriodAttendance;
+};
@@ -1 +1,72 @@
-module.exports = (sequelize, DataTypes) => { const Model = sequelize.define('RFIDDevice', {id: {type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true}}, {tableName: 'RFIDDevice.js'}); return Model; };
+module.exports = (sequelize, DataTypes) => {
+    const RFIDDevice = sequelize.define('RFIDDevice', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        school_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'schools',
+                key: 'id'
+            }
+        },
+        device_id: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            unique: true,
+            validate: {
+                len: [1, 50]
+            }
+        },
+        device_type: {
+            type: DataTypes.ENUM('gate_reader', 'classroom_reader', 'mobile_reader'),
+            allowNull: false
+        },
+        location: {
+            type: DataTypes.STRING(100)
+        },
+        status: {
+            type: DataTypes.ENUM('active', 'inactive', 'maintenance'),
+            allowNull: false,
+            defaultValue: 'active'
+        },
+        scan_direction: {
+            type: DataTypes.ENUM('entry', 'exit', 'toggle'),
+            allowNull: false,
+            defaultValue: 'toggle',
+            comment: 'Fixed entry/exit gate, or toggle between entry and exit per student'
+        },
+        last_sync: {
+            type: DataTypes.DATE,
+            comment: 'Last heartbeat or data sync received from the device'
+        },
+        api_key_hash: {
+            type: DataTypes.STRING(64),
+            comment: 'SHA-256 hash of the per-device API key'
+        },
+        api_key_issued_at: {
+            type: DataTypes.DATE
+        },
+        firmware_version: {
+            type: DataTypes.STRING(50)
+        },
+        decommissioned_at: {
+            type: DataTypes.DATE,
+            comment: 'Set when the reader is permanently retired'
+        }
+    }, {
+        tableName: 'rfid_devices',
+        indexes: [
+            { fields: ['school_id'] },
+            { unique: true, fields: ['device_id'] },
+            { fields: ['device_type'] },
+            { fields: ['status'] },
+            { fields: ['last_sync'] }
+        ]
+    });
+
+    return RFIDDevice;
+};
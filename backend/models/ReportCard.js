@@ -30,9 +30,23 @@ module.exports = (sequelize, DataTypes) => {
             }
         },
         overall_grade: {
-            type: DataTypes.ENUM('E', 'G', 'S', 'N'),
+            type: DataTypes.STRING(10),
             allowNull: false
         },
+        overall_score: {
+            type: DataTypes.DECIMAL(5, 2),
+            validate: {
+                min: 0,
+                max: 100
+            }
+        },
+        grading_scale_id: {
+            type: DataTypes.UUID,
+            references: {
+                model: 'grading_scales',
+                key: 'id'
+            }
+        },
         overall_effort: {
             type: DataTypes.ENUM('E', 'G', 'S', 'N'),
             allowNull: false
@@ -41,6 +55,33 @@ module.exports = (sequelize, DataTypes) => {
             type: DataTypes.ENUM('E', 'G', 'S', 'N'),
             allowNull: false
         },
+        class_position: {
+            type: DataTypes.INTEGER,
+            comment: 'Position in class by overall result; tied students share a position'
+        },
+        class_size: {
+            type: DataTypes.INTEGER,
+            comment: 'Students ranked in the class'
+        },
+        grade_level_position: {
+            type: DataTypes.INTEGER,
+            comment: 'Position among students of the same grade level at the school'
+        },
+        grade_level_size: {
+            type: DataTypes.INTEGER
+        },
+        previous_overall_score: {
+            type: DataTypes.DECIMAL(5, 2),
+            comment: 'Overall score on the report card for the previous term'
+        },
+        previous_class_position: {
+            type: DataTypes.INTEGER
+        },
+        subject_statistics: {
+            type: DataTypes.JSONB,
+            defaultValue: [],
+            comment: 'Per subject: class average, highest and lowest score, and the student\'s previous-term score'
+        },
         attendance_days_present: {
             type: DataTypes.INTEGER,
             defaultValue: 0
@@ -96,8 +137,27 @@ module.exports = (sequelize, DataTypes) => {
             type: DataTypes.BOOLEAN,
             defaultValue: false
         },
+        released_at: {
+            type: DataTypes.DATE,
+            comment: 'When parents can first see the card; the term\'s release date if it was released early'
+        },
+        released_by: {
+            type: DataTypes.INTEGER,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
         parent_signature_date: {
-            type: DataTypes.DATE
+            type: DataTypes.DATE,
+            comment: 'When a parent electronically acknowledged the card'
+        },
+        acknowledged_by: {
+            type: DataTypes.UUID,
+            references: {
+                model: 'parents_guardians',
+                key: 'id'
+            }
         },
         is_final: {
             type: DataTypes.BOOLEAN,
@@ -112,6 +172,7 @@ module.exports = (sequelize, DataTypes) => {
             { fields: ['overall_grade'] },
             { fields: ['generated_date'] },
             { fields: ['is_final'] },
+            { fields: ['released_to_parent', 'released_at'] },
             { unique: true, fields: ['student_id', 'term_id'] }
         ]
     });
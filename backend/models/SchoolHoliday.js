@@ -0,0 +1,37 @@
+module.exports = (sequelize, DataTypes) => {
+    const SchoolHoliday = sequelize.define('SchoolHoliday', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        school_id: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'schools',
+                key: 'id'
+            },
+            comment: 'Null for national public holidays that apply to every school'
+        },
+        holiday_date: {
+            type: DataTypes.DATEONLY,
+            allowNull: false
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            validate: {
+                len: [2, 100]
+            }
+        }
+    }, {
+        tableName: 'school_holidays',
+        indexes: [
+            { fields: ['holiday_date'] },
+            { unique: true, fields: ['school_id', 'holiday_date'] }
+        ]
+    });
+
+    return SchoolHoliday;
+};
@@ -0,0 +1,80 @@
+module.exports = (sequelize, DataTypes) => {
+    const TeachingAssignment = sequelize.define('TeachingAssignment', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        school_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'schools',
+                key: 'id'
+            }
+        },
+        staff_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'staff',
+                key: 'id'
+            }
+        },
+        class_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'classes',
+                key: 'id'
+            }
+        },
+        subject_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'subjects',
+                key: 'id'
+            }
+        },
+        term_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'terms',
+                key: 'id'
+            }
+        },
+        periods_per_week: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 1,
+            validate: {
+                min: 1,
+                max: 40
+            },
+            comment: 'Lessons the subject should have on the class timetable each week'
+        },
+        created_by: {
+            type: DataTypes.INTEGER,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        is_active: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true
+        }
+    }, {
+        tableName: 'teaching_assignments',
+        indexes: [
+            { unique: true, fields: ['class_id', 'subject_id', 'term_id'] },
+            { fields: ['staff_id', 'term_id'] },
+            { fields: ['school_id', 'term_id'] },
+            { fields: ['is_active'] }
+        ]
+    });
+
+    return TeachingAssignment;
+};
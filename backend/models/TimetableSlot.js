@@ -0,0 +1,103 @@
+module.exports = (sequelize, DataTypes) => {
+    const TimetableSlot = sequelize.define('TimetableSlot', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        school_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'schools',
+                key: 'id'
+            }
+        },
+        class_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'classes',
+                key: 'id'
+            }
+        },
+        subject_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'subjects',
+                key: 'id'
+            }
+        },
+        school_year: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            comment: 'School year of the class, so next year\'s timetable can be built beside this one'
+        },
+        teacher_id: {
+            type: DataTypes.UUID,
+            references: {
+                model: 'staff',
+                key: 'id'
+            }
+        },
+        day_of_week: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            validate: {
+                min: 1,
+                max: 7
+            },
+            comment: 'ISO weekday, 1 = Monday'
+        },
+        period_number: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            validate: {
+                min: 1,
+                max: 12
+            }
+        },
+        start_time: {
+            type: DataTypes.TIME,
+            allowNull: false
+        },
+        end_time: {
+            type: DataTypes.TIME,
+            allowNull: false
+        },
+        room: {
+            type: DataTypes.STRING(50)
+        },
+        rfid_device_id: {
+            type: DataTypes.UUID,
+            references: {
+                model: 'rfid_devices',
+                key: 'id'
+            },
+            comment: 'Classroom reader in the room where the lesson is taught'
+        },
+        is_active: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true
+        }
+    }, {
+        tableName: 'timetable_slots',
+        indexes: [
+            { fields: ['school_id', 'school_year'] },
+            { unique: true, fields: ['class_id', 'school_year', 'day_of_week', 'period_number'] },
+            { fields: ['teacher_id', 'day_of_week'] },
+            { fields: ['rfid_device_id', 'day_of_week'] },
+            { fields: ['is_active'] }
+        ],
+        validate: {
+            endAfterStart() {
+                if (this.end_time <= this.start_time) {
+                    throw new Error('Lesson end time must be after its start time');
+                }
+            }
+        }
+    });
+
+    return TimetableSlot;
+};
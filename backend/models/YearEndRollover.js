@@ -0,0 +1,80 @@
+module.exports = (sequelize, DataTypes) => {
+    const YearEndRollover = sequelize.define('YearEndRollover', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        school_id: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'schools',
+                key: 'id'
+            }
+        },
+        from_school_year: {
+            type: DataTypes.STRING(10),
+            allowNull: false
+        },
+        to_school_year: {
+            type: DataTypes.STRING(10),
+            allowNull: false
+        },
+        status: {
+            type: DataTypes.ENUM('completed', 'reversed'),
+            allowNull: false,
+            defaultValue: 'completed'
+        },
+        criteria: {
+            type: DataTypes.JSONB,
+            comment: 'Minimum final overall score and attendance used to propose promotion'
+        },
+        decisions: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: [],
+            comment: 'Per student: outcome, reasons, and class and grade level before and after'
+        },
+        class_changes: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {},
+            comment: 'Classes created, closed and re-counted, with the values needed to reverse the rollover'
+        },
+        summary: {
+            type: DataTypes.JSONB
+        },
+        performed_by: {
+            type: DataTypes.INTEGER,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        reversed_by: {
+            type: DataTypes.INTEGER,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        reversed_at: {
+            type: DataTypes.DATE
+        }
+    }, {
+        tableName: 'year_end_rollovers',
+        indexes: [
+            { fields: ['school_id', 'from_school_year'] },
+            { fields: ['status'] },
+            {
+                name: 'year_end_rollovers_completed_unique',
+                unique: true,
+                fields: ['school_id', 'from_school_year'],
+                where: { status: 'completed' }
+            }
+        ]
+    });
+
+    return YearEndRollover;
+};
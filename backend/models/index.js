@@ -28,6 +28,20 @@ const Class = require('./Class')(sequelize, DataTypes);
 const Term = require('./Term')(sequelize, DataTypes);
 const Grade = require('./Grade')(sequelize, DataTypes);
 const ReportCard = require('./ReportCard')(sequelize, DataTypes);
+const BellSchedule = require('./BellSchedule')(sequelize, DataTypes);
+const SchoolHoliday = require('./SchoolHoliday')(sequelize, DataTypes);
+const TimetableSlot = require('./TimetableSlot')(sequelize, DataTypes);
+const PeriodAttendance = require('./PeriodAttendance')(sequelize, DataTypes);
+const AttendanceCase = require('./AttendanceCase')(sequelize, DataTypes);
+const AbsenceExcuse = require('./AbsenceExcuse')(sequelize, DataTypes);
+const GradingScale = require('./GradingScale')(sequelize, DataTypes);
+const Assessment = require('./Assessment')(sequelize, DataTypes);
+const AssessmentScore = require('./AssessmentScore')(sequelize, DataTypes);
+const GradeSubmission = require('./GradeSubmission')(sequelize, DataTypes);
+const GradeHistory = require('./GradeHistory')(sequelize, DataTypes);
+const CommentBankEntry = require('./CommentBankEntry')(sequelize, DataTypes);
+const TeachingAssignment = require('./TeachingAssignment')(sequelize, DataTypes);
+const YearEndRollover = require('./YearEndRollover')(sequelize, DataTypes);
 
 // Define associations
 const models = {
@@ -56,7 +70,21 @@ const models = {
     Class,
     Term,
     Grade,
-    ReportCard
+    ReportCard,
+    BellSchedule,
+    SchoolHoliday,
+    TimetableSlot,
+    PeriodAttendance,
+    AttendanceCase,
+    AbsenceExcuse,
+    GradingScale,
+    Assessment,
+    AssessmentScore,
+    GradeSubmission,
+    GradeHistory,
+    CommentBankEntry,
+    TeachingAssignment,
+    YearEndRollover
 };
 
 // User associations
@@ -107,9 +135,13 @@ Parent.belongsToMany(Student, {
 Facility.belongsTo(School, { foreignKey: 'school_id' });
 Facility.hasMany(InventoryItem, { foreignKey: 'facility_id' });
 
+// RFID device associations
+RFIDDevice.belongsTo(School, { foreignKey: 'school_id' });
+
 // Other associations
 AttendanceRecord.belongsTo(Student, { foreignKey: 'student_id' });
 AttendanceRecord.belongsTo(School, { foreignKey: 'school_id' });
+AttendanceRecord.belongsTo(User, { foreignKey: 'recorded_by', as: 'recorder' });
 
 AcademicRecord.belongsTo(Student, { foreignKey: 'student_id' });
 AcademicRecord.belongsTo(Staff, { foreignKey: 'teacher_id', as: 'teacher' });
@@ -162,6 +194,89 @@ ReportCard.belongsTo(Student, { foreignKey: 'student_id' });
 ReportCard.belongsTo(Class, { foreignKey: 'class_id' });
 ReportCard.belongsTo(Term, { foreignKey: 'term_id' });
 
+// Attendance calendar associations
+School.hasOne(BellSchedule, { foreignKey: 'school_id' });
+School.hasMany(SchoolHoliday, { foreignKey: 'school_id' });
+BellSchedule.belongsTo(School, { foreignKey: 'school_id' });
+SchoolHoliday.belongsTo(School, { foreignKey: 'school_id' });
+
+// Timetable and period attendance associations
+Class.hasMany(TimetableSlot, { foreignKey: 'class_id' });
+Staff.hasMany(TimetableSlot, { foreignKey: 'teacher_id' });
+TimetableSlot.belongsTo(School, { foreignKey: 'school_id' });
+TimetableSlot.belongsTo(Class, { foreignKey: 'class_id' });
+TimetableSlot.belongsTo(Subject, { foreignKey: 'subject_id' });
+TimetableSlot.belongsTo(Staff, { foreignKey: 'teacher_id', as: 'teacher' });
+TimetableSlot.belongsTo(RFIDDevice, { foreignKey: 'rfid_device_id' });
+TimetableSlot.hasMany(PeriodAttendance, { foreignKey: 'timetable_slot_id' });
+Student.hasMany(PeriodAttendance, { foreignKey: 'student_id' });
+PeriodAttendance.belongsTo(Student, { foreignKey: 'student_id' });
+PeriodAttendance.belongsTo(TimetableSlot, { foreignKey: 'timetable_slot_id' });
+PeriodAttendance.belongsTo(Subject, { foreignKey: 'subject_id' });
+PeriodAttendance.belongsTo(Class, { foreignKey: 'class_id' });
+
+// Absenteeism case associations
+Student.hasMany(AttendanceCase, { foreignKey: 'student_id' });
+AttendanceCase.belongsTo(Student, { foreignKey: 'student_id' });
+AttendanceCase.belongsTo(School, { foreignKey: 'school_id' });
+AttendanceCase.belongsTo(Term, { foreignKey: 'term_id' });
+
+// Absence excuse associations
+AttendanceRecord.hasMany(AbsenceExcuse, { foreignKey: 'attendance_record_id' });
+AbsenceExcuse.belongsTo(AttendanceRecord, { foreignKey: 'attendance_record_id' });
+AbsenceExcuse.belongsTo(Student, { foreignKey: 'student_id' });
+AbsenceExcuse.belongsTo(Parent, { foreignKey: 'parent_id' });
+AbsenceExcuse.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
+
+// Grading scale associations
+Grade.belongsTo(GradingScale, { foreignKey: 'grading_scale_id' });
+ReportCard.belongsTo(GradingScale, { foreignKey: 'grading_scale_id' });
+ReportCard.belongsTo(Parent, { foreignKey: 'acknowledged_by', as: 'acknowledgedBy' });
+
+// Assessment associations
+Assessment.belongsTo(Class, { foreignKey: 'class_id' });
+Assessment.belongsTo(Subject, { foreignKey: 'subject_id' });
+Assessment.belongsTo(Term, { foreignKey: 'term_id' });
+Assessment.belongsTo(Staff, { foreignKey: 'teacher_id', as: 'teacher' });
+Assessment.hasMany(AssessmentScore, { foreignKey: 'assessment_id' });
+AssessmentScore.belongsTo(Assessment, { foreignKey: 'assessment_id' });
+AssessmentScore.belongsTo(Student, { foreignKey: 'student_id' });
+Student.hasMany(AssessmentScore, { foreignKey: 'student_id' });
+
+// Grade submission associations
+GradeSubmission.belongsTo(Class, { foreignKey: 'class_id' });
+GradeSubmission.belongsTo(Subject, { foreignKey: 'subject_id' });
+GradeSubmission.belongsTo(Term, { foreignKey: 'term_id' });
+GradeSubmission.belongsTo(User, { foreignKey: 'submitted_by', as: 'submitter' });
+GradeSubmission.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
+GradeSubmission.belongsTo(User, { foreignKey: 'approved_by', as: 'approver' });
+
+// Grade history associations
+Grade.hasMany(GradeHistory, { foreignKey: 'grade_id' });
+GradeHistory.belongsTo(Grade, { foreignKey: 'grade_id' });
+GradeHistory.belongsTo(User, { foreignKey: 'changed_by', as: 'editor' });
+
+// Comment bank associations
+School.hasMany(CommentBankEntry, { foreignKey: 'school_id' });
+CommentBankEntry.belongsTo(School, { foreignKey: 'school_id' });
+CommentBankEntry.belongsTo(User, { foreignKey: 'created_by', as: 'author' });
+
+// Teaching assignment associations
+Staff.hasMany(TeachingAssignment, { foreignKey: 'staff_id' });
+Class.hasMany(TeachingAssignment, { foreignKey: 'class_id' });
+TeachingAssignment.belongsTo(School, { foreignKey: 'school_id' });
+TeachingAssignment.belongsTo(Staff, { foreignKey: 'staff_id', as: 'teacher' });
+TeachingAssignment.belongsTo(Class, { foreignKey: 'class_id' });
+TeachingAssignment.belongsTo(Subject, { foreignKey: 'subject_id' });
+TeachingAssignment.belongsTo(Term, { foreignKey: 'term_id' });
+TeachingAssignment.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+
+// Year-end rollover associations
+School.hasMany(YearEndRollover, { foreignKey: 'school_id' });
+YearEndRollover.belongsTo(School, { foreignKey: 'school_id' });
+YearEndRollover.belongsTo(User, { foreignKey: 'performed_by', as: 'performer' });
+YearEndRollover.belongsTo(User, { foreignKey: 'reversed_by', as: 'reverser' });
+
 module.exports = {
     sequelize,
     ...models
@@ -0,0 +1,405 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const {
+    Assessment, AssessmentScore, Class, Subject, Term, Staff, Student, AuditLog, sequelize
+} = require('../models');
+const { requireRole } = require('../middleware/auth');
+const { assessmentService } = require('../services/assessmentService');
+const { gradeWorkflowService } = require('../services/gradeWorkflowService');
+const { teachingAssignmentService } = require('../services/teachingAssignmentService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const ASSESSMENT_TYPES = ['classwork', 'homework', 'test', 'project', 'exam', 'other'];
+
+const validate = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+        return false;
+    }
+    return true;
+};
+
+// Teachers may only manage assessments for their own class or a subject they teach it
+const checkTeacherAccess = async (req, res, classId, subjectId, termId) => {
+    if (req.user.role !== 'teacher') return { allowed: true, staff: null };
+
+    const staff = await Staff.findOne({ where: { user_id: req.user.id }, attributes: ['id'] });
+    const classRecord = await Class.findByPk(classId, { attributes: ['id', 'grade_level', 'class_teacher_id'] });
+    if (!staff || !await teachingAssignmentService.teaches(staff.id, classRecord, subjectId, termId)) {
+        res.status(403).json({
+            error: 'Only teachers of this class and subject can manage its assessments.',
+            code: 'NOT_SUBJECT_TEACHER'
+        });
+        return { allowed: false };
+    }
+    return { allowed: true, staff };
+};
+
+// Marks cannot change once the subject's grades are submitted for review
+const gradesLocked = async (res, classId, subjectId, termId) => {
+    if (await gradeWorkflowService.isEditable(classId, subjectId, termId)) return false;
+    res.status(409).json({
+        error: 'Grades for this subject have been submitted or approved; they must be returned or reopened first.',
+        code: 'GRADES_LOCKED'
+    });
+    return true;
+};
+
+const findAssessment = async (req, res) => {
+    const assessment = await Assessment.findByPk(req.params.id);
+    if (!assessment || !assessment.is_active) {
+        res.status(404).json({ error: 'Assessment not found' });
+        return null;
+    }
+    const access = await checkTeacherAccess(req, res, assessment.class_id, assessment.subject_id, assessment.term_id);
+    return access.allowed ? assessment : null;
+};
+
+const weightExceeded = (res, total) => res.status(409).json({
+    error: `Assessment weights for this class and subject would total ${total}%; the maximum is 100%.`,
+    code: 'WEIGHT_EXCEEDED'
+});
+
+// Assessments for a class, subject and term
+router.get('/', requireRole(['super_admin', 'admin', 'teacher']), [
+    query('class_id').isUUID().withMessage('Class ID must be valid UUID'),
+    query('subject_id').isUUID().withMessage('Subject ID must be valid UUID'),
+    query('term_id').isUUID().withMessage('Term ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const { class_id, subject_id, term_id } = req.query;
+        const access = await checkTeacherAccess(req, res, class_id, subject_id, term_id);
+        if (!access.allowed) return;
+
+        const assessments = await assessmentService.getAssessments(class_id, subject_id, term_id);
+        const totalWeight = assessments.reduce((sum, assessment) => sum + parseFloat(assessment.weight), 0);
+
+        res.json({
+            total_weight: Math.round(totalWeight * 100) / 100,
+            assessments: assessments.map(assessment => {
+                const { AssessmentScores, ...details } = assessment.toJSON();
+                return { ...details, marked_count: AssessmentScores.filter(score => score.score !== null).length };
+            })
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Create an assessment
+router.post('/', requireRole(['super_admin', 'admin', 'teacher']), [
+    body('class_id').isUUID().withMessage('Class ID must be valid UUID'),
+    body('subject_id').isUUID().withMessage('Subject ID must be valid UUID'),
+    body('term_id').isUUID().withMessage('Term ID must be valid UUID'),
+    body('teacher_id').optional().isUUID().withMessage('Teacher ID must be valid UUID'),
+    body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be 1-100 characters'),
+    body('assessment_type').isIn(ASSESSMENT_TYPES)
+        .withMessage(`Assessment type must be one of: ${ASSESSMENT_TYPES.join(', ')}`),
+    body('weight').isFloat({ min: 0.01, max: 100 }).withMessage('Weight must be between 0.01 and 100'),
+    body('max_score').optional().isFloat({ min: 0.01, max: 1000 }).withMessage('Maximum score must be positive'),
+    body('assessment_date').optional().isISO8601().withMessage('Assessment date must be a valid date')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const { class_id, subject_id, term_id, title, assessment_type, assessment_date } = req.body;
+        const access = await checkTeacherAccess(req, res, class_id, subject_id, term_id);
+        if (!access.allowed) return;
+        if (await gradesLocked(res, class_id, subject_id, term_id)) return;
+
+        const [classRecord, subject, term] = await Promise.all([
+            Class.findByPk(class_id), Subject.findByPk(subject_id), Term.findByPk(term_id)
+        ]);
+        if (!classRecord || !subject || !term) {
+            return res.status(404).json({ error: 'Class, subject or term not found' });
+        }
+
+        // Teachers own their assessments; administrators name the teacher
+        const teacherId = access.staff ? access.staff.id : req.body.teacher_id;
+        if (!teacherId) {
+            return res.status(400).json({ error: 'Teacher ID is required' });
+        }
+
+        const weight = parseFloat(req.body.weight);
+        const total = await assessmentService.totalWeight(class_id, subject_id, term_id) + weight;
+        if (total > 100) return weightExceeded(res, total);
+
+        const assessment = await Assessment.create({
+            class_id,
+            subject_id,
+            term_id,
+            teacher_id: teacherId,
+            title,
+            assessment_type,
+            weight,
+            max_score: req.body.max_score !== undefined ? parseFloat(req.body.max_score) : 100,
+            assessment_date: assessment_date || null
+        });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'assessment_created',
+            table_name: 'assessments',
+            record_id: assessment.id,
+            new_values: assessment.toJSON(),
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Assessment created: ${title} for class ${classRecord.name} by ${req.user.email}`);
+
+        res.status(201).json({ message: 'Assessment created', assessment });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Update an assessment; term grades are recomputed
+router.put('/:id', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('id').isUUID().withMessage('Assessment ID must be valid UUID'),
+    body('title').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Title must be 1-100 characters'),
+    body('assessment_type').optional().isIn(ASSESSMENT_TYPES)
+        .withMessage(`Assessment type must be one of: ${ASSESSMENT_TYPES.join(', ')}`),
+    body('weight').optional().isFloat({ min: 0.01, max: 100 }).withMessage('Weight must be between 0.01 and 100'),
+    body('max_score').optional().isFloat({ min: 0.01, max: 1000 }).withMessage('Maximum score must be positive'),
+    body('assessment_date').optional({ nullable: true }).isISO8601().withMessage('Assessment date must be a valid date')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const assessment = await findAssessment(req, res);
+        if (!assessment) return;
+        if (await gradesLocked(res, assessment.class_id, assessment.subject_id, assessment.term_id)) return;
+
+        const updates = {};
+        ['title', 'assessment_type', 'assessment_date'].forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field];
+        });
+
+        if (req.body.weight !== undefined) {
+            updates.weight = parseFloat(req.body.weight);
+            const total = await assessmentService.totalWeight(
+                assessment.class_id, assessment.subject_id, assessment.term_id, assessment.id
+            ) + updates.weight;
+            if (total > 100) return weightExceeded(res, total);
+        }
+
+        if (req.body.max_score !== undefined) {
+            updates.max_score = parseFloat(req.body.max_score);
+            const highest = await AssessmentScore.max('score', { where: { assessment_id: assessment.id } });
+            if (highest !== null && parseFloat(highest) > updates.max_score) {
+                return res.status(400).json({ error: `A student already scored ${highest}, above the new maximum` });
+            }
+        }
+
+        const oldValues = {};
+        Object.keys(updates).forEach(field => { oldValues[field] = assessment[field]; });
+        await assessment.update(updates);
+
+        const recalculated = await assessmentService.recalculateGrades(
+            assessment.class_id, assessment.subject_id, assessment.term_id,
+            { userId: req.user.id, reason: `Assessment "${assessment.title}" updated` }
+        );
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'assessment_updated',
+            table_name: 'assessments',
+            record_id: assessment.id,
+            old_values: oldValues,
+            new_values: updates,
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        res.json({ message: 'Assessment updated', assessment, grades: recalculated });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Remove an assessment (marks are kept); term grades are recomputed
+router.delete('/:id', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('id').isUUID().withMessage('Assessment ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const assessment = await findAssessment(req, res);
+        if (!assessment) return;
+        if (await gradesLocked(res, assessment.class_id, assessment.subject_id, assessment.term_id)) return;
+
+        await assessment.update({ is_active: false });
+        const recalculated = await assessmentService.recalculateGrades(
+            assessment.class_id, assessment.subject_id, assessment.term_id,
+            { userId: req.user.id, reason: `Assessment "${assessment.title}" removed` }
+        );
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'assessment_removed',
+            table_name: 'assessments',
+            record_id: assessment.id,
+            old_values: { is_active: true },
+            new_values: { is_active: false, removed_grades: recalculated.removed_grades },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        res.json({ message: 'Assessment removed', grades: recalculated });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Mark sheet: every student in the class with their mark
+router.get('/:id/scores', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('id').isUUID().withMessage('Assessment ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const assessment = await findAssessment(req, res);
+        if (!assessment) return;
+
+        const [students, scores] = await Promise.all([
+            Student.findAll({
+                where: { class_id: assessment.class_id, is_active: true },
+                attributes: ['id', 'student_id', 'first_name', 'last_name'],
+                order: [['last_name', 'ASC'], ['first_name', 'ASC']]
+            }),
+            AssessmentScore.findAll({ where: { assessment_id: assessment.id } })
+        ]);
+        const scoreByStudent = new Map(scores.map(score => [score.student_id, score]));
+
+        res.json({
+            assessment,
+            students: students.map(student => {
+                const mark = scoreByStudent.get(student.id);
+                return {
+                    id: student.id,
+                    student_id: student.student_id,
+                    name: `${student.first_name} ${student.last_name}`,
+                    score: mark ? mark.score : null,
+                    is_excused: mark ? mark.is_excused : false,
+                    comments: mark ? mark.comments : null
+                };
+            })
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Enter or correct marks; the class's term grades for the subject are recomputed
+router.put('/:id/scores', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('id').isUUID().withMessage('Assessment ID must be valid UUID'),
+    body('scores').isArray({ min: 1 }).withMessage('Scores must be a non-empty array'),
+    body('scores.*.student_id').isUUID().withMessage('Student ID must be valid UUID'),
+    body('scores.*.score').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Score must be zero or more'),
+    body('scores.*.is_excused').optional().isBoolean(),
+    body('scores.*.comments').optional({ nullable: true }).isString().isLength({ max: 500 })
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const assessment = await findAssessment(req, res);
+        if (!assessment) return;
+        if (await gradesLocked(res, assessment.class_id, assessment.subject_id, assessment.term_id)) return;
+
+        const { scores } = req.body;
+        const maxScore = parseFloat(assessment.max_score);
+
+        const studentIds = scores.map(entry => entry.student_id);
+        if (new Set(studentIds).size !== studentIds.length) {
+            return res.status(400).json({ error: 'Each student may appear only once' });
+        }
+        const overMax = scores.filter(entry => entry.score !== undefined && entry.score !== null &&
+            parseFloat(entry.score) > maxScore);
+        if (overMax.length > 0) {
+            return res.status(400).json({
+                error: `Scores cannot exceed the maximum of ${maxScore}`,
+                student_ids: overMax.map(entry => entry.student_id)
+            });
+        }
+
+        const students = await Student.findAll({
+            where: { class_id: assessment.class_id, is_active: true },
+            attributes: ['id']
+        });
+        const roll = new Set(students.map(student => student.id));
+        const notInClass = studentIds.filter(id => !roll.has(id));
+        if (notInClass.length > 0) {
+            return res.status(400).json({
+                error: 'Some students are not enrolled in this class',
+                student_ids: notInClass
+            });
+        }
+
+        await sequelize.transaction(async (t) => {
+            const existing = await AssessmentScore.findAll({
+                where: { assessment_id: assessment.id, student_id: studentIds },
+                transaction: t
+            });
+            const byStudent = new Map(existing.map(score => [score.student_id, score]));
+
+            for (const entry of scores) {
+                const values = {
+                    score: entry.score === undefined || entry.score === null ? null : parseFloat(entry.score),
+                    is_excused: entry.is_excused === true || entry.is_excused === 'true',
+                    recorded_by: req.user.id
+                };
+                if (entry.comments !== undefined) values.comments = entry.comments;
+
+                const mark = byStudent.get(entry.student_id);
+                if (mark) {
+                    await mark.update(values, { transaction: t });
+                } else {
+                    await AssessmentScore.create({
+                        assessment_id: assessment.id,
+                        student_id: entry.student_id,
+                        ...values
+                    }, { transaction: t });
+                }
+            }
+        });
+
+        const recalculated = await assessmentService.recalculateGrades(
+            assessment.class_id, assessment.subject_id, assessment.term_id,
+            { userId: req.user.id, reason: `Marks recorded for "${assessment.title}"` }
+        );
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'assessment_scores_recorded',
+            table_name: 'assessment_scores',
+            record_id: assessment.id,
+            new_values: {
+                scores: scores.map(({ student_id, score, is_excused }) => ({ student_id, score, is_excused })),
+                removed_grades: recalculated.removed_grades
+            },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Marks recorded for assessment ${assessment.title} by ${req.user.email}`);
+
+        res.json({
+            message: 'Marks saved',
+            recorded: scores.length,
+            grades: recalculated
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,33 +1,179 @@
 const express = require('express');
-const { AttendanceRecord, Student, School } = require('../models');
-const { requireRole } = require('../middleware/auth');
+const fs = require('fs');
+const { body, param, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const {
+    AttendanceRecord, Student, School, Class, Staff, Subject, TimetableSlot, Term, Zone, AttendanceCase,
+    AbsenceExcuse, Parent, StudentParentRelationship, AuditLog
+} = require('../models');
+const { authMiddleware, requireRole, staffSchoolId, canAccessSchool } = require('../middleware/auth');
+const { authenticateDevice } = require('../middleware/deviceAuth');
+const { roleBasedLimiter, uploadLimiter } = require('../middleware/rateLimiter');
+const { absenceNoteUpload } = require('../middleware/upload');
+const { rfidScanService } = require('../services/rfidScanService');
+const { attendanceService } = require('../services/attendanceService');
+const { attendanceClassifier } = require('../services/attendanceClassifier');
+const { periodAttendanceService } = require('../services/periodAttendanceService');
+const { absenteeismMonitor } = require('../services/absenteeismMonitor');
+const { teachingAssignmentService } = require('../services/teachingAssignmentService');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Record attendance via RFID
-router.post('/rfid', async (req, res, next) => {
-    try {
-        const { rfid_tag, device_id, timestamp } = req.body;
-        
-        const student = await Student.findOne({ where: { rfid_tag } });
-        if (!student) {
-            return res.status(404).json({ error: 'Student not found' });
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+const CASE_STATUSES = ['open', 'in_progress', 'resolved'];
+const CASE_PRIORITIES = ['low', 'medium', 'high'];
+// Health and family risk factors and social worker notes stay with administrators
+const TEACHER_HIDDEN_CASE_FIELDS = ['risk_factors', 'notes'];
+const EXCUSE_STATUSES = ['pending', 'approved', 'rejected'];
+
+const validate = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+        return false;
+    }
+    return true;
+};
+
+const schoolAccessDenied = (res) => res.status(403).json({
+    error: 'Access denied. You can only access attendance at your assigned school.',
+    code: 'SCHOOL_ACCESS_DENIED'
+});
+
+// Load a class for register access; teachers may only use their own class register
+// and administrators only registers at their own school
+const findRegisterClass = async (req, res) => {
+    const classRecord = await Class.findByPk(req.params.class_id, {
+        attributes: ['id', 'school_id', 'name', 'grade_level', 'section', 'class_teacher_id', 'is_active']
+    });
+    if (!classRecord || !classRecord.is_active) {
+        res.status(404).json({ error: 'Class not found' });
+        return null;
+    }
+
+    if (req.user.role === 'teacher') {
+        const staff = await Staff.findOne({ where: { user_id: req.user.id }, attributes: ['id'] });
+        if (!staff || classRecord.class_teacher_id !== staff.id) {
+            res.status(403).json({
+                error: 'Only the class teacher can take this register.',
+                code: 'NOT_CLASS_TEACHER'
+            });
+            return null;
+        }
+    } else if (!await canAccessSchool(req.user, classRecord.school_id)) {
+        schoolAccessDenied(res);
+        return null;
+    }
+
+    return classRecord;
+};
+
+// Load a timetabled lesson; teachers may only use registers for lessons they teach,
+// subjects they are assigned to the class, or their own class, and administrators
+// only lessons at their own school
+const findLessonSlot = async (req, res) => {
+    const slot = await TimetableSlot.findByPk(req.params.slot_id, {
+        include: [
+            { model: Class, attributes: ['id', 'school_id', 'name', 'grade_level', 'class_teacher_id'] },
+            { model: Subject, attributes: ['id', 'name', 'code'] }
+        ]
+    });
+    if (!slot || !slot.is_active) {
+        res.status(404).json({ error: 'Lesson not found' });
+        return null;
+    }
+
+    if (req.user.role === 'teacher') {
+        const staff = await Staff.findOne({ where: { user_id: req.user.id }, attributes: ['id'] });
+        const allowed = staff && (slot.teacher_id === staff.id
+            || await teachingAssignmentService.teaches(staff.id, slot.Class, slot.subject_id));
+        if (!allowed) {
+            res.status(403).json({
+                error: 'Only the subject or class teacher can take this lesson register.',
+                code: 'NOT_LESSON_TEACHER'
+            });
+            return null;
+        }
+    } else if (!await canAccessSchool(req.user, slot.Class.school_id)) {
+        schoolAccessDenied(res);
+        return null;
+    }
+
+    return slot;
+};
+
+// Remove an uploaded note when the request it came with is refused
+const discardUpload = (req) => {
+    if (req.file) {
+        fs.unlink(req.file.path, () => {});
+    }
+};
+
+// Load an absence excuse the user may see: the submitting parent, the student's class teacher
+// or an admin at the student's school
+const findExcuse = async (req, res) => {
+    const excuse = await AbsenceExcuse.findByPk(req.params.id, {
+        include: [{
+            model: Student,
+            attributes: ['id', 'student_id', 'first_name', 'last_name', 'school_id'],
+            include: [{ model: Class, attributes: ['id', 'name', 'class_teacher_id'] }]
+        }]
+    });
+    if (!excuse) {
+        res.status(404).json({ error: 'Absence excuse not found' });
+        return null;
+    }
+
+    if (['super_admin', 'admin'].includes(req.user.role)) {
+        if (!await canAccessSchool(req.user, excuse.Student.school_id)) {
+            schoolAccessDenied(res);
+            return null;
         }
+        return excuse;
+    }
 
-        const attendance = await AttendanceRecord.create({
-            student_id: student.id,
-            school_id: student.school_id,
-            attendance_date: new Date().toDateString(),
-            rfid_entry_time: timestamp,
-            status: 'present'
+    let allowed = false;
+    if (req.user.role === 'parent') {
+        const parent = await Parent.findOne({ where: { user_id: req.user.id }, attributes: ['id'] });
+        allowed = !!parent && excuse.parent_id === parent.id;
+    } else if (req.user.role === 'teacher') {
+        const staff = await Staff.findOne({ where: { user_id: req.user.id }, attributes: ['id'] });
+        allowed = !!staff && !!excuse.Student.Class && excuse.Student.Class.class_teacher_id === staff.id;
+    }
+    if (!allowed) {
+        res.status(403).json({
+            error: 'You do not have access to this absence excuse.',
+            code: 'EXCUSE_ACCESS_DENIED'
         });
+        return null;
+    }
+
+    return excuse;
+};
+
+// Record attendance via RFID (called by the reader itself)
+router.post('/rfid', authenticateDevice, async (req, res, next) => {
+    try {
+        const result = await rfidScanService.processScan(req.device, req.body.rfid_tag, req, {
+            direction: req.body.direction
+        });
+        if (!result.accepted) {
+            return res.status(result.statusCode).json({ error: result.error, code: result.code });
+        }
 
-        res.json({ message: 'Attendance recorded', attendance });
+        res.json({ message: 'Attendance recorded', direction: result.direction, attendance: result.attendance });
     } catch (error) {
         next(error);
     }
 });
 
+// All remaining attendance endpoints require an authenticated user
+router.use(authMiddleware, roleBasedLimiter);
+
 // Get attendance records
 router.get('/', async (req, res, next) => {
     try {
@@ -50,4 +196,813 @@ router.get('/', async (req, res, next) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// Live on-campus headcount for fire drills and emergency musters
+router.get('/on-campus/:school_id', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('school_id').isUUID().withMessage('School ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const { school_id } = req.params;
+        const { grade_level } = req.query;
+
+        if (!await canAccessSchool(req.user, school_id)) {
+            return schoolAccessDenied(res);
+        }
+
+        const school = await School.findByPk(school_id, { attributes: ['id', 'name'] });
+        if (!school) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+
+        const today = attendanceService.today();
+        const studentWhere = {};
+        if (grade_level) studentWhere.grade_level = grade_level;
+
+        const records = await AttendanceRecord.findAll({
+            where: {
+                school_id,
+                attendance_date: today,
+                rfid_entry_time: { [Op.ne]: null }
+            },
+            include: [{
+                model: Student,
+                where: studentWhere,
+                attributes: ['id', 'student_id', 'first_name', 'last_name', 'grade_level', 'class_id']
+            }],
+            order: [[Student, 'grade_level', 'ASC'], [Student, 'last_name', 'ASC'], [Student, 'first_name', 'ASC']]
+        });
+
+        const onCampus = records.filter(record => !record.rfid_exit_time);
+
+        res.json({
+            school,
+            date: today,
+            on_campus_count: onCampus.length,
+            checked_out_count: records.length - onCampus.length,
+            students: onCampus.map(record => ({
+                id: record.Student.id,
+                student_id: record.Student.student_id,
+                name: `${record.Student.first_name} ${record.Student.last_name}`,
+                grade_level: record.Student.grade_level,
+                class_id: record.Student.class_id,
+                entry_time: record.rfid_entry_time
+            })),
+            generated_at: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Run late/absent classification on demand (normally the end-of-morning job)
+router.post('/classify', requireRole(['super_admin', 'admin']), [
+    body('date').optional().isISO8601().withMessage('Date must be a valid date'),
+    body('school_id').optional().isUUID().withMessage('School ID must be valid UUID'),
+    body('force').optional().isBoolean()
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        // School admins classify their own school only
+        let schoolId = req.body.school_id;
+        if (req.user.role !== 'super_admin') {
+            const ownSchoolId = await staffSchoolId(req.user);
+            if (!ownSchoolId || (schoolId && schoolId !== ownSchoolId)) {
+                return schoolAccessDenied(res);
+            }
+            schoolId = ownSchoolId;
+        }
+
+        const date = req.body.date || attendanceService.today();
+        const summary = await attendanceClassifier.classifyDate(date, {
+            schoolId,
+            force: req.body.force === true || req.body.force === 'true'
+        });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'attendance_classified',
+            table_name: 'attendance_records',
+            new_values: {
+                date,
+                school_id: schoolId || null,
+                marked_absent: summary.marked_absent,
+                marked_late: summary.marked_late
+            },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Attendance classified for ${date} by ${req.user.email}`);
+
+        res.json(summary);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Class register for a day: roll with any scans and marks already recorded
+router.get('/register/:class_id', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('class_id').isUUID().withMessage('Class ID must be valid UUID'),
+    query('date').optional().isISO8601().withMessage('Date must be a valid date')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const classRecord = await findRegisterClass(req, res);
+        if (!classRecord) return;
+
+        const date = req.query.date || attendanceService.today();
+
+        const students = await Student.findAll({
+            where: { class_id: classRecord.id, is_active: true },
+            attributes: ['id', 'student_id', 'first_name', 'last_name'],
+            include: [{
+                model: AttendanceRecord,
+                where: { attendance_date: date },
+                required: false
+            }],
+            order: [['last_name', 'ASC'], ['first_name', 'ASC']]
+        });
+
+        const roll = students.map(student => {
+            const record = student.AttendanceRecords[0];
+            return {
+                id: student.id,
+                student_id: student.student_id,
+                name: `${student.first_name} ${student.last_name}`,
+                status: record ? record.status : null,
+                notes: record ? record.notes : null,
+                source: record ? record.source : null,
+                scanned: !!(record && record.rfid_entry_time),
+                check_in_time: record ? record.check_in_time : null,
+                check_out_time: record ? record.check_out_time : null
+            };
+        });
+
+        const summary = { unmarked: 0 };
+        ATTENDANCE_STATUSES.forEach(status => { summary[status] = 0; });
+        roll.forEach(entry => { summary[entry.status || 'unmarked'] += 1; });
+
+        res.json({
+            class: {
+                id: classRecord.id,
+                name: classRecord.name,
+                grade_level: classRecord.grade_level,
+                section: classRecord.section
+            },
+            date,
+            editable: attendanceService.isRegisterOpen(date),
+            summary,
+            students: roll
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Submit or correct a class register in one transaction
+router.put('/register/:class_id', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('class_id').isUUID().withMessage('Class ID must be valid UUID'),
+    body('date').optional().isISO8601().withMessage('Date must be a valid date'),
+    body('entries').isArray({ min: 1 }).withMessage('Entries must be a non-empty array'),
+    body('entries.*.student_id').isUUID().withMessage('Student ID must be valid UUID'),
+    body('entries.*.status').isIn(ATTENDANCE_STATUSES).withMessage('Invalid attendance status'),
+    body('entries.*.notes').optional({ nullable: true }).isString().isLength({ max: 500 })
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const classRecord = await findRegisterClass(req, res);
+        if (!classRecord) return;
+
+        const date = req.body.date ? req.body.date.substring(0, 10) : attendanceService.today();
+        const { entries } = req.body;
+
+        if (date > attendanceService.today()) {
+            return res.status(400).json({ error: 'Registers cannot be taken for future dates' });
+        }
+
+        // Past the cut-off only administrators may amend the register
+        if (!attendanceService.isRegisterOpen(date) && req.user.role === 'teacher') {
+            return res.status(409).json({
+                error: 'The register for this date is closed.',
+                code: 'REGISTER_CLOSED'
+            });
+        }
+
+        const studentIds = entries.map(entry => entry.student_id);
+        if (new Set(studentIds).size !== studentIds.length) {
+            return res.status(400).json({ error: 'Each student may appear only once in a register' });
+        }
+
+        const students = await Student.findAll({
+            where: { class_id: classRecord.id, is_active: true },
+            attributes: ['id']
+        });
+        const roll = new Set(students.map(student => student.id));
+        const notInClass = studentIds.filter(id => !roll.has(id));
+        if (notInClass.length > 0) {
+            return res.status(400).json({
+                error: 'Some students are not enrolled in this class',
+                student_ids: notInClass
+            });
+        }
+
+        const records = await attendanceService.recordRegister(classRecord, date, entries, req.user.id);
+
+        const marked = await AttendanceRecord.findAll({
+            where: { student_id: [...roll], attendance_date: date },
+            attributes: ['student_id']
+        });
+        const markedIds = new Set(marked.map(record => record.student_id));
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'attendance_register_submitted',
+            table_name: 'attendance_records',
+            record_id: classRecord.id,
+            new_values: {
+                class_id: classRecord.id,
+                date,
+                entries: entries.map(({ student_id, status }) => ({ student_id, status }))
+            },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Attendance register saved for class ${classRecord.name} on ${date} by ${req.user.email}`);
+
+        res.json({
+            message: 'Register saved successfully',
+            date,
+            recorded: records.length,
+            unmarked_students: [...roll].filter(id => !markedIds.has(id)),
+            attendance: records
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Students on campus who missed lessons (mid-day truancy)
+router.get('/periods/truancy/:school_id', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('school_id').isUUID().withMessage('School ID must be valid UUID'),
+    query('date').optional().isISO8601().withMessage('Date must be a valid date')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        if (!await canAccessSchool(req.user, req.params.school_id)) {
+            return schoolAccessDenied(res);
+        }
+
+        const school = await School.findByPk(req.params.school_id, { attributes: ['id', 'name'] });
+        if (!school) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+
+        const date = req.query.date || attendanceService.today();
+        const students = await periodAttendanceService.getTruancyReport(school.id, date);
+
+        res.json({
+            school,
+            date,
+            flagged_count: students.length,
+            students,
+            generated_at: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Lesson roll: period marks alongside daily presence
+router.get('/periods/:slot_id', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('slot_id').isUUID().withMessage('Lesson ID must be valid UUID'),
+    query('date').optional().isISO8601().withMessage('Date must be a valid date')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const slot = await findLessonSlot(req, res);
+        if (!slot) return;
+
+        const date = req.query.date || attendanceService.today();
+        if (attendanceService.weekday(date) !== slot.day_of_week) {
+            return res.status(400).json({ error: 'This lesson is not timetabled on the requested date' });
+        }
+
+        const students = await periodAttendanceService.getLessonRoll(slot, date);
+
+        res.json({
+            lesson: {
+                id: slot.id,
+                class: slot.Class.name,
+                subject: slot.Subject.name,
+                period_number: slot.period_number,
+                start_time: slot.start_time,
+                end_time: slot.end_time,
+                room: slot.room
+            },
+            date,
+            editable: attendanceService.isRegisterOpen(date),
+            students
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Submit or correct a lesson register
+router.put('/periods/:slot_id', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('slot_id').isUUID().withMessage('Lesson ID must be valid UUID'),
+    body('date').optional().isISO8601().withMessage('Date must be a valid date'),
+    body('entries').isArray({ min: 1 }).withMessage('Entries must be a non-empty array'),
+    body('entries.*.student_id').isUUID().withMessage('Student ID must be valid UUID'),
+    body('entries.*.status').isIn(ATTENDANCE_STATUSES).withMessage('Invalid attendance status'),
+    body('entries.*.notes').optional({ nullable: true }).isString().isLength({ max: 500 })
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const slot = await findLessonSlot(req, res);
+        if (!slot) return;
+
+        const date = req.body.date ? req.body.date.substring(0, 10) : attendanceService.today();
+        const { entries } = req.body;
+
+        if (date > attendanceService.today()) {
+            return res.status(400).json({ error: 'Registers cannot be taken for future dates' });
+        }
+        if (attendanceService.weekday(date) !== slot.day_of_week) {
+            return res.status(400).json({ error: 'This lesson is not timetabled on the requested date' });
+        }
+        if (!attendanceService.isRegisterOpen(date) && req.user.role === 'teacher') {
+            return res.status(409).json({
+                error: 'The register for this date is closed.',
+                code: 'REGISTER_CLOSED'
+            });
+        }
+
+        const studentIds = entries.map(entry => entry.student_id);
+        if (new Set(studentIds).size !== studentIds.length) {
+            return res.status(400).json({ error: 'Each student may appear only once in a register' });
+        }
+
+        const students = await Student.findAll({
+            where: { class_id: slot.class_id, is_active: true },
+            attributes: ['id']
+        });
+        const roll = new Set(students.map(student => student.id));
+        const notInClass = studentIds.filter(id => !roll.has(id));
+        if (notInClass.length > 0) {
+            return res.status(400).json({
+                error: 'Some students are not enrolled in this class',
+                student_ids: notInClass
+            });
+        }
+
+        const records = await periodAttendanceService.recordLessonRegister(slot, date, entries, req.user.id);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'period_register_submitted',
+            table_name: 'period_attendance_records',
+            record_id: slot.id,
+            new_values: {
+                timetable_slot_id: slot.id,
+                date,
+                entries: entries.map(({ student_id, status }) => ({ student_id, status }))
+            },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Lesson register saved for ${slot.Class.name} ${slot.Subject.name} period ${slot.period_number} on ${date} by ${req.user.email}`);
+
+        res.json({
+            message: 'Lesson register saved successfully',
+            date,
+            recorded: records.length,
+            attendance: records
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Run the chronic absenteeism early-warning evaluation (normally the nightly job)
+router.post('/absenteeism/evaluate', requireRole(['super_admin', 'admin']), [
+    body('term_id').optional().isUUID().withMessage('Term ID must be valid UUID'),
+    body('school_id').optional().isUUID().withMessage('School ID must be valid UUID'),
+    body('as_of').optional().isISO8601().withMessage('As-of date must be a valid date')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const term = req.body.term_id
+            ? await Term.findByPk(req.body.term_id)
+            : await Term.findOne({ where: { is_current: true } });
+        if (!term) {
+            return res.status(404).json({ error: 'Term not found' });
+        }
+
+        // School admins evaluate their own school only
+        let schoolId = req.body.school_id;
+        if (req.user.role !== 'super_admin') {
+            const ownSchoolId = await staffSchoolId(req.user);
+            if (!ownSchoolId || (schoolId && schoolId !== ownSchoolId)) {
+                return schoolAccessDenied(res);
+            }
+            schoolId = ownSchoolId;
+        }
+
+        const summary = await absenteeismMonitor.evaluateTerm(term.id, {
+            schoolId,
+            asOf: req.body.as_of
+        });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'absenteeism_evaluated',
+            table_name: 'attendance_cases',
+            new_values: {
+                term_id: term.id,
+                school_id: schoolId || null,
+                opened: summary.opened,
+                updated: summary.updated,
+                reopened: summary.reopened
+            },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Absenteeism evaluated for term ${term.name} by ${req.user.email}`);
+
+        res.json(summary);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Absenteeism case list by school or zone, most urgent first
+router.get('/absenteeism/cases', requireRole(['super_admin', 'admin', 'teacher']), [
+    query('school_id').optional().isUUID().withMessage('School ID must be valid UUID'),
+    query('zone_id').optional().isUUID().withMessage('Zone ID must be valid UUID'),
+    query('term_id').optional().isUUID().withMessage('Term ID must be valid UUID'),
+    query('status').optional().isIn(CASE_STATUSES).withMessage('Invalid case status'),
+    query('priority').optional().isIn(CASE_PRIORITIES).withMessage('Invalid case priority')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const { zone_id, term_id, status, priority } = req.query;
+        let { school_id } = req.query;
+
+        // Zone and national views are for super admins; staff see their own school's cases
+        if (req.user.role !== 'super_admin') {
+            const ownSchoolId = await staffSchoolId(req.user);
+            if (!ownSchoolId || (school_id && school_id !== ownSchoolId)) {
+                return schoolAccessDenied(res);
+            }
+            school_id = ownSchoolId;
+        }
+
+        const where = {};
+        if (school_id) where.school_id = school_id;
+        if (status) where.status = status;
+        if (priority) where.priority = priority;
+        if (term_id) {
+            where.term_id = term_id;
+        } else {
+            const current = await Term.findOne({ where: { is_current: true }, attributes: ['id'] });
+            if (current) where.term_id = current.id;
+        }
+
+        const cases = await AttendanceCase.findAll({
+            where,
+            attributes: req.user.role === 'teacher' ? { exclude: TEACHER_HIDDEN_CASE_FIELDS } : undefined,
+            include: [
+                {
+                    model: Student,
+                    attributes: ['id', 'student_id', 'first_name', 'last_name', 'grade_level']
+                },
+                {
+                    model: School,
+                    attributes: ['id', 'name', 'zone_id'],
+                    where: zone_id ? { zone_id } : undefined,
+                    include: [{ model: Zone, attributes: ['id', 'name'] }]
+                },
+                { model: Term, attributes: ['id', 'name'] }
+            ],
+            order: [['risk_score', 'DESC'], ['absence_rate', 'DESC']]
+        });
+
+        const bySchool = {};
+        for (const attendanceCase of cases) {
+            const key = attendanceCase.school_id;
+            if (!bySchool[key]) {
+                bySchool[key] = {
+                    school_id: key,
+                    school_name: attendanceCase.School.name,
+                    zone: attendanceCase.School.Zone ? attendanceCase.School.Zone.name : null,
+                    total: 0,
+                    high: 0,
+                    medium: 0,
+                    low: 0
+                };
+            }
+            bySchool[key].total += 1;
+            bySchool[key][attendanceCase.priority] += 1;
+        }
+
+        res.json({
+            total: cases.length,
+            schools: Object.values(bySchool),
+            cases
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Update a case as the social worker follows it up
+router.patch('/absenteeism/cases/:id', requireRole(['super_admin', 'admin']), [
+    param('id').isUUID().withMessage('Case ID must be valid UUID'),
+    body('status').optional().isIn(CASE_STATUSES).withMessage('Invalid case status'),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+    body('social_worker_name').optional({ nullable: true }).isString().isLength({ max: 100 })
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const attendanceCase = await AttendanceCase.findByPk(req.params.id);
+        if (!attendanceCase) {
+            return res.status(404).json({ error: 'Case not found' });
+        }
+        if (!await canAccessSchool(req.user, attendanceCase.school_id)) {
+            return schoolAccessDenied(res);
+        }
+
+        const updates = {};
+        for (const field of ['status', 'notes', 'social_worker_name']) {
+            if (req.body[field] !== undefined) updates[field] = req.body[field];
+        }
+        if (updates.status === 'resolved' && attendanceCase.status !== 'resolved') {
+            updates.resolved_at = new Date();
+            updates.resolved_by = req.user.id;
+        } else if (updates.status && updates.status !== 'resolved') {
+            updates.resolved_at = null;
+            updates.resolved_by = null;
+        }
+
+        const oldValues = {
+            status: attendanceCase.status,
+            notes: attendanceCase.notes,
+            social_worker_name: attendanceCase.social_worker_name
+        };
+        await attendanceCase.update(updates);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'absenteeism_case_updated',
+            table_name: 'attendance_cases',
+            record_id: attendanceCase.id,
+            old_values: oldValues,
+            new_values: updates,
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Absenteeism case ${attendanceCase.id} updated by ${req.user.email}`);
+
+        res.json({ message: 'Case updated', case: attendanceCase });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Parent submits a reason (and optionally a medical note) for a child's absence
+router.post('/excuses', requireRole(['parent']), uploadLimiter, absenceNoteUpload.single('note'), [
+    body('student_id').isUUID().withMessage('Student ID must be valid UUID'),
+    body('attendance_date').isISO8601().withMessage('Attendance date must be a valid date'),
+    body('reason').trim().isLength({ min: 1, max: 1000 }).withMessage('Reason is required (max 1000 characters)')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return discardUpload(req);
+
+        const { student_id, reason } = req.body;
+        const date = req.body.attendance_date.substring(0, 10);
+
+        const parent = await Parent.findOne({ where: { user_id: req.user.id }, attributes: ['id'] });
+        const link = parent && await StudentParentRelationship.findOne({
+            where: { parent_id: parent.id, student_id }
+        });
+        if (!link) {
+            discardUpload(req);
+            return res.status(403).json({
+                error: 'You can only submit absence excuses for your own children.',
+                code: 'NOT_LINKED_PARENT'
+            });
+        }
+
+        const attendance = await AttendanceRecord.findOne({
+            where: { student_id, attendance_date: date, status: 'absent' }
+        });
+        if (!attendance) {
+            discardUpload(req);
+            return res.status(404).json({ error: 'No absence is recorded for this student on that date' });
+        }
+
+        const pending = await AbsenceExcuse.findOne({
+            where: { attendance_record_id: attendance.id, status: 'pending' }
+        });
+        if (pending) {
+            discardUpload(req);
+            return res.status(409).json({
+                error: 'An excuse for this absence is already awaiting review.',
+                code: 'EXCUSE_PENDING'
+            });
+        }
+
+        const excuse = await AbsenceExcuse.create({
+            attendance_record_id: attendance.id,
+            student_id,
+            parent_id: parent.id,
+            submitted_by: req.user.id,
+            reason,
+            note_file_path: req.file ? req.file.path : null,
+            note_file_name: req.file ? req.file.originalname : null,
+            note_mime_type: req.file ? req.file.mimetype : null
+        });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'absence_excuse_submitted',
+            table_name: 'absence_excuses',
+            record_id: excuse.id,
+            new_values: {
+                attendance_record_id: attendance.id,
+                student_id,
+                attendance_date: date,
+                has_note: !!req.file
+            },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Absence excuse submitted for student ${student_id} on ${date} by ${req.user.email}`);
+
+        const { note_file_path, ...submitted } = excuse.toJSON();
+        res.status(201).json({ message: 'Absence excuse submitted for review', excuse: submitted });
+    } catch (error) {
+        discardUpload(req);
+        next(error);
+    }
+});
+
+// Absence excuses visible to the user: a parent's own, a class teacher's class, or an admin's school
+router.get('/excuses', requireRole(['super_admin', 'admin', 'teacher', 'parent']), [
+    query('status').optional().isIn(EXCUSE_STATUSES).withMessage('Invalid excuse status'),
+    query('student_id').optional().isUUID().withMessage('Student ID must be valid UUID'),
+    query('school_id').optional().isUUID().withMessage('School ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const where = {};
+        const studentWhere = {};
+        if (req.query.status) where.status = req.query.status;
+        if (req.query.student_id) where.student_id = req.query.student_id;
+        if (req.query.school_id) studentWhere.school_id = req.query.school_id;
+
+        if (req.user.role === 'parent') {
+            const parent = await Parent.findOne({ where: { user_id: req.user.id }, attributes: ['id'] });
+            if (!parent) return res.json({ excuses: [] });
+            where.parent_id = parent.id;
+        } else if (req.user.role === 'teacher') {
+            const staff = await Staff.findOne({ where: { user_id: req.user.id }, attributes: ['id'] });
+            const classes = staff
+                ? await Class.findAll({ where: { class_teacher_id: staff.id }, attributes: ['id'] })
+                : [];
+            studentWhere.class_id = classes.map(classRecord => classRecord.id);
+        } else if (req.user.role === 'admin') {
+            // School admins review their own school's excuses only
+            const ownSchoolId = await staffSchoolId(req.user);
+            if (!ownSchoolId || (req.query.school_id && req.query.school_id !== ownSchoolId)) {
+                return schoolAccessDenied(res);
+            }
+            studentWhere.school_id = ownSchoolId;
+        }
+
+        const excuses = await AbsenceExcuse.findAll({
+            where,
+            attributes: { exclude: ['note_file_path'] },
+            include: [
+                {
+                    model: Student,
+                    where: studentWhere,
+                    attributes: ['id', 'student_id', 'first_name', 'last_name', 'class_id']
+                },
+                { model: AttendanceRecord, attributes: ['id', 'attendance_date', 'status'] },
+                { model: Parent, attributes: ['id', 'first_name', 'last_name'] }
+            ],
+            order: [['created_at', 'DESC']]
+        });
+
+        res.json({ excuses });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Download the medical note attached to an excuse
+router.get('/excuses/:id/note', requireRole(['super_admin', 'admin', 'teacher', 'parent']), [
+    param('id').isUUID().withMessage('Excuse ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const excuse = await findExcuse(req, res);
+        if (!excuse) return;
+
+        if (!excuse.note_file_path || !fs.existsSync(excuse.note_file_path)) {
+            return res.status(404).json({ error: 'No note is attached to this excuse' });
+        }
+
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.type(excuse.note_mime_type);
+        res.download(excuse.note_file_path, excuse.note_file_name);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Class teacher approves or rejects an excuse; approval marks the absence excused
+router.put('/excuses/:id/review', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('id').isUUID().withMessage('Excuse ID must be valid UUID'),
+    body('decision').isIn(['approved', 'rejected']).withMessage('Decision must be approved or rejected'),
+    body('review_notes').optional({ nullable: true }).isString().isLength({ max: 1000 })
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const excuse = await findExcuse(req, res);
+        if (!excuse) return;
+
+        if (excuse.status !== 'pending') {
+            return res.status(409).json({
+                error: `This excuse has already been ${excuse.status}.`,
+                code: 'EXCUSE_ALREADY_REVIEWED'
+            });
+        }
+
+        const { decision, review_notes } = req.body;
+        const result = await attendanceService.reviewExcuse(excuse, decision, req.user.id, review_notes);
+        if (!result.reviewed) {
+            return res.status(409).json({
+                error: 'The attendance record is no longer marked absent.',
+                code: 'RECORD_NOT_ABSENT'
+            });
+        }
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: `absence_excuse_${decision}`,
+            table_name: 'absence_excuses',
+            record_id: excuse.id,
+            old_values: { status: 'pending' },
+            new_values: { status: decision, review_notes: review_notes || null },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        if (decision === 'approved') {
+            await AuditLog.create({
+                user_id: req.user.id,
+                action: 'attendance_excused',
+                table_name: 'attendance_records',
+                record_id: result.attendance.id,
+                old_values: { status: 'absent' },
+                new_values: { status: 'excused', absence_excuse_id: excuse.id },
+                ip_address: req.ip,
+                user_agent: req.get('User-Agent')
+            });
+        }
+
+        logger.info(`Absence excuse ${excuse.id} ${decision} by ${req.user.email}`);
+
+        const { note_file_path, ...reviewed } = excuse.toJSON();
+        res.json({
+            message: `Absence excuse ${decision}`,
+            excuse: reviewed,
+            attendance: result.attendance
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,16 +1,53 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const ExcelJS = require('exceljs');
+const { body, param, query, validationResult } = require('express-validator');
 const { 
     Subject, Class, Term, Grade, ReportCard, Student, Staff, School, 
     Parent, StudentParentRelationship, StudentHealth, FamilySocialAssessment, 
-    DisabilityAssessment, sequelize 
+    DisabilityAssessment, GradingScale, Assessment, GradeSubmission, TimetableSlot, AuditLog, sequelize 
 } = require('../models');
+const { requireRole, canAccessSchool } = require('../middleware/auth');
+const { uploadLimiter } = require('../middleware/rateLimiter');
+const { markSheetUpload } = require('../middleware/upload');
 const { seedGradingData } = require('../seedGradingData');
+const { attendanceService } = require('../services/attendanceService');
+const { gradingScaleService } = require('../services/gradingScaleService');
+const { gradeWorkflowService, GradeWorkflowService } = require('../services/gradeWorkflowService');
+const { gradeHistoryService } = require('../services/gradeHistoryService');
+const { teachingAssignmentService } = require('../services/teachingAssignmentService');
+const { classPerformanceService } = require('../services/classPerformanceService');
+const { reportCardPdfService } = require('../services/reportCardPdfService');
+const { reportCardReleaseService } = require('../services/reportCardReleaseService');
+const { gradeSpreadsheetService } = require('../services/gradeSpreadsheetService');
+const { transcriptService } = require('../services/transcriptService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const schoolAccessDenied = (res) => res.status(403).json({
+    error: 'Access denied. You can only access students at your assigned school.',
+    code: 'SCHOOL_ACCESS_DENIED'
+});
+
+// School staff use a class's records at their own school, and teachers only for classes they teach.
+// Sends the refusal and returns false when the user may not.
+const authorizeClassAccess = async (req, res, classRecord, termId = null) => {
+    if (!await canAccessSchool(req.user, classRecord.school_id)) {
+        schoolAccessDenied(res);
+        return false;
+    }
+    if (req.user.role === 'teacher') {
+        const staff = await Staff.findOne({ where: { user_id: req.user.id }, attributes: ['id'] });
+        if (!staff || !await teachingAssignmentService.teachesClass(staff.id, classRecord, termId)) {
+            res.status(403).json({
+                error: 'You can only access classes you teach.',
+                code: 'NOT_TEACHING_CLASS'
+            });
+            return false;
+        }
+    }
+    return true;
+};
+
 // Seed grading data
 router.post('/seed', async (req, res, next) => {
     try {
@@ -65,6 +102,134 @@ router.get('/current-term', async (req, res, next) => {
     }
 });
 
+const SCALE_TYPES = ['descriptor', 'letter', 'percentage', 'band'];
+const SCHOOL_CATEGORIES = ['primary', 'secondary', 'nursery', 'special', 'tertiary'];
+
+const scaleRules = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('name').isString().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+        field('scale_type').isIn(SCALE_TYPES).withMessage(`Scale type must be one of: ${SCALE_TYPES.join(', ')}`),
+        field('school_categories').isArray({ min: 1 }).withMessage('At least one school category is required'),
+        body('school_categories.*').isIn(SCHOOL_CATEGORIES).withMessage('Invalid school category'),
+        body('grade_levels').optional().isArray().withMessage('Grade levels must be an array'),
+        body('grade_levels.*').isString().isLength({ max: 20 }),
+        body('bands').optional().isArray().withMessage('Bands must be an array'),
+        body('bands.*.label').isString().isLength({ min: 1, max: 10 }).withMessage('Band label must be 1-10 characters'),
+        body('bands.*.min_score').isFloat({ min: 0, max: 100 }).toFloat().withMessage('Band minimum score must be 0-100'),
+        body('bands.*.points').isFloat().toFloat().withMessage('Band points must be numeric'),
+        body('bands.*.description').optional().isString().isLength({ max: 100 }),
+        body('is_default').optional().isBoolean().toBoolean(),
+        body('is_active').optional().isBoolean().toBoolean()
+    ];
+};
+
+const scaleFields = ['name', 'scale_type', 'school_categories', 'grade_levels', 'bands', 'is_default', 'is_active'];
+
+// List grading scales
+router.get('/grading-scales', [
+    query('include_inactive').optional().isBoolean()
+], async (req, res, next) => {
+    try {
+        const where = req.query.include_inactive === 'true' ? {} : { is_active: true };
+        const scales = await GradingScale.findAll({ where, order: [['name', 'ASC']] });
+        res.json(scales);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Grading scale that applies to a class
+router.get('/classes/:classId/grading-scale', [
+    param('classId').isUUID().withMessage('Class ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+        }
+
+        const scale = (await gradingScaleService.resolveForClasses([req.params.classId])).get(req.params.classId);
+        if (!scale) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+        res.json(scale);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Create a grading scale
+router.post('/grading-scales', requireRole(['super_admin']), scaleRules(false), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+        }
+
+        const values = {};
+        scaleFields.filter(field => req.body[field] !== undefined).forEach(field => { values[field] = req.body[field]; });
+        const scale = await GradingScale.create(values);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'grading_scale_created',
+            table_name: 'grading_scales',
+            record_id: scale.id,
+            new_values: values,
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Grading scale created: ${scale.name} by ${req.user.email}`);
+        res.status(201).json(scale);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Update a grading scale; grades already awarded keep their labels
+router.put('/grading-scales/:id', requireRole(['super_admin']), [
+    param('id').isUUID().withMessage('Scale ID must be valid UUID'),
+    ...scaleRules(true)
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+        }
+
+        const scale = await GradingScale.findByPk(req.params.id);
+        if (!scale) {
+            return res.status(404).json({ error: 'Grading scale not found' });
+        }
+
+        const oldValues = {};
+        const updates = {};
+        scaleFields.filter(field => req.body[field] !== undefined).forEach(field => {
+            oldValues[field] = scale[field];
+            updates[field] = req.body[field];
+        });
+        await scale.update(updates);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'grading_scale_updated',
+            table_name: 'grading_scales',
+            record_id: scale.id,
+            old_values: oldValues,
+            new_values: updates,
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Grading scale updated: ${scale.name} by ${req.user.email}`);
+        res.json(scale);
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Get students by class
 router.get('/classes/:classId/students', async (req, res, next) => {
     try {
@@ -126,6 +291,75 @@ router.get('/classes/:classId/grades/:termId', async (req, res, next) => {
     }
 });
 
+// Class performance for a term: subject averages and ranges, and each student's
+// overall result, positions and movement since the previous term
+router.get('/classes/:classId/performance/:termId', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('classId').isUUID().withMessage('Class ID must be valid UUID'),
+    param('termId').isUUID().withMessage('Term ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+        }
+
+        const { classId, termId } = req.params;
+        const classRecord = await Class.findByPk(classId, {
+            attributes: ['id', 'name', 'grade_level', 'section', 'school_id', 'school_year', 'class_teacher_id']
+        });
+        const term = await Term.findByPk(termId);
+        if (!classRecord || !term) {
+            return res.status(404).json({ error: 'Class or term not found' });
+        }
+        if (!await authorizeClassAccess(req, res, classRecord, termId)) return;
+
+        const scale = (await gradingScaleService.resolveForClasses([classId])).get(classId);
+        const students = await Student.findAll({
+            where: { class_id: classId, is_active: true },
+            attributes: ['id', 'student_id', 'first_name', 'last_name'],
+            include: [{
+                model: Grade,
+                where: { term_id: termId },
+                required: false,
+                include: [{ model: Subject, attributes: ['id', 'name', 'code'] }]
+            }]
+        });
+
+        const performance = await classPerformanceService.forClass(classRecord, term, scale, students);
+        const results = students.map(student => ({
+            student: {
+                id: student.id,
+                student_id: student.student_id,
+                first_name: student.first_name,
+                last_name: student.last_name
+            },
+            ...performance.students.get(student.id),
+            grades: student.Grades.map(grade => ({
+                subject_id: grade.subject_id,
+                subject: grade.Subject ? grade.Subject.code : null,
+                grade_value: grade.grade_value,
+                numeric_score: grade.numeric_score === null ? null : parseFloat(grade.numeric_score)
+            }))
+        }));
+        // Best first; students without grades last
+        results.sort((a, b) => (a.class_position || Infinity) - (b.class_position || Infinity)
+            || a.student.last_name.localeCompare(b.student.last_name));
+
+        res.json({
+            class: classRecord,
+            term: { id: term.id, name: term.name, school_year: term.school_year },
+            previous_term: performance.previousTerm
+                ? { id: performance.previousTerm.id, name: performance.previousTerm.name, school_year: performance.previousTerm.school_year }
+                : null,
+            grading_scale: { id: scale.id, name: scale.name, scale_type: scale.scale_type },
+            subjects: performance.subjects,
+            students: results
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Get detailed student profile
 router.get('/students/:studentId/profile', async (req, res, next) => {
     try {
@@ -168,10 +402,93 @@ router.get('/students/:studentId/profile', async (req, res, next) => {
     }
 });
 
-// Get report card for student and term
+// Version history of a student's grade for a subject and term
+router.get('/students/:studentId/grades/:subjectId/history', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('studentId').isUUID().withMessage('Student ID must be valid UUID'),
+    param('subjectId').isUUID().withMessage('Subject ID must be valid UUID'),
+    query('term_id').isUUID().withMessage('Term ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+        }
+
+        const student = await Student.findByPk(req.params.studentId, { attributes: ['id', 'school_id'] });
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+        if (!await canAccessSchool(req.user, student.school_id)) {
+            return schoolAccessDenied(res);
+        }
+
+        const history = await gradeHistoryService.getHistory(req.params.studentId, req.params.subjectId, req.query.term_id);
+        if (!history) {
+            return res.status(404).json({ error: 'No grade has been entered for this student, subject and term' });
+        }
+
+        // Teachers see the history of grades for classes and subjects they teach
+        if (req.user.role === 'teacher') {
+            const [staff, classRecord] = await Promise.all([
+                Staff.findOne({ where: { user_id: req.user.id }, attributes: ['id'] }),
+                Class.findByPk(history.grade.class_id, { attributes: ['id', 'grade_level', 'class_teacher_id'] })
+            ]);
+            const teaches = staff && await teachingAssignmentService.teaches(
+                staff.id, classRecord, req.params.subjectId, req.query.term_id
+            );
+            if (!teaches) {
+                return res.status(403).json({
+                    error: 'You can only view grade history for classes and subjects you teach.',
+                    code: 'NOT_SUBJECT_TEACHER'
+                });
+            }
+        }
+
+        res.json(history);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get report card for student and term; ?format=pdf returns the printable report card
 router.get('/students/:studentId/report-card/:termId', async (req, res, next) => {
     try {
         const { studentId, termId } = req.params;
+
+        // Families only see their own children's cards once released; staff see cards
+        // for classes at their school, and teachers for classes they teach
+        if (['parent', 'student'].includes(req.user.role)) {
+            const studentIds = await reportCardReleaseService.familyStudentIds(req.user);
+            const visible = studentIds.includes(studentId) && await ReportCard.count({
+                where: { student_id: studentId, term_id: termId, ...reportCardReleaseService.visibleWhere() }
+            }) > 0;
+            if (!visible) {
+                return res.status(404).json({ error: 'Report card not found' });
+            }
+        } else {
+            const card = await ReportCard.findOne({
+                where: { student_id: studentId, term_id: termId },
+                attributes: ['id'],
+                include: [{ model: Class, attributes: ['id', 'school_id', 'class_teacher_id'] }]
+            });
+            if (!card) {
+                return res.status(404).json({ error: 'Report card not found' });
+            }
+            if (!await authorizeClassAccess(req, res, card.Class, termId)) return;
+        }
+
+        if (req.query.format === 'pdf') {
+            const [item] = await reportCardPdfService.load({ student_id: studentId, term_id: termId });
+            if (!item) {
+                return res.status(404).json({ error: 'Report card not found' });
+            }
+            const { Student: student, Term: term } = item.reportCard;
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${student.last_name}_${student.first_name}_${term.name}_Report_Card.pdf"`);
+            reportCardPdfService.render(res, [item]);
+            return;
+        }
+
         const reportCard = await ReportCard.findOne({
             where: { 
                 student_id: studentId,
@@ -191,7 +508,8 @@ router.get('/students/:studentId/report-card/:termId', async (req, res, next) =>
                         }
                     ]
                 },
-                { model: Term, attributes: ['name', 'school_year'] }
+                { model: Term, attributes: ['name', 'school_year'] },
+                { model: GradingScale, attributes: ['id', 'name', 'scale_type', 'bands'] }
             ]
         });
 
@@ -221,12 +539,364 @@ router.get('/students/:studentId/report-card/:termId', async (req, res, next) =>
     }
 });
 
+// Academic transcript across every school and school year; ?format=pdf returns the printable transcript
+router.get('/students/:studentId/transcript', requireRole(['super_admin', 'admin', 'parent', 'student']), [
+    param('studentId').isUUID().withMessage('Student ID must be valid UUID'),
+    query('format').optional().isIn(['json', 'pdf']).withMessage('Format must be json or pdf')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+        }
+
+        const { studentId } = req.params;
+
+        // Families see their own children's transcripts, with only released terms
+        const family = ['parent', 'student'].includes(req.user.role);
+        if (family && !(await reportCardReleaseService.familyStudentIds(req.user)).includes(studentId)) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        // School staff issue transcripts for their own students, earlier schools' results included
+        if (!family) {
+            const student = await Student.findByPk(studentId, { attributes: ['id', 'school_id'] });
+            if (!student) {
+                return res.status(404).json({ error: 'Student not found' });
+            }
+            if (!await canAccessSchool(req.user, student.school_id)) {
+                return schoolAccessDenied(res);
+            }
+        }
+
+        const transcript = await transcriptService.build(studentId, {
+            releasedWhere: family ? reportCardReleaseService.visibleWhere() : null
+        });
+        if (!transcript) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        logger.info(`Transcript issued for student ${transcript.student.student_id} by ${req.user.email}`);
+
+        if (req.query.format === 'pdf') {
+            const { student } = transcript;
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${student.last_name}_${student.first_name}_Transcript.pdf"`);
+            transcriptService.render(res, transcript);
+            return;
+        }
+
+        res.json(transcript);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Printable report cards for a whole class, one student per page
+router.get('/classes/:classId/report-cards/:termId/pdf', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('classId').isUUID().withMessage('Class ID must be valid UUID'),
+    param('termId').isUUID().withMessage('Term ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+        }
+
+        const classRecord = await Class.findByPk(req.params.classId, {
+            attributes: ['id', 'school_id', 'class_teacher_id']
+        });
+        if (!classRecord) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+        if (!await authorizeClassAccess(req, res, classRecord, req.params.termId)) return;
+
+        const items = await reportCardPdfService.load({ class_id: req.params.classId, term_id: req.params.termId });
+        if (items.length === 0) {
+            return res.status(404).json({ error: 'No report cards have been generated for this class and term' });
+        }
+
+        const { Class: classInfo, Term: term } = items[0].reportCard;
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${classInfo.name}_${term.name}_Report_Cards.pdf"`);
+        reportCardPdfService.render(res, items);
+
+        logger.info(`Printed ${items.length} report cards for ${classInfo.name} by ${req.user.email}`);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Fields a grade entry may set; workflow and scale fields are managed by the server
+const GRADE_ENTRY_FIELDS = [
+    'student_id', 'subject_id', 'class_id', 'term_id', 'teacher_id', 'grade_value', 'numeric_score',
+    'effort_grade', 'behavior_grade', 'teacher_comments', 'assessment_components', 'attendance_impact'
+];
+
+const pickEntryFields = (gradeData) => Object.fromEntries(
+    GRADE_ENTRY_FIELDS.filter(field => gradeData[field] !== undefined).map(field => [field, gradeData[field]])
+);
+
+// Teachers may enter grades only for classes and subjects they teach, and always as
+// themselves; administrators enter grades at their own school on behalf of a teacher
+// of the class and subject, with a stated reason.
+// Returns { failure: { status, body } } when the entry is not allowed.
+const authorizeGradeEntry = async (req, grades) => {
+    const denied = (status, error, code, details) => ({
+        failure: { status, body: { error, code, ...(details ? { details } : {}) } }
+    });
+
+    const students = await Student.findAll({
+        where: { id: [...new Set(grades.map(gradeData => gradeData.student_id))] },
+        attributes: ['id', 'class_id']
+    });
+    const classByStudent = new Map(students.map(student => [student.id, student.class_id]));
+    const notEnrolled = grades
+        .map((gradeData, index) => ({ index, student_id: gradeData.student_id, class_id: gradeData.class_id }))
+        .filter(entry => classByStudent.get(entry.student_id) !== entry.class_id);
+    if (notEnrolled.length > 0) {
+        return denied(400, 'Some students are not enrolled in the class given for their grade.', 'STUDENT_NOT_IN_CLASS', notEnrolled);
+    }
+
+    const classes = await Class.findAll({
+        where: { id: [...new Set(grades.map(gradeData => gradeData.class_id))] },
+        attributes: ['id', 'school_id', 'grade_level', 'class_teacher_id']
+    });
+    const classById = new Map(classes.map(classRecord => [classRecord.id, classRecord]));
+
+    if (req.user.role === 'teacher') {
+        const staff = await Staff.findOne({ where: { user_id: req.user.id }, attributes: ['id'] });
+        if (!staff) {
+            return denied(403, 'No staff record is linked to this account.', 'NOT_SUBJECT_TEACHER');
+        }
+
+        const teaches = new Map();
+        const unassigned = [];
+        for (const [index, gradeData] of grades.entries()) {
+            const key = assessmentKey(gradeData);
+            if (!teaches.has(key)) {
+                teaches.set(key, await teachingAssignmentService.teaches(
+                    staff.id, classById.get(gradeData.class_id), gradeData.subject_id, gradeData.term_id
+                ));
+            }
+            if (!teaches.get(key)) {
+                unassigned.push({ index, class_id: gradeData.class_id, subject_id: gradeData.subject_id });
+            }
+        }
+        if (unassigned.length > 0) {
+            return denied(403, 'You can only enter grades for classes and subjects you teach.', 'NOT_SUBJECT_TEACHER', unassigned);
+        }
+
+        return { grades: grades.map(gradeData => ({ ...pickEntryFields(gradeData), teacher_id: staff.id })), override: null };
+    }
+
+    const reason = (req.body.override_reason || '').trim();
+    if (reason.length < 5) {
+        return denied(400, 'An override reason is required to enter grades on a teacher\'s behalf.', 'OVERRIDE_REASON_REQUIRED');
+    }
+    for (const classRecord of classes) {
+        if (!await canAccessSchool(req.user, classRecord.school_id)) {
+            return denied(403, 'Access denied. You can only access students at your assigned school.', 'SCHOOL_ACCESS_DENIED');
+        }
+    }
+
+    const teacherIds = [...new Set(grades.map(gradeData => gradeData.teacher_id).filter(Boolean))];
+    const teachers = await Staff.findAll({ where: { id: teacherIds }, attributes: ['id', 'school_id'] });
+    const missingTeacher = grades
+        .map((gradeData, index) => ({ index, teacher_id: gradeData.teacher_id }))
+        .filter(entry => !entry.teacher_id);
+    if (missingTeacher.length > 0 || teachers.length !== teacherIds.length) {
+        return denied(400, 'Each grade entered on a teacher\'s behalf must name an existing teacher.', 'TEACHER_REQUIRED', missingTeacher);
+    }
+
+    // The named teacher must work at the class's school and teach the class and subject
+    const schoolByTeacher = new Map(teachers.map(teacher => [teacher.id, teacher.school_id]));
+    const teaches = new Map();
+    const unassigned = [];
+    for (const [index, gradeData] of grades.entries()) {
+        const classRecord = classById.get(gradeData.class_id);
+        const key = `${gradeData.teacher_id}|${assessmentKey(gradeData)}`;
+        if (!teaches.has(key)) {
+            teaches.set(key, !!classRecord && schoolByTeacher.get(gradeData.teacher_id) === classRecord.school_id
+                && await teachingAssignmentService.teaches(
+                    gradeData.teacher_id, classRecord, gradeData.subject_id, gradeData.term_id
+                ));
+        }
+        if (!teaches.get(key)) {
+            unassigned.push({
+                index, teacher_id: gradeData.teacher_id, class_id: gradeData.class_id, subject_id: gradeData.subject_id
+            });
+        }
+    }
+    if (unassigned.length > 0) {
+        return denied(400, 'Each grade entered on a teacher\'s behalf must name a teacher who teaches the class and subject.',
+            'TEACHER_NOT_ASSIGNED', unassigned);
+    }
+
+    return { grades: grades.map(pickEntryFields), override: reason };
+};
+
+// Every grade entry path runs the same checks: who may enter the grades, whether the
+// subject is still in draft, and whether each grade fits the class's scale.
+// Returns { entries, override } ready to save, or { failure: { status, body } }.
+const prepareGradeEntries = async (req, rawGrades) => {
+    const authorized = await authorizeGradeEntry(req, rawGrades);
+    if (authorized.failure) return authorized;
+    const { grades, override } = authorized;
+
+    // Grades that have been submitted for review or approved cannot be edited
+    const locked = await gradeWorkflowService.lockedKeys(grades);
+    const lockedEntries = grades
+        .map((gradeData, index) => ({ index, status: locked.get(assessmentKey(gradeData)) }))
+        .filter(entry => entry.status);
+    if (lockedEntries.length > 0) {
+        return {
+            failure: {
+                status: 409,
+                body: {
+                    error: 'Some grades have been submitted or approved and can no longer be edited.',
+                    code: 'GRADES_LOCKED',
+                    details: lockedEntries
+                }
+            }
+        };
+    }
+
+    // Map each score or label onto the grading scale of the student's class
+    const scales = await gradingScaleService.resolveForClasses(grades.map(gradeData => gradeData.class_id));
+    const assessed = await findAssessedSubjects(grades);
+    const scaleErrors = [];
+    const entries = [];
+    for (const [index, gradeData] of grades.entries()) {
+        const scale = scales.get(gradeData.class_id);
+        if (!scale) {
+            scaleErrors.push({ index, message: 'Class not found' });
+            continue;
+        }
+
+        // Subjects with assessments take their score from the marks; only effort,
+        // behaviour and comments are entered here
+        if (assessed.has(assessmentKey(gradeData))) {
+            const { grade_value, numeric_score, assessment_components, ...rest } = gradeData;
+            if (grade_value || (numeric_score !== undefined && numeric_score !== null)) {
+                scaleErrors.push({ index, message: 'This subject\'s grade is computed from assessment marks' });
+                continue;
+            }
+            const derived = await Grade.count({
+                where: { student_id: gradeData.student_id, subject_id: gradeData.subject_id, term_id: gradeData.term_id }
+            });
+            if (derived === 0) {
+                scaleErrors.push({ index, message: 'No assessment marks have been recorded for this student yet' });
+                continue;
+            }
+            entries.push(rest);
+            continue;
+        }
+
+        const result = gradingScaleService.gradeValueFor(scale, gradeData);
+        if (result.error) {
+            scaleErrors.push({ index, message: result.error });
+            continue;
+        }
+        entries.push({
+            ...gradeData,
+            grade_value: result.grade_value,
+            grading_scale_id: scale.id
+        });
+    }
+    if (scaleErrors.length > 0) {
+        return { failure: { status: 400, body: { error: 'Validation failed', details: scaleErrors } } };
+    }
+
+    return { entries, override };
+};
+
+// Save prepared grade entries in one transaction; every change is versioned in the
+// grade history and entries made on a teacher's behalf are audited
+const saveGradeEntries = async (req, { entries, override }, changeReason) => {
+    const updatedGrades = [];
+
+    await sequelize.transaction(async (t) => {
+        const history = {
+            userId: req.user.id,
+            source: override ? 'admin_override' : 'manual',
+            reason: override || changeReason || null,
+            transaction: t
+        };
+        for (const gradeData of entries) {
+            const [grade, created] = await Grade.findOrCreate({
+                where: {
+                    student_id: gradeData.student_id,
+                    subject_id: gradeData.subject_id,
+                    term_id: gradeData.term_id
+                },
+                defaults: {
+                    ...gradeData,
+                    last_modified: new Date()
+                },
+                transaction: t
+            });
+
+            if (created) {
+                await gradeHistoryService.record(grade, null, history);
+            } else {
+                const before = gradeHistoryService.snapshot(grade);
+                await grade.update({
+                    ...gradeData,
+                    last_modified: new Date()
+                }, { transaction: t });
+                await gradeHistoryService.record(grade, before, history);
+            }
+
+            updatedGrades.push(grade);
+        }
+
+        if (override) {
+            await AuditLog.create({
+                user_id: req.user.id,
+                action: 'grades_admin_override',
+                table_name: 'grades',
+                new_values: {
+                    reason: override,
+                    grades: entries.map(gradeData => ({
+                        student_id: gradeData.student_id,
+                        subject_id: gradeData.subject_id,
+                        class_id: gradeData.class_id,
+                        term_id: gradeData.term_id,
+                        teacher_id: gradeData.teacher_id,
+                        grade_value: gradeData.grade_value,
+                        numeric_score: gradeData.numeric_score
+                    }))
+                },
+                ip_address: req.ip,
+                user_agent: req.get('User-Agent')
+            }, { transaction: t });
+        }
+    });
+
+    if (override) {
+        logger.info(`Grades entered on a teacher's behalf by ${req.user.email}: ${override}`);
+    }
+
+    return updatedGrades;
+};
+
 // Update grades (bulk update for teacher grade entry)
-router.put('/grades/bulk-update', [
-    body('grades').isArray().withMessage('Grades must be an array'),
+router.put('/grades/bulk-update', requireRole(['super_admin', 'admin', 'teacher']), [
+    body('grades').isArray({ min: 1 }).withMessage('Grades must be a non-empty array'),
     body('grades.*.student_id').isUUID().withMessage('Student ID must be valid UUID'),
     body('grades.*.subject_id').isUUID().withMessage('Subject ID must be valid UUID'),
-    body('grades.*.grade_value').isIn(['E', 'G', 'S', 'N']).withMessage('Invalid grade value'),
+    body('grades.*.class_id').isUUID().withMessage('Class ID must be valid UUID'),
+    body('grades.*.term_id').isUUID().withMessage('Term ID must be valid UUID'),
+    body('grades.*.teacher_id').optional({ nullable: true }).isUUID().withMessage('Teacher ID must be valid UUID'),
+    body('override_reason').optional({ nullable: true }).isString().isLength({ max: 500 })
+        .withMessage('Override reason must be at most 500 characters'),
+    body('change_reason').optional({ nullable: true }).isString().isLength({ max: 500 })
+        .withMessage('Change reason must be at most 500 characters'),
+    body('grades.*.grade_value').optional({ nullable: true }).isString().isLength({ min: 1, max: 10 })
+        .withMessage('Invalid grade value'),
+    body('grades.*.numeric_score').optional({ nullable: true }).isFloat({ min: 0, max: 100 })
+        .withMessage('Numeric score must be between 0 and 100'),
     body('grades.*.effort_grade').isIn(['E', 'G', 'S', 'N']).withMessage('Invalid effort grade'),
     body('grades.*.behavior_grade').isIn(['E', 'G', 'S', 'N']).withMessage('Invalid behavior grade')
 ], async (req, res, next) => {
@@ -239,35 +909,11 @@ router.put('/grades/bulk-update', [
             });
         }
 
-        const { grades } = req.body;
-        const updatedGrades = [];
-
-        // Use transaction for bulk update
-        await sequelize.transaction(async (t) => {
-            for (const gradeData of grades) {
-                const [grade] = await Grade.findOrCreate({
-                    where: {
-                        student_id: gradeData.student_id,
-                        subject_id: gradeData.subject_id,
-                        term_id: gradeData.term_id
-                    },
-                    defaults: {
-                        ...gradeData,
-                        last_modified: new Date()
-                    },
-                    transaction: t
-                });
-
-                if (!grade.isNewRecord) {
-                    await grade.update({
-                        ...gradeData,
-                        last_modified: new Date()
-                    }, { transaction: t });
-                }
-
-                updatedGrades.push(grade);
-            }
-        });
+        const prepared = await prepareGradeEntries(req, req.body.grades);
+        if (prepared.failure) {
+            return res.status(prepared.failure.status).json(prepared.failure.body);
+        }
+        const updatedGrades = await saveGradeEntries(req, prepared, req.body.change_reason);
 
         logger.info(`Bulk updated ${updatedGrades.length} grades`);
         res.json({ 
@@ -279,8 +925,202 @@ router.put('/grades/bulk-update', [
     }
 });
 
+// Review status of each subject's grades for a class and term
+router.get('/submissions', [
+    query('class_id').isUUID().withMessage('Class ID must be valid UUID'),
+    query('term_id').isUUID().withMessage('Term ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+        }
+
+        const { class_id, term_id } = req.query;
+        const [graded, submissions] = await Promise.all([
+            Grade.findAll({
+                where: { class_id, term_id },
+                attributes: ['subject_id'],
+                group: ['subject_id'],
+                raw: true
+            }),
+            GradeSubmission.findAll({ where: { class_id, term_id } })
+        ]);
+
+        const bySubject = new Map(submissions.map(submission => [submission.subject_id, submission]));
+        const subjectIds = new Set([...graded.map(row => row.subject_id), ...bySubject.keys()]);
+        const subjects = await Subject.findAll({ where: { id: [...subjectIds] }, order: [['name', 'ASC']] });
+
+        res.json(subjects.map(subject => {
+            const submission = bySubject.get(subject.id);
+            return {
+                subject_id: subject.id,
+                subject: subject.name,
+                status: gradeWorkflowService.statusOf(submission),
+                submission: submission || null
+            };
+        }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+const auditTransition = (req, action, submission, from, note) => AuditLog.create({
+    user_id: req.user.id,
+    action: GradeWorkflowService.AUDIT_ACTIONS[action],
+    table_name: 'grade_submissions',
+    record_id: submission.id,
+    old_values: { status: from },
+    new_values: {
+        status: submission.status,
+        class_id: submission.class_id,
+        subject_id: submission.subject_id,
+        term_id: submission.term_id,
+        ...(note ? { note } : {})
+    },
+    ip_address: req.ip,
+    user_agent: req.get('User-Agent')
+});
+
+const ACTION_PAST_TENSE = {
+    submit: 'submitted',
+    review: 'reviewed',
+    approve: 'approved',
+    return: 'returned',
+    reopen: 'reopened'
+};
+
+const invalidTransition = (res, action, status) => res.status(409).json({
+    error: `Grades that are ${status} cannot be ${ACTION_PAST_TENSE[action]}.`,
+    code: 'INVALID_TRANSITION',
+    status
+});
+
+// Teacher submits a subject's grades for head of department review
+router.post('/submissions', requireRole(['super_admin', 'admin', 'teacher']), [
+    body('class_id').isUUID().withMessage('Class ID must be valid UUID'),
+    body('subject_id').isUUID().withMessage('Subject ID must be valid UUID'),
+    body('term_id').isUUID().withMessage('Term ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+        }
+
+        const { class_id, subject_id, term_id } = req.body;
+        const classRecord = await Class.findByPk(class_id, { attributes: ['id', 'school_id', 'grade_level', 'class_teacher_id'] });
+        if (!classRecord) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+
+        if (req.user.role === 'teacher') {
+            const staff = await Staff.findOne({ where: { user_id: req.user.id }, attributes: ['id'] });
+            if (!staff || !await teachingAssignmentService.teaches(staff.id, classRecord, subject_id, term_id)) {
+                return res.status(403).json({
+                    error: 'Only teachers of this class and subject can submit its grades.',
+                    code: 'NOT_SUBJECT_TEACHER'
+                });
+            }
+        }
+
+        const status = gradeWorkflowService.statusOf(await gradeWorkflowService.getSubmission(class_id, subject_id, term_id));
+        if (status !== 'draft') {
+            return invalidTransition(res, 'submit', status);
+        }
+
+        const grades = await Grade.findAll({
+            where: { class_id, subject_id, term_id },
+            attributes: ['student_id', 'effort_grade', 'behavior_grade']
+        });
+        if (grades.length === 0) {
+            return res.status(409).json({ error: 'No grades have been entered for this subject.', code: 'NO_GRADES' });
+        }
+        const unrated = grades.filter(grade => !grade.effort_grade || !grade.behavior_grade);
+        if (unrated.length > 0) {
+            return res.status(409).json({
+                error: 'Effort and behaviour must be rated for every grade before submission.',
+                code: 'GRADES_INCOMPLETE',
+                students: unrated.map(grade => grade.student_id)
+            });
+        }
+
+        const result = await gradeWorkflowService.transition(
+            'submit', { classId: class_id, subjectId: subject_id, termId: term_id }, req.user.id, null, { expectedFrom: 'draft' }
+        );
+        if (result.conflict) {
+            return invalidTransition(res, 'submit', result.from);
+        }
+        const { submission, from } = result;
+        await auditTransition(req, 'submit', submission, from);
+
+        logger.info(`Grades submitted for review: class ${class_id}, subject ${subject_id} by ${req.user.email}`);
+        res.status(201).json(submission);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Review, approve, return or reopen submitted grades
+const reviewAction = (action, noteField, noteRequired) => [
+    param('id').isUUID().withMessage('Submission ID must be valid UUID'),
+    noteRequired
+        ? body(noteField).trim().isLength({ min: 5, max: 1000 }).withMessage('A reason of 5-1000 characters is required')
+        : body(noteField).optional({ nullable: true }).trim().isLength({ max: 1000 }),
+    async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+            }
+
+            const submission = await GradeSubmission.findByPk(req.params.id, {
+                include: [{ model: Class, attributes: ['id', 'school_id'] }]
+            });
+            if (!submission) {
+                return res.status(404).json({ error: 'Grade submission not found' });
+            }
+            if (!GradeWorkflowService.TRANSITIONS[action].from.includes(submission.status)) {
+                return invalidTransition(res, action, submission.status);
+            }
+            if (!await gradeWorkflowService.canAct(action, req.user, submission.Class, submission.status)) {
+                return res.status(403).json({
+                    error: `You are not permitted to ${action} grades that are ${submission.status}.`,
+                    code: 'NOT_AUTHORIZED_REVIEWER'
+                });
+            }
+
+            const note = req.body[noteField] || null;
+            // Another reviewer may have moved the grades since; act only on the status checked above
+            const result = await gradeWorkflowService.transition(action, {
+                classId: submission.class_id,
+                subjectId: submission.subject_id,
+                termId: submission.term_id
+            }, req.user.id, note, { expectedFrom: submission.status });
+            if (result.conflict) {
+                return invalidTransition(res, action, result.from);
+            }
+            await auditTransition(req, action, result.submission, result.from, note);
+
+            logger.info(`Grade submission ${submission.id} ${result.from} -> ${result.submission.status} by ${req.user.email}`);
+            res.json(result.submission);
+        } catch (error) {
+            next(error);
+        }
+    }
+];
+
+router.post('/submissions/:id/review', requireRole(['super_admin', 'admin', 'teacher']),
+    reviewAction('review', 'review_notes', false));
+router.post('/submissions/:id/approve', requireRole(['super_admin', 'admin', 'teacher']),
+    reviewAction('approve', 'notes', false));
+router.post('/submissions/:id/return', requireRole(['super_admin', 'admin', 'teacher']),
+    reviewAction('return', 'reason', true));
+router.post('/submissions/:id/reopen', requireRole(['super_admin', 'admin', 'teacher']),
+    reviewAction('reopen', 'reason', true));
+
 // Generate report cards for a class and term
-router.post('/report-cards/generate', [
+router.post('/report-cards/generate', requireRole(['super_admin', 'admin', 'teacher']), [
     body('class_id').isUUID().withMessage('Class ID must be valid UUID'),
     body('term_id').isUUID().withMessage('Term ID must be valid UUID')
 ], async (req, res, next) => {
@@ -295,6 +1135,31 @@ router.post('/report-cards/generate', [
 
         const { class_id, term_id } = req.body;
 
+        const term = await Term.findByPk(term_id);
+        if (!term) {
+            return res.status(404).json({ error: 'Term not found' });
+        }
+
+        const classRecord = await Class.findByPk(class_id);
+        if (!classRecord) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+        if (!await canAccessSchool(req.user, classRecord.school_id)) {
+            return schoolAccessDenied(res);
+        }
+        // Teachers generate cards only for the class they form-teach
+        if (req.user.role === 'teacher') {
+            const staff = await Staff.findOne({ where: { user_id: req.user.id }, attributes: ['id'] });
+            if (!staff || classRecord.class_teacher_id !== staff.id) {
+                return res.status(403).json({
+                    error: 'Only the class teacher can generate this class\'s report cards.',
+                    code: 'NOT_CLASS_TEACHER'
+                });
+            }
+        }
+
+        const scale = (await gradingScaleService.resolveForClasses([class_id])).get(class_id);
+
         // Get all students in the class
         const students = await Student.findAll({
             where: { 
@@ -310,26 +1175,60 @@ router.post('/report-cards/generate', [
             ]
         });
 
+        // Released cards are what families have seen; they stay as released until unreleased
+        const released = new Set((await ReportCard.findAll({
+            where: { class_id, term_id, released_to_parent: true },
+            attributes: ['student_id']
+        })).map(reportCard => reportCard.student_id));
+        const pending = students.filter(student => !released.has(student.id));
+
+        // Grades derived from assessment marks need effort and behaviour before they can be reported
+        const unrated = [];
+        for (const student of pending) {
+            for (const grade of student.Grades) {
+                if (!grade.effort_grade || !grade.behavior_grade) {
+                    unrated.push({ student_id: student.id, subject: grade.Subject ? grade.Subject.name : grade.subject_id });
+                }
+            }
+        }
+        if (unrated.length > 0) {
+            return res.status(409).json({
+                error: 'Effort and behaviour must be rated for every grade before report cards are generated.',
+                code: 'GRADES_INCOMPLETE',
+                grades: unrated
+            });
+        }
+
+        const attendance = await attendanceService.summarizeTerm(students, term);
+
+        // Class averages, positions and movement since last term, frozen on each card
+        const performance = await classPerformanceService.forClass(classRecord, term, scale, students);
+
         const generatedReportCards = [];
 
         await sequelize.transaction(async (t) => {
-            for (const student of students) {
+            for (const student of pending) {
                 // Calculate overall grades
                 const grades = student.Grades;
-                const gradeValues = grades.map(g => g.grade_value);
                 const effortValues = grades.map(g => g.effort_grade);
                 const behaviorValues = grades.map(g => g.behavior_grade);
 
-                const overallGrade = calculateOverallGrade(gradeValues);
+                const {
+                    overall_grade, overall_score, score_change, ...statistics
+                } = performance.students.get(student.id);
+                const isFinal = grades.every(grade => grade.is_final);
                 const overallEffort = calculateOverallGrade(effortValues);
                 const overallBehavior = calculateOverallGrade(behaviorValues);
 
-                // Mock attendance data
-                const daysPresent = 45 + Math.floor(Math.random() * 10);
-                const daysAbsent = 5 - Math.floor(Math.random() * 5);
-                const attendancePercentage = ((daysPresent / (daysPresent + daysAbsent)) * 100).toFixed(1);
+                const totals = attendance.get(student.id);
+                const attendanceTotals = {
+                    attendance_days_present: totals.days_present,
+                    attendance_days_absent: totals.days_absent,
+                    attendance_days_late: totals.days_late,
+                    attendance_percentage: totals.attendance_percentage
+                };
 
-                const [reportCard] = await ReportCard.findOrCreate({
+                const [reportCard, created] = await ReportCard.findOrCreate({
                     where: {
                         student_id: student.id,
                         term_id
@@ -338,36 +1237,59 @@ router.post('/report-cards/generate', [
                         student_id: student.id,
                         class_id,
                         term_id,
-                        overall_grade: overallGrade,
+                        overall_grade,
+                        overall_score,
+                        grading_scale_id: scale.id,
                         overall_effort: overallEffort,
                         overall_behavior: overallBehavior,
-                        attendance_days_present: daysPresent,
-                        attendance_days_absent: daysAbsent,
-                        attendance_percentage: parseFloat(attendancePercentage),
-                        class_teacher_comments: `${student.first_name} has made good progress this term.`,
-                        principal_comments: `${student.first_name} is a valued member of our school community.`,
-                        is_final: true
+                        ...statistics,
+                        ...attendanceTotals,
+                        // Comments are written by the class teacher and principal before release
+                        is_final: isFinal
                     },
                     transaction: t
                 });
 
+                // Regenerating refreshes the results, statistics, attendance and finality on an
+                // existing card, since classmates' grades move every position
+                if (!created) {
+                    await reportCard.update({
+                        overall_grade,
+                        overall_score,
+                        overall_effort: overallEffort,
+                        overall_behavior: overallBehavior,
+                        ...statistics,
+                        ...attendanceTotals,
+                        is_final: isFinal
+                    }, { transaction: t });
+                }
+
                 generatedReportCards.push(reportCard);
             }
         });
 
-        logger.info(`Generated ${generatedReportCards.length} report cards`);
+        logger.info(`Generated ${generatedReportCards.length} report cards, ${released.size} already released, by ${req.user.email}`);
         res.json({ 
             message: 'Report cards generated successfully',
-            generated_count: generatedReportCards.length 
+            generated_count: generatedReportCards.length,
+            skipped_released: released.size
         });
     } catch (error) {
         next(error);
     }
 });
 
-// Export grades to Excel
-router.get('/export/grades/:classId/:termId', async (req, res, next) => {
+// Export grades to Excel: a class summary, one mark sheet per subject and the student profiles
+router.get('/export/grades/:classId/:termId', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('classId').isUUID().withMessage('Class ID must be valid UUID'),
+    param('termId').isUUID().withMessage('Term ID must be valid UUID')
+], async (req, res, next) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+        }
+
         const { classId, termId } = req.params;
 
         // Get class and term info
@@ -379,6 +1301,9 @@ router.get('/export/grades/:classId/:termId', async (req, res, next) => {
         if (!classInfo || !termInfo) {
             return res.status(404).json({ error: 'Class or term not found' });
         }
+        if (!await authorizeClassAccess(req, res, classInfo, termId)) return;
+
+        const scale = (await gradingScaleService.resolveForClasses([classId])).get(classId);
 
         // Get all students with grades
         const students = await Student.findAll({
@@ -403,134 +1328,218 @@ router.get('/export/grades/:classId/:termId', async (req, res, next) => {
             order: [['last_name', 'ASC'], ['first_name', 'ASC']]
         });
 
-        // Get all subjects
-        const subjects = await Subject.findAll({
-            where: { is_active: true },
-            order: [['name', 'ASC']]
+        const subjects = await classSubjects(classId, termId);
+        const assessments = await Assessment.findAll({
+            where: { class_id: classId, term_id: termId, is_active: true },
+            attributes: ['subject_id']
         });
+        const submissions = await GradeSubmission.findAll({ where: { class_id: classId, term_id: termId } });
 
-        // Create Excel workbook
-        const workbook = new ExcelJS.Workbook();
-        
-        // Class Summary Sheet
-        const summarySheet = workbook.addWorksheet('Class Summary');
-        
-        // Header information
-        summarySheet.mergeCells('A1:H1');
-        summarySheet.getCell('A1').value = `${classInfo.School.name} - ${classInfo.name} Grade Report`;
-        summarySheet.getCell('A1').font = { bold: true, size: 16 };
-        summarySheet.getCell('A1').alignment = { horizontal: 'center' };
-
-        summarySheet.mergeCells('A2:H2');
-        summarySheet.getCell('A2').value = `${termInfo.name} ${termInfo.school_year}`;
-        summarySheet.getCell('A2').font = { bold: true, size: 12 };
-        summarySheet.getCell('A2').alignment = { horizontal: 'center' };
-
-        // Headers
-        const headers = ['Student ID', 'Name', 'DOB', 'Gender', ...subjects.map(s => s.code), 'Overall', 'Comments'];
-        summarySheet.addRow([]);
-        const headerRow = summarySheet.addRow(headers);
-        headerRow.font = { bold: true };
-        headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
-
-        // Student data
-        for (const student of students) {
-            const row = [
-                student.student_id,
-                `${student.first_name} ${student.last_name}`,
-                student.date_of_birth,
-                student.gender
-            ];
-
-            // Add grades for each subject
-            for (const subject of subjects) {
-                const grade = student.Grades.find(g => g.subject_id === subject.id);
-                row.push(grade ? grade.grade_value : '-');
-            }
+        const workbook = gradeSpreadsheetService.buildWorkbook({
+            classInfo,
+            term: termInfo,
+            scale,
+            students,
+            subjects,
+            assessed: new Set(assessments.map(assessment => assessment.subject_id)),
+            statuses: new Map(submissions.map(submission => [submission.subject_id, submission.status]))
+        });
 
-            // Calculate overall grade
-            const gradeValues = student.Grades.map(g => g.grade_value);
-            const overallGrade = calculateOverallGrade(gradeValues);
-            row.push(overallGrade);
-            row.push('See individual report card');
-
-            summarySheet.addRow(row);
-        }
-
-        // Auto-fit columns
-        summarySheet.columns.forEach(column => {
-            column.width = 15;
-        });
-
-        // Individual Student Sheets
-        for (const student of students) {
-            const studentSheet = workbook.addWorksheet(`${student.first_name} ${student.last_name}`);
-            
-            // Student information
-            studentSheet.mergeCells('A1:D1');
-            studentSheet.getCell('A1').value = `Student Report Card - ${student.first_name} ${student.last_name}`;
-            studentSheet.getCell('A1').font = { bold: true, size: 14 };
-
-            studentSheet.addRow(['Student ID:', student.student_id]);
-            studentSheet.addRow(['Class:', classInfo.name]);
-            studentSheet.addRow(['Term:', `${termInfo.name} ${termInfo.school_year}`]);
-            studentSheet.addRow(['Date of Birth:', student.date_of_birth]);
-            studentSheet.addRow([]);
-
-            // Parent information
-            const primaryParent = student.Parents.find(p => p.StudentParentRelationship.is_primary);
-            if (primaryParent) {
-                studentSheet.addRow(['Primary Contact:', `${primaryParent.first_name} ${primaryParent.last_name}`]);
-                studentSheet.addRow(['Phone:', primaryParent.phone]);
-                studentSheet.addRow([]);
-            }
+        // Set response headers for file download
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${classInfo.name}_${termInfo.name}_Grades.xlsx"`);
 
-            // Health information
-            if (student.StudentHealth) {
-                studentSheet.addRow(['Health Information:']);
-                studentSheet.addRow(['Medical Conditions:', student.StudentHealth.medical_conditions || 'None']);
-                studentSheet.addRow(['Allergies:', student.StudentHealth.allergies || 'None']);
-                studentSheet.addRow(['Medications:', student.StudentHealth.medications || 'None']);
-                studentSheet.addRow([]);
-            }
+        // Write to response
+        await workbook.xlsx.write(res);
+        res.end();
+
+        logger.info(`Excel report generated for class ${classInfo.name}, term ${termInfo.name} by ${req.user.email}`);
+    } catch (error) {
+        next(error);
+    }
+});
 
-            // Grades
-            studentSheet.addRow(['Subject', 'Grade', 'Effort', 'Behavior', 'Teacher Comments']);
-            const gradeHeaderRow = studentSheet.lastRow;
-            gradeHeaderRow.font = { bold: true };
-            gradeHeaderRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+// Import a teacher-filled mark sheet (XLSX or CSV) for a class and term. Every row is
+// checked against the class roster and grading scale and the errors previewed; with
+// commit=true a sheet without errors is saved through the same checks as bulk entry.
+router.post('/import/grades/:classId/:termId', requireRole(['super_admin', 'admin', 'teacher']), uploadLimiter, markSheetUpload.single('file'), [
+    param('classId').isUUID().withMessage('Class ID must be valid UUID'),
+    param('termId').isUUID().withMessage('Term ID must be valid UUID'),
+    body('subject_id').optional({ checkFalsy: true }).isUUID().withMessage('Subject ID must be valid UUID'),
+    body('teacher_id').optional({ checkFalsy: true }).isUUID().withMessage('Teacher ID must be valid UUID'),
+    body('commit').optional().isBoolean().withMessage('Commit must be true or false'),
+    body('override_reason').optional({ nullable: true }).isString().isLength({ max: 500 })
+        .withMessage('Override reason must be at most 500 characters'),
+    body('change_reason').optional({ nullable: true }).isString().isLength({ max: 500 })
+        .withMessage('Change reason must be at most 500 characters')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'Attach the mark sheet as an XLSX or CSV file' });
+        }
 
-            for (const grade of student.Grades) {
-                studentSheet.addRow([
-                    grade.Subject.name,
-                    grade.grade_value,
-                    grade.effort_grade,
-                    grade.behavior_grade,
-                    grade.teacher_comments || ''
-                ]);
+        const { classId, termId } = req.params;
+        const classInfo = await Class.findByPk(classId);
+        const termInfo = await Term.findByPk(termId);
+        if (!classInfo || !termInfo) {
+            return res.status(404).json({ error: 'Class or term not found' });
+        }
+        if (!await authorizeClassAccess(req, res, classInfo, termId)) return;
+
+        const subjects = await Subject.findAll({ where: { is_active: true } });
+        const subject = req.body.subject_id ? subjects.find(candidate => candidate.id === req.body.subject_id) : null;
+        if (req.body.subject_id && !subject) {
+            return res.status(404).json({ error: 'Subject not found' });
+        }
+
+        let rows;
+        try {
+            rows = await gradeSpreadsheetService.readMarkSheet(req.file);
+        } catch (error) {
+            logger.warn(`Unreadable mark sheet ${req.file.originalname}: ${error.message}`);
+            return res.status(400).json({ error: 'The file could not be read as an XLSX or CSV mark sheet' });
+        }
+        if (rows.length === 0) {
+            return res.status(400).json({
+                error: 'No mark sheet found: expected a header row with Student ID and Effort columns'
+            });
+        }
+
+        const students = await Student.findAll({
+            where: { class_id: classId, is_active: true },
+            attributes: ['id', 'student_id', 'first_name', 'last_name']
+        });
+        const assessments = await Assessment.findAll({
+            where: { class_id: classId, term_id: termId, is_active: true },
+            attributes: ['subject_id']
+        });
+        const existing = await Grade.findAll({ where: { class_id: classId, term_id: termId } });
+
+        const checked = gradeSpreadsheetService.toGradeEntries(rows, {
+            classId,
+            termId,
+            students,
+            subjects,
+            subject,
+            scale: (await gradingScaleService.resolveForClasses([classId])).get(classId),
+            assessed: new Set(assessments.map(assessment => assessment.subject_id)),
+            existing: new Map(existing.map(grade => [`${grade.student_id}|${grade.subject_id}`, grade])),
+            teacherId: req.body.teacher_id
+        });
+
+        // Run the bulk entry checks and report their findings against the sheet rows
+        let prepared = null;
+        if (checked.entries.length > 0) {
+            prepared = await prepareGradeEntries(req, checked.entries.map(entry => entry.grade));
+            if (prepared.failure) {
+                const { error, code, details } = prepared.failure.body;
+                checked.errors.push(...(details || [{}]).map(detail => {
+                    const entry = detail.index !== undefined ? checked.entries[detail.index] : null;
+                    return {
+                        ...(entry ? { sheet: entry.sheet, row: entry.row, student_id: entry.student.student_id } : {}),
+                        message: detail.message || error,
+                        ...(code ? { code } : {})
+                    };
+                }));
             }
+        }
 
-            // Auto-fit columns
-            studentSheet.columns.forEach(column => {
-                column.width = 20;
+        const summary = {
+            file: req.file.originalname,
+            rows: rows.length,
+            valid_rows: checked.entries.length,
+            skipped_rows: checked.skipped,
+            errors: checked.errors,
+            warnings: checked.warnings,
+            grades: checked.entries.map(({ sheet, row, student, subject: rowSubject, grade }) => ({
+                sheet,
+                row,
+                student_id: student.student_id,
+                student_name: `${student.first_name} ${student.last_name}`,
+                subject: rowSubject.code,
+                numeric_score: grade.numeric_score,
+                grade_value: grade.grade_value,
+                effort_grade: grade.effort_grade,
+                behavior_grade: grade.behavior_grade,
+                teacher_comments: grade.teacher_comments
+            }))
+        };
+
+        if (req.body.commit !== 'true' && req.body.commit !== true) {
+            return res.json({ preview: true, ...summary });
+        }
+        if (checked.errors.length > 0) {
+            return res.status(prepared && prepared.failure ? prepared.failure.status : 400).json({
+                error: 'The mark sheet has errors; no grades were imported',
+                code: prepared && prepared.failure ? prepared.failure.body.code || 'IMPORT_INVALID' : 'IMPORT_INVALID',
+                ...summary
             });
         }
+        if (checked.entries.length === 0) {
+            return res.status(400).json({ error: 'The mark sheet has no grades to import', ...summary });
+        }
 
-        // Set response headers for file download
-        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-        res.setHeader('Content-Disposition', `attachment; filename="${classInfo.name}_${termInfo.name}_Grades.xlsx"`);
+        const updatedGrades = await saveGradeEntries(
+            req, prepared, req.body.change_reason || `Imported from ${req.file.originalname}`
+        );
 
-        // Write to response
-        await workbook.xlsx.write(res);
-        res.end();
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'grades_imported',
+            table_name: 'grades',
+            new_values: {
+                file: req.file.originalname,
+                class_id: classId,
+                term_id: termId,
+                subjects: [...new Set(checked.entries.map(entry => entry.subject.code))],
+                grades: updatedGrades.length
+            },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
 
-        logger.info(`Excel report generated for class ${classInfo.name}, term ${termInfo.name}`);
+        logger.info(`Imported ${updatedGrades.length} grades for ${classInfo.name} from ${req.file.originalname} by ${req.user.email}`);
+        res.json({
+            message: 'Grades imported successfully',
+            imported_count: updatedGrades.length,
+            ...summary
+        });
     } catch (error) {
         next(error);
     }
 });
 
-// Helper function to calculate overall grade
+const assessmentKey = ({ class_id, subject_id, term_id }) => `${class_id}|${subject_id}|${term_id}`;
+
+// Class, subject and term combinations whose grades are derived from assessments
+async function findAssessedSubjects(grades) {
+    const keys = new Set();
+    for (const key of new Set(grades.map(assessmentKey))) {
+        const [class_id, subject_id, term_id] = key.split('|');
+        const count = await Assessment.count({ where: { class_id, subject_id, term_id, is_active: true } });
+        if (count > 0) keys.add(key);
+    }
+    return keys;
+}
+
+// Subjects taught to a class: those timetabled for it or already graded this term,
+// else every active subject
+async function classSubjects(classId, termId) {
+    const slots = await TimetableSlot.findAll({ where: { class_id: classId, is_active: true }, attributes: ['subject_id'] });
+    const graded = await Grade.findAll({ where: { class_id: classId, term_id: termId }, attributes: ['subject_id'] });
+    const ids = [...new Set([...slots, ...graded].map(record => record.subject_id).filter(Boolean))];
+
+    return Subject.findAll({
+        where: { is_active: true, ...(ids.length > 0 ? { id: ids } : {}) },
+        order: [['name', 'ASC']]
+    });
+}
+
+// Helper function to calculate overall effort and behaviour on the E/G/S/N descriptors
 function calculateOverallGrade(grades) {
     const gradePoints = { 'E': 4, 'G': 3, 'S': 2, 'N': 1 };
     const totalPoints = grades.reduce((sum, grade) => sum + gradePoints[grade], 0);
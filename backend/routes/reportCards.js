@@ -0,0 +1,571 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const {
+    ReportCard, CommentBankEntry, Student, Class, Term, Staff, Parent, GradingScale, AuditLog
+} = require('../models');
+const { requireRole, staffSchoolId, canAccessSchool } = require('../middleware/auth');
+const { reportCommentService, ReportCommentService } = require('../services/reportCommentService');
+const { reportCardReleaseService } = require('../services/reportCardReleaseService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const COMMENT_TYPES = ['class_teacher', 'principal'];
+const COMMENT_CATEGORIES = ['achievement', 'progress', 'effort', 'behaviour', 'improvement', 'general'];
+
+const validate = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+        return false;
+    }
+    return true;
+};
+
+const schoolAccessDenied = (res) => res.status(403).json({
+    error: 'Access denied. You can only access data from your assigned school.',
+    code: 'SCHOOL_ACCESS_DENIED'
+});
+
+const staffFor = (req) => Staff.findOne({
+    where: { user_id: req.user.id, is_active: true },
+    attributes: ['id', 'school_id', 'role_level']
+});
+
+// Load a report card from the user's own school
+const findReportCard = async (req, res) => {
+    const reportCard = await ReportCard.findByPk(req.params.id, {
+        include: [
+            { model: Student, attributes: ['id', 'student_id', 'first_name', 'last_name'] },
+            { model: Class, attributes: ['id', 'name', 'school_id', 'class_teacher_id'] },
+            { model: Term, attributes: ['id', 'name', 'school_year'] },
+            { model: GradingScale }
+        ]
+    });
+    if (!reportCard) {
+        res.status(404).json({ error: 'Report card not found' });
+        return null;
+    }
+    if (!await canAccessSchool(req.user, reportCard.Class.school_id)) {
+        schoolAccessDenied(res);
+        return null;
+    }
+    return reportCard;
+};
+
+// Class teacher comments are written by the class's teacher and principal comments by
+// the school's principal; administrators at the school may write either
+const canWriteComment = async (req, reportCard, commentType) => {
+    if (['super_admin', 'admin'].includes(req.user.role)) {
+        return !!reportCard.Class && canAccessSchool(req.user, reportCard.Class.school_id);
+    }
+    const staff = await staffFor(req);
+    if (!staff || !reportCard.Class) return false;
+    if (commentType === 'class_teacher') {
+        return reportCard.Class.class_teacher_id === staff.id;
+    }
+    return staff.role_level === 'principal' && staff.school_id === reportCard.Class.school_id;
+};
+
+// Teachers and school admins work with their own school's comment bank; super admins name the school
+const resolveBankSchool = async (req, res, requestedSchoolId) => {
+    if (req.user.role === 'super_admin') {
+        if (!requestedSchoolId) {
+            res.status(400).json({ error: 'School ID is required' });
+            return null;
+        }
+        return requestedSchoolId;
+    }
+    const ownSchoolId = await staffSchoolId(req.user);
+    if (!ownSchoolId) {
+        res.status(403).json({ error: 'No staff record is linked to this account.' });
+        return null;
+    }
+    if (requestedSchoolId && requestedSchoolId !== ownSchoolId) {
+        schoolAccessDenied(res);
+        return null;
+    }
+    return ownSchoolId;
+};
+
+const unknownPlaceholders = (res, texts) => {
+    const unknown = [...new Set(texts.flatMap(text => reportCommentService.unknownPlaceholders(text)))];
+    if (unknown.length === 0) return false;
+    res.status(400).json({
+        error: `Unknown placeholders: ${unknown.map(name => `{${name}}`).join(', ')}`,
+        placeholders: Object.keys(ReportCommentService.PLACEHOLDERS)
+    });
+    return true;
+};
+
+// Placeholders available to comment bank entries
+router.get('/comment-bank/placeholders', requireRole(['super_admin', 'admin', 'teacher']), (req, res) => {
+    res.json(ReportCommentService.PLACEHOLDERS);
+});
+
+// A school's comment bank
+router.get('/comment-bank', requireRole(['super_admin', 'admin', 'teacher']), [
+    query('school_id').optional().isUUID().withMessage('School ID must be valid UUID'),
+    query('comment_type').optional().isIn(COMMENT_TYPES),
+    query('category').optional().isIn(COMMENT_CATEGORIES)
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const schoolId = await resolveBankSchool(req, res, req.query.school_id);
+        if (!schoolId) return;
+
+        const where = { school_id: schoolId, is_active: true };
+        if (req.query.comment_type) where.comment_type = req.query.comment_type;
+        if (req.query.category) where.category = req.query.category;
+
+        const entries = await CommentBankEntry.findAll({
+            where,
+            order: [['comment_type', 'ASC'], ['category', 'ASC'], ['created_at', 'ASC']]
+        });
+        res.json(entries);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Add a comment to the bank
+router.post('/comment-bank', requireRole(['super_admin', 'admin', 'teacher']), [
+    body('school_id').optional().isUUID().withMessage('School ID must be valid UUID'),
+    body('comment_type').isIn(COMMENT_TYPES).withMessage(`Comment type must be one of: ${COMMENT_TYPES.join(', ')}`),
+    body('category').optional().isIn(COMMENT_CATEGORIES)
+        .withMessage(`Category must be one of: ${COMMENT_CATEGORIES.join(', ')}`),
+    body('text').trim().isLength({ min: 5, max: 1000 }).withMessage('Text must be 5-1000 characters')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const schoolId = await resolveBankSchool(req, res, req.body.school_id);
+        if (!schoolId) return;
+        if (unknownPlaceholders(res, [req.body.text])) return;
+
+        const entry = await CommentBankEntry.create({
+            school_id: schoolId,
+            comment_type: req.body.comment_type,
+            category: req.body.category || 'general',
+            text: req.body.text,
+            created_by: req.user.id
+        });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'comment_bank_entry_created',
+            table_name: 'comment_bank',
+            record_id: entry.id,
+            new_values: entry.toJSON(),
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        res.status(201).json(entry);
+    } catch (error) {
+        next(error);
+    }
+});
+
+const findBankEntry = async (req, res) => {
+    const entry = await CommentBankEntry.findByPk(req.params.id);
+    if (!entry || !entry.is_active) {
+        res.status(404).json({ error: 'Comment bank entry not found' });
+        return null;
+    }
+    if (!await canAccessSchool(req.user, entry.school_id)) {
+        schoolAccessDenied(res);
+        return null;
+    }
+    // Teachers may change only the entries they wrote
+    if (req.user.role === 'teacher' && entry.created_by !== req.user.id) {
+        res.status(403).json({ error: 'You can only change comments you added to the bank.' });
+        return null;
+    }
+    return entry;
+};
+
+// Edit a comment bank entry
+router.put('/comment-bank/:id', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('id').isUUID().withMessage('Entry ID must be valid UUID'),
+    body('category').optional().isIn(COMMENT_CATEGORIES)
+        .withMessage(`Category must be one of: ${COMMENT_CATEGORIES.join(', ')}`),
+    body('text').optional().trim().isLength({ min: 5, max: 1000 }).withMessage('Text must be 5-1000 characters')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const entry = await findBankEntry(req, res);
+        if (!entry) return;
+        if (req.body.text !== undefined && unknownPlaceholders(res, [req.body.text])) return;
+
+        const updates = {};
+        ['category', 'text'].forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field];
+        });
+        const oldValues = {};
+        Object.keys(updates).forEach(field => { oldValues[field] = entry[field]; });
+        await entry.update(updates);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'comment_bank_entry_updated',
+            table_name: 'comment_bank',
+            record_id: entry.id,
+            old_values: oldValues,
+            new_values: updates,
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        res.json(entry);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Remove a comment bank entry
+router.delete('/comment-bank/:id', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('id').isUUID().withMessage('Entry ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const entry = await findBankEntry(req, res);
+        if (!entry) return;
+
+        await entry.update({ is_active: false });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'comment_bank_entry_removed',
+            table_name: 'comment_bank',
+            record_id: entry.id,
+            old_values: { is_active: true },
+            new_values: { is_active: false },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        res.json({ message: 'Comment bank entry removed' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Publish a class's report cards to parents; they become visible on the term's release date
+router.post('/release', requireRole(['super_admin', 'admin', 'teacher']), [
+    body('class_id').isUUID().withMessage('Class ID must be valid UUID'),
+    body('term_id').isUUID().withMessage('Term ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const { class_id, term_id } = req.body;
+        const [classRecord, term] = await Promise.all([
+            Class.findByPk(class_id, { attributes: ['id', 'name', 'school_id'] }),
+            Term.findByPk(term_id)
+        ]);
+        if (!classRecord || !term) {
+            return res.status(404).json({ error: 'Class or term not found' });
+        }
+        if (!await canAccessSchool(req.user, classRecord.school_id)) {
+            return schoolAccessDenied(res);
+        }
+
+        if (req.user.role === 'teacher') {
+            const staff = await staffFor(req);
+            if (!staff || staff.role_level !== 'principal' || staff.school_id !== classRecord.school_id) {
+                return res.status(403).json({
+                    error: 'Only the principal can release report cards.',
+                    code: 'NOT_PRINCIPAL'
+                });
+            }
+        }
+
+        const reportCards = await ReportCard.findAll({
+            where: { class_id, term_id },
+            attributes: ['id', 'student_id', 'is_final', 'released_to_parent']
+        });
+        if (reportCards.length === 0) {
+            return res.status(404).json({ error: 'No report cards have been generated for this class and term' });
+        }
+        const provisional = reportCards.filter(reportCard => !reportCard.is_final);
+        if (provisional.length > 0) {
+            return res.status(409).json({
+                error: 'Every grade must be approved before report cards are released.',
+                code: 'REPORT_CARDS_NOT_FINAL',
+                students: provisional.map(reportCard => reportCard.student_id)
+            });
+        }
+
+        const result = await reportCardReleaseService.release(class_id, term, req.user.id);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'report_cards_released',
+            table_name: 'report_cards',
+            new_values: { class_id, term_id, released: result.released, released_at: result.released_at },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Released ${result.released} report cards for ${classRecord.name}, visible from ${result.released_at.toISOString()}, by ${req.user.email}`);
+        res.json({
+            message: 'Report cards released',
+            released_count: result.released,
+            already_released: reportCards.length - result.released,
+            visible_from: result.released_at
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Released report cards for the parent's children, or the student's own
+router.get('/mine', requireRole(['parent', 'student']), async (req, res, next) => {
+    try {
+        const studentIds = await reportCardReleaseService.familyStudentIds(req.user);
+        const reportCards = await ReportCard.findAll({
+            where: { student_id: studentIds, ...reportCardReleaseService.visibleWhere() },
+            include: [
+                { model: Student, attributes: ['id', 'student_id', 'first_name', 'last_name'] },
+                { model: Class, attributes: ['id', 'name'] },
+                { model: Term, attributes: ['id', 'name', 'school_year'] }
+            ],
+            order: [['released_at', 'DESC']]
+        });
+        res.json(reportCards);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Parent's electronic acknowledgement of a released report card
+router.post('/:id/acknowledge', requireRole(['parent']), [
+    param('id').isUUID().withMessage('Report card ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const reportCard = await ReportCard.findByPk(req.params.id);
+        const studentIds = await reportCardReleaseService.familyStudentIds(req.user);
+        if (!reportCard || !studentIds.includes(reportCard.student_id) || !reportCardReleaseService.isVisible(reportCard)) {
+            return res.status(404).json({ error: 'Report card not found' });
+        }
+
+        const parent = await Parent.findOne({ where: { user_id: req.user.id }, attributes: ['id'] });
+        const acknowledged = await reportCardReleaseService.acknowledge(reportCard, parent.id);
+        if (!acknowledged) {
+            return res.status(409).json({
+                error: 'This report card has already been acknowledged.',
+                code: 'ALREADY_ACKNOWLEDGED'
+            });
+        }
+        await reportCard.reload();
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'report_card_acknowledged',
+            table_name: 'report_cards',
+            record_id: reportCard.id,
+            new_values: { parent_signature_date: reportCard.parent_signature_date, acknowledged_by: parent.id },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        res.json({
+            message: 'Report card acknowledged',
+            parent_signature_date: reportCard.parent_signature_date
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Released cards no parent has acknowledged yet, with contacts for follow-up
+router.get('/unacknowledged', requireRole(['super_admin', 'admin', 'teacher']), [
+    query('class_id').isUUID().withMessage('Class ID must be valid UUID'),
+    query('term_id').isUUID().withMessage('Term ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const { class_id, term_id } = req.query;
+        const classRecord = await Class.findByPk(class_id, { attributes: ['id', 'school_id', 'class_teacher_id'] });
+        if (!classRecord) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+        if (!await canAccessSchool(req.user, classRecord.school_id)) {
+            return schoolAccessDenied(res);
+        }
+
+        if (req.user.role === 'teacher') {
+            const staff = await staffFor(req);
+            const allowed = staff && (
+                classRecord.class_teacher_id === staff.id ||
+                (staff.role_level === 'principal' && staff.school_id === classRecord.school_id)
+            );
+            if (!allowed) {
+                return res.status(403).json({ error: 'Only the class teacher or principal can view this list.' });
+            }
+        }
+
+        const reportCards = await ReportCard.findAll({
+            where: {
+                class_id,
+                term_id,
+                parent_signature_date: null,
+                ...reportCardReleaseService.visibleWhere()
+            },
+            attributes: ['id', 'student_id', 'released_at'],
+            include: [{
+                model: Student,
+                attributes: ['id', 'student_id', 'first_name', 'last_name'],
+                include: [{
+                    model: Parent,
+                    through: { attributes: ['relationship_type', 'is_primary'] },
+                    attributes: ['id', 'first_name', 'last_name', 'phone', 'email']
+                }]
+            }],
+            order: [[Student, 'last_name', 'ASC'], [Student, 'first_name', 'ASC']]
+        });
+
+        res.json({ count: reportCards.length, report_cards: reportCards });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Report cards for a class and term with their comments
+router.get('/', requireRole(['super_admin', 'admin', 'teacher']), [
+    query('class_id').isUUID().withMessage('Class ID must be valid UUID'),
+    query('term_id').isUUID().withMessage('Term ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const classRecord = await Class.findByPk(req.query.class_id, { attributes: ['id', 'school_id'] });
+        if (!classRecord) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+        if (!await canAccessSchool(req.user, classRecord.school_id)) {
+            return schoolAccessDenied(res);
+        }
+
+        const reportCards = await ReportCard.findAll({
+            where: { class_id: req.query.class_id, term_id: req.query.term_id },
+            include: [{ model: Student, attributes: ['id', 'student_id', 'first_name', 'last_name'] }],
+            order: [[Student, 'last_name', 'ASC'], [Student, 'first_name', 'ASC']]
+        });
+        res.json(reportCards);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Comment bank entries for the card's school, filled in for this student
+router.get('/:id/comment-suggestions', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('id').isUUID().withMessage('Report card ID must be valid UUID'),
+    query('comment_type').isIn(COMMENT_TYPES).withMessage(`Comment type must be one of: ${COMMENT_TYPES.join(', ')}`),
+    query('category').optional().isIn(COMMENT_CATEGORIES)
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const reportCard = await findReportCard(req, res);
+        if (!reportCard) return;
+
+        const where = { school_id: reportCard.Class.school_id, comment_type: req.query.comment_type, is_active: true };
+        if (req.query.category) where.category = req.query.category;
+
+        const [entries, context] = await Promise.all([
+            CommentBankEntry.findAll({ where, order: [['category', 'ASC'], ['created_at', 'ASC']] }),
+            reportCommentService.contextFor(reportCard)
+        ]);
+
+        res.json(entries.map(entry => ({
+            id: entry.id,
+            category: entry.category,
+            template: entry.text,
+            text: reportCommentService.render(entry.text, context)
+        })));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Write or edit the class teacher's and principal's comments before the card is released
+router.put('/:id/comments', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('id').isUUID().withMessage('Report card ID must be valid UUID'),
+    body('class_teacher_comments').optional({ nullable: true }).isString().isLength({ max: 2000 })
+        .withMessage('Class teacher comments must be at most 2000 characters'),
+    body('principal_comments').optional({ nullable: true }).isString().isLength({ max: 2000 })
+        .withMessage('Principal comments must be at most 2000 characters')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const fields = COMMENT_TYPES
+            .map(type => ({ type, field: `${type}_comments` }))
+            .filter(({ field }) => req.body[field] !== undefined);
+        if (fields.length === 0) {
+            return res.status(400).json({ error: 'No comments provided' });
+        }
+
+        const reportCard = await findReportCard(req, res);
+        if (!reportCard) return;
+
+        if (reportCard.released_to_parent) {
+            return res.status(409).json({
+                error: 'Comments cannot be changed after the report card has been released to parents.',
+                code: 'REPORT_CARD_RELEASED'
+            });
+        }
+
+        for (const { type } of fields) {
+            if (!await canWriteComment(req, reportCard, type)) {
+                return res.status(403).json({
+                    error: type === 'class_teacher'
+                        ? 'Only the class teacher can write class teacher comments.'
+                        : 'Only the principal can write principal comments.',
+                    code: 'NOT_COMMENT_AUTHOR'
+                });
+            }
+        }
+
+        if (unknownPlaceholders(res, fields.map(({ field }) => req.body[field] || ''))) return;
+
+        // Placeholders typed directly into a comment are filled in too
+        const context = await reportCommentService.contextFor(reportCard);
+        const oldValues = {};
+        const updates = {};
+        for (const { field } of fields) {
+            oldValues[field] = reportCard[field];
+            updates[field] = req.body[field] ? reportCommentService.render(req.body[field].trim(), context) : null;
+        }
+        await reportCard.update(updates);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'report_card_comments_updated',
+            table_name: 'report_cards',
+            record_id: reportCard.id,
+            old_values: oldValues,
+            new_values: updates,
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Report card comments updated for student ${reportCard.Student.student_id} by ${req.user.email}`);
+        res.json(reportCard);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,9 +1,16 @@
 const express = require('express');
+const { query, validationResult } = require('express-validator');
 const { Student, Staff, School, AttendanceRecord, AcademicRecord } = require('../models');
-const { requireRole } = require('../middleware/auth');
+const { requireRole, staffSchoolId } = require('../middleware/auth');
+const { attendanceAnalytics, AttendanceAnalytics } = require('../services/attendanceAnalytics');
 
 const router = express.Router();
 
+const schoolAccessDenied = (res) => res.status(403).json({
+    error: 'Access denied. You can only report on your assigned school.',
+    code: 'SCHOOL_ACCESS_DENIED'
+});
+
 // School summary report
 router.get('/school-summary/:school_id', async (req, res, next) => {
     try {
@@ -30,25 +37,60 @@ router.get('/school-summary/:school_id', async (req, res, next) => {
     }
 });
 
-// Attendance report
-router.get('/attendance', async (req, res, next) => {
+// Attendance rates aggregated by period and by school, grade level, class, parish or zone
+router.get('/attendance', requireRole(['super_admin', 'admin']), [
+    query('start_date').isISO8601().withMessage('Start date must be a valid date (YYYY-MM-DD)'),
+    query('end_date').isISO8601().withMessage('End date must be a valid date (YYYY-MM-DD)'),
+    query('period').optional().isIn(AttendanceAnalytics.PERIODS)
+        .withMessage(`Period must be one of: ${AttendanceAnalytics.PERIODS.join(', ')}`),
+    query('group_by').optional().isIn(AttendanceAnalytics.GROUPINGS)
+        .withMessage(`Group by must be one of: ${AttendanceAnalytics.GROUPINGS.join(', ')}`),
+    query('school_id').optional().isUUID().withMessage('School ID must be valid UUID'),
+    query('zone_id').optional().isUUID().withMessage('Zone ID must be valid UUID'),
+    query('class_id').optional().isUUID().withMessage('Class ID must be valid UUID'),
+    query('parish').optional().isString().isLength({ max: 50 }),
+    query('grade_level').optional().isString().isLength({ max: 20 }),
+    query('gender').optional().isIn(['male', 'female', 'other']).withMessage('Invalid gender')
+], async (req, res, next) => {
     try {
-        const { school_id, start_date, end_date } = req.query;
-        
-        const whereClause = {};
-        if (school_id) whereClause.school_id = school_id;
-        if (start_date && end_date) {
-            whereClause.attendance_date = {
-                [Op.between]: [start_date, end_date]
-            };
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
         }
-        
-        const attendance = await AttendanceRecord.findAll({
-            where: whereClause,
-            include: [{ model: Student }, { model: School }]
+
+        const start_date = req.query.start_date.substring(0, 10);
+        const end_date = req.query.end_date.substring(0, 10);
+        if (start_date > end_date) {
+            return res.status(400).json({ error: 'End date must be after start date' });
+        }
+
+        // Zone and national figures are for super admins; school admins report on their own school
+        let { school_id } = req.query;
+        if (req.user.role !== 'super_admin') {
+            const ownSchoolId = await staffSchoolId(req.user);
+            if (!ownSchoolId || (school_id && school_id !== ownSchoolId)) {
+                return schoolAccessDenied(res);
+            }
+            school_id = ownSchoolId;
+        }
+
+        const report = await attendanceAnalytics.getAttendanceRates({
+            period: req.query.period || 'weekly',
+            groupBy: req.query.group_by || 'school',
+            start_date,
+            end_date,
+            school_id,
+            zone_id: req.query.zone_id,
+            class_id: req.query.class_id,
+            parish: req.query.parish,
+            grade_level: req.query.grade_level,
+            gender: req.query.gender
         });
-        
-        res.json({ attendance_data: attendance });
+
+        res.json({ report, generated_at: new Date().toISOString() });
     } catch (error) {
         next(error);
     }
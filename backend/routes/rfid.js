@@ -1,55 +1,437 @@
 const express = require('express');
-const { RFIDDevice, Student, AttendanceRecord } = require('../models');
-const { requireRole } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { RFIDDevice, School, AuditLog } = require('../models');
+const { authMiddleware, requireRole, staffSchoolId, canAccessSchool } = require('../middleware/auth');
+const { authenticateDevice, generateDeviceKey, hashDeviceKey } = require('../middleware/deviceAuth');
+const { roleBasedLimiter, deviceLimiter } = require('../middleware/rateLimiter');
+const { rfidScanService } = require('../services/rfidScanService');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Staff-facing endpoints authenticate users; reader-facing endpoints authenticate devices
+const userAuth = [authMiddleware, roleBasedLimiter];
+const deviceManagers = requireRole(['super_admin', 'admin']);
+const deviceAuth = [deviceLimiter, authenticateDevice];
+
+// School admins manage only their own school's readers
+const schoolAccessDenied = (res) => res.status(403).json({
+    error: 'Access denied. You can only manage devices at your assigned school.',
+    code: 'SCHOOL_ACCESS_DENIED'
+});
+
+// Never expose the stored key hash
+const deviceAttributes = { exclude: ['api_key_hash'] };
+
+const validate = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+        return false;
+    }
+    return true;
+};
+
+const deviceSnapshot = (device) => ({
+    school_id: device.school_id,
+    device_type: device.device_type,
+    location: device.location,
+    scan_direction: device.scan_direction,
+    status: device.status
+});
+
 // RFID device registration
-router.post('/devices', requireRole(['super_admin', 'admin']), async (req, res, next) => {
+router.post('/devices', userAuth, deviceManagers, [
+    body('school_id').isUUID().withMessage('School ID must be valid UUID'),
+    body('device_id').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Device ID is required'),
+    body('device_type').isIn(['gate_reader', 'classroom_reader', 'mobile_reader']).withMessage('Invalid device type'),
+    body('location').optional().isString().isLength({ max: 100 }),
+    body('scan_direction').optional().isIn(['entry', 'exit', 'toggle']).withMessage('Invalid scan direction'),
+    body('status').optional().isIn(['active', 'inactive', 'maintenance']).withMessage('Invalid status')
+], async (req, res, next) => {
     try {
-        const device = await RFIDDevice.create(req.body);
-        res.status(201).json({ device });
+        if (!validate(req, res)) return;
+
+        const { school_id, device_id, device_type, location, scan_direction, status } = req.body;
+
+        if (!(await canAccessSchool(req.user, school_id))) {
+            return schoolAccessDenied(res);
+        }
+
+        const school = await School.findByPk(school_id);
+        if (!school) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+
+        const apiKey = generateDeviceKey();
+        const device = await RFIDDevice.create({
+            school_id,
+            device_id,
+            device_type,
+            location,
+            scan_direction,
+            status,
+            api_key_hash: hashDeviceKey(apiKey),
+            api_key_issued_at: new Date()
+        });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'rfid_device_registered',
+            table_name: 'rfid_devices',
+            record_id: device.id,
+            new_values: deviceSnapshot(device),
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`RFID device registered: ${device.device_id} at ${school.name} by ${req.user.email}`);
+
+        const { api_key_hash, ...deviceData } = device.toJSON();
+        res.status(201).json({
+            device: deviceData,
+            api_key: apiKey,
+            message: 'Store this API key on the device now; it cannot be retrieved again.'
+        });
     } catch (error) {
         next(error);
     }
 });
 
-// RFID scan endpoint
-router.post('/scan', async (req, res, next) => {
+// List RFID devices
+router.get('/devices', userAuth, deviceManagers, [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('school_id').optional().isUUID(),
+    query('status').optional().isIn(['active', 'inactive', 'maintenance']),
+    query('device_type').optional().isIn(['gate_reader', 'classroom_reader', 'mobile_reader']),
+    query('stale_minutes').optional().isInt({ min: 1 }),
+    query('include_decommissioned').optional().isBoolean()
+], async (req, res, next) => {
     try {
-        const { rfid_tag, device_id } = req.body;
-        
-        const student = await Student.findOne({ where: { rfid_tag } });
-        if (!student) {
-            return res.status(404).json({ error: 'Student not found' });
+        if (!validate(req, res)) return;
+
+        const {
+            page = 1,
+            limit = 50,
+            school_id,
+            status,
+            device_type,
+            stale_minutes,
+            include_decommissioned,
+            search
+        } = req.query;
+        const offset = (page - 1) * limit;
+
+        const whereClause = {};
+        if (school_id) whereClause.school_id = school_id;
+        if (req.user.role !== 'super_admin') {
+            const ownSchoolId = await staffSchoolId(req.user);
+            if (!ownSchoolId || (school_id && school_id !== ownSchoolId)) {
+                return schoolAccessDenied(res);
+            }
+            whereClause.school_id = ownSchoolId;
+        }
+        if (status) whereClause.status = status;
+        if (device_type) whereClause.device_type = device_type;
+        if (include_decommissioned !== 'true') whereClause.decommissioned_at = null;
+        if (search) {
+            whereClause[Op.or] = [
+                { device_id: { [Op.iLike]: `%${search}%` } },
+                { location: { [Op.iLike]: `%${search}%` } }
+            ];
         }
 
-        // Record attendance
-        const attendance = await AttendanceRecord.findOrCreate({
-            where: {
-                student_id: student.id,
-                attendance_date: new Date().toISOString().split('T')[0]
-            },
-            defaults: {
-                student_id: student.id,
-                school_id: student.school_id,
-                attendance_date: new Date().toISOString().split('T')[0],
-                status: 'present',
-                rfid_entry_time: new Date()
+        // Readers that have not reported in for the given number of minutes
+        if (stale_minutes) {
+            const cutoff = new Date(Date.now() - parseInt(stale_minutes) * 60 * 1000);
+            whereClause.last_sync = { [Op.or]: [{ [Op.lt]: cutoff }, { [Op.is]: null }] };
+        }
+
+        const devices = await RFIDDevice.findAndCountAll({
+            where: whereClause,
+            attributes: deviceAttributes,
+            include: [{ model: School, attributes: ['id', 'name', 'parish'] }],
+            limit: parseInt(limit),
+            offset: parseInt(offset),
+            order: [['device_id', 'ASC']]
+        });
+
+        res.json({
+            devices: devices.rows,
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(devices.count / limit),
+                total_count: devices.count,
+                per_page: parseInt(limit)
             }
         });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Device heartbeat (called by the reader itself)
+router.post('/devices/heartbeat', deviceAuth, [
+    body('firmware_version').optional().isString().isLength({ max: 50 })
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const { device } = req;
+        const updates = { last_sync: new Date() };
+        if (req.body.firmware_version) updates.firmware_version = req.body.firmware_version;
+
+        await device.update(updates);
+
+        res.json({
+            message: 'Heartbeat received',
+            device_id: device.device_id,
+            status: device.status,
+            server_time: updates.last_sync.toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get RFID device by ID
+router.get('/devices/:id', userAuth, deviceManagers, [
+    param('id').isUUID().withMessage('Device ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const device = await RFIDDevice.findByPk(req.params.id, {
+            attributes: deviceAttributes,
+            include: [{ model: School, attributes: ['id', 'name', 'parish'] }]
+        });
+        if (!device) {
+            return res.status(404).json({ error: 'RFID device not found' });
+        }
+        if (!(await canAccessSchool(req.user, device.school_id))) {
+            return schoolAccessDenied(res);
+        }
 
-        res.json({ 
+        res.json({ device });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Update RFID device
+router.patch('/devices/:id', userAuth, deviceManagers, [
+    param('id').isUUID().withMessage('Device ID must be valid UUID'),
+    body('school_id').optional().isUUID().withMessage('School ID must be valid UUID'),
+    body('device_type').optional().isIn(['gate_reader', 'classroom_reader', 'mobile_reader']).withMessage('Invalid device type'),
+    body('location').optional({ nullable: true }).isString().isLength({ max: 100 }),
+    body('scan_direction').optional().isIn(['entry', 'exit', 'toggle']).withMessage('Invalid scan direction'),
+    body('status').optional().isIn(['active', 'inactive', 'maintenance']).withMessage('Invalid status')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const device = await RFIDDevice.findByPk(req.params.id);
+        if (!device) {
+            return res.status(404).json({ error: 'RFID device not found' });
+        }
+
+        if (!(await canAccessSchool(req.user, device.school_id))) {
+            return schoolAccessDenied(res);
+        }
+
+        if (device.decommissioned_at) {
+            return res.status(409).json({ error: 'Decommissioned devices cannot be updated' });
+        }
+
+        if (req.body.school_id && !(await canAccessSchool(req.user, req.body.school_id))) {
+            return schoolAccessDenied(res);
+        }
+
+        if (req.body.school_id && !(await School.findByPk(req.body.school_id))) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+
+        const allowedFields = ['school_id', 'device_type', 'location', 'scan_direction', 'status'];
+        const updateData = {};
+        for (const field of allowedFields) {
+            if (req.body[field] !== undefined) updateData[field] = req.body[field];
+        }
+
+        const oldValues = deviceSnapshot(device);
+        await device.update(updateData);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'rfid_device_updated',
+            table_name: 'rfid_devices',
+            record_id: device.id,
+            old_values: oldValues,
+            new_values: updateData,
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`RFID device updated: ${device.device_id} by ${req.user.email}`);
+
+        res.json({
+            message: 'RFID device updated successfully',
+            device: await RFIDDevice.findByPk(device.id, { attributes: deviceAttributes })
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Rotate a device API key (e.g. reader replaced or key compromised)
+router.post('/devices/:id/rotate-key', userAuth, deviceManagers, [
+    param('id').isUUID().withMessage('Device ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const device = await RFIDDevice.findByPk(req.params.id);
+        if (!device) {
+            return res.status(404).json({ error: 'RFID device not found' });
+        }
+
+        if (!(await canAccessSchool(req.user, device.school_id))) {
+            return schoolAccessDenied(res);
+        }
+
+        if (device.decommissioned_at) {
+            return res.status(409).json({ error: 'Decommissioned devices cannot be issued new keys' });
+        }
+
+        const apiKey = generateDeviceKey();
+        await device.update({
+            api_key_hash: hashDeviceKey(apiKey),
+            api_key_issued_at: new Date()
+        });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'rfid_device_key_rotated',
+            table_name: 'rfid_devices',
+            record_id: device.id,
+            new_values: { api_key_issued_at: device.api_key_issued_at },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`RFID device key rotated: ${device.device_id} by ${req.user.email}`);
+
+        res.json({
+            message: 'API key rotated. Store this API key on the device now; it cannot be retrieved again.',
+            device_id: device.device_id,
+            api_key: apiKey
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Decommission RFID device (kept for attendance history, credentials revoked)
+router.post('/devices/:id/decommission', userAuth, deviceManagers, [
+    param('id').isUUID().withMessage('Device ID must be valid UUID'),
+    body('reason').isString().trim().isLength({ min: 3, max: 500 }).withMessage('A decommission reason is required')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const device = await RFIDDevice.findByPk(req.params.id);
+        if (!device) {
+            return res.status(404).json({ error: 'RFID device not found' });
+        }
+
+        if (!(await canAccessSchool(req.user, device.school_id))) {
+            return schoolAccessDenied(res);
+        }
+
+        if (device.decommissioned_at) {
+            return res.status(409).json({ error: 'RFID device is already decommissioned' });
+        }
+
+        const oldValues = deviceSnapshot(device);
+        await device.update({
+            status: 'inactive',
+            api_key_hash: null,
+            decommissioned_at: new Date()
+        });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'rfid_device_decommissioned',
+            table_name: 'rfid_devices',
+            record_id: device.id,
+            old_values: oldValues,
+            new_values: { status: 'inactive', reason: req.body.reason },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`RFID device decommissioned: ${device.device_id} by ${req.user.email}`);
+
+        res.json({
+            message: 'RFID device decommissioned successfully',
+            device: await RFIDDevice.findByPk(device.id, { attributes: deviceAttributes })
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// RFID scan endpoint (called by the reader itself)
+router.post('/scan', deviceAuth, async (req, res, next) => {
+    try {
+        const result = await rfidScanService.processScan(req.device, req.body.rfid_tag, req, {
+            direction: req.body.direction
+        });
+        if (!result.accepted) {
+            return res.status(result.statusCode).json({ error: result.error, code: result.code });
+        }
+
+        const { student, attendance, direction } = result;
+        res.json({
             message: 'RFID scan processed',
+            direction,
             student: {
                 name: `${student.first_name} ${student.last_name}`,
                 grade: student.grade_level
             },
-            attendance: attendance[0]
+            attendance
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Offline batch upload (called by the reader after reconnecting)
+router.post('/scan/batch', deviceAuth, [
+    body('scans').isArray({ min: 1, max: rfidScanService.batchMaxScans })
+        .withMessage(`Scans must be an array of 1 to ${rfidScanService.batchMaxScans} entries`)
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const result = await rfidScanService.processBatch(req.device, req.body.scans, req);
+        if (!result.accepted) {
+            return res.status(result.statusCode).json({ error: result.error, code: result.code });
+        }
+
+        res.json({
+            message: 'RFID batch processed',
+            device_id: req.device.device_id,
+            summary: result.summary,
+            results: result.results
         });
     } catch (error) {
         next(error);
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,261 @@
+const express = require('express');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+const { YearEndRollover, School, User, AuditLog } = require('../models');
+const { requireRole, staffSchoolId, canAccessSchool } = require('../middleware/auth');
+const { yearEndRolloverService, YearEndRolloverService } = require('../services/yearEndRolloverService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const SCHOOL_YEAR = /^\d{4}(-\d{4})?$/;
+
+const validate = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+        return false;
+    }
+    return true;
+};
+
+const schoolAccessDenied = (res) => res.status(403).json({
+    error: 'Access denied. You can only manage your assigned school.',
+    code: 'SCHOOL_ACCESS_DENIED'
+});
+
+const rolloverIncludes = [
+    { model: School, attributes: ['id', 'name'] },
+    { model: User, as: 'performer', attributes: ['id', 'username', 'email'] },
+    { model: User, as: 'reverser', attributes: ['id', 'username', 'email'] }
+];
+
+// Rollovers carried out, most recent first
+router.get('/', requireRole(['super_admin', 'admin']), [
+    query('school_id').optional().isUUID().withMessage('School ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const where = req.query.school_id ? { school_id: req.query.school_id } : {};
+        // School admins see only their own school's rollovers
+        if (req.user.role !== 'super_admin') {
+            const ownSchoolId = await staffSchoolId(req.user);
+            if (!ownSchoolId || (where.school_id && where.school_id !== ownSchoolId)) {
+                return schoolAccessDenied(res);
+            }
+            where.school_id = ownSchoolId;
+        }
+
+        const rollovers = await YearEndRollover.findAll({
+            where,
+            attributes: { exclude: ['decisions', 'class_changes'] },
+            include: rolloverIncludes,
+            order: [['created_at', 'DESC']]
+        });
+
+        res.json({ rollovers });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// A rollover with every student's outcome
+router.get('/:id', requireRole(['super_admin', 'admin']), [
+    param('id').isUUID().withMessage('Rollover ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const rollover = await YearEndRollover.findByPk(req.params.id, { include: rolloverIncludes });
+        if (!rollover) {
+            return res.status(404).json({ error: 'Rollover not found' });
+        }
+        if (!await canAccessSchool(req.user, rollover.school_id)) {
+            return schoolAccessDenied(res);
+        }
+
+        res.json(rollover);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Propose a school's year-end promotions; with commit set, carry them out
+router.post('/', requireRole(['super_admin', 'admin']), [
+    body('school_id').isUUID().withMessage('School ID must be valid UUID'),
+    body('from_school_year').matches(SCHOOL_YEAR).withMessage('School year must look like 2024-2025'),
+    body('to_school_year').optional().matches(SCHOOL_YEAR).withMessage('School year must look like 2025-2026'),
+    body('criteria.min_overall_score').optional().isFloat({ min: 0, max: 100 }).withMessage('Minimum overall score must be between 0 and 100'),
+    body('criteria.min_attendance').optional().isFloat({ min: 0, max: 100 }).withMessage('Minimum attendance must be between 0 and 100'),
+    body('grade_levels').optional().isObject().withMessage('Grade levels must map each level to the next, or to null'),
+    body('overrides').optional().isArray().withMessage('Overrides must be an array'),
+    body('overrides.*.student_id').isUUID().withMessage('Student ID must be valid UUID'),
+    body('overrides.*.outcome').isIn(YearEndRolloverService.OUTCOMES).withMessage('Outcome must be promote, retain or graduate'),
+    body('commit').optional().isBoolean().withMessage('Commit must be true or false')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const { school_id, from_school_year } = req.body;
+        const commit = req.body.commit === true || req.body.commit === 'true';
+
+        const school = await School.findByPk(school_id, { attributes: ['id', 'name'] });
+        if (!school) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+        if (!await canAccessSchool(req.user, school.id)) {
+            return schoolAccessDenied(res);
+        }
+
+        const toSchoolYear = req.body.to_school_year || yearEndRolloverService.nextSchoolYear(from_school_year);
+        if (toSchoolYear === from_school_year) {
+            return res.status(400).json({ error: 'The next school year must differ from the one being closed' });
+        }
+
+        const rolloverExists = async () => {
+            const existing = await YearEndRollover.findOne({
+                where: { school_id, from_school_year, status: 'completed' }
+            });
+            if (!existing) return false;
+            res.status(409).json({
+                error: `${school.name} has already been rolled over from ${from_school_year}; reverse that rollover first.`,
+                code: 'ROLLOVER_EXISTS',
+                rollover_id: existing.id
+            });
+            return true;
+        };
+        if (await rolloverExists()) return;
+
+        const criteria = {};
+        ['min_overall_score', 'min_attendance'].forEach(field => {
+            if (req.body.criteria && req.body.criteria[field] !== undefined) criteria[field] = parseFloat(req.body.criteria[field]);
+        });
+        const overrides = Object.fromEntries((req.body.overrides || []).map(override => [override.student_id, override.outcome]));
+
+        const proposal = await yearEndRolloverService.propose(school_id, from_school_year, {
+            toSchoolYear,
+            criteria,
+            gradeLevels: req.body.grade_levels || {},
+            overrides
+        });
+        if (!proposal) {
+            return res.status(404).json({ error: `${school.name} has no active classes for ${from_school_year}` });
+        }
+
+        const unknown = Object.keys(overrides).filter(studentId => !proposal.decisions.some(decision => decision.student_id === studentId));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: 'Overrides name students who are not in this school year\'s classes', student_ids: unknown });
+        }
+
+        if (!commit) {
+            return res.json({ preview: true, school, ...proposal });
+        }
+
+        const unresolved = proposal.decisions.filter(decision => decision.unresolved);
+        if (unresolved.length > 0) {
+            return res.status(409).json({
+                error: 'Some classes have no known next grade level; map them in grade_levels or retain their students.',
+                code: 'ROLLOVER_UNRESOLVED',
+                grade_levels: [...new Set(unresolved.map(decision => decision.from_grade_level))],
+                students: unresolved.map(decision => ({ student_id: decision.student_id, name: decision.name, class: decision.from_class }))
+            });
+        }
+
+        // Another rollover committed since the check above fails the unique index and undoes this one
+        let rollover;
+        try {
+            rollover = await yearEndRolloverService.commit(proposal, req.user.id);
+        } catch (error) {
+            if (error instanceof UniqueConstraintError && await rolloverExists()) return;
+            throw error;
+        }
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'year_end_rollover',
+            table_name: 'year_end_rollovers',
+            record_id: rollover.id,
+            new_values: {
+                school_id,
+                from_school_year,
+                to_school_year: proposal.to_school_year,
+                criteria: proposal.criteria,
+                summary: proposal.summary
+            },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Year-end rollover for ${school.name} from ${from_school_year} to ${proposal.to_school_year} by ${req.user.email}`);
+
+        res.status(201).json({
+            message: `${proposal.summary.promote} promoted, ${proposal.summary.retain} retained, ${proposal.summary.graduate} leaving`,
+            rollover: await YearEndRollover.findByPk(rollover.id, { include: rolloverIncludes })
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Undo a school's latest rollover
+router.post('/:id/reverse', requireRole(['super_admin', 'admin']), [
+    param('id').isUUID().withMessage('Rollover ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const rollover = await YearEndRollover.findByPk(req.params.id);
+        if (!rollover) {
+            return res.status(404).json({ error: 'Rollover not found' });
+        }
+        if (!await canAccessSchool(req.user, rollover.school_id)) {
+            return schoolAccessDenied(res);
+        }
+        if (rollover.status === 'reversed') {
+            return res.status(409).json({ error: 'This rollover has already been reversed', code: 'ROLLOVER_REVERSED' });
+        }
+
+        const later = await YearEndRollover.findOne({
+            where: {
+                school_id: rollover.school_id,
+                status: 'completed',
+                from_school_year: { [Op.gte]: rollover.to_school_year }
+            }
+        });
+        if (later) {
+            return res.status(409).json({
+                error: `The school has since been rolled over from ${later.from_school_year}; reverse that rollover first.`,
+                code: 'ROLLOVER_NOT_LATEST',
+                rollover_id: later.id
+            });
+        }
+
+        const result = await yearEndRolloverService.reverse(rollover, req.user.id);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'year_end_rollover_reversed',
+            table_name: 'year_end_rollovers',
+            record_id: rollover.id,
+            old_values: { status: 'completed' },
+            new_values: { status: 'reversed', ...result },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Year-end rollover ${rollover.id} reversed by ${req.user.email}`);
+
+        res.json({
+            message: 'Rollover reversed',
+            ...result
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,12 +1,18 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { School, Zone, Parish, Staff, Student, Facility, Op } = require('../models');
-const { requireRole } = require('../middleware/auth');
+const { Op } = require('sequelize');
+const { School, Zone, Parish, Staff, Student, Facility, BellSchedule, SchoolHoliday, AuditLog } = require('../models');
+const { requireRole, canAccessSchool } = require('../middleware/auth');
 const BarbadosSchoolImporter = require('../services/barbadosSchoolImporter');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const schoolAccessDenied = (res) => res.status(403).json({
+    error: 'Access denied. You can only manage your assigned school.',
+    code: 'SCHOOL_ACCESS_DENIED'
+});
+
 // Get all schools with filtering and pagination
 router.get('/', [
     query('page').optional().isInt({ min: 1 }),
@@ -529,4 +535,340 @@ router.put('/:id/enrollment', [
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// ==================== ATTENDANCE CALENDAR ROUTES ====================
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Accept HH:MM or HH:MM:SS and store HH:MM:SS
+const normalizeTime = (time) => (time.length === 5 ? `${time}:00` : time);
+
+// List national public holidays (apply to every school)
+router.get('/holidays/national', [
+    query('year').optional().isInt({ min: 2000, max: 2100 })
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array() 
+            });
+        }
+
+        const whereClause = { school_id: null };
+        if (req.query.year) {
+            whereClause.holiday_date = {
+                [Op.between]: [`${req.query.year}-01-01`, `${req.query.year}-12-31`]
+            };
+        }
+
+        const holidays = await SchoolHoliday.findAll({
+            where: whereClause,
+            order: [['holiday_date', 'ASC']]
+        });
+
+        res.json({ holidays });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Add a national public holiday (Super Admin only)
+router.post('/holidays/national', requireRole(['super_admin']), [
+    body('holiday_date').isISO8601().withMessage('Holiday date must be a valid date'),
+    body('name').isLength({ min: 2, max: 100 }).withMessage('Holiday name is required')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array() 
+            });
+        }
+
+        const { holiday_date, name } = req.body;
+
+        const existing = await SchoolHoliday.findOne({ where: { school_id: null, holiday_date } });
+        if (existing) {
+            return res.status(409).json({ error: 'A national holiday already exists on this date' });
+        }
+
+        const holiday = await SchoolHoliday.create({ school_id: null, holiday_date, name });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'school_holiday_created',
+            table_name: 'school_holidays',
+            record_id: holiday.id,
+            new_values: { school_id: null, holiday_date, name },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`National holiday added: ${name} on ${holiday_date} by user ${req.user.id}`);
+
+        res.status(201).json({
+            message: 'National holiday added successfully',
+            holiday
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Delete a national public holiday (Super Admin only)
+router.delete('/holidays/national/:holidayId', requireRole(['super_admin']), async (req, res, next) => {
+    try {
+        const holiday = await SchoolHoliday.findOne({
+            where: { id: req.params.holidayId, school_id: null }
+        });
+
+        if (!holiday) {
+            return res.status(404).json({ error: 'Holiday not found' });
+        }
+
+        await holiday.destroy();
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'school_holiday_deleted',
+            table_name: 'school_holidays',
+            record_id: holiday.id,
+            old_values: { school_id: null, holiday_date: holiday.holiday_date, name: holiday.name },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`National holiday removed: ${holiday.name} on ${holiday.holiday_date} by user ${req.user.id}`);
+
+        res.json({ message: 'National holiday removed successfully' });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get school bell schedule (defaults apply until one is saved)
+router.get('/:id/bell-schedule', async (req, res, next) => {
+    try {
+        const school = await School.findByPk(req.params.id);
+        if (!school) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+
+        const schedule = await BellSchedule.findOne({ where: { school_id: school.id } });
+
+        res.json({
+            school_id: school.id,
+            configured: !!schedule,
+            bell_schedule: schedule || BellSchedule.build({ school_id: school.id })
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Create or update school bell schedule (Super Admin/Admin only)
+router.put('/:id/bell-schedule', requireRole(['super_admin', 'admin']), [
+    body('start_time').optional().matches(TIME_PATTERN).withMessage('Start time must be HH:MM'),
+    body('grace_period_minutes').optional().isInt({ min: 0, max: 120 }),
+    body('half_day_cutoff').optional().matches(TIME_PATTERN).withMessage('Half-day cutoff must be HH:MM'),
+    body('is_active').optional().isBoolean()
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array() 
+            });
+        }
+
+        if (!await canAccessSchool(req.user, req.params.id)) {
+            return schoolAccessDenied(res);
+        }
+
+        const school = await School.findByPk(req.params.id);
+        if (!school) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+
+        const updateData = {};
+        if (req.body.start_time) updateData.start_time = normalizeTime(req.body.start_time);
+        if (req.body.half_day_cutoff) updateData.half_day_cutoff = normalizeTime(req.body.half_day_cutoff);
+        if (req.body.grace_period_minutes !== undefined) {
+            updateData.grace_period_minutes = parseInt(req.body.grace_period_minutes);
+        }
+        if (req.body.is_active !== undefined) updateData.is_active = req.body.is_active;
+
+        let schedule = await BellSchedule.findOne({ where: { school_id: school.id } });
+        const oldValues = schedule ? schedule.toJSON() : null;
+
+        if (schedule) {
+            await schedule.update(updateData);
+        } else {
+            schedule = await BellSchedule.create({ school_id: school.id, ...updateData });
+        }
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: oldValues ? 'bell_schedule_updated' : 'bell_schedule_created',
+            table_name: 'bell_schedules',
+            record_id: schedule.id,
+            old_values: oldValues,
+            new_values: updateData,
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Bell schedule saved for ${school.name} by user ${req.user.id}`);
+
+        res.json({
+            message: 'Bell schedule saved successfully',
+            bell_schedule: schedule
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// List school holidays, including national holidays
+router.get('/:id/holidays', [
+    query('year').optional().isInt({ min: 2000, max: 2100 })
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array() 
+            });
+        }
+
+        const school = await School.findByPk(req.params.id);
+        if (!school) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+
+        const whereClause = {
+            [Op.or]: [{ school_id: school.id }, { school_id: null }]
+        };
+        if (req.query.year) {
+            whereClause.holiday_date = {
+                [Op.between]: [`${req.query.year}-01-01`, `${req.query.year}-12-31`]
+            };
+        }
+
+        const holidays = await SchoolHoliday.findAll({
+            where: whereClause,
+            order: [['holiday_date', 'ASC']]
+        });
+
+        res.json({
+            holidays: holidays.map(holiday => ({
+                ...holiday.toJSON(),
+                national: holiday.school_id === null
+            }))
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Add a school-specific holiday (Super Admin/Admin only)
+router.post('/:id/holidays', requireRole(['super_admin', 'admin']), [
+    body('holiday_date').isISO8601().withMessage('Holiday date must be a valid date'),
+    body('name').isLength({ min: 2, max: 100 }).withMessage('Holiday name is required')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array() 
+            });
+        }
+
+        if (!await canAccessSchool(req.user, req.params.id)) {
+            return schoolAccessDenied(res);
+        }
+
+        const school = await School.findByPk(req.params.id);
+        if (!school) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+
+        const { holiday_date, name } = req.body;
+
+        const existing = await SchoolHoliday.findOne({ where: { school_id: school.id, holiday_date } });
+        if (existing) {
+            return res.status(409).json({ error: 'A holiday already exists on this date' });
+        }
+
+        const holiday = await SchoolHoliday.create({ school_id: school.id, holiday_date, name });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'school_holiday_created',
+            table_name: 'school_holidays',
+            record_id: holiday.id,
+            new_values: { school_id: school.id, holiday_date, name },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Holiday added for ${school.name}: ${name} on ${holiday_date} by user ${req.user.id}`);
+
+        res.status(201).json({
+            message: 'Holiday added successfully',
+            holiday
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Delete a school-specific holiday (Super Admin/Admin only)
+router.delete('/:id/holidays/:holidayId', requireRole(['super_admin', 'admin']), async (req, res, next) => {
+    try {
+        if (!await canAccessSchool(req.user, req.params.id)) {
+            return schoolAccessDenied(res);
+        }
+
+        const holiday = await SchoolHoliday.findOne({
+            where: { id: req.params.holidayId, school_id: req.params.id }
+        });
+
+        if (!holiday) {
+            return res.status(404).json({ error: 'Holiday not found' });
+        }
+
+        await holiday.destroy();
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'school_holiday_deleted',
+            table_name: 'school_holidays',
+            record_id: holiday.id,
+            old_values: { school_id: holiday.school_id, holiday_date: holiday.holiday_date, name: holiday.name },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Holiday removed: ${holiday.name} on ${holiday.holiday_date} by user ${req.user.id}`);
+
+        res.json({ message: 'Holiday removed successfully' });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
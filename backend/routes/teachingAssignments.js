@@ -0,0 +1,274 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { TeachingAssignment, Class, Subject, Staff, Term, School, AuditLog } = require('../models');
+const { requireRole, staffSchoolId, canAccessSchool } = require('../middleware/auth');
+const { teachingAssignmentService } = require('../services/teachingAssignmentService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const validate = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+        return false;
+    }
+    return true;
+};
+
+const schoolAccessDenied = (res) => res.status(403).json({
+    error: 'Access denied. You can only manage teaching at your assigned school.',
+    code: 'SCHOOL_ACCESS_DENIED'
+});
+
+const assignmentIncludes = [
+    { model: Staff, as: 'teacher', attributes: ['id', 'employee_id', 'first_name', 'last_name'] },
+    { model: Class, attributes: ['id', 'name', 'grade_level', 'section'] },
+    { model: Subject, attributes: ['id', 'name', 'code'] },
+    { model: Term, attributes: ['id', 'name', 'school_year'] }
+];
+
+// Assigned teachers must be active staff at the class's school
+const checkTeacher = async (res, staffId, classRecord) => {
+    const teacher = await Staff.findByPk(staffId, { attributes: ['id', 'school_id', 'is_active'] });
+    if (!teacher || !teacher.is_active || teacher.school_id !== classRecord.school_id) {
+        res.status(400).json({ error: 'Teacher must be an active staff member at the class\'s school' });
+        return false;
+    }
+    return true;
+};
+
+// Subject assignments, for the current term unless a term is given
+router.get('/', requireRole(['super_admin', 'admin', 'teacher']), [
+    query('school_id').optional().isUUID().withMessage('School ID must be valid UUID'),
+    query('term_id').optional().isUUID().withMessage('Term ID must be valid UUID'),
+    query('staff_id').optional().isUUID().withMessage('Staff ID must be valid UUID'),
+    query('class_id').optional().isUUID().withMessage('Class ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const term = req.query.term_id ? { id: req.query.term_id } : await teachingAssignmentService.currentTerm();
+        if (!term) {
+            return res.status(400).json({ error: 'No current term is set; give a term_id' });
+        }
+
+        const where = { term_id: term.id, is_active: true };
+        ['school_id', 'staff_id', 'class_id'].forEach(field => {
+            if (req.query[field]) where[field] = req.query[field];
+        });
+
+        // Staff other than super admins see only their own school's assignments
+        if (req.user.role !== 'super_admin') {
+            const ownSchoolId = await staffSchoolId(req.user);
+            if (!ownSchoolId || (where.school_id && where.school_id !== ownSchoolId)) {
+                return schoolAccessDenied(res);
+            }
+            where.school_id = ownSchoolId;
+        }
+
+        const assignments = await TeachingAssignment.findAll({
+            where,
+            include: assignmentIncludes,
+            order: [[Class, 'name', 'ASC'], [Subject, 'name', 'ASC']]
+        });
+
+        res.json({ assignments: await teachingAssignmentService.withSchedule(assignments) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Teaching load per teacher at a school for a term
+router.get('/workload', requireRole(['super_admin', 'admin']), [
+    query('school_id').isUUID().withMessage('School ID must be valid UUID'),
+    query('term_id').optional().isUUID().withMessage('Term ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const school = await School.findByPk(req.query.school_id, { attributes: ['id', 'name'] });
+        if (!school) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+        if (!await canAccessSchool(req.user, school.id)) {
+            return schoolAccessDenied(res);
+        }
+        const term = req.query.term_id
+            ? await Term.findByPk(req.query.term_id, { attributes: ['id', 'name', 'school_year'] })
+            : await teachingAssignmentService.currentTerm();
+        if (!term) {
+            return res.status(404).json({ error: 'Term not found' });
+        }
+
+        res.json({
+            school,
+            term: { id: term.id, name: term.name, school_year: term.school_year },
+            teachers: await teachingAssignmentService.workload(school.id, term.id)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Assign a teacher to teach a subject to a class for a term
+router.post('/', requireRole(['super_admin', 'admin']), [
+    body('staff_id').isUUID().withMessage('Staff ID must be valid UUID'),
+    body('class_id').isUUID().withMessage('Class ID must be valid UUID'),
+    body('subject_id').isUUID().withMessage('Subject ID must be valid UUID'),
+    body('term_id').isUUID().withMessage('Term ID must be valid UUID'),
+    body('periods_per_week').isInt({ min: 1, max: 40 }).withMessage('Periods per week must be between 1 and 40')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const { staff_id, class_id, subject_id, term_id } = req.body;
+
+        const classRecord = await Class.findByPk(class_id, { attributes: ['id', 'name', 'school_id'] });
+        if (!classRecord) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+        if (!await canAccessSchool(req.user, classRecord.school_id)) {
+            return schoolAccessDenied(res);
+        }
+        if (!(await Subject.findByPk(subject_id))) {
+            return res.status(404).json({ error: 'Subject not found' });
+        }
+        if (!(await Term.findByPk(term_id))) {
+            return res.status(404).json({ error: 'Term not found' });
+        }
+        if (!(await checkTeacher(res, staff_id, classRecord))) return;
+
+        const existing = await TeachingAssignment.findOne({ where: { class_id, subject_id, term_id } });
+        if (existing && existing.is_active) {
+            return res.status(409).json({
+                error: 'A teacher is already assigned this subject for the class this term; reassign it instead.',
+                code: 'ASSIGNMENT_EXISTS',
+                assignment_id: existing.id
+            });
+        }
+
+        const values = {
+            school_id: classRecord.school_id,
+            staff_id,
+            class_id,
+            subject_id,
+            term_id,
+            periods_per_week: parseInt(req.body.periods_per_week),
+            created_by: req.user.id,
+            is_active: true
+        };
+        const assignment = existing ? await existing.update(values) : await TeachingAssignment.create(values);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'teaching_assignment_created',
+            table_name: 'teaching_assignments',
+            record_id: assignment.id,
+            new_values: values,
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Teaching assignment added for class ${classRecord.name} by ${req.user.email}`);
+
+        res.status(201).json({
+            message: 'Teacher assigned',
+            assignment: await TeachingAssignment.findByPk(assignment.id, { include: assignmentIncludes })
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Reassign the subject to another teacher or change its weekly periods
+router.put('/:id', requireRole(['super_admin', 'admin']), [
+    param('id').isUUID().withMessage('Assignment ID must be valid UUID'),
+    body('staff_id').optional().isUUID().withMessage('Staff ID must be valid UUID'),
+    body('periods_per_week').optional().isInt({ min: 1, max: 40 }).withMessage('Periods per week must be between 1 and 40')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const assignment = await TeachingAssignment.findByPk(req.params.id, {
+            include: [{ model: Class, attributes: ['id', 'name', 'school_id'] }]
+        });
+        if (!assignment || !assignment.is_active) {
+            return res.status(404).json({ error: 'Teaching assignment not found' });
+        }
+        if (!await canAccessSchool(req.user, assignment.Class.school_id)) {
+            return schoolAccessDenied(res);
+        }
+        if (req.body.staff_id && !(await checkTeacher(res, req.body.staff_id, assignment.Class))) return;
+
+        const oldValues = {};
+        const updates = {};
+        ['staff_id', 'periods_per_week'].forEach(field => {
+            if (req.body[field] === undefined) return;
+            oldValues[field] = assignment[field];
+            updates[field] = field === 'periods_per_week' ? parseInt(req.body[field]) : req.body[field];
+        });
+        await assignment.update(updates);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'teaching_assignment_updated',
+            table_name: 'teaching_assignments',
+            record_id: assignment.id,
+            old_values: oldValues,
+            new_values: updates,
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Teaching assignment updated: ${assignment.id} by ${req.user.email}`);
+
+        res.json({
+            message: 'Teaching assignment updated',
+            assignment: await TeachingAssignment.findByPk(assignment.id, { include: assignmentIncludes })
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// End an assignment; timetabled lessons stay until removed from the timetable
+router.delete('/:id', requireRole(['super_admin', 'admin']), [
+    param('id').isUUID().withMessage('Assignment ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const assignment = await TeachingAssignment.findByPk(req.params.id);
+        if (!assignment || !assignment.is_active) {
+            return res.status(404).json({ error: 'Teaching assignment not found' });
+        }
+        if (!await canAccessSchool(req.user, assignment.school_id)) {
+            return schoolAccessDenied(res);
+        }
+
+        await assignment.update({ is_active: false });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'teaching_assignment_removed',
+            table_name: 'teaching_assignments',
+            record_id: assignment.id,
+            old_values: { is_active: true },
+            new_values: { is_active: false },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Teaching assignment removed: ${assignment.id} by ${req.user.email}`);
+
+        res.json({ message: 'Teaching assignment removed' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,320 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { TimetableSlot, TeachingAssignment, Class, Subject, Staff, School, RFIDDevice, Term, AuditLog } = require('../models');
+const { requireRole, canAccessSchool } = require('../middleware/auth');
+const { timetableService, TimetableService } = require('../services/timetableService');
+const { teachingAssignmentService } = require('../services/teachingAssignmentService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Accept HH:MM or HH:MM:SS and store HH:MM:SS
+const normalizeTime = (time) => (time.length === 5 ? `${time}:00` : time);
+
+const SCHOOL_YEAR = /^\d{4}(-\d{4})?$/;
+
+const validate = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+        return false;
+    }
+    return true;
+};
+
+const schoolAccessDenied = (res) => res.status(403).json({
+    error: 'Access denied. You can only manage timetables at your assigned school.',
+    code: 'SCHOOL_ACCESS_DENIED'
+});
+
+const slotIncludes = [
+    { model: Subject, attributes: ['id', 'name', 'code'] },
+    { model: Staff, as: 'teacher', attributes: ['id', 'first_name', 'last_name'] },
+    { model: RFIDDevice, attributes: ['id', 'device_id', 'location'] }
+];
+
+// Subject assignments for the term (the current term by default) with the lessons timetabled for each
+const assignmentsFor = async (where, termId) => {
+    const term = termId ? { id: termId } : await teachingAssignmentService.currentTerm();
+    if (!term) return [];
+    const assignments = await TeachingAssignment.findAll({
+        where: { ...where, term_id: term.id, is_active: true },
+        include: [
+            { model: Class, attributes: ['id', 'name'] },
+            { model: Subject, attributes: ['id', 'name', 'code'] },
+            { model: Staff, as: 'teacher', attributes: ['id', 'first_name', 'last_name'] }
+        ]
+    });
+    return teachingAssignmentService.withSchedule(assignments);
+};
+
+// School year whose timetable to show: the given term's, or the current term's
+const timetableYear = async (termId) => {
+    const term = termId
+        ? await Term.findByPk(termId, { attributes: ['school_year'] })
+        : await teachingAssignmentService.currentTerm();
+    return term ? term.school_year : null;
+};
+
+// Weekly timetable for a class
+router.get('/classes/:class_id', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('class_id').isUUID().withMessage('Class ID must be valid UUID'),
+    query('term_id').optional().isUUID().withMessage('Term ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const classRecord = await Class.findByPk(req.params.class_id, {
+            attributes: ['id', 'name', 'grade_level', 'section', 'school_id', 'school_year']
+        });
+        if (!classRecord) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+        if (!await canAccessSchool(req.user, classRecord.school_id)) {
+            return schoolAccessDenied(res);
+        }
+
+        const slots = await TimetableSlot.findAll({
+            where: { class_id: classRecord.id, school_year: classRecord.school_year, is_active: true },
+            include: slotIncludes,
+            order: [['day_of_week', 'ASC'], ['period_number', 'ASC']]
+        });
+
+        res.json({
+            class: classRecord,
+            slots,
+            week: timetableService.week(slots),
+            assignments: await assignmentsFor({ class_id: classRecord.id }, req.query.term_id)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Weekly timetable for a teacher across every class they teach
+router.get('/teachers/:staff_id', requireRole(['super_admin', 'admin', 'teacher']), [
+    param('staff_id').isUUID().withMessage('Staff ID must be valid UUID'),
+    query('term_id').optional().isUUID().withMessage('Term ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const teacher = await Staff.findByPk(req.params.staff_id, {
+            attributes: ['id', 'employee_id', 'first_name', 'last_name', 'position', 'school_id']
+        });
+        if (!teacher) {
+            return res.status(404).json({ error: 'Teacher not found' });
+        }
+        if (!await canAccessSchool(req.user, teacher.school_id)) {
+            return schoolAccessDenied(res);
+        }
+
+        const schoolYear = await timetableYear(req.query.term_id);
+        const slots = await TimetableSlot.findAll({
+            where: { teacher_id: teacher.id, school_year: schoolYear, is_active: true },
+            include: TimetableService.SLOT_INCLUDES,
+            order: [['day_of_week', 'ASC'], ['start_time', 'ASC']]
+        });
+        const assignments = await assignmentsFor({ staff_id: teacher.id }, req.query.term_id);
+
+        res.json({
+            teacher,
+            school_year: schoolYear,
+            slots,
+            week: timetableService.week(slots),
+            assignments,
+            periods_per_week: {
+                assigned: assignments.reduce((sum, assignment) => sum + assignment.periods_per_week, 0),
+                timetabled: slots.length
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Lessons at a school that clash: a class, teacher or room booked twice at the same time
+router.get('/clashes', requireRole(['super_admin', 'admin']), [
+    query('school_id').isUUID().withMessage('School ID must be valid UUID'),
+    query('school_year').optional().matches(SCHOOL_YEAR).withMessage('School year must look like 2024-2025')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        if (!(await School.findByPk(req.query.school_id, { attributes: ['id'] }))) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+        if (!await canAccessSchool(req.user, req.query.school_id)) {
+            return schoolAccessDenied(res);
+        }
+
+        const schoolYear = req.query.school_year || await timetableYear();
+        const clashes = await timetableService.schoolClashes(req.query.school_id, schoolYear);
+        res.json({ school_year: schoolYear, count: clashes.length, clashes });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Add a lesson to a class timetable
+router.post('/slots', requireRole(['super_admin', 'admin']), [
+    body('class_id').isUUID().withMessage('Class ID must be valid UUID'),
+    body('subject_id').isUUID().withMessage('Subject ID must be valid UUID'),
+    body('teacher_id').optional({ nullable: true }).isUUID().withMessage('Teacher ID must be valid UUID'),
+    body('day_of_week').isInt({ min: 1, max: 7 }).withMessage('Day of week must be 1 (Monday) to 7 (Sunday)'),
+    body('period_number').isInt({ min: 1, max: 12 }).withMessage('Period number must be between 1 and 12'),
+    body('start_time').matches(TIME_PATTERN).withMessage('Start time must be HH:MM'),
+    body('end_time').matches(TIME_PATTERN).withMessage('End time must be HH:MM'),
+    body('room').optional({ nullable: true }).isString().isLength({ max: 50 }),
+    body('rfid_device_id').optional({ nullable: true }).isUUID().withMessage('Device ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const { class_id, subject_id, teacher_id, day_of_week, period_number, room, rfid_device_id } = req.body;
+
+        const classRecord = await Class.findByPk(class_id);
+        if (!classRecord) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+        if (!await canAccessSchool(req.user, classRecord.school_id)) {
+            return schoolAccessDenied(res);
+        }
+
+        if (!(await Subject.findByPk(subject_id))) {
+            return res.status(404).json({ error: 'Subject not found' });
+        }
+
+        if (teacher_id) {
+            const teacher = await Staff.findByPk(teacher_id);
+            if (!teacher || teacher.school_id !== classRecord.school_id) {
+                return res.status(400).json({ error: 'Teacher must be a staff member at the class\'s school' });
+            }
+        }
+
+        if (rfid_device_id) {
+            const device = await RFIDDevice.findByPk(rfid_device_id);
+            if (!device || device.device_type !== 'classroom_reader' || device.school_id !== classRecord.school_id) {
+                return res.status(400).json({ error: 'Device must be a classroom reader at the class\'s school' });
+            }
+        }
+
+        // Lessons go to the teacher assigned the subject for the current term
+        const assignment = await teachingAssignmentService.assignmentFor(class_id, subject_id);
+        if (assignment && teacher_id && teacher_id !== assignment.staff_id) {
+            return res.status(409).json({
+                error: 'Another teacher is assigned this subject for the class this term.',
+                code: 'NOT_ASSIGNED_TEACHER',
+                assignment_id: assignment.id
+            });
+        }
+
+        const existing = await TimetableSlot.findOne({
+            where: { class_id, school_year: classRecord.school_year, day_of_week, period_number }
+        });
+        if (existing && existing.is_active) {
+            return res.status(409).json({ error: 'The class already has a lesson in this period' });
+        }
+
+        const values = {
+            school_id: classRecord.school_id,
+            class_id,
+            school_year: classRecord.school_year,
+            subject_id,
+            teacher_id: teacher_id || (assignment ? assignment.staff_id : null),
+            day_of_week: parseInt(day_of_week),
+            period_number: parseInt(period_number),
+            start_time: normalizeTime(req.body.start_time),
+            end_time: normalizeTime(req.body.end_time),
+            room: room || null,
+            rfid_device_id: rfid_device_id || null,
+            is_active: true
+        };
+
+        const clashes = await timetableService.findClashes(values);
+        if (clashes.length > 0) {
+            return res.status(409).json({
+                error: 'The lesson clashes with another lesson at the same time.',
+                code: 'TIMETABLE_CLASH',
+                clashes
+            });
+        }
+
+        // A removed lesson keeps its period attendance history; reuse its row
+        const slot = existing ? await existing.update(values) : await TimetableSlot.create(values);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'timetable_slot_created',
+            table_name: 'timetable_slots',
+            record_id: slot.id,
+            new_values: values,
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Timetable slot added for class ${classRecord.name} by ${req.user.email}`);
+
+        // Lessons beyond the assigned periods are allowed but flagged
+        const warnings = [];
+        if (assignment) {
+            const scheduled = await TimetableSlot.count({
+                where: { class_id, school_year: classRecord.school_year, subject_id, is_active: true }
+            });
+            if (scheduled > assignment.periods_per_week) {
+                warnings.push(`The subject now has ${scheduled} lessons a week; ${assignment.periods_per_week} are assigned`);
+            }
+        }
+
+        res.status(201).json({
+            message: 'Lesson added to timetable',
+            slot: await TimetableSlot.findByPk(slot.id, { include: slotIncludes }),
+            warnings
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Remove a lesson from a class timetable (period attendance history is kept)
+router.delete('/slots/:id', requireRole(['super_admin', 'admin']), [
+    param('id').isUUID().withMessage('Lesson ID must be valid UUID')
+], async (req, res, next) => {
+    try {
+        if (!validate(req, res)) return;
+
+        const slot = await TimetableSlot.findByPk(req.params.id);
+        if (!slot || !slot.is_active) {
+            return res.status(404).json({ error: 'Lesson not found' });
+        }
+        if (!await canAccessSchool(req.user, slot.school_id)) {
+            return schoolAccessDenied(res);
+        }
+
+        await slot.update({ is_active: false });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'timetable_slot_removed',
+            table_name: 'timetable_slots',
+            record_id: slot.id,
+            old_values: { is_active: true },
+            new_values: { is_active: false },
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`Timetable slot removed: ${slot.id} by ${req.user.email}`);
+
+        res.json({ message: 'Lesson removed from timetable' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const { sequelize } = require('../models');
+const { attendanceService } = require('../services/attendanceService');
+const { attendanceClassifier } = require('../services/attendanceClassifier');
+
+/**
+ * End-of-morning attendance classification
+ * Schedule after the latest half-day cutoff, e.g. `0 13 * * 1-5 npm run attendance:classify`
+ *
+ * Usage: node scripts/classify-attendance.js [YYYY-MM-DD] [school-uuid] [--force]
+ */
+async function runClassification() {
+    const args = process.argv.slice(2);
+    const force = args.includes('--force');
+    const [date = attendanceService.today(), schoolId] = args.filter(arg => arg !== '--force');
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        console.error('❌ Date must be in YYYY-MM-DD format');
+        process.exit(1);
+    }
+
+    let exitCode = 0;
+    try {
+        const summary = await attendanceClassifier.classifyDate(date, { schoolId, force });
+
+        console.log(`📋 Attendance classification for ${date}`);
+        console.log('======================================');
+        console.log(`Schools processed: ${summary.schools_processed}`);
+        console.log(`Schools skipped: ${summary.schools_skipped}`);
+        console.log(`Marked absent: ${summary.marked_absent}`);
+        console.log(`Marked late: ${summary.marked_late}`);
+
+        for (const school of summary.schools) {
+            const outcome = school.skipped
+                ? `skipped (${school.reason})`
+                : `${school.marked_absent} absent, ${school.marked_late} late`;
+            console.log(`  ${school.school_name}: ${outcome}`);
+        }
+    } catch (error) {
+        console.error('❌ Attendance classification failed:', error.message);
+        exitCode = 1;
+    } finally {
+        await sequelize.close();
+    }
+
+    process.exit(exitCode);
+}
+
+// Run if called directly
+if (require.main === module) {
+    runClassification();
+}
+
+module.exports = runClassification;
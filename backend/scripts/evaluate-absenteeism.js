@@ -0,0 +1,45 @@
+const { sequelize, Term } = require('../models');
+const { absenteeismMonitor } = require('../services/absenteeismMonitor');
+
+/**
+ * Chronic absenteeism early warning
+ * Schedule after classification, e.g. `0 18 * * 1-5 npm run attendance:absenteeism`
+ *
+ * Usage: node scripts/evaluate-absenteeism.js [term-uuid] [school-uuid]
+ */
+async function runEvaluation() {
+    const [termId, schoolId] = process.argv.slice(2);
+
+    let exitCode = 0;
+    try {
+        const term = termId
+            ? await Term.findByPk(termId)
+            : await Term.findOne({ where: { is_current: true } });
+        if (!term) {
+            throw new Error(termId ? 'Term not found' : 'No current term is set');
+        }
+
+        const summary = await absenteeismMonitor.evaluateTerm(term.id, { schoolId });
+
+        console.log(`🚩 Absenteeism early warning for ${term.name} (to ${summary.as_of})`);
+        console.log('======================================');
+        console.log(`Schools evaluated: ${summary.schools}`);
+        console.log(`Cases opened: ${summary.opened}`);
+        console.log(`Cases reopened: ${summary.reopened}`);
+        console.log(`Cases updated: ${summary.updated}`);
+    } catch (error) {
+        console.error('❌ Absenteeism evaluation failed:', error.message);
+        exitCode = 1;
+    } finally {
+        await sequelize.close();
+    }
+
+    process.exit(exitCode);
+}
+
+// Run if called directly
+if (require.main === module) {
+    runEvaluation();
+}
+
+module.exports = runEvaluation;
@@ -178,6 +178,7 @@ SECURITY_ALERT_COOLDOWN=300000
 ALERT_AUTH_FAILURES_THRESHOLD=5
 ALERT_SUSPICIOUS_IP_THRESHOLD=10
 ALERT_STUDENT_DATA_THRESHOLD=50
+ALERT_RFID_REJECTIONS_THRESHOLD=10
 
 # Privacy Settings
 PRIVACY_REQUIRE_EXPLICIT_CONSENT=true
@@ -1,4 +1,4 @@
-const { sequelize, Subject, Class, Term, Grade, ReportCard, Student, Staff, School, Parent, StudentParentRelationship, StudentHealth, FamilySocialAssessment, DisabilityAssessment, User } = require('./models');
+const { sequelize, Subject, Class, Term, Grade, ReportCard, Student, Staff, School, Parent, StudentParentRelationship, StudentHealth, FamilySocialAssessment, DisabilityAssessment, User, GradeSubmission } = require('./models');
 const bcrypt = require('bcryptjs');
 
 // Sample data for comprehensive student profiles
@@ -202,40 +202,6 @@ async function seedGradingData() {
     }
 }
 
-async function createTeacher(schoolId, firstName, lastName, email) {
-    // Create user account
-    const password_hash = await bcrypt.hash('teacher123', 12);
-    const [user] = await User.findOrCreate({
-        where: { email },
-        defaults: {
-            username: email.split('@')[0],
-            email,
-            password_hash,
-            role: 'teacher'
-        }
-    });
-
-    // Create staff record
-    const [staff] = await Staff.findOrCreate({
-        where: { user_id: user.id },
-        defaults: {
-            user_id: user.id,
-            school_id: schoolId,
-            employee_id: `CCFS-T-${Math.random().toString(36).substr(2, 6).toUpperCase()}`,
-            first_name: firstName,
-            last_name: lastName,
-            position: 'Class Teacher',
-            department: 'Early Childhood',
-            hire_date: '2023-09-01',
-            employment_status: 'active',
-            qualification: "Bachelor's in Early Childhood Education",
-            experience_years: 5
-        }
-    });
-
-    return staff;
-}
-
 async function createStudentsWithProfiles(studentsData, schoolId, classId, gradeLevel) {
     for (let i = 0; i < studentsData.length; i++) {
         const studentData = studentsData[i];
@@ -512,6 +478,12 @@ async function createGradesForAllStudents(subjects, currentTerm, teachers) {
                     is_final: true
                 }
             });
+
+            // Seeded grades are final, so record them as approved
+            await GradeSubmission.findOrCreate({
+                where: { class_id: student.class_id, subject_id: subject.id, term_id: currentTerm.id },
+                defaults: { status: 'approved', approved_at: new Date() }
+            });
         }
     }
 }
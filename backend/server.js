@@ -17,6 +17,11 @@ const reportRoutes = require('./routes/reports');
 const rfidRoutes = require('./routes/rfid');
 const gradingRoutes = require('./routes/grading');
 const adminRoutes = require('./routes/admin');
+const timetableRoutes = require('./routes/timetable');
+const assessmentRoutes = require('./routes/assessments');
+const reportCardRoutes = require('./routes/reportCards');
+const teachingAssignmentRoutes = require('./routes/teachingAssignments');
+const rolloverRoutes = require('./routes/rollovers');
 
 const logger = require('./utils/logger');
 const { errorHandler, notFoundHandler, timeoutHandler } = require('./middleware/errorHandler');
@@ -536,11 +541,17 @@ app.use('/api/students', authMiddleware, roleBasedLimiter, studentRoutes);
 app.use('/api/admin', authMiddleware, roleBasedLimiter, adminRoutes);
 app.use('/api/admin/schools', authMiddleware, roleBasedLimiter, schoolRoutes);
 app.use('/api/teachers', authMiddleware, roleBasedLimiter, teacherRoutes);
-app.use('/api/attendance', authMiddleware, roleBasedLimiter, attendanceRoutes);
 app.use('/api/facilities', authMiddleware, roleBasedLimiter, facilityRoutes);
 app.use('/api/reports', authMiddleware, roleBasedLimiter, reportRoutes);
-app.use('/api/rfid', authMiddleware, roleBasedLimiter, rfidRoutes);
+// RFID and attendance routes authenticate per endpoint: staff use tokens, readers use device API keys
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/rfid', rfidRoutes);
 app.use('/api/grading', authMiddleware, roleBasedLimiter, gradingRoutes);
+app.use('/api/timetable', authMiddleware, roleBasedLimiter, timetableRoutes);
+app.use('/api/assessments', authMiddleware, roleBasedLimiter, assessmentRoutes);
+app.use('/api/report-cards', authMiddleware, roleBasedLimiter, reportCardRoutes);
+app.use('/api/teaching-assignments', authMiddleware, roleBasedLimiter, teachingAssignmentRoutes);
+app.use('/api/rollovers', authMiddleware, roleBasedLimiter, rolloverRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -0,0 +1,262 @@
+const { Op } = require('sequelize');
+const {
+    School, Student, AttendanceRecord, FamilySocialAssessment, AttendanceCase, Term
+} = require('../models');
+const { schoolCalendar } = require('./schoolCalendar');
+const { attendanceService } = require('./attendanceService');
+const logger = require('../utils/logger');
+
+// Weight of each family/social assessment flag when prioritising cases
+const SOCIAL_RISK_WEIGHTS = {
+    homeless: 30,
+    foster_care: 15,
+    no_electricity: 10,
+    single_parent_household: 5,
+    free_meal_eligible: 5
+};
+
+const FOOD_INSECURITY_WEIGHTS = {
+    severe: 25,
+    high: 20,
+    moderate: 10,
+    medium: 10,
+    low: 5
+};
+
+/**
+ * Chronic Absenteeism Early-Warning Service
+ * Flags students who cross attendance thresholds in a term and prioritises
+ * their cases for the social worker using family and social assessment flags
+ */
+class AbsenteeismMonitor {
+    constructor() {
+        this.thresholds = {
+            absenceRate: parseFloat(process.env.ABSENTEEISM_RATE_THRESHOLD) || 10,
+            consecutiveAbsences: parseInt(process.env.ABSENTEEISM_CONSECUTIVE_DAYS) || 3,
+            lateCount: parseInt(process.env.ABSENTEEISM_LATE_THRESHOLD) || 5,
+            // Too few days for a meaningful rate early in the term
+            minimumSchoolDays: 10
+        };
+
+        this.priorityScores = {
+            high: 60,
+            medium: 30
+        };
+    }
+
+    /**
+     * Evaluate a term for every active school (or one school) up to a date
+     */
+    async evaluateTerm(termId, options = {}) {
+        const term = await Term.findByPk(termId);
+        if (!term) {
+            throw new Error('Term not found');
+        }
+
+        const asOf = options.asOf || attendanceService.today();
+        const endDate = term.end_date < asOf ? term.end_date : asOf;
+        const thresholds = { ...this.thresholds, ...(options.thresholds || {}) };
+
+        const summary = { term_id: term.id, as_of: endDate, thresholds, opened: 0, updated: 0, reopened: 0, schools: 0 };
+        if (endDate < term.start_date) {
+            return summary;
+        }
+
+        const schoolWhere = { is_active: true };
+        if (options.schoolId) schoolWhere.id = options.schoolId;
+        const schools = await School.findAll({ where: schoolWhere, attributes: ['id', 'name'] });
+
+        for (const school of schools) {
+            const result = await this.evaluateSchool(school, term, endDate, thresholds);
+            summary.opened += result.opened;
+            summary.updated += result.updated;
+            summary.reopened += result.reopened;
+            summary.schools += 1;
+        }
+
+        logger.info('Absenteeism evaluation completed', {
+            termId: term.id,
+            asOf: endDate,
+            schools: summary.schools,
+            opened: summary.opened,
+            reopened: summary.reopened
+        });
+
+        return summary;
+    }
+
+    /**
+     * Evaluate one school's students for a term and upsert their cases
+     */
+    async evaluateSchool(school, term, endDate, thresholds) {
+        const result = { opened: 0, updated: 0, reopened: 0 };
+
+        const schoolDays = await schoolCalendar.getSchoolDays(school.id, term.start_date, endDate);
+        if (schoolDays.length === 0) return result;
+
+        const [students, records, cases] = await Promise.all([
+            Student.findAll({
+                where: { school_id: school.id, is_active: true },
+                attributes: ['id', 'enrollment_date'],
+                include: [{ model: FamilySocialAssessment, required: false }]
+            }),
+            AttendanceRecord.findAll({
+                where: {
+                    school_id: school.id,
+                    attendance_date: { [Op.between]: [term.start_date, endDate] }
+                },
+                attributes: ['student_id', 'attendance_date', 'status']
+            }),
+            AttendanceCase.findAll({ where: { school_id: school.id, term_id: term.id } })
+        ]);
+
+        const statusesByStudent = new Map();
+        for (const record of records) {
+            if (!statusesByStudent.has(record.student_id)) statusesByStudent.set(record.student_id, new Map());
+            statusesByStudent.get(record.student_id).set(record.attendance_date, record.status);
+        }
+        const caseByStudent = new Map(cases.map(existing => [existing.student_id, existing]));
+
+        for (const student of students) {
+            const days = student.enrollment_date
+                ? schoolDays.filter(date => date >= student.enrollment_date)
+                : schoolDays;
+            if (days.length === 0) continue;
+
+            const metrics = this.measure(days, statusesByStudent.get(student.id) || new Map());
+            const triggers = this.checkThresholds(metrics, thresholds);
+            const existing = caseByStudent.get(student.id);
+            if (triggers.length === 0 && !existing) continue;
+
+            const risk = this.assessSocialRisk(student.FamilySocialAssessment);
+            const riskScore = Math.round(metrics.absence_rate) +
+                metrics.longest_absence_streak * 3 +
+                metrics.days_late +
+                risk.score;
+
+            const values = {
+                ...metrics,
+                triggers,
+                risk_factors: risk.factors,
+                risk_score: riskScore,
+                priority: this.priorityFor(riskScore),
+                last_evaluated_at: new Date()
+            };
+            if (student.FamilySocialAssessment && student.FamilySocialAssessment.social_worker_name) {
+                values.social_worker_name = student.FamilySocialAssessment.social_worker_name;
+            }
+
+            if (!existing) {
+                await AttendanceCase.create({
+                    student_id: student.id,
+                    school_id: school.id,
+                    term_id: term.id,
+                    status: 'open',
+                    ...values
+                });
+                result.opened += 1;
+            } else if (existing.status === 'resolved' && triggers.length > 0 && metrics.days_absent > existing.days_absent) {
+                // Absences have continued since the case was closed
+                await existing.update({ ...values, status: 'open', resolved_at: null, resolved_by: null });
+                result.reopened += 1;
+            } else {
+                await existing.update(values);
+                result.updated += 1;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Absence and lateness figures over the student's school days
+     */
+    measure(days, statuses) {
+        let daysAbsent = 0;
+        let daysLate = 0;
+        let streak = 0;
+        let longestStreak = 0;
+
+        for (const date of days) {
+            const status = statuses.get(date);
+            if (status === 'late') daysLate += 1;
+            if (status === 'absent') {
+                daysAbsent += 1;
+                streak += 1;
+                longestStreak = Math.max(longestStreak, streak);
+            } else {
+                streak = 0;
+            }
+        }
+
+        return {
+            school_days: days.length,
+            days_absent: daysAbsent,
+            days_late: daysLate,
+            absence_rate: Math.round((daysAbsent / days.length) * 10000) / 100,
+            longest_absence_streak: longestStreak
+        };
+    }
+
+    /**
+     * Thresholds crossed by a student's metrics
+     * Excused absences are not counted; only unexplained absences and lateness
+     */
+    checkThresholds(metrics, thresholds) {
+        const triggers = [];
+
+        if (metrics.school_days >= thresholds.minimumSchoolDays && metrics.absence_rate >= thresholds.absenceRate) {
+            triggers.push({ type: 'absence_rate', value: metrics.absence_rate, threshold: thresholds.absenceRate });
+        }
+        if (metrics.longest_absence_streak >= thresholds.consecutiveAbsences) {
+            triggers.push({
+                type: 'consecutive_absences',
+                value: metrics.longest_absence_streak,
+                threshold: thresholds.consecutiveAbsences
+            });
+        }
+        if (metrics.days_late >= thresholds.lateCount) {
+            triggers.push({ type: 'repeated_lateness', value: metrics.days_late, threshold: thresholds.lateCount });
+        }
+
+        return triggers;
+    }
+
+    /**
+     * Family and social flags that make a case more urgent
+     */
+    assessSocialRisk(assessment) {
+        const factors = [];
+        if (!assessment) return { factors, score: 0 };
+
+        if (assessment.homeless) factors.push('homeless');
+        if (assessment.foster_care) factors.push('foster_care');
+        if (assessment.has_electricity === false) factors.push('no_electricity');
+        if (assessment.single_parent_household) factors.push('single_parent_household');
+        if (assessment.free_meal_eligible) factors.push('free_meal_eligible');
+
+        let score = factors.reduce((sum, factor) => sum + SOCIAL_RISK_WEIGHTS[factor], 0);
+
+        const foodInsecurity = (assessment.food_insecurity_level || '').toLowerCase();
+        if (FOOD_INSECURITY_WEIGHTS[foodInsecurity]) {
+            factors.push(`food_insecurity_${foodInsecurity}`);
+            score += FOOD_INSECURITY_WEIGHTS[foodInsecurity];
+        }
+
+        return { factors, score };
+    }
+
+    priorityFor(riskScore) {
+        if (riskScore >= this.priorityScores.high) return 'high';
+        if (riskScore >= this.priorityScores.medium) return 'medium';
+        return 'low';
+    }
+}
+
+// Singleton instance
+const absenteeismMonitor = new AbsenteeismMonitor();
+
+module.exports = {
+    absenteeismMonitor,
+    AbsenteeismMonitor
+};
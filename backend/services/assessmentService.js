@@ -0,0 +1,158 @@
+const { Assessment, AssessmentScore, Grade, Student, sequelize } = require('../models');
+const { gradingScaleService } = require('./gradingScaleService');
+const { gradeHistoryService } = require('./gradeHistoryService');
+
+/**
+ * Assessment Service
+ * Weighted classwork, tests, projects and exams that roll up into the term grade
+ */
+class AssessmentService {
+    /**
+     * Active assessments for a class, subject and term, with their marks
+     */
+    async getAssessments(classId, subjectId, termId, options = {}) {
+        return Assessment.findAll({
+            where: { class_id: classId, subject_id: subjectId, term_id: termId, is_active: true },
+            include: [{ model: AssessmentScore, required: false }],
+            order: [['assessment_date', 'ASC'], ['created_at', 'ASC']],
+            transaction: options.transaction
+        });
+    }
+
+    /**
+     * Sum of active assessment weights, optionally ignoring one assessment being edited
+     */
+    async totalWeight(classId, subjectId, termId, excludeId = null) {
+        const assessments = await Assessment.findAll({
+            where: { class_id: classId, subject_id: subjectId, term_id: termId, is_active: true },
+            attributes: ['id', 'weight']
+        });
+        return assessments
+            .filter(assessment => assessment.id !== excludeId)
+            .reduce((sum, assessment) => sum + parseFloat(assessment.weight), 0);
+    }
+
+    /**
+     * Weighted term score for one student
+     * Only marked, non-excused assessments count, and their weights are rescaled to
+     * 100%, so the score is meaningful part-way through the term
+     */
+    computeScore(assessments, studentId) {
+        let weighted = 0;
+        let weightTotal = 0;
+        const components = [];
+
+        for (const assessment of assessments) {
+            const mark = (assessment.AssessmentScores || []).find(score => score.student_id === studentId);
+            const weight = parseFloat(assessment.weight);
+            const maxScore = parseFloat(assessment.max_score);
+            const counted = !!mark && !mark.is_excused && mark.score !== null && mark.score !== undefined;
+            const percentage = counted ? (parseFloat(mark.score) / maxScore) * 100 : null;
+
+            if (counted) {
+                weighted += percentage * weight;
+                weightTotal += weight;
+            }
+
+            components.push({
+                assessment_id: assessment.id,
+                title: assessment.title,
+                assessment_type: assessment.assessment_type,
+                weight,
+                max_score: maxScore,
+                score: mark && mark.score !== null ? parseFloat(mark.score) : null,
+                percentage: percentage === null ? null : Math.round(percentage * 100) / 100,
+                excused: !!(mark && mark.is_excused)
+            });
+        }
+
+        if (weightTotal === 0) return null;
+        return {
+            numeric_score: Math.round((weighted / weightTotal) * 100) / 100,
+            components
+        };
+    }
+
+    /**
+     * Recompute the term grades for a class and subject from its assessments
+     * Finalised grades are left untouched; students with no marks yet get no grade,
+     * and a grade derived from marks that no longer count (its assessments removed or
+     * its marks excused) is removed. Changes are versioned in the grade history under
+     * the given user and reason; removed grades are listed for the caller to audit.
+     */
+    async recalculateGrades(classId, subjectId, termId, { userId = null, reason = null } = {}) {
+        const result = { created: 0, updated: 0, removed: 0, skipped_final: 0, removed_grades: [] };
+        const scale = (await gradingScaleService.resolveForClasses([classId])).get(classId);
+        if (!scale) return result;
+
+        return sequelize.transaction(async (t) => {
+            const assessments = await this.getAssessments(classId, subjectId, termId, { transaction: t });
+
+            const [students, grades] = await Promise.all([
+                Student.findAll({ where: { class_id: classId, is_active: true }, attributes: ['id'], transaction: t }),
+                Grade.findAll({ where: { class_id: classId, subject_id: subjectId, term_id: termId }, transaction: t })
+            ]);
+            const gradeByStudent = new Map(grades.map(grade => [grade.student_id, grade]));
+
+            // The most recent assessment's teacher is recorded on newly derived grades
+            const teacherId = assessments.length > 0 ? assessments[assessments.length - 1].teacher_id : null;
+            const history = { userId, source: 'assessment', reason, transaction: t };
+
+            for (const student of students) {
+                const grade = gradeByStudent.get(student.id);
+                const computed = this.computeScore(assessments, student.id);
+
+                if (!computed) {
+                    // Only grades computed from marks go; grades entered by hand stay
+                    if (!grade || !grade.assessment_components) continue;
+                    if (grade.is_final) {
+                        result.skipped_final += 1;
+                        continue;
+                    }
+                    result.removed_grades.push({ grade_id: grade.id, student_id: student.id, ...gradeHistoryService.snapshot(grade) });
+                    await grade.destroy({ transaction: t });
+                    result.removed += 1;
+                    continue;
+                }
+
+                const values = {
+                    numeric_score: computed.numeric_score,
+                    grade_value: gradingScaleService.labelFor(scale, computed.numeric_score),
+                    grading_scale_id: scale.id,
+                    assessment_components: computed.components,
+                    last_modified: new Date()
+                };
+
+                if (grade && grade.is_final) {
+                    result.skipped_final += 1;
+                } else if (grade) {
+                    const before = gradeHistoryService.snapshot(grade);
+                    await grade.update(values, { transaction: t });
+                    await gradeHistoryService.record(grade, before, history);
+                    result.updated += 1;
+                } else {
+                    const created = await Grade.create({
+                        student_id: student.id,
+                        subject_id: subjectId,
+                        class_id: classId,
+                        term_id: termId,
+                        teacher_id: teacherId,
+                        ...values
+                    }, { transaction: t });
+                    await gradeHistoryService.record(created, null, history);
+                    result.created += 1;
+                }
+            }
+
+            return result;
+        });
+    }
+}
+
+// Singleton instance
+const assessmentService = new AssessmentService();
+
+module.exports = {
+    assessmentService,
+    AssessmentService
+};
@@ -0,0 +1,211 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../models');
+
+const PERIODS = ['daily', 'weekly', 'monthly'];
+
+// Columns identifying a group for each grouping
+const GROUPINGS = {
+    national: [],
+    school: ['s.id', 's.name'],
+    grade_level: ['st.grade_level'],
+    class: ['c.id', 'c.name', 's.name'],
+    parish: ['s.parish'],
+    zone: ['z.id', 'z.name']
+};
+
+const GENDERS = ['male', 'female', 'other'];
+
+/**
+ * Attendance Analytics Service
+ * Attendance rates aggregated in the database by period and by school, grade,
+ * class, parish or zone, so national trends never require loading raw records
+ */
+class AttendanceAnalytics {
+    static get PERIODS() {
+        return PERIODS;
+    }
+
+    static get GROUPINGS() {
+        return Object.keys(GROUPINGS);
+    }
+
+    /**
+     * SQL expression bucketing attendance_date into a period start (YYYY-MM-DD, or YYYY-MM for months)
+     * Weeks start on Monday
+     */
+    periodExpression(period) {
+        if (sequelize.getDialect() === 'postgres') {
+            switch (period) {
+            case 'weekly':
+                return 'TO_CHAR(DATE_TRUNC(\'week\', ar.attendance_date), \'YYYY-MM-DD\')';
+            case 'monthly':
+                return 'TO_CHAR(ar.attendance_date, \'YYYY-MM\')';
+            default:
+                return 'TO_CHAR(ar.attendance_date, \'YYYY-MM-DD\')';
+            }
+        }
+
+        switch (period) {
+        case 'weekly':
+            return 'DATE(ar.attendance_date, \'-\' || ((CAST(STRFTIME(\'%w\', ar.attendance_date) AS INTEGER) + 6) % 7) || \' days\')';
+        case 'monthly':
+            return 'STRFTIME(\'%Y-%m\', ar.attendance_date)';
+        default:
+            return 'DATE(ar.attendance_date)';
+        }
+    }
+
+    /**
+     * WHERE clause and replacements for the report filters
+     */
+    buildFilters(filters) {
+        const conditions = ['ar.attendance_date BETWEEN :start_date AND :end_date'];
+        const replacements = { start_date: filters.start_date, end_date: filters.end_date };
+
+        const columns = {
+            school_id: 'ar.school_id',
+            zone_id: 's.zone_id',
+            parish: 's.parish',
+            grade_level: 'st.grade_level',
+            class_id: 'st.class_id',
+            gender: 'st.gender'
+        };
+        for (const [filter, column] of Object.entries(columns)) {
+            if (filters[filter] !== undefined && filters[filter] !== null && filters[filter] !== '') {
+                conditions.push(`${column} = :${filter}`);
+                replacements[filter] = filters[filter];
+            }
+        }
+
+        return { where: conditions.join(' AND '), replacements };
+    }
+
+    /**
+     * Attendance counts and rates per period and group, each with a gender breakdown
+     * Rows are grouped by gender in SQL and folded together here, so the result
+     * size depends only on the number of periods and groups
+     */
+    async getAttendanceRates({ period = 'weekly', groupBy = 'school', ...filters }) {
+        const groupKey = GROUPINGS[groupBy];
+        const periodSql = this.periodExpression(period);
+        const { where, replacements } = this.buildFilters(filters);
+
+        const groupColumns = groupKey.map((column, index) => `${column} AS group_${index}`);
+        const groupKeys = groupKey.length > 0 ? `, ${groupKey.join(', ')}` : '';
+
+        const rows = await sequelize.query(`
+            SELECT ${periodSql} AS period,
+                ${groupColumns.length > 0 ? `${groupColumns.join(', ')},` : ''}
+                st.gender AS gender,
+                COUNT(*) AS records,
+                SUM(CASE WHEN ar.status = 'present' THEN 1 ELSE 0 END) AS present,
+                SUM(CASE WHEN ar.status = 'late' THEN 1 ELSE 0 END) AS late,
+                SUM(CASE WHEN ar.status = 'absent' THEN 1 ELSE 0 END) AS absent,
+                SUM(CASE WHEN ar.status = 'excused' THEN 1 ELSE 0 END) AS excused
+            FROM attendance_records ar
+            JOIN students st ON st.id = ar.student_id
+            JOIN schools s ON s.id = ar.school_id
+            LEFT JOIN classes c ON c.id = st.class_id
+            LEFT JOIN zones z ON z.id = s.zone_id
+            WHERE ${where}
+            GROUP BY ${periodSql}${groupKeys}, st.gender
+            ORDER BY period ASC
+        `, { replacements, type: QueryTypes.SELECT });
+
+        const series = new Map();
+        const totals = this.emptyCounts();
+
+        for (const row of rows) {
+            const groupValues = groupKey.map((column, index) => row[`group_${index}`]);
+            const key = [row.period, ...groupValues].join('|');
+
+            if (!series.has(key)) {
+                series.set(key, {
+                    period: row.period,
+                    group: this.describeGroup(groupBy, groupValues),
+                    ...this.emptyCounts(),
+                    gender: {}
+                });
+            }
+
+            const entry = series.get(key);
+            const counts = this.readCounts(row);
+            this.addCounts(entry, counts);
+            this.addCounts(totals, counts);
+            entry.gender[row.gender] = this.withRates(counts);
+        }
+
+        const results = [...series.values()].map(entry => {
+            GENDERS.filter(gender => !entry.gender[gender])
+                .forEach(gender => { entry.gender[gender] = this.withRates(this.emptyCounts()); });
+            return this.withRates(entry);
+        });
+
+        return {
+            period,
+            group_by: groupBy,
+            start_date: filters.start_date,
+            end_date: filters.end_date,
+            totals: this.withRates(totals),
+            series: results
+        };
+    }
+
+    describeGroup(groupBy, values) {
+        switch (groupBy) {
+        case 'school':
+            return { id: values[0], name: values[1] };
+        case 'class':
+            return { id: values[0], name: values[1] || 'Unassigned', school: values[2] };
+        case 'zone':
+            return { id: values[0], name: values[1] || 'Unassigned' };
+        case 'grade_level':
+        case 'parish':
+            return { name: values[0] || 'Unassigned' };
+        default:
+            return null;
+        }
+    }
+
+    emptyCounts() {
+        return { records: 0, present: 0, late: 0, absent: 0, excused: 0 };
+    }
+
+    // Postgres returns COUNT/SUM as strings
+    readCounts(row) {
+        return {
+            records: parseInt(row.records) || 0,
+            present: parseInt(row.present) || 0,
+            late: parseInt(row.late) || 0,
+            absent: parseInt(row.absent) || 0,
+            excused: parseInt(row.excused) || 0
+        };
+    }
+
+    addCounts(target, counts) {
+        for (const field of Object.keys(this.emptyCounts())) {
+            target[field] += counts[field];
+        }
+    }
+
+    /**
+     * Attendance rate counts late arrivals as attending; the absence rate splits out excused absences
+     */
+    withRates(counts) {
+        const rate = (value) => (counts.records > 0 ? Math.round((value / counts.records) * 10000) / 100 : null);
+        return {
+            ...counts,
+            attendance_rate: rate(counts.present + counts.late),
+            absence_rate: rate(counts.absent + counts.excused),
+            unexcused_absence_rate: rate(counts.absent)
+        };
+    }
+}
+
+// Singleton instance
+const attendanceAnalytics = new AttendanceAnalytics();
+
+module.exports = {
+    attendanceAnalytics,
+    AttendanceAnalytics
+};
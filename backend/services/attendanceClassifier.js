@@ -0,0 +1,151 @@
+const { Op } = require('sequelize');
+const { BellSchedule, School, Student, AttendanceRecord, sequelize } = require('../models');
+const { schoolCalendar } = require('./schoolCalendar');
+const { attendanceService } = require('./attendanceService');
+const logger = require('../utils/logger');
+
+/**
+ * Attendance Classification Service
+ * End-of-morning job that marks late arrivals and absences from each school's bell schedule
+ */
+class AttendanceClassifier {
+    /**
+     * Classify attendance for every school with an active bell schedule
+     * (or one school when schoolId is given) on the given date
+     */
+    async classifyDate(date, options = {}) {
+        const { schoolId, force = false, now = new Date() } = options;
+
+        const where = { is_active: true };
+        if (schoolId) where.school_id = schoolId;
+
+        const schedules = await BellSchedule.findAll({
+            where,
+            include: [{ model: School, attributes: ['id', 'name'], where: { is_active: true } }]
+        });
+
+        const results = [];
+        for (const schedule of schedules) {
+            results.push(await this.classifySchool(schedule, date, { force, now }));
+        }
+
+        const summary = {
+            date,
+            schools_processed: results.filter(result => !result.skipped).length,
+            schools_skipped: results.filter(result => result.skipped).length,
+            marked_absent: results.reduce((sum, result) => sum + (result.marked_absent || 0), 0),
+            marked_late: results.reduce((sum, result) => sum + (result.marked_late || 0), 0),
+            schools: results
+        };
+
+        logger.info('Attendance classification completed', {
+            date,
+            schoolsProcessed: summary.schools_processed,
+            markedAbsent: summary.marked_absent,
+            markedLate: summary.marked_late
+        });
+
+        return summary;
+    }
+
+    /**
+     * Classify one school's attendance for a date
+     * Students with no record become absent; present records checked in after
+     * the grace window become late. Excused and manually set records are left alone.
+     *
+     * The half-day cutoff is when the morning ends and classification may run, not
+     * a separate status: a student arriving after it was on campus, so stays late.
+     * Attendance summaries, report cards, absenteeism and analytics all count whole
+     * days, and a half-day status would need a weighting agreed across all of them.
+     */
+    async classifySchool(schedule, date, { force = false, now = new Date() } = {}) {
+        const school = schedule.School;
+        const base = { school_id: school.id, school_name: school.name };
+
+        const calendar = await schoolCalendar.isSchoolDay(date, school.id);
+        if (!calendar.schoolDay) {
+            return { ...base, skipped: true, reason: calendar.reason };
+        }
+
+        // The morning is not over yet; running now would mark students still arriving as absent
+        const today = attendanceService.localDate(now);
+        const currentTime = attendanceService.localTime(now);
+        if (!force && date === today && currentTime < schedule.half_day_cutoff) {
+            return { ...base, skipped: true, reason: 'before_cutoff' };
+        }
+
+        const lateAfter = attendanceService.addMinutes(schedule.start_time, schedule.grace_period_minutes);
+
+        return sequelize.transaction(async (t) => {
+            const students = await Student.findAll({
+                where: { school_id: school.id, is_active: true },
+                attributes: ['id'],
+                transaction: t
+            });
+
+            const records = await AttendanceRecord.findAll({
+                where: { school_id: school.id, attendance_date: date },
+                attributes: ['id', 'student_id'],
+                transaction: t
+            });
+            const recorded = new Set(records.map(record => record.student_id));
+
+            const absentees = students
+                .filter(student => !recorded.has(student.id))
+                .map(student => ({
+                    student_id: student.id,
+                    school_id: school.id,
+                    attendance_date: date,
+                    status: 'absent',
+                    source: 'auto',
+                    notes: `No scan recorded by ${schedule.half_day_cutoff}`
+                }));
+
+            let markedAbsent = 0;
+            if (absentees.length > 0) {
+                // A scan arriving mid-run already holds the day's record; keep it
+                await AttendanceRecord.bulkCreate(absentees, { transaction: t, ignoreDuplicates: true });
+
+                // Skipped duplicates are not reported back, so count what was actually written
+                markedAbsent = await AttendanceRecord.count({
+                    where: {
+                        student_id: absentees.map(absentee => absentee.student_id),
+                        attendance_date: date,
+                        status: 'absent',
+                        source: 'auto'
+                    },
+                    transaction: t
+                });
+            }
+
+            const [lateCount] = await AttendanceRecord.update(
+                { status: 'late' },
+                {
+                    where: {
+                        school_id: school.id,
+                        attendance_date: date,
+                        status: 'present',
+                        check_in_time: { [Op.gt]: lateAfter }
+                    },
+                    transaction: t
+                }
+            );
+
+            return {
+                ...base,
+                skipped: false,
+                late_after: lateAfter,
+                marked_absent: markedAbsent,
+                marked_late: lateCount
+            };
+        });
+    }
+}
+
+// Singleton instance
+const attendanceClassifier = new AttendanceClassifier();
+
+module.exports = {
+    attendanceClassifier,
+    AttendanceClassifier
+};
@@ -0,0 +1,272 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { AttendanceRecord, sequelize } = require('../models');
+const { schoolCalendar } = require('./schoolCalendar');
+
+/**
+ * Attendance Recording Service
+ * Single place that decides which school day a moment belongs to and writes the
+ * one attendance record a student has for that day
+ */
+class AttendanceService {
+    constructor() {
+        // All schools share one timezone; attendance dates and times are school-local
+        this.timeZone = process.env.SCHOOL_TIMEZONE || 'America/Barbados';
+
+        // Class teachers may correct a register for this many days after the school day
+        this.registerEditWindowDays = parseInt(process.env.REGISTER_EDIT_WINDOW_DAYS) || 1;
+
+        this.dateFormat = new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        });
+        this.timeFormat = new Intl.DateTimeFormat('en-GB', {
+            timeZone: this.timeZone,
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        });
+    }
+
+    /**
+     * School-local calendar date (YYYY-MM-DD) of a moment
+     */
+    localDate(at = new Date()) {
+        return this.dateFormat.format(at);
+    }
+
+    /**
+     * School-local time of day (HH:MM:SS) of a moment
+     */
+    localTime(at = new Date()) {
+        return this.timeFormat.format(at);
+    }
+
+    /**
+     * Today's school-local date
+     */
+    today() {
+        return this.localDate(new Date());
+    }
+
+    /**
+     * ISO weekday (1 = Monday ... 7 = Sunday) of a YYYY-MM-DD date
+     */
+    weekday(date) {
+        return new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+    }
+
+    /**
+     * Add (or with a negative value, subtract) minutes to an HH:MM:SS time of day
+     */
+    addMinutes(time, minutes) {
+        const [hours, mins, secs = '00'] = time.split(':');
+        const total = (((parseInt(hours) * 60 + parseInt(mins) + minutes) % 1440) + 1440) % 1440;
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(Math.floor(total / 60))}:${pad(total % 60)}:${pad(parseInt(secs))}`;
+    }
+
+    /**
+     * Fetch the student's record for a school day, creating it if needed
+     * Concurrent scans race on the (student_id, attendance_date) unique index;
+     * the loser re-reads the winner's row instead of failing
+     */
+    async findOrCreateDailyRecord(student, attendanceDate, defaults = {}, options = {}) {
+        const where = { student_id: student.id, attendance_date: attendanceDate };
+
+        try {
+            return await AttendanceRecord.findOrCreate({
+                where,
+                defaults: {
+                    student_id: student.id,
+                    school_id: student.school_id,
+                    attendance_date: attendanceDate,
+                    status: 'present',
+                    ...defaults
+                },
+                transaction: options.transaction
+            });
+        } catch (error) {
+            if (!(error instanceof UniqueConstraintError)) throw error;
+            const attendance = await AttendanceRecord.findOne({ where, transaction: options.transaction });
+            return [attendance, false];
+        }
+    }
+
+    /**
+     * Record an arrival; the earliest entry of the day is kept, so back-filled
+     * scans can move it earlier, and re-entry after leaving clears the exit.
+     * A student already marked absent by the classifier who turns up is late.
+     */
+    async recordEntry(attendance, at, options = {}) {
+        const update = {};
+        if (attendance.status === 'absent' && attendance.source === 'auto') {
+            update.status = 'late';
+        }
+        if (!attendance.rfid_entry_time || at < new Date(attendance.rfid_entry_time)) {
+            update.rfid_entry_time = at;
+            update.check_in_time = this.localTime(at);
+        }
+        if (attendance.rfid_exit_time && at > new Date(attendance.rfid_exit_time)) {
+            update.rfid_exit_time = null;
+            update.check_out_time = null;
+        }
+        return attendance.update(update, options);
+    }
+
+    /**
+     * Record a departure; the latest exit of the day is kept, and an exit
+     * older than the recorded exit or entry changes nothing
+     */
+    async recordExit(attendance, at, options = {}) {
+        if (attendance.rfid_exit_time && at <= new Date(attendance.rfid_exit_time)) {
+            return attendance;
+        }
+        if (attendance.rfid_entry_time && at < new Date(attendance.rfid_entry_time)) {
+            return attendance;
+        }
+        return attendance.update({
+            rfid_exit_time: at,
+            check_out_time: this.localTime(at)
+        }, options);
+    }
+
+    /**
+     * Whether a class teacher can still submit or edit the register for a date
+     */
+    isRegisterOpen(date, now = new Date()) {
+        const earliest = this.localDate(new Date(now.getTime() - this.registerEditWindowDays * 24 * 60 * 60 * 1000));
+        return date >= earliest && date <= this.localDate(now);
+    }
+
+    /**
+     * Save a class register in one transaction
+     * Each entry is { student_id, status, notes }; scan times on RFID records are kept
+     * so the register and the readers share one record per student per day
+     */
+    async recordRegister(classRecord, date, entries, userId) {
+        return sequelize.transaction(async (t) => {
+            const existing = await AttendanceRecord.findAll({
+                where: {
+                    student_id: entries.map(entry => entry.student_id),
+                    attendance_date: date
+                },
+                transaction: t
+            });
+            const byStudent = new Map(existing.map(record => [record.student_id, record]));
+
+            const results = [];
+            for (const entry of entries) {
+                const values = { status: entry.status, recorded_by: userId };
+                if (entry.notes !== undefined) values.notes = entry.notes;
+
+                let record = byStudent.get(entry.student_id);
+                if (record) {
+                    // Scanned records stay attributed to the reader; the register only sets status
+                    if (!record.rfid_entry_time) values.source = 'register';
+                    await record.update(values, { transaction: t });
+                } else {
+                    record = await AttendanceRecord.create({
+                        student_id: entry.student_id,
+                        school_id: classRecord.school_id,
+                        attendance_date: date,
+                        source: 'register',
+                        ...values
+                    }, { transaction: t });
+                }
+                results.push(record);
+            }
+
+            return results;
+        });
+    }
+
+    /**
+     * Attendance totals for a term per student, from their records on school days
+     * Only days up to today (or the end of term) from the student's enrolment are counted;
+     * late days count as present, excused days as absent, and days never recorded are left out
+     */
+    async summarizeTerm(students, term, asOf = this.today()) {
+        const endDate = term.end_date < asOf ? term.end_date : asOf;
+        const summaries = new Map();
+        if (students.length === 0) return summaries;
+
+        const schoolDaysBySchool = new Map();
+        for (const schoolId of new Set(students.map(student => student.school_id))) {
+            const days = endDate >= term.start_date
+                ? await schoolCalendar.getSchoolDays(schoolId, term.start_date, endDate)
+                : [];
+            schoolDaysBySchool.set(schoolId, new Set(days));
+        }
+
+        const records = await AttendanceRecord.findAll({
+            where: {
+                student_id: students.map(student => student.id),
+                attendance_date: { [Op.between]: [term.start_date, endDate] }
+            },
+            attributes: ['student_id', 'attendance_date', 'status']
+        });
+
+        for (const student of students) {
+            summaries.set(student.id, { days_present: 0, days_absent: 0, days_late: 0, attendance_percentage: null });
+        }
+
+        const studentsById = new Map(students.map(student => [student.id, student]));
+        for (const record of records) {
+            const student = studentsById.get(record.student_id);
+            if (!schoolDaysBySchool.get(student.school_id).has(record.attendance_date)) continue;
+            if (student.enrollment_date && record.attendance_date < student.enrollment_date) continue;
+
+            const summary = summaries.get(student.id);
+            if (record.status === 'present' || record.status === 'late') summary.days_present += 1;
+            if (record.status === 'late') summary.days_late += 1;
+            if (record.status === 'absent' || record.status === 'excused') summary.days_absent += 1;
+        }
+
+        for (const summary of summaries.values()) {
+            const recorded = summary.days_present + summary.days_absent;
+            if (recorded > 0) {
+                summary.attendance_percentage = Math.round((summary.days_present / recorded) * 10000) / 100;
+            }
+        }
+
+        return summaries;
+    }
+
+    /**
+     * Approve or reject a parent's absence excuse in one transaction
+     * Approval turns the absent record into excused; a record that is no longer
+     * absent (the student was marked present or late since) cannot be excused
+     */
+    async reviewExcuse(excuse, decision, userId, reviewNotes) {
+        return sequelize.transaction(async (t) => {
+            const attendance = await AttendanceRecord.findByPk(excuse.attendance_record_id, { transaction: t });
+            if (decision === 'approved' && (!attendance || attendance.status !== 'absent')) {
+                return { reviewed: false, attendance };
+            }
+
+            await excuse.update({
+                status: decision,
+                reviewed_by: userId,
+                reviewed_at: new Date(),
+                review_notes: reviewNotes || null
+            }, { transaction: t });
+
+            if (decision === 'approved') {
+                await attendance.update({ status: 'excused', recorded_by: userId }, { transaction: t });
+            }
+
+            return { reviewed: true, attendance };
+        });
+    }
+}
+
+// Singleton instance
+const attendanceService = new AttendanceService();
+
+module.exports = {
+    attendanceService,
+    AttendanceService
+};
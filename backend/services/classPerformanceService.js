@@ -0,0 +1,174 @@
+const { Op } = require('sequelize');
+const { Class, Student, Grade, Term, ReportCard } = require('../models');
+const { gradingScaleService } = require('./gradingScaleService');
+
+const round = (value) => Math.round(value * 100) / 100;
+const scoreOf = (grade) => (grade.numeric_score === null || grade.numeric_score === undefined ? null : parseFloat(grade.numeric_score));
+
+/**
+ * Class Performance Service
+ * Puts a student's term results in context: each subject's class average and
+ * range, positions in class and grade level, and movement since the previous term
+ */
+class ClassPerformanceService {
+    /**
+     * The term before the given one, by start date
+     */
+    async previousTerm(term) {
+        return Term.findOne({
+            where: { start_date: { [Op.lt]: term.start_date } },
+            order: [['start_date', 'DESC']]
+        });
+    }
+
+    /**
+     * Class average, highest and lowest score and the spread of grades for each subject,
+     * keyed by subject id. Averages are of numeric scores; label-only grades count in the spread.
+     */
+    subjectStatistics(grades) {
+        const bySubject = new Map();
+        for (const grade of grades) {
+            if (!bySubject.has(grade.subject_id)) bySubject.set(grade.subject_id, []);
+            bySubject.get(grade.subject_id).push(grade);
+        }
+
+        const statistics = new Map();
+        for (const [subjectId, subjectGrades] of bySubject) {
+            const scores = subjectGrades.map(scoreOf).filter(score => score !== null);
+            const distribution = {};
+            for (const grade of subjectGrades) {
+                distribution[grade.grade_value] = (distribution[grade.grade_value] || 0) + 1;
+            }
+            statistics.set(subjectId, {
+                subject_id: subjectId,
+                subject: subjectGrades[0].Subject
+                    ? { id: subjectId, name: subjectGrades[0].Subject.name, code: subjectGrades[0].Subject.code }
+                    : { id: subjectId },
+                students: subjectGrades.length,
+                average: scores.length > 0 ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+                highest: scores.length > 0 ? Math.max(...scores) : null,
+                lowest: scores.length > 0 ? Math.min(...scores) : null,
+                distribution
+            });
+        }
+        return statistics;
+    }
+
+    /**
+     * What students are ranked on: the overall score when every student in the group
+     * has one, otherwise the average band points, so the whole group is compared alike.
+     * Students without grades are left out.
+     */
+    rankingValues(gradesByStudent, scale) {
+        const graded = [...gradesByStudent].filter(([, grades]) => grades.length > 0);
+        const overall = graded.map(([studentId, grades]) => [studentId, gradingScaleService.overallGrade(scale, grades).score]);
+        if (overall.every(([, score]) => score !== null)) return new Map(overall);
+
+        const pointsByLabel = new Map(gradingScaleService.bandsOf(scale).map(band => [band.label, band.points]));
+        const values = new Map();
+        for (const [studentId, grades] of graded) {
+            const points = grades.map(grade => pointsByLabel.get(grade.grade_value)).filter(value => value !== undefined);
+            if (points.length > 0) {
+                values.set(studentId, round(points.reduce((sum, value) => sum + value, 0) / points.length));
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Positions from the highest value down; tied students share a position (1, 2, 2, 4)
+     */
+    positions(values) {
+        const ranked = [...values].sort((a, b) => b[1] - a[1]);
+        const positions = new Map();
+        ranked.forEach(([id, value], index) => {
+            const tied = index > 0 && value === ranked[index - 1][1];
+            positions.set(id, tied ? positions.get(ranked[index - 1][0]) : index + 1);
+        });
+        return positions;
+    }
+
+    /**
+     * Term results of a class's students in context. Students carry their Grades for the
+     * term with each Subject. Returns { previousTerm, subjects, students } where students
+     * maps each student id to the statistics stored on their report card.
+     */
+    async forClass(classRecord, term, scale, students) {
+        const classGrades = students.flatMap(student => student.Grades);
+        const subjects = this.subjectStatistics(classGrades);
+
+        const classValues = this.rankingValues(new Map(students.map(student => [student.id, student.Grades])), scale);
+        const classPositions = this.positions(classValues);
+
+        // Every class of the same grade level at the school, this one included
+        const levelClasses = await Class.findAll({
+            where: {
+                school_id: classRecord.school_id,
+                grade_level: classRecord.grade_level,
+                is_active: true,
+                ...(classRecord.school_year ? { school_year: classRecord.school_year } : {})
+            },
+            attributes: ['id']
+        });
+        const levelStudents = await Student.findAll({
+            where: { class_id: levelClasses.map(levelClass => levelClass.id), is_active: true },
+            attributes: ['id'],
+            include: [{ model: Grade, where: { term_id: term.id }, required: false }]
+        });
+        const levelValues = this.rankingValues(new Map(levelStudents.map(student => [student.id, student.Grades])), scale);
+        const levelPositions = this.positions(levelValues);
+
+        const previousTerm = await this.previousTerm(term);
+        const studentIds = students.map(student => student.id);
+        const previousCards = previousTerm
+            ? await ReportCard.findAll({ where: { student_id: studentIds, term_id: previousTerm.id } })
+            : [];
+        const previousGrades = previousTerm
+            ? await Grade.findAll({ where: { student_id: studentIds, term_id: previousTerm.id } })
+            : [];
+
+        const results = new Map();
+        for (const student of students) {
+            const previousCard = previousCards.find(card => card.student_id === student.id);
+            const previousScore = previousCard && previousCard.overall_score !== null ? parseFloat(previousCard.overall_score) : null;
+            const overall = gradingScaleService.overallGrade(scale, student.Grades);
+
+            results.set(student.id, {
+                overall_grade: overall.grade,
+                overall_score: overall.score,
+                class_position: classPositions.get(student.id) || null,
+                class_size: classPositions.size,
+                grade_level_position: levelPositions.get(student.id) || null,
+                grade_level_size: levelPositions.size,
+                previous_overall_score: previousScore,
+                previous_class_position: previousCard ? previousCard.class_position : null,
+                score_change: previousScore !== null && overall.score !== null ? round(overall.score - previousScore) : null,
+                subject_statistics: student.Grades.map(grade => {
+                    const subject = subjects.get(grade.subject_id);
+                    const previous = previousGrades.find(candidate => candidate.student_id === student.id
+                        && candidate.subject_id === grade.subject_id);
+                    const score = scoreOf(grade);
+                    const previousSubjectScore = previous ? scoreOf(previous) : null;
+                    return {
+                        subject_id: grade.subject_id,
+                        class_average: subject.average,
+                        highest: subject.highest,
+                        lowest: subject.lowest,
+                        previous_score: previousSubjectScore,
+                        change: score !== null && previousSubjectScore !== null ? round(score - previousSubjectScore) : null
+                    };
+                })
+            });
+        }
+
+        return { previousTerm, subjects: [...subjects.values()], students: results };
+    }
+}
+
+// Singleton instance
+const classPerformanceService = new ClassPerformanceService();
+
+module.exports = {
+    classPerformanceService,
+    ClassPerformanceService
+};
@@ -0,0 +1,119 @@
+const { Grade, GradeHistory, Subject, Term, User } = require('../models');
+
+// Grade fields whose changes are versioned
+const TRACKED_FIELDS = [
+    'grade_value', 'numeric_score', 'grading_scale_id', 'effort_grade', 'behavior_grade',
+    'teacher_comments', 'teacher_id', 'is_final'
+];
+
+/**
+ * Grade History Service
+ * Keeps a versioned record of every change to a grade: the fields that changed,
+ * their old and new values, who made the change, from where, and why
+ */
+class GradeHistoryService {
+    static get TRACKED_FIELDS() {
+        return TRACKED_FIELDS;
+    }
+
+    /**
+     * Tracked values of a grade; scores are compared as numbers since Postgres returns DECIMAL as a string
+     */
+    snapshot(grade) {
+        const values = {};
+        for (const field of TRACKED_FIELDS) {
+            const value = grade[field];
+            values[field] = field === 'numeric_score' && value !== null && value !== undefined
+                ? parseFloat(value)
+                : (value === undefined ? null : value);
+        }
+        return values;
+    }
+
+    /**
+     * Record a version for a grade after it was created or changed
+     * Pass the snapshot taken before the change, or null for a new grade.
+     * Nothing is recorded when no tracked field changed.
+     */
+    async record(grade, before, { userId = null, source = 'manual', reason = null, transaction } = {}) {
+        const after = this.snapshot(grade);
+        const oldValues = {};
+        const newValues = {};
+
+        for (const field of TRACKED_FIELDS) {
+            if (!before) {
+                if (after[field] !== null) newValues[field] = after[field];
+            } else if (before[field] !== after[field]) {
+                oldValues[field] = before[field];
+                newValues[field] = after[field];
+            }
+        }
+        if (before && Object.keys(newValues).length === 0) return null;
+
+        let changeType = 'updated';
+        if (!before) {
+            changeType = 'created';
+        } else if (Object.keys(newValues).length === 1 && 'is_final' in newValues) {
+            changeType = newValues.is_final ? 'locked' : 'unlocked';
+        }
+
+        const latest = await GradeHistory.max('version', { where: { grade_id: grade.id }, transaction });
+
+        return GradeHistory.create({
+            grade_id: grade.id,
+            version: (latest || 0) + 1,
+            change_type: changeType,
+            source,
+            old_values: oldValues,
+            new_values: newValues,
+            changed_by: userId,
+            change_reason: reason
+        }, { transaction });
+    }
+
+    /**
+     * A student's grade for a subject and term with every version, oldest first
+     * Returns null when no grade has been entered
+     */
+    async getHistory(studentId, subjectId, termId) {
+        const grade = await Grade.findOne({
+            where: { student_id: studentId, subject_id: subjectId, term_id: termId },
+            include: [
+                { model: Subject, attributes: ['id', 'name', 'code'] },
+                { model: Term, attributes: ['id', 'name', 'school_year'] }
+            ]
+        });
+        if (!grade) return null;
+
+        const versions = await GradeHistory.findAll({
+            where: { grade_id: grade.id },
+            include: [{ model: User, as: 'editor', attributes: ['id', 'username', 'email', 'role'] }],
+            order: [['version', 'ASC']]
+        });
+
+        return {
+            grade,
+            versions: versions.map(version => ({
+                version: version.version,
+                change_type: version.change_type,
+                source: version.source,
+                changed_at: version.created_at,
+                changed_by: version.editor,
+                reason: version.change_reason,
+                changes: Object.keys(version.new_values).map(field => ({
+                    field,
+                    from: field in version.old_values ? version.old_values[field] : null,
+                    to: version.new_values[field]
+                }))
+            }))
+        };
+    }
+}
+
+// Singleton instance
+const gradeHistoryService = new GradeHistoryService();
+
+module.exports = {
+    gradeHistoryService,
+    GradeHistoryService
+};
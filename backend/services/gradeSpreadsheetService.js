@@ -0,0 +1,384 @@
+const ExcelJS = require('exceljs');
+const { Readable } = require('stream');
+const { gradingScaleService } = require('./gradingScaleService');
+
+const RATINGS = ['E', 'G', 'S', 'N'];
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+
+// Subject mark sheet columns; the import reads them back by header
+const MARK_SHEET_COLUMNS = [
+    { header: 'Student ID', field: 'student_id', width: 14 },
+    { header: 'Last Name', field: 'last_name', width: 18 },
+    { header: 'First Name', field: 'first_name', width: 18 },
+    { header: 'Score', field: 'numeric_score', width: 10 },
+    { header: 'Grade', field: 'grade_value', width: 10 },
+    { header: 'Effort', field: 'effort_grade', width: 10 },
+    { header: 'Behaviour', field: 'behavior_grade', width: 12 },
+    { header: 'Teacher Comments', field: 'teacher_comments', width: 60 }
+];
+
+// Header spellings accepted on import, lower-cased
+const IMPORT_HEADERS = {
+    'student id': 'student_id',
+    'last name': 'last_name',
+    'first name': 'first_name',
+    subject: 'subject',
+    score: 'numeric_score',
+    grade: 'grade_value',
+    effort: 'effort_grade',
+    behaviour: 'behavior_grade',
+    behavior: 'behavior_grade',
+    'teacher comments': 'teacher_comments',
+    comments: 'teacher_comments'
+};
+
+// Rows searched for the header row, which sits below the sheet title on exported sheets
+const HEADER_SEARCH_ROWS = 10;
+
+/**
+ * Grade Spreadsheet Service
+ * Builds the class grade workbook and reads teacher-filled mark sheets back into
+ * grade entries, checking each row against the class roster and grading scale
+ */
+class GradeSpreadsheetService {
+    static get MARK_SHEET_COLUMNS() {
+        return MARK_SHEET_COLUMNS;
+    }
+
+    /**
+     * Worksheet name for a subject's mark sheet; Excel allows 31 characters and no []:*?/\
+     */
+    sheetNameFor(subject) {
+        return subject.code.replace(/[[\]:*?/\\]/g, '-').slice(0, 31);
+    }
+
+    /**
+     * Grade workbook for a class and term: a class summary, one mark sheet per
+     * subject in the layout the import reads, and a student profile sheet
+     * Students carry their Grades, StudentHealth and Parents; assessed holds the ids
+     * of subjects graded from assessment marks and statuses each subject's review status
+     */
+    buildWorkbook({ classInfo, term, scale, students, subjects, assessed, statuses }) {
+        const workbook = new ExcelJS.Workbook();
+        workbook.created = new Date();
+
+        this.addSummarySheet(workbook, { classInfo, term, scale, students, subjects });
+        for (const subject of subjects) {
+            this.addSubjectSheet(workbook, {
+                classInfo,
+                term,
+                scale,
+                students,
+                subject,
+                assessed: assessed.has(subject.id),
+                status: statuses.get(subject.id) || 'draft'
+            });
+        }
+        this.addProfileSheet(workbook, { classInfo, students });
+
+        return workbook;
+    }
+
+    addSummarySheet(workbook, { classInfo, term, scale, students, subjects }) {
+        const sheet = workbook.addWorksheet('Class Summary');
+        const headers = ['Student ID', 'Name', 'DOB', 'Gender', ...subjects.map(subject => subject.code), 'Overall'];
+
+        this.addTitle(sheet, headers.length, [
+            `${classInfo.School.name} - ${classInfo.name} Grade Report`,
+            `${term.name} ${term.school_year} (${scale.name})`
+        ]);
+        sheet.addRow([]);
+        this.addHeaderRow(sheet, headers);
+
+        for (const student of students) {
+            const row = [
+                student.student_id,
+                `${student.first_name} ${student.last_name}`,
+                student.date_of_birth,
+                student.gender
+            ];
+            for (const subject of subjects) {
+                const grade = student.Grades.find(candidate => candidate.subject_id === subject.id);
+                row.push(grade ? this.formatGrade(grade) : '-');
+            }
+            row.push(gradingScaleService.overallGrade(scale, student.Grades).grade || '-');
+            sheet.addRow(row);
+        }
+
+        sheet.columns.forEach((column, index) => {
+            column.width = index === 1 ? 28 : 12;
+        });
+    }
+
+    addSubjectSheet(workbook, { classInfo, term, scale, students, subject, assessed, status }) {
+        const sheet = workbook.addWorksheet(this.sheetNameFor(subject));
+        const guidance = assessed
+            ? 'Score and grade are calculated from assessment marks; enter effort, behaviour and comments only.'
+            : (scale.scale_type === 'percentage'
+                ? 'Enter a score from 0 to 100.'
+                : `Enter a score from 0 to 100 or a grade (${gradingScaleService.bandsOf(scale).map(band => band.label).join(', ')}).`);
+
+        this.addTitle(sheet, MARK_SHEET_COLUMNS.length, [
+            `${subject.name} (${subject.code}) - ${classInfo.name}`,
+            `${term.name} ${term.school_year} - ${scale.name} - Status: ${status}`
+        ]);
+        sheet.addRow([`${guidance} Effort and behaviour: ${RATINGS.join(', ')}.`]).font = { italic: true };
+        sheet.addRow([]);
+        const headerRow = this.addHeaderRow(sheet, MARK_SHEET_COLUMNS.map(column => column.header));
+
+        for (const student of students) {
+            const grade = student.Grades.find(candidate => candidate.subject_id === subject.id);
+            sheet.addRow(MARK_SHEET_COLUMNS.map(({ field }) => {
+                if (['student_id', 'last_name', 'first_name'].includes(field)) return student[field];
+                if (!grade) return null;
+                if (field === 'numeric_score') {
+                    return grade.numeric_score === null || grade.numeric_score === undefined ? null : parseFloat(grade.numeric_score);
+                }
+                return grade[field] || null;
+            }));
+        }
+
+        MARK_SHEET_COLUMNS.forEach((column, index) => {
+            sheet.getColumn(index + 1).width = column.width;
+        });
+
+        // Drop-down lists for the effort and behaviour ratings
+        const lastRow = headerRow.number + Math.max(students.length, 1);
+        for (const field of ['effort_grade', 'behavior_grade']) {
+            const letter = sheet.getColumn(MARK_SHEET_COLUMNS.findIndex(column => column.field === field) + 1).letter;
+            for (let rowNumber = headerRow.number + 1; rowNumber <= lastRow; rowNumber++) {
+                sheet.getCell(`${letter}${rowNumber}`).dataValidation = {
+                    type: 'list',
+                    allowBlank: true,
+                    formulae: [`"${RATINGS.join(',')}"`]
+                };
+            }
+        }
+        sheet.views = [{ state: 'frozen', ySplit: headerRow.number }];
+    }
+
+    addProfileSheet(workbook, { classInfo, students }) {
+        const sheet = workbook.addWorksheet('Student Profiles');
+        const headers = [
+            'Student ID', 'Last Name', 'First Name', 'DOB', 'Gender', 'Primary Contact', 'Relationship',
+            'Phone', 'Medical Conditions', 'Allergies', 'Medications'
+        ];
+
+        this.addTitle(sheet, headers.length, [`${classInfo.name} Student Profiles`]);
+        sheet.addRow([]);
+        this.addHeaderRow(sheet, headers);
+
+        for (const student of students) {
+            const parents = student.Parents || [];
+            const contact = parents.find(parent => parent.StudentParentRelationship.is_primary) || parents[0];
+            const health = student.StudentHealth;
+            sheet.addRow([
+                student.student_id,
+                student.last_name,
+                student.first_name,
+                student.date_of_birth,
+                student.gender,
+                contact ? `${contact.first_name} ${contact.last_name}` : '',
+                contact ? contact.StudentParentRelationship.relationship_type : '',
+                contact ? contact.phone : '',
+                health ? health.medical_conditions || 'None' : '',
+                health ? health.allergies || 'None' : '',
+                health ? health.medications || 'None' : ''
+            ]);
+        }
+
+        sheet.columns.forEach(column => {
+            column.width = 18;
+        });
+    }
+
+    addTitle(sheet, width, lines) {
+        lines.forEach((line, index) => {
+            const row = sheet.addRow([line]);
+            sheet.mergeCells(row.number, 1, row.number, width);
+            row.getCell(1).font = { bold: true, size: index === 0 ? 16 : 12 };
+            row.getCell(1).alignment = { horizontal: 'center' };
+        });
+    }
+
+    addHeaderRow(sheet, headers) {
+        const row = sheet.addRow(headers);
+        row.font = { bold: true };
+        row.fill = HEADER_FILL;
+        return row;
+    }
+
+    // Grade label with its score where one was entered, e.g. "B (74)"
+    formatGrade(grade) {
+        if (grade.numeric_score === null || grade.numeric_score === undefined || grade.grade_value.endsWith('%')) {
+            return grade.grade_value;
+        }
+        return `${grade.grade_value} (${parseFloat(grade.numeric_score)})`;
+    }
+
+    /**
+     * Rows of an uploaded XLSX or CSV mark sheet: [{ sheet, row, values }] with values
+     * keyed by grade field. Only sheets with Student ID and Effort headers are read,
+     * so the summary and profile sheets of an exported workbook are passed over.
+     */
+    async readMarkSheet(file) {
+        const workbook = new ExcelJS.Workbook();
+        const isCsv = /\.csv$/i.test(file.originalname || '') || /csv/.test(file.mimetype);
+        if (isCsv) {
+            // Keep every value as text so student numbers keep their leading zeros
+            await workbook.csv.read(Readable.from(file.buffer), { map: value => value });
+        } else {
+            await workbook.xlsx.load(file.buffer);
+        }
+
+        const rows = [];
+        workbook.eachSheet(sheet => {
+            let columns = null;
+            let headerRowNumber = null;
+            for (let rowNumber = 1; rowNumber <= Math.min(sheet.rowCount, HEADER_SEARCH_ROWS) && !columns; rowNumber++) {
+                const found = {};
+                sheet.getRow(rowNumber).eachCell((cell, columnNumber) => {
+                    const field = IMPORT_HEADERS[this.cellText(cell.value).replace(/^\uFEFF/, '').toLowerCase()];
+                    if (field && !(field in found)) found[field] = columnNumber;
+                });
+                if ('student_id' in found && 'effort_grade' in found) {
+                    columns = found;
+                    headerRowNumber = rowNumber;
+                }
+            }
+            if (!columns) return;
+
+            for (let rowNumber = headerRowNumber + 1; rowNumber <= sheet.rowCount; rowNumber++) {
+                const row = sheet.getRow(rowNumber);
+                const values = {};
+                for (const [field, columnNumber] of Object.entries(columns)) {
+                    values[field] = this.cellText(row.getCell(columnNumber).value);
+                }
+                rows.push({ sheet: sheet.name, row: rowNumber, values, columns: Object.keys(columns) });
+            }
+        });
+        return rows;
+    }
+
+    // Text of a cell, whatever Excel stored in it
+    cellText(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString().slice(0, 10);
+        if (typeof value === 'object') {
+            if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('').trim();
+            if ('result' in value) return this.cellText(value.result);
+            if ('text' in value) return this.cellText(value.text);
+            return '';
+        }
+        return `${value}`.trim();
+    }
+
+    /**
+     * Check mark sheet rows against the class roster and grading scale
+     * The subject of each row is the chosen subject, else its Subject column, else
+     * the sheet named after the subject code. Rows with nothing entered are skipped.
+     * Returns { entries: [{ sheet, row, student, subject, grade }], errors, warnings, skipped }
+     * where each grade is ready for bulk entry and errors and warnings name their row.
+     */
+    toGradeEntries(rows, { classId, termId, students, subjects, subject: chosenSubject, scale, assessed, existing, teacherId }) {
+        const studentsByNumber = new Map(students.map(student => [`${student.student_id}`.toLowerCase(), student]));
+        const subjectsByCode = new Map(subjects.map(subject => [this.sheetNameFor(subject).toLowerCase(), subject]));
+        const seen = new Set();
+        const entries = [];
+        const errors = [];
+        const warnings = [];
+        let skipped = 0;
+
+        for (const { sheet, row, values, columns } of rows) {
+            const at = { sheet, row, student_id: values.student_id || null };
+            const entered = ['numeric_score', 'grade_value', 'effort_grade', 'behavior_grade', 'teacher_comments']
+                .some(field => values[field]);
+            if (!entered) {
+                skipped++;
+                continue;
+            }
+
+            const rowErrors = [];
+            const subject = chosenSubject
+                || subjectsByCode.get((values.subject || sheet).toLowerCase());
+            if (!subject) {
+                rowErrors.push(values.subject
+                    ? `Subject ${values.subject} is not an active subject code`
+                    : `Sheet ${sheet} is not named after a subject code; choose the subject for this mark sheet`);
+            }
+
+            const student = values.student_id && studentsByNumber.get(values.student_id.toLowerCase());
+            if (!values.student_id) {
+                rowErrors.push('Student ID is required');
+            } else if (!student) {
+                rowErrors.push(`Student ${values.student_id} is not on the class roster`);
+            } else if (subject) {
+                const key = `${student.id}|${subject.id}`;
+                if (seen.has(key)) {
+                    rowErrors.push(`Student ${values.student_id} appears more than once for ${subject.code}`);
+                }
+                seen.add(key);
+            }
+
+            const effort = values.effort_grade.toUpperCase();
+            const behaviour = (values.behavior_grade || '').toUpperCase();
+            if (!RATINGS.includes(effort)) rowErrors.push(`Effort must be one of ${RATINGS.join(', ')}`);
+            if (!RATINGS.includes(behaviour)) rowErrors.push(`Behaviour must be one of ${RATINGS.join(', ')}`);
+
+            let score = null;
+            if (values.numeric_score) {
+                score = Number(values.numeric_score);
+                if (Number.isNaN(score) || score < 0 || score > 100) {
+                    rowErrors.push('Score must be a number between 0 and 100');
+                    score = null;
+                }
+            }
+
+            const current = student && subject ? existing.get(`${student.id}|${subject.id}`) : null;
+            const grade = {
+                student_id: student ? student.id : null,
+                subject_id: subject ? subject.id : null,
+                class_id: classId,
+                term_id: termId,
+                teacher_id: (current && current.teacher_id) || teacherId || undefined,
+                effort_grade: effort,
+                behavior_grade: behaviour
+            };
+            if (columns.includes('teacher_comments')) {
+                grade.teacher_comments = values.teacher_comments || null;
+                if (grade.teacher_comments && grade.teacher_comments.length > 1000) {
+                    rowErrors.push('Teacher comments must be at most 1000 characters');
+                }
+            }
+
+            if (subject && assessed.has(subject.id)) {
+                // Marks are entered against assessments; the sheet's score and grade are informational
+                const stored = current && current.numeric_score !== null ? parseFloat(current.numeric_score) : null;
+                if ((score !== null && score !== stored) || (values.grade_value && (!current || values.grade_value !== current.grade_value))) {
+                    warnings.push({ ...at, message: `${subject.code} is graded from assessment marks; the score and grade on this row were ignored` });
+                }
+            } else if (subject) {
+                const result = gradingScaleService.gradeValueFor(scale, { grade_value: values.grade_value, numeric_score: score });
+                if (result.error) rowErrors.push(result.error);
+                if (score !== null) grade.numeric_score = score;
+                if (values.grade_value) grade.grade_value = values.grade_value;
+            }
+
+            if (rowErrors.length > 0) {
+                errors.push(...rowErrors.map(message => ({ ...at, message })));
+                continue;
+            }
+            entries.push({ sheet, row, student, subject, grade });
+        }
+
+        return { entries, errors, warnings, skipped };
+    }
+}
+
+// Singleton instance
+const gradeSpreadsheetService = new GradeSpreadsheetService();
+
+module.exports = {
+    gradeSpreadsheetService,
+    GradeSpreadsheetService
+};
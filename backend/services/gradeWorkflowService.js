@@ -0,0 +1,198 @@
+const { Op } = require('sequelize');
+const { GradeSubmission, Grade, ReportCard, Staff, sequelize } = require('../models');
+const { gradeHistoryService } = require('./gradeHistoryService');
+
+// Statuses each action moves grades from and to
+const TRANSITIONS = {
+    submit: { from: ['draft'], to: 'submitted' },
+    review: { from: ['submitted'], to: 'reviewed' },
+    approve: { from: ['reviewed'], to: 'approved' },
+    return: { from: ['submitted', 'reviewed'], to: 'draft' },
+    reopen: { from: ['approved'], to: 'draft' }
+};
+
+// Staff role levels that may take each action, by the status it starts from.
+// Super admins may take any action.
+const ACTING_ROLES = {
+    review: { submitted: ['department_head', 'principal'] },
+    approve: { reviewed: ['principal'] },
+    return: { submitted: ['department_head', 'principal'], reviewed: ['principal'] },
+    reopen: { approved: ['principal'] }
+};
+
+const AUDIT_ACTIONS = {
+    submit: 'grades_submitted',
+    review: 'grades_reviewed',
+    approve: 'grades_approved',
+    return: 'grades_returned',
+    reopen: 'grades_reopened'
+};
+
+/**
+ * Grade Workflow Service
+ * Term grades for a class and subject move from the teacher's draft through
+ * head of department review to principal approval, which locks them
+ */
+class GradeWorkflowService {
+    static get TRANSITIONS() {
+        return TRANSITIONS;
+    }
+
+    static get AUDIT_ACTIONS() {
+        return AUDIT_ACTIONS;
+    }
+
+    async getSubmission(classId, subjectId, termId, options = {}) {
+        return GradeSubmission.findOne({
+            where: { class_id: classId, subject_id: subjectId, term_id: termId },
+            transaction: options.transaction
+        });
+    }
+
+    statusOf(submission) {
+        return submission ? submission.status : 'draft';
+    }
+
+    /**
+     * Whether grades for a class, subject and term can still be edited
+     */
+    async isEditable(classId, subjectId, termId) {
+        return this.statusOf(await this.getSubmission(classId, subjectId, termId)) === 'draft';
+    }
+
+    /**
+     * Class, subject and term combinations among the entries whose grades are
+     * no longer in draft, keyed "class_id|subject_id|term_id" with their status
+     */
+    async lockedKeys(entries) {
+        const locked = new Map();
+        const combinations = new Map(entries.map(entry => [
+            `${entry.class_id}|${entry.subject_id}|${entry.term_id}`,
+            { class_id: entry.class_id, subject_id: entry.subject_id, term_id: entry.term_id }
+        ]));
+        if (combinations.size === 0) return locked;
+
+        const submissions = await GradeSubmission.findAll({
+            where: {
+                [Op.or]: [...combinations.values()],
+                status: { [Op.ne]: 'draft' }
+            }
+        });
+        for (const submission of submissions) {
+            locked.set(`${submission.class_id}|${submission.subject_id}|${submission.term_id}`, submission.status);
+        }
+        return locked;
+    }
+
+    /**
+     * Whether a user may take a review action from the submission's current status
+     * Reviewers must be staff at the class's school
+     */
+    async canAct(action, user, classRecord, status) {
+        const roles = (ACTING_ROLES[action] || {})[status];
+        if (!roles) return false;
+        if (user.role === 'super_admin') return true;
+
+        const staff = await Staff.findOne({
+            where: { user_id: user.id, school_id: classRecord.school_id, is_active: true },
+            attributes: ['id', 'role_level']
+        });
+        return !!staff && roles.includes(staff.role_level);
+    }
+
+    /**
+     * Move the grades to the action's target status
+     * Approval marks every grade final; returning or reopening clears it again.
+     * Report cards for the class follow their grades.
+     *
+     * The submission row is locked while its status is checked, so two reviewers
+     * acting at once cannot both move it. When the status no longer allows the
+     * action, or is not the expectedFrom status the caller authorised, nothing
+     * changes and { conflict: true, from } is returned.
+     */
+    async transition(action, { classId, subjectId, termId }, userId, note = null, { expectedFrom = null } = {}) {
+        const { from: allowed, to } = TRANSITIONS[action];
+        const now = new Date();
+
+        return sequelize.transaction(async (t) => {
+            const [draft] = await GradeSubmission.findOrCreate({
+                where: { class_id: classId, subject_id: subjectId, term_id: termId },
+                defaults: { status: 'draft' },
+                transaction: t
+            });
+            const submission = await GradeSubmission.findByPk(draft.id, { transaction: t, lock: t.LOCK.UPDATE });
+            const from = this.statusOf(submission);
+            if (!allowed.includes(from) || (expectedFrom && from !== expectedFrom)) {
+                return { conflict: true, from };
+            }
+
+            const values = { status: to };
+            switch (action) {
+            case 'submit':
+                Object.assign(values, {
+                    submitted_by: userId,
+                    submitted_at: now,
+                    reviewed_by: null,
+                    reviewed_at: null,
+                    review_notes: null,
+                    approved_by: null,
+                    approved_at: null
+                });
+                break;
+            case 'review':
+                Object.assign(values, { reviewed_by: userId, reviewed_at: now, review_notes: note });
+                break;
+            case 'approve':
+                Object.assign(values, { approved_by: userId, approved_at: now });
+                break;
+            default:
+                values.returned_reason = note;
+            }
+            await submission.set(values).save({ transaction: t });
+
+            const where = { class_id: classId, subject_id: subjectId, term_id: termId };
+            const lock = action === 'approve';
+            if (lock || from === 'approved') {
+                const grades = await Grade.findAll({ where, transaction: t });
+                for (const grade of grades) {
+                    const before = gradeHistoryService.snapshot(grade);
+                    await grade.update({ is_final: lock }, { transaction: t });
+                    await gradeHistoryService.record(grade, before, {
+                        userId, source: 'workflow', reason: note, transaction: t
+                    });
+                }
+                await this.refreshReportCards(classId, termId, t);
+            }
+
+            return { submission, from };
+        });
+    }
+
+    /**
+     * A report card is final once every grade on it is approved; released cards keep
+     * the finality they were published with
+     */
+    async refreshReportCards(classId, termId, transaction) {
+        const cards = await ReportCard.findAll({
+            where: { class_id: classId, term_id: termId, released_to_parent: false },
+            transaction
+        });
+        for (const card of cards) {
+            const open = await Grade.count({
+                where: { student_id: card.student_id, term_id: termId, is_final: false },
+                transaction
+            });
+            if (card.is_final !== (open === 0)) {
+                await card.update({ is_final: open === 0 }, { transaction });
+            }
+        }
+    }
+}
+
+// Singleton instance
+const gradeWorkflowService = new GradeWorkflowService();
+
+module.exports = {
+    gradeWorkflowService,
+    GradeWorkflowService
+};
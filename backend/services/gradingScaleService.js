@@ -0,0 +1,162 @@
+const { GradingScale, Class, School } = require('../models');
+
+// Built-in primary-school descriptor scale, used when no configured scale matches
+const DESCRIPTOR_SCALE = {
+    id: null,
+    name: 'Primary Descriptors (E/G/S/N)',
+    scale_type: 'descriptor',
+    bands: [
+        { label: 'E', min_score: 85, points: 4, description: 'Excellent' },
+        { label: 'G', min_score: 70, points: 3, description: 'Good' },
+        { label: 'S', min_score: 50, points: 2, description: 'Satisfactory' },
+        { label: 'N', min_score: 0, points: 1, description: 'Needs Improvement' }
+    ]
+};
+
+// School types map onto categories for schools without an extended category
+const CATEGORY_BY_SCHOOL_TYPE = {
+    pre_primary: 'nursery',
+    primary: 'primary',
+    secondary: 'secondary'
+};
+
+/**
+ * Grading Scale Service
+ * Chooses the scale for a school category and grade level, maps numeric scores
+ * to bands and combines subject grades into an overall grade
+ */
+class GradingScaleService {
+    static get DESCRIPTOR_SCALE() {
+        return DESCRIPTOR_SCALE;
+    }
+
+    /**
+     * Scale for a class: the active scale for the school's category that names the
+     * class's grade level, else one covering every level, else the built-in scale
+     */
+    async resolveScale(school, gradeLevel) {
+        const category = school.school_category || CATEGORY_BY_SCHOOL_TYPE[school.school_type];
+        const scales = await GradingScale.findAll({ where: { is_active: true } });
+
+        const candidates = scales.filter(scale => (scale.school_categories || []).includes(category));
+        const specific = candidates.filter(scale => (scale.grade_levels || []).includes(gradeLevel));
+        const general = candidates.filter(scale => (scale.grade_levels || []).length === 0);
+
+        const pick = (list) => list.find(scale => scale.is_default) || list[0];
+        return pick(specific) || pick(general) || DESCRIPTOR_SCALE;
+    }
+
+    /**
+     * Scale for each class, from its school's category and its grade level
+     * Classes that do not exist are left out of the map
+     */
+    async resolveForClasses(classIds) {
+        const scales = new Map();
+        for (const classId of new Set(classIds)) {
+            const classRecord = await Class.findByPk(classId, {
+                attributes: ['id', 'grade_level'],
+                include: [{ model: School, attributes: ['school_type', 'school_category'] }]
+            });
+            if (classRecord) {
+                scales.set(classId, await this.resolveScale(classRecord.School, classRecord.grade_level));
+            }
+        }
+        return scales;
+    }
+
+    bandsOf(scale) {
+        return [...(scale.bands || [])].sort((a, b) => b.min_score - a.min_score);
+    }
+
+    /**
+     * Grade label for a numeric score on a scale
+     */
+    labelFor(scale, score) {
+        const value = parseFloat(score);
+        if (scale.scale_type === 'percentage') {
+            return `${Math.round(value)}%`;
+        }
+        const band = this.bandsOf(scale).find(candidate => value >= candidate.min_score);
+        return band ? band.label : null;
+    }
+
+    /**
+     * Whether a grade label exists on a scale
+     */
+    isValidLabel(scale, label) {
+        if (scale.scale_type === 'percentage') {
+            return /^\d{1,3}%$/.test(label) && parseInt(label) <= 100;
+        }
+        return this.bandsOf(scale).some(band => band.label === label);
+    }
+
+    /**
+     * Resolve the stored grade_value for an entry with a score, a label, or both
+     * Returns { grade_value } or { error } when the two disagree or the label is not on the scale
+     */
+    gradeValueFor(scale, { grade_value, numeric_score }) {
+        const hasScore = numeric_score !== undefined && numeric_score !== null && numeric_score !== '';
+
+        if (hasScore) {
+            const derived = this.labelFor(scale, numeric_score);
+            if (grade_value && grade_value !== derived) {
+                return {
+                    error: `Grade ${grade_value} does not match score ${numeric_score} on ${scale.name} (expected ${derived})`
+                };
+            }
+            return { grade_value: derived };
+        }
+
+        if (!grade_value) {
+            return { error: 'A grade value or numeric score is required' };
+        }
+        if (scale.scale_type === 'percentage') {
+            return { error: `${scale.name} grades are awarded from a numeric score` };
+        }
+        if (!this.isValidLabel(scale, grade_value)) {
+            return {
+                error: `Grade ${grade_value} is not on ${scale.name} (${this.bandsOf(scale).map(band => band.label).join(', ')})`
+            };
+        }
+        return { grade_value };
+    }
+
+    /**
+     * Overall grade from subject grades
+     * When every grade has a score the average score is banded; otherwise band
+     * points are averaged and rounded to the nearest band
+     */
+    overallGrade(scale, grades) {
+        if (grades.length === 0) return { grade: null, score: null };
+
+        const scores = grades
+            .map(grade => grade.numeric_score)
+            .filter(score => score !== undefined && score !== null)
+            .map(score => parseFloat(score));
+
+        if (scores.length === grades.length) {
+            const average = Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100;
+            return { grade: this.labelFor(scale, average), score: average };
+        }
+
+        const bands = this.bandsOf(scale);
+        const pointsByLabel = new Map(bands.map(band => [band.label, band.points]));
+        const points = grades
+            .map(grade => pointsByLabel.get(grade.grade_value))
+            .filter(value => value !== undefined);
+        if (points.length === 0) return { grade: null, score: null };
+
+        const average = points.reduce((sum, value) => sum + value, 0) / points.length;
+        const byPoints = [...bands].sort((a, b) => b.points - a.points);
+        const band = byPoints.find(candidate => average >= candidate.points - 0.5) || byPoints[byPoints.length - 1];
+        return { grade: band.label, score: null };
+    }
+}
+
+// Singleton instance
+const gradingScaleService = new GradingScaleService();
+
+module.exports = {
+    gradingScaleService,
+    GradingScaleService
+};
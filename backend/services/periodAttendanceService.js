@@ -0,0 +1,255 @@
+const { Op } = require('sequelize');
+const {
+    TimetableSlot, PeriodAttendance, AttendanceRecord, Student, Subject, Class, Staff, sequelize
+} = require('../models');
+const { attendanceService } = require('./attendanceService');
+const { schoolCalendar } = require('./schoolCalendar');
+
+/**
+ * Period Attendance Service
+ * Lesson-by-lesson attendance from classroom readers and subject teacher registers
+ */
+class PeriodAttendanceService {
+    constructor() {
+        // Students arriving after this many minutes into a lesson are late for it
+        this.lateAfterMinutes = parseInt(process.env.PERIOD_LATE_MINUTES) || 5;
+
+        // Classroom readers accept taps this many minutes before the lesson starts
+        this.earlyScanMinutes = 5;
+    }
+
+    /**
+     * Lesson running in the reader's room at the moment of a scan, if any
+     * Only the timetable for the school year of the term in progress applies
+     */
+    async findActiveSlot(device, scannedAt) {
+        const date = attendanceService.localDate(scannedAt);
+        const time = attendanceService.localTime(scannedAt);
+
+        const term = await schoolCalendar.getTermForDate(date);
+        if (!term) return null;
+
+        return TimetableSlot.findOne({
+            where: {
+                rfid_device_id: device.id,
+                school_year: term.school_year,
+                day_of_week: attendanceService.weekday(date),
+                is_active: true,
+                start_time: { [Op.lte]: attendanceService.addMinutes(time, this.earlyScanMinutes) },
+                end_time: { [Op.gte]: time }
+            }
+        });
+    }
+
+    /**
+     * Record a classroom reader scan against a lesson
+     * The first scan of the lesson sets the mark; later taps are repeats
+     */
+    async recordScan(slot, student, device, scannedAt) {
+        const date = attendanceService.localDate(scannedAt);
+        const lateAfter = attendanceService.addMinutes(slot.start_time, this.lateAfterMinutes);
+        const status = attendanceService.localTime(scannedAt) > lateAfter ? 'late' : 'present';
+
+        const [record, created] = await PeriodAttendance.findOrCreate({
+            where: {
+                student_id: student.id,
+                timetable_slot_id: slot.id,
+                attendance_date: date
+            },
+            defaults: {
+                student_id: student.id,
+                school_id: slot.school_id,
+                class_id: slot.class_id,
+                subject_id: slot.subject_id,
+                timetable_slot_id: slot.id,
+                attendance_date: date,
+                status,
+                source: 'rfid',
+                scanned_at: scannedAt,
+                rfid_device_id: device.id
+            }
+        });
+
+        // A teacher's absent mark is overridden once the student actually taps in
+        const overridden = !created && record.status === 'absent';
+        if (overridden) {
+            await record.update({ status, scanned_at: scannedAt, rfid_device_id: device.id });
+        }
+
+        return { record, created, direction: created || overridden ? 'period' : 'repeat' };
+    }
+
+    /**
+     * Lesson roll for a date: each student in the class with their lesson mark and daily presence
+     */
+    async getLessonRoll(slot, date) {
+        const students = await Student.findAll({
+            where: { class_id: slot.class_id, is_active: true },
+            attributes: ['id', 'student_id', 'first_name', 'last_name'],
+            order: [['last_name', 'ASC'], ['first_name', 'ASC']]
+        });
+        const studentIds = students.map(student => student.id);
+
+        const [marks, daily] = await Promise.all([
+            PeriodAttendance.findAll({ where: { timetable_slot_id: slot.id, attendance_date: date } }),
+            AttendanceRecord.findAll({ where: { student_id: studentIds, attendance_date: date } })
+        ]);
+        const markByStudent = new Map(marks.map(mark => [mark.student_id, mark]));
+        const dailyByStudent = new Map(daily.map(record => [record.student_id, record]));
+
+        return students.map(student => {
+            const mark = markByStudent.get(student.id);
+            const record = dailyByStudent.get(student.id);
+            return {
+                id: student.id,
+                student_id: student.student_id,
+                name: `${student.first_name} ${student.last_name}`,
+                status: mark ? mark.status : null,
+                source: mark ? mark.source : null,
+                scanned_at: mark ? mark.scanned_at : null,
+                notes: mark ? mark.notes : null,
+                daily_status: record ? record.status : null,
+                on_campus: this.wasOnCampus(record, slot)
+            };
+        });
+    }
+
+    /**
+     * Save a subject teacher's lesson register in one transaction
+     * Reader scans keep their timestamps; the teacher's mark sets the status
+     */
+    async recordLessonRegister(slot, date, entries, userId) {
+        return sequelize.transaction(async (t) => {
+            const existing = await PeriodAttendance.findAll({
+                where: { timetable_slot_id: slot.id, attendance_date: date },
+                transaction: t
+            });
+            const byStudent = new Map(existing.map(record => [record.student_id, record]));
+
+            const results = [];
+            for (const entry of entries) {
+                const values = { status: entry.status, recorded_by: userId };
+                if (entry.notes !== undefined) values.notes = entry.notes;
+
+                let record = byStudent.get(entry.student_id);
+                if (record) {
+                    await record.update(values, { transaction: t });
+                } else {
+                    record = await PeriodAttendance.create({
+                        student_id: entry.student_id,
+                        school_id: slot.school_id,
+                        class_id: slot.class_id,
+                        subject_id: slot.subject_id,
+                        timetable_slot_id: slot.id,
+                        attendance_date: date,
+                        source: 'register',
+                        ...values
+                    }, { transaction: t });
+                }
+                results.push(record);
+            }
+
+            return results;
+        });
+    }
+
+    /**
+     * Students who were on campus during a lesson but missed it
+     * Only lessons that have finished and where attendance was taken are considered
+     */
+    async getTruancyReport(schoolId, date, now = new Date()) {
+        const term = await schoolCalendar.getTermForDate(date);
+        if (!term) return [];
+
+        const slotWhere = {
+            school_id: schoolId,
+            school_year: term.school_year,
+            day_of_week: attendanceService.weekday(date),
+            is_active: true
+        };
+        if (date === attendanceService.localDate(now)) {
+            slotWhere.end_time = { [Op.lte]: attendanceService.localTime(now) };
+        }
+
+        const slots = await TimetableSlot.findAll({
+            where: slotWhere,
+            include: [
+                { model: Subject, attributes: ['id', 'name', 'code'] },
+                { model: Class, attributes: ['id', 'name'] },
+                { model: Staff, as: 'teacher', attributes: ['id', 'first_name', 'last_name'] }
+            ],
+            order: [['period_number', 'ASC']]
+        });
+        if (slots.length === 0) return [];
+
+        const marks = await PeriodAttendance.findAll({
+            where: { timetable_slot_id: slots.map(slot => slot.id), attendance_date: date },
+            attributes: ['student_id', 'timetable_slot_id', 'status']
+        });
+        const marksBySlot = new Map();
+        for (const mark of marks) {
+            if (!marksBySlot.has(mark.timetable_slot_id)) marksBySlot.set(mark.timetable_slot_id, new Map());
+            marksBySlot.get(mark.timetable_slot_id).set(mark.student_id, mark.status);
+        }
+
+        const takenSlots = slots.filter(slot => marksBySlot.has(slot.id));
+        const classIds = [...new Set(takenSlots.map(slot => slot.class_id))];
+        const students = await Student.findAll({
+            where: { class_id: classIds, is_active: true },
+            attributes: ['id', 'student_id', 'first_name', 'last_name', 'grade_level', 'class_id']
+        });
+        const daily = await AttendanceRecord.findAll({
+            where: { student_id: students.map(student => student.id), attendance_date: date }
+        });
+        const dailyByStudent = new Map(daily.map(record => [record.student_id, record]));
+
+        const cases = new Map();
+        for (const slot of takenSlots) {
+            const slotMarks = marksBySlot.get(slot.id);
+            for (const student of students.filter(s => s.class_id === slot.class_id)) {
+                const mark = slotMarks.get(student.id);
+                if (mark && mark !== 'absent') continue;
+                if (!this.wasOnCampus(dailyByStudent.get(student.id), slot)) continue;
+
+                if (!cases.has(student.id)) {
+                    cases.set(student.id, {
+                        id: student.id,
+                        student_id: student.student_id,
+                        name: `${student.first_name} ${student.last_name}`,
+                        grade_level: student.grade_level,
+                        class: slot.Class ? slot.Class.name : null,
+                        missed_periods: []
+                    });
+                }
+                cases.get(student.id).missed_periods.push({
+                    timetable_slot_id: slot.id,
+                    period_number: slot.period_number,
+                    start_time: slot.start_time,
+                    end_time: slot.end_time,
+                    subject: slot.Subject ? slot.Subject.name : null,
+                    teacher: slot.teacher ? `${slot.teacher.first_name} ${slot.teacher.last_name}` : null
+                });
+            }
+        }
+
+        return [...cases.values()].sort((a, b) => b.missed_periods.length - a.missed_periods.length);
+    }
+
+    /**
+     * Whether the daily record places the student on campus for the whole lesson
+     * Register-only records have no times, so a present mark counts for the full day
+     */
+    wasOnCampus(record, slot) {
+        if (!record || !['present', 'late'].includes(record.status)) return false;
+        if (record.check_in_time && record.check_in_time > slot.start_time) return false;
+        return !record.check_out_time || record.check_out_time >= slot.end_time;
+    }
+}
+
+// Singleton instance
+const periodAttendanceService = new PeriodAttendanceService();
+
+module.exports = {
+    periodAttendanceService,
+    PeriodAttendanceService
+};
@@ -0,0 +1,277 @@
+const PDFDocument = require('pdfkit');
+const {
+    ReportCard, Grade, Student, Class, School, Term, Subject, GradingScale
+} = require('../models');
+const { gradingScaleService, GradingScaleService } = require('./gradingScaleService');
+
+const PAGE_MARGIN = 40;
+const DESCRIPTORS = { E: 'Excellent', G: 'Good', S: 'Satisfactory', N: 'Needs Improvement' };
+
+// Subject table columns: width in points, and how each grade and its class statistics fill the cell
+const GRADE_COLUMNS = [
+    { header: 'Subject', width: 110, value: grade => (grade.Subject ? grade.Subject.name : '') },
+    { header: 'Grade', width: 40, value: grade => grade.grade_value || '' },
+    { header: 'Score', width: 38, value: grade => (grade.numeric_score !== null && grade.numeric_score !== undefined ? `${parseFloat(grade.numeric_score)}` : '') },
+    { header: 'Class Avg', width: 45, value: (grade, statistics) => (statistics && statistics.class_average !== null ? `${statistics.class_average}` : '') },
+    { header: 'Effort', width: 38, value: grade => grade.effort_grade || '' },
+    { header: 'Behaviour', width: 50, value: grade => grade.behavior_grade || '' },
+    { header: 'Teacher Comments', width: 194, value: grade => grade.teacher_comments || '' }
+];
+
+/**
+ * Report Card PDF Service
+ * Renders report cards in the Ministry layout: school header, subject grades with
+ * effort and behaviour, attendance, comments, next-term goals and signature lines
+ */
+class ReportCardPdfService {
+    /**
+     * Report cards matching the condition with everything the layout prints,
+     * ordered by student name: [{ reportCard, grades }]
+     */
+    async load(where) {
+        const reportCards = await ReportCard.findAll({
+            where,
+            include: [
+                { model: Student, attributes: ['id', 'student_id', 'first_name', 'last_name', 'grade_level'] },
+                {
+                    model: Class,
+                    attributes: ['id', 'name', 'grade_level'],
+                    include: [{ model: School, attributes: ['name', 'address', 'phone', 'email', 'principal_name'] }]
+                },
+                { model: Term, attributes: ['id', 'name', 'school_year', 'end_date'] },
+                { model: GradingScale }
+            ],
+            order: [[Student, 'last_name', 'ASC'], [Student, 'first_name', 'ASC']]
+        });
+        if (reportCards.length === 0) return [];
+
+        const grades = await Grade.findAll({
+            where: {
+                student_id: reportCards.map(reportCard => reportCard.student_id),
+                term_id: reportCards.map(reportCard => reportCard.term_id)
+            },
+            include: [{ model: Subject, attributes: ['name', 'code'] }],
+            order: [[Subject, 'name', 'ASC']]
+        });
+
+        return reportCards.map(reportCard => ({
+            reportCard,
+            grades: grades.filter(grade => grade.student_id === reportCard.student_id && grade.term_id === reportCard.term_id)
+        }));
+    }
+
+    /**
+     * Write the report cards to a stream as one PDF, one student per page
+     */
+    render(stream, items) {
+        const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: 'Student Report Card' } });
+        doc.pipe(stream);
+        items.forEach((item, index) => {
+            if (index > 0) doc.addPage();
+            this.drawReportCard(doc, item);
+        });
+        doc.end();
+        return doc;
+    }
+
+    drawReportCard(doc, { reportCard, grades }) {
+        const student = reportCard.Student;
+        const school = reportCard.Class && reportCard.Class.School;
+        const term = reportCard.Term;
+        const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+
+        // School header
+        doc.font('Helvetica').fontSize(9).fillColor('#444444')
+            .text((process.env.REPORT_CARD_AUTHORITY || 'Ministry of Education').toUpperCase(), { align: 'center' });
+        doc.font('Helvetica-Bold').fontSize(16).fillColor('black')
+            .text(school ? school.name : '', { align: 'center' });
+        const contact = school ? [school.address, school.phone, school.email].filter(Boolean).join('  |  ') : '';
+        if (contact) doc.font('Helvetica').fontSize(9).text(contact, { align: 'center' });
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').fontSize(13)
+            .text(`STUDENT REPORT CARD - ${term.name} ${term.school_year}`, { align: 'center' });
+        if (!reportCard.is_final) {
+            doc.font('Helvetica-Oblique').fontSize(9).fillColor('#b00020')
+                .text('Provisional: grades have not been approved', { align: 'center' }).fillColor('black');
+        }
+        this.rule(doc, contentWidth);
+
+        // Student details
+        this.detailRow(doc, [
+            ['Student', `${student.first_name} ${student.last_name}`],
+            ['Student ID', student.student_id]
+        ]);
+        this.detailRow(doc, [
+            ['Class', reportCard.Class ? reportCard.Class.name : ''],
+            ['Grade Level', student.grade_level || (reportCard.Class ? reportCard.Class.grade_level : '')]
+        ]);
+        this.rule(doc, contentWidth);
+
+        this.drawGrades(doc, grades, reportCard.GradingScale || GradingScaleService.DESCRIPTOR_SCALE, reportCard.subject_statistics || []);
+
+        // Overall results and attendance
+        this.section(doc, 'Overall');
+        this.detailRow(doc, [
+            ['Overall Grade', reportCard.overall_score !== null && reportCard.overall_score !== undefined
+                ? `${reportCard.overall_grade} (${parseFloat(reportCard.overall_score)})`
+                : (reportCard.overall_grade || '')],
+            ['Effort', this.descriptor(reportCard.overall_effort)],
+            ['Behaviour', this.descriptor(reportCard.overall_behavior)]
+        ]);
+        this.detailRow(doc, [
+            ['Position in Class', this.position(reportCard.class_position, reportCard.class_size)],
+            ['Position in Grade', this.position(reportCard.grade_level_position, reportCard.grade_level_size)],
+            ['Previous Term', this.movement(reportCard)]
+        ]);
+        this.section(doc, 'Attendance');
+        this.detailRow(doc, [
+            ['Days Present', this.display(reportCard.attendance_days_present)],
+            ['Days Absent', this.display(reportCard.attendance_days_absent)],
+            ['Days Late', this.display(reportCard.attendance_days_late)],
+            ['Attendance', reportCard.attendance_percentage !== null && reportCard.attendance_percentage !== undefined
+                ? `${parseFloat(reportCard.attendance_percentage)}%` : '']
+        ]);
+
+        this.paragraph(doc, 'Class Teacher\'s Comments', reportCard.class_teacher_comments);
+        this.paragraph(doc, 'Principal\'s Comments', reportCard.principal_comments);
+        this.paragraph(doc, 'Goals for Next Term', reportCard.next_term_goals);
+
+        this.drawSignatures(doc, contentWidth, school);
+    }
+
+    drawGrades(doc, grades, scale, statistics) {
+        const x = PAGE_MARGIN;
+        const drawHeader = () => {
+            let cellX = x;
+            const y = doc.y;
+            doc.font('Helvetica-Bold').fontSize(9);
+            for (const column of GRADE_COLUMNS) {
+                doc.text(column.header, cellX + 2, y, { width: column.width - 4 });
+                cellX += column.width;
+            }
+            doc.y = y + 14;
+            doc.x = x;
+        };
+
+        this.section(doc, 'Subject Grades');
+        drawHeader();
+
+        doc.font('Helvetica').fontSize(9);
+        for (const grade of grades) {
+            const subjectStatistics = statistics.find(entry => entry.subject_id === grade.subject_id);
+            const values = GRADE_COLUMNS.map(column => `${column.value(grade, subjectStatistics)}`);
+            const height = Math.max(...values.map((value, index) => doc.heightOfString(value || ' ', {
+                width: GRADE_COLUMNS[index].width - 4
+            }))) + 4;
+
+            if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+                doc.addPage();
+                drawHeader();
+                doc.font('Helvetica').fontSize(9);
+            }
+
+            const y = doc.y;
+            let cellX = x;
+            values.forEach((value, index) => {
+                doc.text(value, cellX + 2, y + 2, { width: GRADE_COLUMNS[index].width - 4 });
+                cellX += GRADE_COLUMNS[index].width;
+            });
+            doc.moveTo(x, y + height).lineTo(cellX, y + height).lineWidth(0.5).strokeColor('#cccccc').stroke();
+            doc.y = y + height;
+            doc.x = x;
+        }
+        if (grades.length === 0) {
+            doc.text('No grades recorded for this term.');
+        }
+        doc.strokeColor('black');
+
+        this.drawScaleKey(doc, scale);
+    }
+
+    // Key to the grade labels and the effort and behaviour descriptors
+    drawScaleKey(doc, scale) {
+        doc.moveDown(0.3);
+        doc.font('Helvetica-Oblique').fontSize(8).fillColor('#444444');
+        if (scale.scale_type !== 'percentage') {
+            const bands = gradingScaleService.bandsOf(scale)
+                .map(band => `${band.label} = ${band.description || `${band.min_score}+`}`);
+            doc.text(`${scale.name}: ${bands.join(', ')}`);
+        }
+        doc.text(`Effort and behaviour: ${Object.entries(DESCRIPTORS).map(([label, name]) => `${label} = ${name}`).join(', ')}`);
+        doc.fillColor('black');
+    }
+
+    drawSignatures(doc, contentWidth, school) {
+        const lineWidth = (contentWidth - 40) / 3;
+        if (doc.y + 70 > doc.page.height - PAGE_MARGIN) doc.addPage();
+        const y = doc.y + 35;
+        const labels = [
+            'Class Teacher',
+            school && school.principal_name ? `Principal (${school.principal_name})` : 'Principal',
+            'Parent/Guardian'
+        ];
+        labels.forEach((label, index) => {
+            const lineX = PAGE_MARGIN + index * (lineWidth + 20);
+            doc.moveTo(lineX, y).lineTo(lineX + lineWidth, y).lineWidth(0.75).stroke();
+            doc.font('Helvetica').fontSize(8).text(`${label}    Date:`, lineX, y + 3, { width: lineWidth });
+        });
+        doc.x = PAGE_MARGIN;
+    }
+
+    section(doc, title) {
+        doc.moveDown(0.6);
+        doc.font('Helvetica-Bold').fontSize(11).text(title, PAGE_MARGIN);
+        doc.moveDown(0.2);
+    }
+
+    detailRow(doc, pairs) {
+        const y = doc.y;
+        const width = (doc.page.width - PAGE_MARGIN * 2) / pairs.length;
+        pairs.forEach(([label, value], index) => {
+            doc.font('Helvetica-Bold').fontSize(9).text(`${label}: `, PAGE_MARGIN + index * width, y, { continued: true, width });
+            doc.font('Helvetica').text(`${value}`);
+        });
+        doc.x = PAGE_MARGIN;
+        doc.moveDown(0.3);
+    }
+
+    paragraph(doc, title, text) {
+        this.section(doc, title);
+        doc.font('Helvetica').fontSize(9).text(text || ' ', PAGE_MARGIN);
+    }
+
+    rule(doc, width) {
+        doc.moveDown(0.4);
+        doc.moveTo(PAGE_MARGIN, doc.y).lineTo(PAGE_MARGIN + width, doc.y).lineWidth(1).stroke();
+        doc.moveDown(0.4);
+    }
+
+    descriptor(label) {
+        return label ? `${label} (${DESCRIPTORS[label] || label})` : '';
+    }
+
+    position(position, size) {
+        return position ? `${position} of ${size}` : '';
+    }
+
+    // Previous term's overall score and the change since, e.g. "68.5 (+4.25)"
+    movement(reportCard) {
+        if (reportCard.previous_overall_score === null || reportCard.previous_overall_score === undefined) return '';
+        const previous = parseFloat(reportCard.previous_overall_score);
+        if (reportCard.overall_score === null || reportCard.overall_score === undefined) return `${previous}`;
+        const change = Math.round((parseFloat(reportCard.overall_score) - previous) * 100) / 100;
+        return `${previous} (${change >= 0 ? '+' : ''}${change})`;
+    }
+
+    display(value) {
+        return value === null || value === undefined ? '' : `${value}`;
+    }
+}
+
+// Singleton instance
+const reportCardPdfService = new ReportCardPdfService();
+
+module.exports = {
+    reportCardPdfService,
+    ReportCardPdfService
+};
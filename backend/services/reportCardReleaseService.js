@@ -0,0 +1,94 @@
+const { Op } = require('sequelize');
+const { ReportCard, Parent, Student, StudentParentRelationship } = require('../models');
+const { attendanceService } = require('./attendanceService');
+
+/**
+ * Report Card Release Service
+ * Publishes a class's report cards to families on the term's release date and
+ * decides which cards a parent or student may see
+ */
+class ReportCardReleaseService {
+    /**
+     * When released cards become visible: the start of the term's release date in the
+     * school's timezone, or now if that day has come
+     */
+    releaseTime(term, now = new Date()) {
+        const releaseDate = term.report_card_release_date;
+        if (!releaseDate || releaseDate <= attendanceService.localDate(now)) return now;
+        return this.schoolMidnight(releaseDate);
+    }
+
+    /**
+     * Moment a school-local date begins, from how far the school clock is from UTC at UTC midnight
+     */
+    schoolMidnight(date) {
+        const utcMidnight = new Date(`${date}T00:00:00Z`);
+        const schoolClock = new Date(`${attendanceService.localDate(utcMidnight)}T${attendanceService.localTime(utcMidnight)}Z`);
+        return new Date(utcMidnight.getTime() - (schoolClock - utcMidnight));
+    }
+
+    /**
+     * Release every unreleased card for a class and term
+     */
+    async release(classId, term, userId) {
+        const releasedAt = this.releaseTime(term);
+        const [released] = await ReportCard.update({
+            released_to_parent: true,
+            released_at: releasedAt,
+            released_by: userId
+        }, {
+            where: { class_id: classId, term_id: term.id, released_to_parent: false }
+        });
+        return { released, released_at: releasedAt };
+    }
+
+    /**
+     * Condition for cards families can see: released and past the release time
+     */
+    visibleWhere(now = new Date()) {
+        return { released_to_parent: true, released_at: { [Op.lte]: now } };
+    }
+
+    isVisible(reportCard, now = new Date()) {
+        return !!reportCard.released_to_parent && !!reportCard.released_at && new Date(reportCard.released_at) <= now;
+    }
+
+    /**
+     * Students whose report cards a parent or student account may see
+     */
+    async familyStudentIds(user) {
+        if (user.role === 'student') {
+            const student = await Student.findOne({ where: { user_id: user.id }, attributes: ['id'] });
+            return student ? [student.id] : [];
+        }
+        const parent = await Parent.findOne({ where: { user_id: user.id }, attributes: ['id'] });
+        if (!parent) return [];
+        const links = await StudentParentRelationship.findAll({
+            where: { parent_id: parent.id },
+            attributes: ['student_id']
+        });
+        return links.map(link => link.student_id);
+    }
+
+    /**
+     * Record a parent's electronic acknowledgement
+     * Returns false when the card was already acknowledged
+     */
+    async acknowledge(reportCard, parentId) {
+        const [updated] = await ReportCard.update({
+            parent_signature_date: new Date(),
+            acknowledged_by: parentId
+        }, {
+            where: { id: reportCard.id, parent_signature_date: null }
+        });
+        return updated > 0;
+    }
+}
+
+// Singleton instance
+const reportCardReleaseService = new ReportCardReleaseService();
+
+module.exports = {
+    reportCardReleaseService,
+    ReportCardReleaseService
+};
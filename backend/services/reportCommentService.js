@@ -0,0 +1,99 @@
+const { Grade, Subject } = require('../models');
+const { gradingScaleService, GradingScaleService } = require('./gradingScaleService');
+
+// Placeholders comment text may use, with what each is replaced by
+const PLACEHOLDERS = {
+    first_name: 'Student\'s first name',
+    last_name: 'Student\'s last name',
+    full_name: 'Student\'s full name',
+    class_name: 'Class name',
+    term_name: 'Term name',
+    overall_grade: 'Overall grade on the report card',
+    strongest_subjects: 'Up to two subjects with the best grades',
+    weakest_subject: 'Subject with the lowest grade',
+    attendance_percentage: 'Attendance for the term, e.g. 96%'
+};
+
+const PLACEHOLDER_PATTERN = /\{([a-z_]+)\}/g;
+
+/**
+ * Report Comment Service
+ * Fills comment bank placeholders with a student's name, class, results and attendance
+ */
+class ReportCommentService {
+    static get PLACEHOLDERS() {
+        return PLACEHOLDERS;
+    }
+
+    /**
+     * Placeholders in the text that are not supported
+     */
+    unknownPlaceholders(text) {
+        const unknown = new Set();
+        for (const [, name] of (text || '').matchAll(PLACEHOLDER_PATTERN)) {
+            if (!(name in PLACEHOLDERS)) unknown.add(name);
+        }
+        return [...unknown];
+    }
+
+    /**
+     * Placeholder values for a report card loaded with its Student, Class, Term and GradingScale
+     */
+    async contextFor(reportCard) {
+        const grades = await Grade.findAll({
+            where: { student_id: reportCard.student_id, term_id: reportCard.term_id },
+            include: [{ model: Subject, attributes: ['name'] }]
+        });
+        const ranked = this.rankSubjects(grades, reportCard.GradingScale || GradingScaleService.DESCRIPTOR_SCALE);
+        const student = reportCard.Student;
+
+        return {
+            first_name: student.first_name,
+            last_name: student.last_name,
+            full_name: `${student.first_name} ${student.last_name}`,
+            class_name: reportCard.Class ? reportCard.Class.name : '',
+            term_name: reportCard.Term ? reportCard.Term.name : '',
+            overall_grade: reportCard.overall_grade || '',
+            strongest_subjects: this.joinNames(ranked.slice(0, 2)),
+            weakest_subject: ranked.length > 1 ? ranked[ranked.length - 1] : '',
+            attendance_percentage: reportCard.attendance_percentage !== null && reportCard.attendance_percentage !== undefined
+                ? `${Math.round(parseFloat(reportCard.attendance_percentage))}%`
+                : ''
+        };
+    }
+
+    /**
+     * Subject names from best to worst grade
+     * Scores are compared when every grade has one, otherwise band points
+     */
+    rankSubjects(grades, scale) {
+        const allScored = grades.every(grade => grade.numeric_score !== null && grade.numeric_score !== undefined);
+        const points = new Map(gradingScaleService.bandsOf(scale).map(band => [band.label, band.points]));
+        const valueOf = grade => (allScored ? parseFloat(grade.numeric_score) : (points.get(grade.grade_value) || 0));
+
+        return grades
+            .filter(grade => grade.Subject)
+            .sort((a, b) => valueOf(b) - valueOf(a))
+            .map(grade => grade.Subject.name);
+    }
+
+    joinNames(names) {
+        if (names.length <= 1) return names[0] || '';
+        return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+    }
+
+    /**
+     * Replace placeholders with the student's values; unknown placeholders are left as written
+     */
+    render(text, context) {
+        return text.replace(PLACEHOLDER_PATTERN, (match, name) => (name in context ? context[name] : match));
+    }
+}
+
+// Singleton instance
+const reportCommentService = new ReportCommentService();
+
+module.exports = {
+    reportCommentService,
+    ReportCommentService
+};
@@ -0,0 +1,285 @@
+const { Student } = require('../models');
+const { attendanceService } = require('./attendanceService');
+const { periodAttendanceService } = require('./periodAttendanceService');
+const { securityMonitor } = require('./securityMonitor');
+const logger = require('../utils/logger');
+
+/**
+ * RFID Scan Ingestion Service
+ * Validates tag reads against the authenticated reader before recording attendance
+ */
+class RFIDScanService {
+    constructor() {
+        // Taps closer together than this on a toggle reader are treated as one scan
+        this.toggleDebounceMs = (parseInt(process.env.RFID_TOGGLE_DEBOUNCE_SECONDS) || 120) * 1000;
+
+        // Limits for scans buffered by readers while offline
+        this.batchMaxScans = parseInt(process.env.RFID_BATCH_MAX_SCANS) || 500;
+        this.batchMaxAgeMs = (parseInt(process.env.RFID_BATCH_MAX_AGE_HOURS) || 72) * 60 * 60 * 1000;
+        this.clockSkewMs = 5 * 60 * 1000;
+    }
+
+    /**
+     * Process a single tag read from an authenticated device
+     * Returns { accepted: true, student, attendance, direction } or a rejection with status code;
+     * classroom readers return the lesson mark as attendance with direction 'period'
+     */
+    async processScan(device, rfidTag, req, options = {}) {
+        if (device.status !== 'active') {
+            return this.reject(req, device, rfidTag, 'device_not_active', {
+                statusCode: 403,
+                error: 'Device is not accepting scans.',
+                code: 'DEVICE_NOT_ACTIVE'
+            });
+        }
+
+        if (!rfidTag) {
+            return this.reject(req, device, rfidTag, 'missing_tag', {
+                statusCode: 400,
+                error: 'RFID tag is required.',
+                code: 'RFID_TAG_REQUIRED'
+            });
+        }
+
+        const student = await Student.findOne({ where: { rfid_tag: rfidTag } });
+        if (!student || !student.is_active) {
+            return this.reject(req, device, rfidTag, 'unknown_tag', {
+                statusCode: 404,
+                error: 'Student not found',
+                code: 'UNKNOWN_RFID_TAG'
+            });
+        }
+
+        if (student.school_id !== device.school_id) {
+            return this.reject(req, device, rfidTag, 'school_mismatch', {
+                statusCode: 403,
+                error: 'Student is not enrolled at this device\'s school.',
+                code: 'SCHOOL_MISMATCH'
+            }, { studentId: student.id, studentSchoolId: student.school_id });
+        }
+
+        const scannedAt = options.scannedAt || new Date();
+        if (device.device_type === 'classroom_reader') {
+            return this.processClassroomScan(device, student, rfidTag, req, scannedAt);
+        }
+
+        const attendanceDate = attendanceService.localDate(scannedAt);
+        const [attendance, created] = await attendanceService.findOrCreateDailyRecord(student, attendanceDate);
+
+        const direction = this.resolveDirection(device, attendance, options.direction, scannedAt);
+        if (direction === 'entry') {
+            await attendanceService.recordEntry(attendance, scannedAt);
+        } else if (direction === 'exit') {
+            await attendanceService.recordExit(attendance, scannedAt);
+        }
+
+        await device.update({ last_sync: new Date() });
+
+        return { accepted: true, student, attendance, direction, created };
+    }
+
+    /**
+     * Classroom readers mark the lesson running in their room and also
+     * count as arrival on campus
+     */
+    async processClassroomScan(device, student, rfidTag, req, scannedAt) {
+        const slot = await periodAttendanceService.findActiveSlot(device, scannedAt);
+        if (!slot) {
+            return this.reject(req, device, rfidTag, 'no_active_period', {
+                statusCode: 409,
+                error: 'No lesson is timetabled in this room now.',
+                code: 'NO_ACTIVE_PERIOD'
+            }, { studentId: student.id });
+        }
+
+        if (student.class_id !== slot.class_id) {
+            return this.reject(req, device, rfidTag, 'wrong_class', {
+                statusCode: 403,
+                error: 'Student is not in the class timetabled in this room.',
+                code: 'NOT_IN_CLASS'
+            }, { studentId: student.id, timetableSlotId: slot.id });
+        }
+
+        // Being in a lesson means being on campus, whatever the gate last recorded
+        const [daily] = await attendanceService.findOrCreateDailyRecord(student, attendanceService.localDate(scannedAt));
+        await attendanceService.recordEntry(daily, scannedAt);
+
+        const { record, direction } = await periodAttendanceService.recordScan(slot, student, device, scannedAt);
+
+        await device.update({ last_sync: new Date() });
+
+        return { accepted: true, student, attendance: record, daily, direction, period: slot };
+    }
+
+    /**
+     * Decide whether a scan is an entry, an exit or a repeated tap
+     * Fixed gates always report their own direction; toggle readers flip the
+     * student's on-campus state, and mobile readers may state it explicitly
+     */
+    resolveDirection(device, attendance, requestedDirection, scannedAt) {
+        if (device.scan_direction === 'entry' || device.scan_direction === 'exit') {
+            return device.scan_direction;
+        }
+
+        if (device.device_type === 'mobile_reader' && ['entry', 'exit'].includes(requestedDirection)) {
+            return requestedDirection;
+        }
+
+        const lastScan = [attendance.rfid_entry_time, attendance.rfid_exit_time]
+            .filter(Boolean)
+            .map(time => new Date(time).getTime())
+            .reduce((latest, time) => Math.max(latest, time), 0);
+
+        if (lastScan && Math.abs(scannedAt.getTime() - lastScan) < this.toggleDebounceMs) {
+            return 'repeat';
+        }
+
+        // A back-filled scan from before the first known arrival can only be an entry
+        if (attendance.rfid_entry_time && scannedAt < new Date(attendance.rfid_entry_time)) {
+            return 'entry';
+        }
+
+        const onCampus = attendance.rfid_entry_time && !attendance.rfid_exit_time;
+        return onCampus ? 'exit' : 'entry';
+    }
+
+    /**
+     * Process scans a reader buffered while offline
+     * Scans are replayed in device-time order using the device timestamp; retransmitted
+     * and repeated taps of the same tag within the debounce window are reported as duplicates.
+     * Returns one result per submitted scan, in submission order, or a rejection
+     * of the whole batch when the device is not accepting scans.
+     */
+    async processBatch(device, scans, req) {
+        if (device.status !== 'active') {
+            return this.reject(req, device, null, 'device_not_active', {
+                statusCode: 403,
+                error: 'Device is not accepting scans.',
+                code: 'DEVICE_NOT_ACTIVE'
+            }, { batchSize: scans.length });
+        }
+
+        const now = Date.now();
+        const results = new Array(scans.length);
+
+        const entries = scans.map((scan, index) => ({
+            index,
+            rfidTag: scan && typeof scan.rfid_tag === 'string' ? scan.rfid_tag.trim() : null,
+            direction: scan ? scan.direction : undefined,
+            scannedAt: scan && scan.scanned_at ? new Date(scan.scanned_at) : null
+        }));
+
+        const replayable = [];
+        for (const entry of entries) {
+            const timestampError = this.checkScanTimestamp(entry.scannedAt, now);
+            if (timestampError) {
+                const rejection = await this.reject(req, device, entry.rfidTag, 'invalid_timestamp', {
+                    statusCode: 400,
+                    error: timestampError,
+                    code: 'INVALID_SCAN_TIMESTAMP'
+                }, { scannedAt: entry.scannedAt && !isNaN(entry.scannedAt) ? entry.scannedAt.toISOString() : null });
+                results[entry.index] = this.batchResult(entry, 'rejected', rejection);
+            } else {
+                replayable.push(entry);
+            }
+        }
+
+        // Stable sort keeps submission order for identical timestamps
+        replayable.sort((a, b) => a.scannedAt - b.scannedAt);
+
+        const lastAcceptedByTag = new Map();
+        for (const entry of replayable) {
+            const lastAccepted = lastAcceptedByTag.get(entry.rfidTag);
+            if (lastAccepted && entry.scannedAt - lastAccepted < this.toggleDebounceMs) {
+                results[entry.index] = this.batchResult(entry, 'duplicate');
+                continue;
+            }
+
+            const result = await this.processScan(device, entry.rfidTag, req, {
+                scannedAt: entry.scannedAt,
+                direction: entry.direction
+            });
+
+            if (!result.accepted) {
+                results[entry.index] = this.batchResult(entry, 'rejected', result);
+                continue;
+            }
+
+            if (entry.rfidTag) lastAcceptedByTag.set(entry.rfidTag, entry.scannedAt);
+            results[entry.index] = this.batchResult(entry, result.direction === 'repeat' ? 'duplicate' : 'accepted', {
+                direction: result.direction,
+                student_id: result.student.id,
+                attendance_id: result.attendance.id
+            });
+        }
+
+        const count = status => results.filter(result => result.status === status).length;
+        const summary = {
+            received: scans.length,
+            accepted: count('accepted'),
+            duplicates: count('duplicate'),
+            rejected: count('rejected')
+        };
+
+        logger.info(`RFID batch from device ${device.device_id}: ${summary.accepted} accepted, ${summary.duplicates} duplicates, ${summary.rejected} rejected`);
+
+        return { accepted: true, summary, results };
+    }
+
+    /**
+     * Device timestamps must parse and fall between the offline window and now (allowing clock skew)
+     */
+    checkScanTimestamp(scannedAt, now) {
+        if (!scannedAt || isNaN(scannedAt.getTime())) {
+            return 'Scan timestamp is missing or invalid.';
+        }
+        if (scannedAt.getTime() > now + this.clockSkewMs) {
+            return 'Scan timestamp is in the future.';
+        }
+        if (scannedAt.getTime() < now - this.batchMaxAgeMs) {
+            return 'Scan is older than the offline upload window.';
+        }
+        return null;
+    }
+
+    batchResult(entry, status, details = {}) {
+        const result = {
+            index: entry.index,
+            rfid_tag: entry.rfidTag,
+            scanned_at: entry.scannedAt && !isNaN(entry.scannedAt) ? entry.scannedAt.toISOString() : null,
+            status
+        };
+        if (status === 'rejected') {
+            result.error = details.error;
+            result.code = details.code;
+        } else {
+            Object.assign(result, details);
+        }
+        return result;
+    }
+
+    /**
+     * Log a rejected scan as a security event and build the rejection result
+     */
+    async reject(req, device, rfidTag, reason, response, extraDetails = {}) {
+        await securityMonitor.recordRfidRejection(reason, {
+            deviceId: device.device_id,
+            deviceRecordId: device.id,
+            deviceSchoolId: device.school_id,
+            rfidTag,
+            ...extraDetails
+        }, req);
+
+        logger.warn(`RFID scan rejected (${reason}) from device ${device.device_id}`);
+
+        return { accepted: false, ...response };
+    }
+}
+
+// Singleton instance
+const rfidScanService = new RFIDScanService();
+
+module.exports = {
+    rfidScanService,
+    RFIDScanService
+};
@@ -0,0 +1,107 @@
+const { Op } = require('sequelize');
+const { Term, SchoolHoliday } = require('../models');
+
+/**
+ * School Calendar Service
+ * Decides which dates are school days from the Term calendar, weekends and holidays
+ */
+class SchoolCalendar {
+    /**
+     * Weekday of a YYYY-MM-DD date, independent of the server timezone
+     */
+    static isWeekend(date) {
+        const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+        return day === 0 || day === 6;
+    }
+
+    /**
+     * Enumerate YYYY-MM-DD dates from start to end inclusive
+     */
+    static eachDate(startDate, endDate) {
+        const dates = [];
+        const cursor = new Date(`${startDate}T00:00:00Z`);
+        const end = new Date(`${endDate}T00:00:00Z`);
+        while (cursor <= end) {
+            dates.push(cursor.toISOString().split('T')[0]);
+            cursor.setUTCDate(cursor.getUTCDate() + 1);
+        }
+        return dates;
+    }
+
+    /**
+     * Active term covering the given date, if any
+     */
+    async getTermForDate(date) {
+        return Term.findOne({
+            where: {
+                is_active: true,
+                start_date: { [Op.lte]: date },
+                end_date: { [Op.gte]: date }
+            }
+        });
+    }
+
+    /**
+     * Holiday dates for a school (its own plus national holidays) in a date range
+     */
+    async getHolidayDates(schoolId, startDate, endDate) {
+        const holidays = await SchoolHoliday.findAll({
+            where: {
+                holiday_date: { [Op.between]: [startDate, endDate] },
+                [Op.or]: [{ school_id: schoolId }, { school_id: null }]
+            },
+            attributes: ['holiday_date']
+        });
+        return new Set(holidays.map(holiday => holiday.holiday_date));
+    }
+
+    /**
+     * Whether a date is a school day for a school, with the reason when it is not
+     */
+    async isSchoolDay(date, schoolId) {
+        if (SchoolCalendar.isWeekend(date)) {
+            return { schoolDay: false, reason: 'weekend' };
+        }
+
+        const term = await this.getTermForDate(date);
+        if (!term) {
+            return { schoolDay: false, reason: 'outside_term' };
+        }
+
+        const holidays = await this.getHolidayDates(schoolId, date, date);
+        if (holidays.has(date)) {
+            return { schoolDay: false, reason: 'holiday', term };
+        }
+
+        return { schoolDay: true, term };
+    }
+
+    /**
+     * School days for a school between two dates, limited to active terms
+     */
+    async getSchoolDays(schoolId, startDate, endDate) {
+        const terms = await Term.findAll({
+            where: {
+                is_active: true,
+                start_date: { [Op.lte]: endDate },
+                end_date: { [Op.gte]: startDate }
+            },
+            attributes: ['start_date', 'end_date']
+        });
+        const holidays = await this.getHolidayDates(schoolId, startDate, endDate);
+
+        return SchoolCalendar.eachDate(startDate, endDate).filter(date =>
+            !SchoolCalendar.isWeekend(date) &&
+            !holidays.has(date) &&
+            terms.some(term => term.start_date <= date && term.end_date >= date)
+        );
+    }
+}
+
+// Singleton instance
+const schoolCalendar = new SchoolCalendar();
+
+module.exports = {
+    schoolCalendar,
+    SchoolCalendar
+};
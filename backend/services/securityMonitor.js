@@ -15,6 +15,7 @@ class SecurityMonitor {
         this.monitoringInterval = parseInt(process.env.SECURITY_MONITORING_INTERVAL) || 60000; // 1 minute
         this.alertCooldown = parseInt(process.env.SECURITY_ALERT_COOLDOWN) || 300000; // 5 minutes
         this.recentAlerts = new Map();
+        this.rfidRejections = new Map();
         this.metrics = {
             totalAlerts: 0,
             criticalAlerts: 0,
@@ -83,6 +84,13 @@ class SecurityMonitor {
                 threshold: parseInt(process.env.ALERT_BULK_FILE_THRESHOLD) || 20,
                 timeWindow: parseInt(process.env.ALERT_BULK_FILE_WINDOW) || 1800000, // 30 minutes
                 severity: 'medium'
+            },
+            
+            // Rejected RFID scans and reader authentication failures
+            rfidRejections: {
+                threshold: parseInt(process.env.ALERT_RFID_REJECTIONS_THRESHOLD) || 10,
+                timeWindow: parseInt(process.env.ALERT_RFID_REJECTIONS_WINDOW) || 600000, // 10 minutes
+                severity: 'high'
             }
         };
     }
@@ -570,6 +578,67 @@ class SecurityMonitor {
         }
     }
 
+    /**
+     * Record a rejected RFID scan or reader authentication failure
+     * Persists the event to the audit trail and alerts when a source keeps failing.
+     * Sources are counted by client IP: the device ID is whatever the caller claims,
+     * so an attacker rotating it would otherwise never reach the threshold.
+     */
+    async recordRfidRejection(reason, details = {}, req) {
+        const source = req?.ip || 'unknown';
+
+        logger.logSecurity('rfid_scan_rejected', { reason, ...details }, req);
+
+        try {
+            await AuditLog.create({
+                action: 'rfid_scan_rejected',
+                table_name: 'rfid_devices',
+                record_id: details.deviceRecordId || null,
+                new_values: { reason, ...details },
+                ip_address: req?.ip,
+                user_agent: req?.get('User-Agent')
+            });
+        } catch (error) {
+            logger.error('Failed to persist RFID rejection:', error);
+        }
+
+        const threshold = this.alertThresholds.rfidRejections;
+        const windowStart = Date.now() - threshold.timeWindow;
+        this.pruneRfidRejections(windowStart);
+
+        const recent = this.rfidRejections.get(source) || [];
+        recent.push(Date.now());
+        this.rfidRejections.set(source, recent);
+
+        if (recent.length >= threshold.threshold) {
+            await this.sendAlert('Repeated RFID Scan Rejections', {
+                severity: threshold.severity,
+                details: {
+                    source,
+                    lastDeviceId: details.deviceId || null,
+                    lastReason: reason,
+                    rejectionCount: recent.length,
+                    timeWindow: threshold.timeWindow / 1000 / 60 // minutes
+                },
+                recommendation: 'Check whether the reader is misconfigured or an unregistered device is submitting scans'
+            });
+        }
+    }
+
+    /**
+     * Drop rejection timestamps older than the window, and sources left with none
+     */
+    pruneRfidRejections(windowStart) {
+        for (const [source, times] of this.rfidRejections) {
+            const recent = times.filter(time => time >= windowStart);
+            if (recent.length > 0) {
+                this.rfidRejections.set(source, recent);
+            } else {
+                this.rfidRejections.delete(source);
+            }
+        }
+    }
+
     /**
      * Send security alert
      */
@@ -808,6 +877,7 @@ class SecurityMonitor {
     shutdown() {
         this.stopMonitoring();
         this.recentAlerts.clear();
+        this.rfidRejections.clear();
     }
 }
 
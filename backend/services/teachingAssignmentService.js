@@ -0,0 +1,166 @@
+const { TeachingAssignment, TimetableSlot, Term, Class, Staff, Subject } = require('../models');
+
+// Primary levels, where the class teacher takes every subject no specialist is assigned
+const PRIMARY_GRADE_LEVELS = ['infants a', 'infants b', 'class 1', 'class 2', 'class 3', 'class 4'];
+
+/**
+ * Teaching Assignment Service
+ * Records who teaches each subject to each class in a term, how many lessons a
+ * week it should have, and how much of that the timetable covers
+ */
+class TeachingAssignmentService {
+    async currentTerm() {
+        return Term.findOne({ where: { is_current: true } });
+    }
+
+    /**
+     * Active assignment for a class and subject in a term, the current term when none is given
+     */
+    async assignmentFor(classId, subjectId, termId = null) {
+        const term = termId ? { id: termId } : await this.currentTerm();
+        if (!term) return null;
+        return TeachingAssignment.findOne({
+            where: { class_id: classId, subject_id: subjectId, term_id: term.id, is_active: true }
+        });
+    }
+
+    /**
+     * Whether a staff member teaches a subject to a class: the teacher assigned for the
+     * term where there is one. Otherwise, in primary classes and classes with no subject
+     * assignments at all, the class teacher or a teacher timetabled for its lessons;
+     * classes run on subject assignments need one for the subject
+     */
+    async teaches(staffId, classRecord, subjectId, termId = null) {
+        if (!staffId || !classRecord) return false;
+
+        const term = termId ? { id: termId } : await this.currentTerm();
+        if (term) {
+            const assignment = await this.assignmentFor(classRecord.id, subjectId, term.id);
+            if (assignment) return assignment.staff_id === staffId;
+
+            const primary = PRIMARY_GRADE_LEVELS.includes(`${classRecord.grade_level}`.trim().toLowerCase());
+            if (!primary) {
+                const assigned = await TeachingAssignment.count({
+                    where: { class_id: classRecord.id, term_id: term.id, is_active: true }
+                });
+                if (assigned > 0) return false;
+            }
+        }
+
+        if (classRecord.class_teacher_id === staffId) return true;
+
+        const slots = await TimetableSlot.count({
+            where: { class_id: classRecord.id, subject_id: subjectId, teacher_id: staffId, is_active: true }
+        });
+        return slots > 0;
+    }
+
+    /**
+     * Whether a staff member teaches a class at all: its class teacher, a teacher
+     * assigned one of its subjects for the term, or one timetabled for its lessons
+     */
+    async teachesClass(staffId, classRecord, termId = null) {
+        if (!staffId || !classRecord) return false;
+        if (classRecord.class_teacher_id === staffId) return true;
+
+        const term = termId ? { id: termId } : await this.currentTerm();
+        if (term) {
+            const assigned = await TeachingAssignment.count({
+                where: { class_id: classRecord.id, staff_id: staffId, term_id: term.id, is_active: true }
+            });
+            if (assigned > 0) return true;
+        }
+
+        const slots = await TimetableSlot.count({
+            where: { class_id: classRecord.id, teacher_id: staffId, is_active: true }
+        });
+        return slots > 0;
+    }
+
+    /**
+     * Weekly lessons on the timetable for each class and subject, keyed "class_id|subject_id"
+     */
+    async scheduledPeriods(where) {
+        const slots = await TimetableSlot.findAll({
+            where: { ...where, is_active: true },
+            attributes: ['class_id', 'subject_id']
+        });
+        const periods = new Map();
+        for (const slot of slots) {
+            const key = `${slot.class_id}|${slot.subject_id}`;
+            periods.set(key, (periods.get(key) || 0) + 1);
+        }
+        return periods;
+    }
+
+    /**
+     * Assignments with the lessons timetabled against each and any still to place
+     */
+    async withSchedule(assignments) {
+        if (assignments.length === 0) return [];
+        const periods = await this.scheduledPeriods({ class_id: [...new Set(assignments.map(assignment => assignment.class_id))] });
+        return assignments.map(assignment => {
+            const scheduled = periods.get(`${assignment.class_id}|${assignment.subject_id}`) || 0;
+            return {
+                ...assignment.toJSON(),
+                scheduled_periods: scheduled,
+                unscheduled_periods: Math.max(assignment.periods_per_week - scheduled, 0)
+            };
+        });
+    }
+
+    /**
+     * Teaching load of each active teacher at a school in a term: the classes and
+     * subjects assigned, periods a week assigned and timetabled, and classes they form-teach
+     */
+    async workload(schoolId, termId) {
+        const staff = await Staff.findAll({
+            where: { school_id: schoolId, is_active: true },
+            attributes: ['id', 'employee_id', 'first_name', 'last_name', 'position', 'role_level'],
+            order: [['last_name', 'ASC'], ['first_name', 'ASC']]
+        });
+        const assignments = await TeachingAssignment.findAll({
+            where: { school_id: schoolId, term_id: termId, is_active: true },
+            include: [
+                { model: Class, attributes: ['id', 'name'] },
+                { model: Subject, attributes: ['id', 'name', 'code'] }
+            ]
+        });
+        const term = await Term.findByPk(termId, { attributes: ['school_year'] });
+        const slots = await TimetableSlot.findAll({
+            where: { school_id: schoolId, school_year: term ? term.school_year : null, is_active: true },
+            attributes: ['teacher_id']
+        });
+        const classes = await Class.findAll({
+            where: { school_id: schoolId, is_active: true },
+            attributes: ['id', 'name', 'class_teacher_id']
+        });
+
+        return staff.map(member => {
+            const assigned = assignments.filter(assignment => assignment.staff_id === member.id);
+            return {
+                teacher: member,
+                classes: new Set(assigned.map(assignment => assignment.class_id)).size,
+                subjects: new Set(assigned.map(assignment => assignment.subject_id)).size,
+                assigned_periods: assigned.reduce((sum, assignment) => sum + assignment.periods_per_week, 0),
+                timetabled_periods: slots.filter(slot => slot.teacher_id === member.id).length,
+                class_teacher_of: classes.filter(classRecord => classRecord.class_teacher_id === member.id)
+                    .map(classRecord => classRecord.name),
+                assignments: assigned.map(assignment => ({
+                    id: assignment.id,
+                    class: assignment.Class,
+                    subject: assignment.Subject,
+                    periods_per_week: assignment.periods_per_week
+                }))
+            };
+        });
+    }
+}
+
+// Singleton instance
+const teachingAssignmentService = new TeachingAssignmentService();
+
+module.exports = {
+    teachingAssignmentService,
+    TeachingAssignmentService
+};
@@ -0,0 +1,114 @@
+const { Op } = require('sequelize');
+const { TimetableSlot, Class, Subject, Staff, RFIDDevice } = require('../models');
+
+const SLOT_INCLUDES = [
+    { model: Class, attributes: ['id', 'name'] },
+    { model: Subject, attributes: ['id', 'name', 'code'] },
+    { model: Staff, as: 'teacher', attributes: ['id', 'first_name', 'last_name'] },
+    { model: RFIDDevice, attributes: ['id', 'device_id', 'location'] }
+];
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Times compare in order as HH:MM:SS strings; lessons saved as HH:MM are padded
+const clock = (time) => (`${time}`.length === 5 ? `${time}:00` : `${time}`);
+const overlaps = (a, b) => clock(a.start_time) < clock(b.end_time) && clock(b.start_time) < clock(a.end_time);
+
+/**
+ * Timetable Service
+ * Lays lessons out by weekday and finds clashes: a class, teacher or room
+ * booked for two lessons at overlapping times on the same day
+ */
+class TimetableService {
+    static get SLOT_INCLUDES() {
+        return SLOT_INCLUDES;
+    }
+
+    /**
+     * Ways two lessons clash, if any: 'class', 'teacher' or 'room'
+     */
+    clashTypes(a, b) {
+        if (a.day_of_week !== b.day_of_week) return [];
+        const samePeriod = a.period_number === b.period_number;
+        if (!samePeriod && !overlaps(a, b)) return [];
+
+        const types = [];
+        if (a.class_id === b.class_id) types.push('class');
+        if (a.teacher_id && a.teacher_id === b.teacher_id) types.push('teacher');
+        if (a.room && a.school_id === b.school_id && a.room.toLowerCase() === (b.room || '').toLowerCase()) types.push('room');
+        return types;
+    }
+
+    /**
+     * Active lessons in the same school year a proposed lesson would clash with: [{ types, slot }]
+     */
+    async findClashes(lesson, excludeId = null) {
+        const candidates = [{ class_id: lesson.class_id }];
+        if (lesson.teacher_id) candidates.push({ teacher_id: lesson.teacher_id });
+        if (lesson.room) candidates.push({ school_id: lesson.school_id, room: { [Op.ne]: null } });
+
+        const slots = await TimetableSlot.findAll({
+            where: {
+                school_year: lesson.school_year,
+                day_of_week: lesson.day_of_week,
+                is_active: true,
+                [Op.or]: candidates,
+                ...(excludeId ? { id: { [Op.ne]: excludeId } } : {})
+            },
+            include: SLOT_INCLUDES
+        });
+
+        return slots
+            .map(slot => ({ types: this.clashTypes(lesson, slot), slot }))
+            .filter(clash => clash.types.length > 0);
+    }
+
+    /**
+     * Clashes among a school's active lessons in a school year, such as lessons
+     * timetabled before clashes were checked: [{ types, lessons: [a, b] }]
+     */
+    async schoolClashes(schoolId, schoolYear) {
+        const slots = await TimetableSlot.findAll({
+            where: { school_id: schoolId, school_year: schoolYear, is_active: true },
+            include: SLOT_INCLUDES,
+            order: [['day_of_week', 'ASC'], ['start_time', 'ASC']]
+        });
+
+        const clashes = [];
+        slots.forEach((slot, index) => {
+            for (const other of slots.slice(index + 1)) {
+                const types = this.clashTypes(slot, other);
+                if (types.length > 0) clashes.push({ types, lessons: [slot, other] });
+            }
+        });
+        return clashes;
+    }
+
+    /**
+     * Lessons laid out by weekday, Monday first, for days that have any
+     */
+    week(slots) {
+        const days = [];
+        for (const slot of slots) {
+            let day = days.find(candidate => candidate.day_of_week === slot.day_of_week);
+            if (!day) {
+                day = { day_of_week: slot.day_of_week, day: DAY_NAMES[slot.day_of_week - 1], lessons: [] };
+                days.push(day);
+            }
+            day.lessons.push(slot);
+        }
+        days.sort((a, b) => a.day_of_week - b.day_of_week);
+        for (const day of days) {
+            day.lessons.sort((a, b) => a.period_number - b.period_number || (clock(a.start_time) < clock(b.start_time) ? -1 : 1));
+        }
+        return days;
+    }
+}
+
+// Singleton instance
+const timetableService = new TimetableService();
+
+module.exports = {
+    timetableService,
+    TimetableService
+};
@@ -0,0 +1,381 @@
+const PDFDocument = require('pdfkit');
+const {
+    AcademicRecord, Grade, ReportCard, Student, StudentTransfer, Class, School, Term, Subject
+} = require('../models');
+
+const PAGE_MARGIN = 40;
+
+// Term names used by older records that carry no number
+const TERM_NAMES = [
+    { pattern: /christmas|michaelmas|first|fall|autumn/i, number: 1 },
+    { pattern: /easter|lent|hilary|second|spring/i, number: 2 },
+    { pattern: /summer|trinity|third/i, number: 3 }
+];
+
+// Transcript table columns: width in points and how each subject result fills the cell
+const SUBJECT_COLUMNS = [
+    { header: 'Subject', width: 180, value: subject => subject.subject },
+    { header: 'Grade', width: 60, value: subject => subject.grade || '' },
+    { header: 'Score', width: 60, value: subject => (subject.score !== null ? `${subject.score}` : '') },
+    { header: 'Points', width: 60, value: subject => (subject.grade_points !== null ? `${subject.grade_points}` : '') },
+    { header: 'Source', width: 155, value: subject => (subject.source === 'academic_record' ? 'Archived record' : 'Report card') }
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+const numberOrNull = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const subjectKey = (name) => `${name}`.trim().toLowerCase();
+
+/**
+ * Transcript Service
+ * Builds a student's academic transcript across every school and school year,
+ * merging archived academic records with term grades and report cards, and
+ * renders it as a PDF for secondary school entry and tertiary applications
+ */
+class TranscriptService {
+    /**
+     * Term number of an archived record's term: "Term 2", "2" and "Easter" are all 2
+     */
+    termNumber(termName) {
+        const digits = `${termName}`.match(/\d/);
+        if (digits) return parseInt(digits[0]);
+        const named = TERM_NAMES.find(entry => entry.pattern.test(termName));
+        return named ? named.number : null;
+    }
+
+    /**
+     * School a student attended in a school year, from completed transfers: the school
+     * they left in the earliest transfer that year or later, otherwise their current school.
+     * A year with a transfer in it is credited to the school they left.
+     */
+    schoolForYear(schoolYear, transfers, currentSchool) {
+        const transfer = transfers.find(candidate => candidate.academic_year >= schoolYear);
+        return transfer ? transfer.fromSchool : currentSchool;
+    }
+
+    /**
+     * The student's transcript: their details, completed transfers, and every term
+     * with results in chronological order grouped by school year, with a summary.
+     * releasedWhere, the condition for report cards families can see, limits current-system
+     * terms to those with a visible report card; archived records are always included.
+     * Returns null when the student does not exist.
+     */
+    async build(studentId, { releasedWhere = null } = {}) {
+        const student = await Student.findByPk(studentId, {
+            attributes: ['id', 'student_id', 'first_name', 'last_name', 'date_of_birth', 'gender', 'grade_level', 'enrollment_date'],
+            include: [{ model: School, attributes: ['id', 'name', 'school_code', 'school_category'] }]
+        });
+        if (!student) return null;
+
+        const schoolAttributes = ['id', 'name', 'school_code', 'school_category'];
+        const transfers = await StudentTransfer.findAll({
+            where: { student_id: studentId, status: 'completed' },
+            include: [
+                { model: School, as: 'fromSchool', attributes: schoolAttributes },
+                { model: School, as: 'toSchool', attributes: schoolAttributes }
+            ],
+            order: [['academic_year', 'ASC'], ['effective_date', 'ASC']]
+        });
+
+        const reportCards = await ReportCard.findAll({
+            where: { student_id: studentId, ...(releasedWhere || {}) },
+            include: [
+                { model: Term, attributes: ['id', 'name', 'school_year', 'term_number', 'start_date'] },
+                { model: Class, attributes: ['id', 'name', 'grade_level'], include: [{ model: School, attributes: schoolAttributes }] }
+            ]
+        });
+        const gradeWhere = { student_id: studentId };
+        if (releasedWhere) gradeWhere.term_id = reportCards.map(reportCard => reportCard.term_id);
+        const grades = await Grade.findAll({
+            where: gradeWhere,
+            include: [
+                { model: Subject, attributes: ['id', 'name', 'code'] },
+                { model: Term, attributes: ['id', 'name', 'school_year', 'term_number', 'start_date', 'end_date'] },
+                { model: Class, attributes: ['id', 'name', 'grade_level'], include: [{ model: School, attributes: schoolAttributes }] }
+            ]
+        });
+        const records = await AcademicRecord.findAll({ where: { student_id: studentId } });
+
+        const terms = new Map();
+        const termFor = (schoolYear, termNumber, name) => {
+            const key = `${schoolYear}|${termNumber === null ? subjectKey(name) : termNumber}`;
+            if (!terms.has(key)) {
+                terms.set(key, {
+                    school_year: schoolYear,
+                    term_number: termNumber,
+                    term: name,
+                    start_date: null,
+                    school: null,
+                    class: null,
+                    overall_grade: null,
+                    overall_score: null,
+                    class_position: null,
+                    class_size: null,
+                    provisional: false,
+                    subjects: new Map()
+                });
+            }
+            return terms.get(key);
+        };
+
+        // Term grades from the current system come first and win over archived copies
+        for (const grade of grades) {
+            const entry = termFor(grade.Term.school_year, grade.Term.term_number, grade.Term.name);
+            entry.term = grade.Term.name;
+            entry.start_date = grade.Term.start_date;
+            if (grade.Class) {
+                entry.class = { name: grade.Class.name, grade_level: grade.Class.grade_level };
+                entry.school = grade.Class.School || entry.school;
+            }
+            if (!grade.is_final) entry.provisional = true;
+            entry.subjects.set(subjectKey(grade.Subject.name), {
+                subject: grade.Subject.name,
+                code: grade.Subject.code,
+                grade: grade.grade_value,
+                score: numberOrNull(grade.numeric_score),
+                grade_points: null,
+                comments: grade.teacher_comments || null,
+                source: 'grade'
+            });
+        }
+
+        for (const reportCard of reportCards) {
+            const entry = termFor(reportCard.Term.school_year, reportCard.Term.term_number, reportCard.Term.name);
+            entry.start_date = reportCard.Term.start_date;
+            entry.overall_grade = reportCard.overall_grade;
+            entry.overall_score = numberOrNull(reportCard.overall_score);
+            entry.class_position = reportCard.class_position;
+            entry.class_size = reportCard.class_size;
+            if (!reportCard.is_final) entry.provisional = true;
+            if (reportCard.Class) {
+                entry.class = { name: reportCard.Class.name, grade_level: reportCard.Class.grade_level };
+                entry.school = reportCard.Class.School || entry.school;
+            }
+        }
+
+        for (const record of records) {
+            const entry = termFor(record.school_year, this.termNumber(record.term), record.term);
+            if (!entry.school) entry.school = this.schoolForYear(record.school_year, transfers, student.School);
+            const key = subjectKey(record.subject);
+            if (entry.subjects.has(key)) continue;
+            entry.subjects.set(key, {
+                subject: record.subject,
+                code: null,
+                grade: record.grade,
+                score: null,
+                grade_points: numberOrNull(record.grade_points),
+                comments: record.comments || null,
+                source: 'academic_record'
+            });
+        }
+
+        const ordered = [...terms.values()].sort((a, b) => {
+            if (a.school_year !== b.school_year) return a.school_year < b.school_year ? -1 : 1;
+            if (a.term_number !== null && b.term_number !== null) return a.term_number - b.term_number;
+            if (a.term_number !== b.term_number) return a.term_number === null ? 1 : -1;
+            return a.term < b.term ? -1 : 1;
+        });
+
+        const years = [];
+        for (const entry of ordered) {
+            const term = {
+                ...entry,
+                school: entry.school ? { id: entry.school.id, name: entry.school.name, school_code: entry.school.school_code } : null,
+                subjects: [...entry.subjects.values()].sort((a, b) => (a.subject < b.subject ? -1 : 1))
+            };
+            let year = years.find(candidate => candidate.school_year === term.school_year);
+            if (!year) {
+                year = { school_year: term.school_year, schools: [], terms: [] };
+                years.push(year);
+            }
+            if (term.school && !year.schools.includes(term.school.name)) year.schools.push(term.school.name);
+            year.terms.push(term);
+        }
+
+        return {
+            student: {
+                id: student.id,
+                student_id: student.student_id,
+                first_name: student.first_name,
+                last_name: student.last_name,
+                date_of_birth: student.date_of_birth,
+                gender: student.gender,
+                grade_level: student.grade_level,
+                enrollment_date: student.enrollment_date,
+                school: student.School
+            },
+            transfers: transfers.map(transfer => ({
+                academic_year: transfer.academic_year,
+                effective_date: transfer.effective_date || transfer.transfer_date,
+                from_school: transfer.fromSchool ? transfer.fromSchool.name : null,
+                to_school: transfer.toSchool ? transfer.toSchool.name : null,
+                from_grade: transfer.current_grade,
+                to_grade: transfer.target_grade
+            })),
+            years,
+            summary: this.summarize(ordered),
+            generated_at: new Date()
+        };
+    }
+
+    /**
+     * Totals across the transcript: terms and years covered, schools attended,
+     * and the average of every numeric score and of every archived grade point
+     */
+    summarize(terms) {
+        const subjects = terms.flatMap(term => [...term.subjects.values()]);
+        const scores = subjects.map(subject => subject.score).filter(score => score !== null);
+        const points = subjects.map(subject => subject.grade_points).filter(value => value !== null);
+        return {
+            school_years: new Set(terms.map(term => term.school_year)).size,
+            terms: terms.length,
+            schools: [...new Set(terms.filter(term => term.school).map(term => term.school.name))],
+            subject_results: subjects.length,
+            average_score: scores.length > 0 ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+            average_grade_points: points.length > 0 ? round(points.reduce((sum, value) => sum + value, 0) / points.length) : null,
+            includes_provisional: terms.some(term => term.provisional)
+        };
+    }
+
+    /**
+     * Write the transcript to a stream as a PDF
+     */
+    render(stream, transcript) {
+        const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: 'Academic Transcript' } });
+        doc.pipe(stream);
+        const { student } = transcript;
+        const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+
+        doc.font('Helvetica').fontSize(9).fillColor('#444444')
+            .text((process.env.REPORT_CARD_AUTHORITY || 'Ministry of Education').toUpperCase(), { align: 'center' });
+        doc.font('Helvetica-Bold').fontSize(16).fillColor('black').text('ACADEMIC TRANSCRIPT', { align: 'center' });
+        this.rule(doc, contentWidth);
+
+        this.detailRow(doc, [
+            ['Student', `${student.first_name} ${student.last_name}`],
+            ['Student ID', student.student_id]
+        ]);
+        this.detailRow(doc, [
+            ['Date of Birth', student.date_of_birth || ''],
+            ['Current School', student.school ? student.school.name : ''],
+            ['Grade Level', student.grade_level || '']
+        ]);
+        if (transcript.transfers.length > 0) {
+            this.section(doc, 'Transfers');
+            doc.font('Helvetica').fontSize(9);
+            for (const transfer of transcript.transfers) {
+                doc.text(`${transfer.academic_year}: ${transfer.from_school} (${transfer.from_grade}) to ${transfer.to_school} (${transfer.to_grade})`
+                    + (transfer.effective_date ? `, effective ${transfer.effective_date}` : ''), PAGE_MARGIN);
+            }
+        }
+        this.rule(doc, contentWidth);
+
+        for (const year of transcript.years) {
+            this.ensureSpace(doc, 60);
+            doc.font('Helvetica-Bold').fontSize(12).text(`School Year ${year.school_year}`, PAGE_MARGIN);
+            for (const term of year.terms) this.drawTerm(doc, term);
+            doc.moveDown(0.5);
+        }
+        if (transcript.years.length === 0) {
+            doc.font('Helvetica').fontSize(9).text('No academic results are on record for this student.', PAGE_MARGIN);
+        }
+
+        const { summary } = transcript;
+        this.ensureSpace(doc, 80);
+        this.section(doc, 'Summary');
+        this.detailRow(doc, [
+            ['School Years', summary.school_years],
+            ['Terms', summary.terms],
+            ['Subject Results', summary.subject_results]
+        ]);
+        this.detailRow(doc, [
+            ['Average Score', summary.average_score !== null ? summary.average_score : ''],
+            ['Average Grade Points', summary.average_grade_points !== null ? summary.average_grade_points : '']
+        ]);
+        doc.font('Helvetica').fontSize(9).text(`Schools attended: ${summary.schools.join(', ')}`, PAGE_MARGIN);
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Oblique').fontSize(8).fillColor('#444444')
+            .text(`Issued ${new Date(transcript.generated_at).toISOString().slice(0, 10)}.`
+                + (summary.includes_provisional ? ' Terms marked provisional include grades not yet approved.' : ''), PAGE_MARGIN)
+            .fillColor('black');
+
+        doc.end();
+        return doc;
+    }
+
+    drawTerm(doc, term) {
+        this.ensureSpace(doc, 50);
+        doc.moveDown(0.3);
+        const heading = [term.term, term.school && term.school.name, term.class && term.class.name].filter(Boolean).join('  |  ');
+        doc.font('Helvetica-Bold').fontSize(10).text(heading + (term.provisional ? '  (provisional)' : ''), PAGE_MARGIN);
+        const overall = [];
+        if (term.overall_grade) overall.push(`Overall: ${term.overall_grade}${term.overall_score !== null ? ` (${term.overall_score})` : ''}`);
+        if (term.class_position) overall.push(`Position: ${term.class_position} of ${term.class_size}`);
+        if (overall.length > 0) doc.font('Helvetica').fontSize(9).text(overall.join('    '), PAGE_MARGIN);
+
+        const drawHeader = () => {
+            let cellX = PAGE_MARGIN;
+            const y = doc.y + 2;
+            doc.font('Helvetica-Bold').fontSize(9);
+            for (const column of SUBJECT_COLUMNS) {
+                doc.text(column.header, cellX + 2, y, { width: column.width - 4 });
+                cellX += column.width;
+            }
+            doc.y = y + 13;
+        };
+        drawHeader();
+
+        doc.font('Helvetica').fontSize(9);
+        for (const subject of term.subjects) {
+            if (doc.y + 14 > doc.page.height - PAGE_MARGIN) {
+                doc.addPage();
+                drawHeader();
+                doc.font('Helvetica').fontSize(9);
+            }
+            const y = doc.y;
+            let cellX = PAGE_MARGIN;
+            for (const column of SUBJECT_COLUMNS) {
+                doc.text(column.value(subject), cellX + 2, y + 1, { width: column.width - 4, lineBreak: false, ellipsis: true });
+                cellX += column.width;
+            }
+            doc.moveTo(PAGE_MARGIN, y + 13).lineTo(cellX, y + 13).lineWidth(0.5).strokeColor('#cccccc').stroke();
+            doc.y = y + 13;
+        }
+        doc.strokeColor('black');
+        doc.x = PAGE_MARGIN;
+    }
+
+    ensureSpace(doc, height) {
+        if (doc.y + height > doc.page.height - PAGE_MARGIN) doc.addPage();
+    }
+
+    section(doc, title) {
+        doc.moveDown(0.6);
+        doc.font('Helvetica-Bold').fontSize(11).text(title, PAGE_MARGIN);
+        doc.moveDown(0.2);
+    }
+
+    detailRow(doc, pairs) {
+        const y = doc.y;
+        const width = (doc.page.width - PAGE_MARGIN * 2) / pairs.length;
+        pairs.forEach(([label, value], index) => {
+            doc.font('Helvetica-Bold').fontSize(9).text(`${label}: `, PAGE_MARGIN + index * width, y, { continued: true, width });
+            doc.font('Helvetica').text(`${value}`);
+        });
+        doc.x = PAGE_MARGIN;
+        doc.moveDown(0.3);
+    }
+
+    rule(doc, width) {
+        doc.moveDown(0.4);
+        doc.moveTo(PAGE_MARGIN, doc.y).lineTo(PAGE_MARGIN + width, doc.y).lineWidth(1).stroke();
+        doc.moveDown(0.4);
+    }
+}
+
+// Singleton instance
+const transcriptService = new TranscriptService();
+
+module.exports = {
+    transcriptService,
+    TranscriptService
+};
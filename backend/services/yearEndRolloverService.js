@@ -0,0 +1,438 @@
+const {
+    sequelize, Class, Student, Term, ReportCard, GradingScale, YearEndRollover,
+    Grade, Assessment, TimetableSlot, TeachingAssignment
+} = require('../models');
+const { gradingScaleService, GradingScaleService } = require('./gradingScaleService');
+
+// Grade levels in the order students move through them; the last level of each leaves the school
+const GRADE_PROGRESSIONS = [
+    ['Infants A', 'Infants B', 'Class 1', 'Class 2', 'Class 3', 'Class 4'],
+    ['Form 1', 'Form 2', 'Form 3', 'Form 4', 'Form 5', 'Form 6L', 'Form 6U'],
+    ['Form 1', 'Form 2', 'Form 3', 'Form 4', 'Form 5', 'Lower Sixth', 'Upper Sixth']
+];
+
+// Levels only schools with a sixth form run; elsewhere Form 5 students leave
+const SIXTH_FORM_ENTRY = ['Form 6L', 'Lower Sixth'];
+
+const DEFAULT_CRITERIA = { min_overall_score: 50, min_attendance: 75 };
+
+const OUTCOMES = ['promote', 'retain', 'graduate'];
+
+const round = (value) => Math.round(value * 100) / 100;
+const levelKey = (level) => `${level}`.trim().toLowerCase();
+
+/**
+ * Year-End Rollover Service
+ * Moves a school into the next school year: proposes promotion, retention or
+ * leaving for every student from their final report card and attendance, opens
+ * next year's classes and reassigns students, and records enough to reverse it
+ */
+class YearEndRolloverService {
+    static get DEFAULT_CRITERIA() {
+        return DEFAULT_CRITERIA;
+    }
+
+    static get OUTCOMES() {
+        return OUTCOMES;
+    }
+
+    /**
+     * The school year after "2024-2025" is "2025-2026"; after "2025" it is "2026"
+     */
+    nextSchoolYear(schoolYear) {
+        const years = `${schoolYear}`.match(/^(\d{4})(?:-(\d{4}))?$/);
+        if (!years) return null;
+        const start = parseInt(years[1]) + 1;
+        return years[2] ? `${start}-${parseInt(years[2]) + 1}` : `${start}`;
+    }
+
+    /**
+     * Grade level a class moves up to: a level name, null when its students leave the
+     * school, or undefined when the level is not recognised. Levels given in gradeLevels
+     * ({ from: to or null }) win; levels outside the known progressions ending in a
+     * number move up by one ("Grade 3" to "Grade 4").
+     */
+    nextGradeLevel(level, gradeLevels = {}, schoolLevels = []) {
+        const mapped = Object.keys(gradeLevels).find(from => levelKey(from) === levelKey(level));
+        if (mapped !== undefined) return gradeLevels[mapped];
+
+        for (const progression of GRADE_PROGRESSIONS) {
+            const index = progression.findIndex(candidate => levelKey(candidate) === levelKey(level));
+            if (index === -1) continue;
+            const next = progression[index + 1];
+            if (!next) return null;
+            if (SIXTH_FORM_ENTRY.includes(next) && !schoolLevels.some(candidate => levelKey(candidate) === levelKey(next))) {
+                continue;
+            }
+            return next;
+        }
+        if (GRADE_PROGRESSIONS.some(progression => progression.some(candidate => levelKey(candidate) === levelKey(level)))) {
+            return null;
+        }
+
+        const numbered = `${level}`.match(/^(.*?)(\d+)$/);
+        return numbered ? `${numbered[1]}${parseInt(numbered[2]) + 1}` : undefined;
+    }
+
+    /**
+     * Final overall score of a report card: its overall score, or for label-only
+     * grades the lowest score of its overall grade's band
+     */
+    finalScore(reportCard) {
+        if (reportCard.overall_score !== null && reportCard.overall_score !== undefined) {
+            return parseFloat(reportCard.overall_score);
+        }
+        const scale = reportCard.GradingScale || GradingScaleService.DESCRIPTOR_SCALE;
+        const band = gradingScaleService.bandsOf(scale).find(candidate => candidate.label === reportCard.overall_grade);
+        return band ? band.min_score : null;
+    }
+
+    /**
+     * Attendance over the school year's report cards: days present out of days recorded,
+     * else the average of the cards' attendance percentages
+     */
+    yearAttendance(reportCards) {
+        const present = reportCards.reduce((sum, card) => sum + (card.attendance_days_present || 0), 0);
+        const absent = reportCards.reduce((sum, card) => sum + (card.attendance_days_absent || 0), 0);
+        if (present + absent > 0) return round((present / (present + absent)) * 100);
+
+        const percentages = reportCards
+            .map(card => card.attendance_percentage)
+            .filter(value => value !== null && value !== undefined)
+            .map(value => parseFloat(value));
+        return percentages.length > 0 ? round(percentages.reduce((sum, value) => sum + value, 0) / percentages.length) : null;
+    }
+
+    /**
+     * Proposed outcome for a student with the reasons behind it
+     */
+    proposeOutcome({ nextLevel, finalCard, finalTerm, attendance, criteria }) {
+        const reasons = [];
+        let needsReview = false;
+        if (nextLevel === null) {
+            return { outcome: 'graduate', reasons: ['Completed the final grade level at this school'], needs_review: false };
+        }
+
+        let retain = false;
+        if (!finalCard) {
+            reasons.push(finalTerm ? `No report card for ${finalTerm.name}` : 'No report cards for the school year');
+            needsReview = true;
+        } else {
+            const score = this.finalScore(finalCard);
+            if (score === null) {
+                reasons.push('Final overall grade could not be scored');
+                needsReview = true;
+            } else if (score < criteria.min_overall_score) {
+                reasons.push(`Final overall score ${score} is below ${criteria.min_overall_score}`);
+                retain = true;
+            }
+        }
+        if (attendance !== null && attendance < criteria.min_attendance) {
+            reasons.push(`Attendance ${attendance}% is below ${criteria.min_attendance}%`);
+            retain = true;
+        }
+        if (!retain && !needsReview) reasons.push('Met the promotion criteria');
+        return { outcome: retain ? 'retain' : 'promote', reasons, needs_review: needsReview };
+    }
+
+    /**
+     * Proposed rollover of a school from one school year to the next. Nothing is saved.
+     * Options: toSchoolYear, criteria, gradeLevels ({ from: to or null }) and overrides
+     * ({ student id: outcome }). Returns null when the school has no active classes that year.
+     */
+    async propose(schoolId, fromSchoolYear, { toSchoolYear = null, criteria = {}, gradeLevels = {}, overrides = {} } = {}) {
+        const rules = { ...DEFAULT_CRITERIA, ...criteria };
+        const toYear = toSchoolYear || this.nextSchoolYear(fromSchoolYear);
+
+        const classes = await Class.findAll({
+            where: { school_id: schoolId, school_year: fromSchoolYear, is_active: true },
+            order: [['grade_level', 'ASC'], ['section', 'ASC']]
+        });
+        if (classes.length === 0) return null;
+
+        const students = await Student.findAll({
+            where: { class_id: classes.map(classRecord => classRecord.id), is_active: true },
+            attributes: ['id', 'student_id', 'first_name', 'last_name', 'class_id', 'grade_level', 'class_section'],
+            order: [['last_name', 'ASC'], ['first_name', 'ASC']]
+        });
+        const terms = await Term.findAll({ where: { school_year: fromSchoolYear }, order: [['term_number', 'ASC']] });
+        const finalTerm = terms.length > 0 ? terms[terms.length - 1] : null;
+        const reportCards = students.length > 0 && terms.length > 0
+            ? await ReportCard.findAll({
+                where: { student_id: students.map(student => student.id), term_id: terms.map(term => term.id) },
+                include: [{ model: GradingScale }]
+            })
+            : [];
+
+        const existingNext = await Class.findAll({
+            where: { school_id: schoolId, school_year: toYear, is_active: true }
+        });
+        const schoolLevels = classes.map(classRecord => classRecord.grade_level);
+
+        const targets = new Map();
+        const targetFor = (level, section, fromClass) => {
+            const key = `${levelKey(level)}|${section}`;
+            if (!targets.has(key)) {
+                const existing = existingNext.find(candidate => levelKey(candidate.grade_level) === levelKey(level)
+                    && candidate.section === section);
+                const template = classes.find(candidate => levelKey(candidate.grade_level) === levelKey(level)
+                    && candidate.section === section) || fromClass;
+                targets.set(key, {
+                    key,
+                    class_id: existing ? existing.id : null,
+                    new: !existing,
+                    name: existing ? existing.name : this.className(fromClass, level, section),
+                    grade_level: level,
+                    section,
+                    class_teacher_id: existing ? existing.class_teacher_id : template.class_teacher_id,
+                    capacity: existing ? existing.capacity : template.capacity,
+                    current_enrollment: existing ? existing.current_enrollment : 0,
+                    students: 0
+                });
+            }
+            return targets.get(key);
+        };
+
+        const decisions = [];
+        const classSummaries = [];
+        for (const classRecord of classes) {
+            const nextLevel = this.nextGradeLevel(classRecord.grade_level, gradeLevels, schoolLevels);
+            const summary = {
+                class: { id: classRecord.id, name: classRecord.name, grade_level: classRecord.grade_level, section: classRecord.section },
+                next_grade_level: nextLevel === undefined ? null : nextLevel,
+                level_recognised: nextLevel !== undefined,
+                students: 0,
+                promote: 0,
+                retain: 0,
+                graduate: 0
+            };
+
+            for (const student of students.filter(candidate => candidate.class_id === classRecord.id)) {
+                const cards = reportCards.filter(card => card.student_id === student.id);
+                const finalCard = finalTerm ? cards.find(card => card.term_id === finalTerm.id) : null;
+                const attendance = this.yearAttendance(cards);
+                const proposal = nextLevel === undefined
+                    ? { outcome: 'promote', reasons: [`No next grade level is known after ${classRecord.grade_level}`], needs_review: true }
+                    : this.proposeOutcome({ nextLevel, finalCard, finalTerm, attendance, criteria: rules });
+                const outcome = overrides[student.id] || proposal.outcome;
+
+                let target = null;
+                if (outcome === 'retain') target = targetFor(classRecord.grade_level, classRecord.section, classRecord);
+                if (outcome === 'promote' && nextLevel) target = targetFor(nextLevel, classRecord.section, classRecord);
+                if (target) target.students += 1;
+
+                decisions.push({
+                    student_id: student.id,
+                    student_number: student.student_id,
+                    name: `${student.first_name} ${student.last_name}`,
+                    from_class_id: classRecord.id,
+                    from_class: classRecord.name,
+                    from_grade_level: student.grade_level,
+                    from_class_section: student.class_section,
+                    final_overall_grade: finalCard ? finalCard.overall_grade : null,
+                    final_overall_score: finalCard ? this.finalScore(finalCard) : null,
+                    attendance_percentage: attendance,
+                    proposed_outcome: proposal.outcome,
+                    outcome,
+                    overridden: !!overrides[student.id] && overrides[student.id] !== proposal.outcome,
+                    reasons: proposal.reasons,
+                    needs_review: proposal.needs_review,
+                    unresolved: outcome === 'promote' && !nextLevel,
+                    to_grade_level: target ? target.grade_level : null,
+                    to_class_section: target ? target.section : null,
+                    to_class: target ? target.key : null
+                });
+                summary.students += 1;
+                summary[outcome] += 1;
+            }
+            classSummaries.push(summary);
+        }
+
+        // Classes opened by the rollover get distinct names
+        const takenNames = new Set(existingNext.map(classRecord => classRecord.name));
+        for (const target of [...targets.values()].filter(candidate => candidate.new)) {
+            if (takenNames.has(target.name)) target.name = `${target.grade_level} ${target.section}`;
+            takenNames.add(target.name);
+        }
+
+        const targetClasses = [...targets.values()].map(target => ({
+            ...target,
+            over_capacity: target.current_enrollment + target.students > target.capacity
+        }));
+        for (const decision of decisions) {
+            const target = decision.to_class ? targets.get(decision.to_class) : null;
+            decision.to_class = target ? target.name : null;
+            decision.to_class_key = target ? target.key : null;
+        }
+
+        return {
+            school_id: schoolId,
+            from_school_year: fromSchoolYear,
+            to_school_year: toYear,
+            criteria: rules,
+            final_term: finalTerm ? { id: finalTerm.id, name: finalTerm.name } : null,
+            classes: classSummaries,
+            target_classes: targetClasses,
+            decisions,
+            summary: {
+                classes: classes.length,
+                students: decisions.length,
+                promote: decisions.filter(decision => decision.outcome === 'promote').length,
+                retain: decisions.filter(decision => decision.outcome === 'retain').length,
+                graduate: decisions.filter(decision => decision.outcome === 'graduate').length,
+                overridden: decisions.filter(decision => decision.overridden).length,
+                needs_review: decisions.filter(decision => decision.needs_review).length,
+                unresolved: decisions.filter(decision => decision.unresolved).length,
+                classes_to_create: targetClasses.filter(target => target.new).length
+            }
+        };
+    }
+
+    /**
+     * Name for next year's class: this year's name with the grade level moved up
+     * ("Form 1 Blue" to "Form 2 Blue"), else the level and section
+     */
+    className(fromClass, level, section) {
+        if (fromClass.name.includes(fromClass.grade_level)) {
+            return fromClass.name.replace(fromClass.grade_level, level);
+        }
+        return `${level} ${section}`;
+    }
+
+    /**
+     * Carry out a proposal: open next year's classes, move students, close this year's
+     * classes and recount enrolment, all in one transaction. Returns the saved rollover.
+     */
+    async commit(proposal, userId) {
+        return sequelize.transaction(async (t) => {
+            const classIds = new Map();
+            const created = [];
+            const enrollment = [];
+
+            for (const target of proposal.target_classes) {
+                if (target.new) {
+                    const classRecord = await Class.create({
+                        school_id: proposal.school_id,
+                        name: target.name,
+                        grade_level: target.grade_level,
+                        section: target.section,
+                        class_teacher_id: target.class_teacher_id,
+                        school_year: proposal.to_school_year,
+                        capacity: target.capacity,
+                        current_enrollment: 0,
+                        is_active: true
+                    }, { transaction: t });
+                    classIds.set(target.key, classRecord.id);
+                    created.push(classRecord.id);
+                } else {
+                    classIds.set(target.key, target.class_id);
+                    enrollment.push({ class_id: target.class_id, before: target.current_enrollment });
+                }
+            }
+
+            const decisions = [];
+            for (const decision of proposal.decisions) {
+                const toClassId = decision.to_class_key ? classIds.get(decision.to_class_key) : null;
+                await Student.update({
+                    class_id: toClassId,
+                    grade_level: decision.to_grade_level || decision.from_grade_level,
+                    class_section: decision.to_class_section || decision.from_class_section
+                }, { where: { id: decision.student_id }, transaction: t });
+                decisions.push({ ...decision, to_class_id: toClassId });
+            }
+
+            const closed = proposal.classes.map(summary => summary.class.id);
+            for (const classRecord of await Class.findAll({ where: { id: closed }, transaction: t })) {
+                enrollment.push({ class_id: classRecord.id, before: classRecord.current_enrollment, closed: true });
+            }
+            await Class.update({ is_active: false, current_enrollment: 0 }, { where: { id: closed }, transaction: t });
+            await this.recount([...classIds.values()], t);
+
+            return YearEndRollover.create({
+                school_id: proposal.school_id,
+                from_school_year: proposal.from_school_year,
+                to_school_year: proposal.to_school_year,
+                status: 'completed',
+                criteria: proposal.criteria,
+                decisions,
+                class_changes: { created, closed, enrollment },
+                summary: proposal.summary,
+                performed_by: userId
+            }, { transaction: t });
+        });
+    }
+
+    /**
+     * Set each class's current_enrollment to its active students
+     */
+    async recount(classIds, transaction) {
+        for (const classId of new Set(classIds)) {
+            const count = await Student.count({ where: { class_id: classId, is_active: true }, transaction });
+            await Class.update({ current_enrollment: count }, { where: { id: classId }, transaction });
+        }
+    }
+
+    /**
+     * Undo a rollover: students go back to their classes and grade levels, this year's
+     * classes reopen and are recounted, and classes the rollover opened are removed,
+     * or closed when grades or lessons have been recorded against them since.
+     * Students moved again since the rollover are left where they are and reported.
+     */
+    async reverse(rollover, userId) {
+        return sequelize.transaction(async (t) => {
+            const conflicts = [];
+            let restored = 0;
+            for (const decision of rollover.decisions) {
+                const student = await Student.findByPk(decision.student_id, { attributes: ['id', 'class_id'], transaction: t });
+                if (!student || student.class_id !== decision.to_class_id) {
+                    conflicts.push({ student_id: decision.student_id, name: decision.name, reason: 'Moved since the rollover' });
+                    continue;
+                }
+                await student.update({
+                    class_id: decision.from_class_id,
+                    grade_level: decision.from_grade_level,
+                    class_section: decision.from_class_section
+                }, { transaction: t });
+                restored += 1;
+            }
+
+            const changes = rollover.class_changes;
+            await Class.update({ is_active: true }, { where: { id: changes.closed }, transaction: t });
+
+            const removed = [];
+            const kept = [];
+            for (const classId of changes.created) {
+                const inUse = await Student.count({ where: { class_id: classId }, transaction: t })
+                    + await Grade.count({ where: { class_id: classId }, transaction: t })
+                    + await ReportCard.count({ where: { class_id: classId }, transaction: t })
+                    + await Assessment.count({ where: { class_id: classId }, transaction: t })
+                    + await TimetableSlot.count({ where: { class_id: classId }, transaction: t })
+                    + await TeachingAssignment.count({ where: { class_id: classId }, transaction: t });
+                if (inUse > 0) {
+                    await Class.update({ is_active: false }, { where: { id: classId }, transaction: t });
+                    kept.push(classId);
+                } else {
+                    await Class.destroy({ where: { id: classId }, transaction: t });
+                    removed.push(classId);
+                }
+            }
+            await this.recount([...changes.enrollment.map(entry => entry.class_id), ...kept], t);
+
+            await rollover.update({
+                status: 'reversed',
+                reversed_by: userId,
+                reversed_at: new Date()
+            }, { transaction: t });
+
+            return { restored, conflicts, classes_removed: removed.length, classes_closed: kept.length };
+        });
+    }
+}
+
+// Singleton instance
+const yearEndRolloverService = new YearEndRolloverService();
+
+module.exports = {
+    yearEndRolloverService,
+    YearEndRolloverService
+};
@@ -0,0 +1,340 @@
+const testApp = require('../test-app');
+const request = require('supertest');
+const attendanceRoutes = require('../../routes/attendance');
+
+/**
+ * Attendance API Tests
+ * Class and lesson registers, absenteeism cases, absence excuses and who may see them
+ */
+
+describe('Attendance API Tests', () => {
+    const {
+        AttendanceRecord, PeriodAttendance, TimetableSlot, AttendanceCase, AbsenceExcuse, Parent, StudentParentRelationship
+    } = testApp.models;
+    let app;
+    let school;
+    let classRecord;
+    let admin;
+    let teacher;
+    let otherTeacher;
+    let otherAdmin;
+    let students;
+    let slot;
+    let otherSchool;
+
+    const asUser = (req, user) => req.set('Authorization', `Bearer ${testApp.tokenFor(user)}`);
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        // The attendance router authenticates its own routes after the device scan endpoint
+        app = testApp.buildApp([{ path: '/api/attendance', router: attendanceRoutes, auth: false }]);
+
+        school = await testApp.createSchool();
+        admin = await testApp.createStaffUser('admin', school);
+        teacher = await testApp.createStaffUser('teacher', school);
+        otherTeacher = await testApp.createStaffUser('teacher', school);
+        otherSchool = await testApp.createSchool();
+        ({ user: otherAdmin } = await testApp.createStaffUser('admin', otherSchool));
+        classRecord = await testApp.createClass(school, { class_teacher_id: teacher.staff.id });
+        students = [];
+        for (let i = 0; i < 2; i += 1) {
+            students.push(await testApp.createStudent(school, { class_id: classRecord.id }));
+        }
+        slot = await TimetableSlot.create({
+            school_id: school.id,
+            class_id: classRecord.id,
+            subject_id: (await testApp.createSubject()).id,
+            school_year: classRecord.school_year,
+            teacher_id: otherTeacher.staff.id,
+            day_of_week: 1,
+            period_number: 1,
+            start_time: '08:30:00',
+            end_time: '09:10:00'
+        });
+    });
+
+    beforeEach(async () => {
+        await AbsenceExcuse.destroy({ where: {} });
+        await Promise.all([AttendanceRecord, PeriodAttendance].map(model => model.destroy({ where: {} })));
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    describe('Class registers', () => {
+        const getRegister = user => asUser(request(app).get(`/api/attendance/register/${classRecord.id}`), user);
+        const putRegister = user => asUser(request(app).put(`/api/attendance/register/${classRecord.id}`), user)
+            .send({ entries: students.map(student => ({ student_id: student.id, status: 'present' })) });
+
+        test('should let the class teacher read and take the register', async () => {
+            const saved = await putRegister(teacher.user);
+            expect(saved.status).toBe(200);
+            expect(saved.body.recorded).toBe(2);
+
+            const response = await getRegister(teacher.user);
+            expect(response.status).toBe(200);
+            expect(response.body.summary).toMatchObject({ present: 2, unmarked: 0 });
+        });
+
+        test('should refuse a teacher who does not take the class', async () => {
+            const response = await putRegister(otherTeacher.user);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('NOT_CLASS_TEACHER');
+            expect(await AttendanceRecord.count()).toBe(0);
+        });
+
+        test('should let an admin at the class\'s school take the register', async () => {
+            const response = await putRegister(admin.user);
+
+            expect(response.status).toBe(200);
+            expect(await AttendanceRecord.count({ where: { status: 'present' } })).toBe(2);
+        });
+
+        test('should refuse an admin at another school', async () => {
+            const read = await getRegister(otherAdmin);
+            const write = await putRegister(otherAdmin);
+
+            expect(read.status).toBe(403);
+            expect(read.body.code).toBe('SCHOOL_ACCESS_DENIED');
+            expect(write.status).toBe(403);
+            expect(write.body.code).toBe('SCHOOL_ACCESS_DENIED');
+            expect(await AttendanceRecord.count()).toBe(0);
+        });
+    });
+
+    describe('Lesson registers', () => {
+        // A Monday the lesson is timetabled on
+        const date = '2026-10-12';
+        const getLesson = user => asUser(request(app).get(`/api/attendance/periods/${slot.id}`), user)
+            .query({ date });
+        const putLesson = user => asUser(request(app).put(`/api/attendance/periods/${slot.id}`), user)
+            .send({ date, entries: students.map(student => ({ student_id: student.id, status: 'present' })) });
+
+        test('should let an admin at the class\'s school take the lesson register', async () => {
+            // The date's register has closed, which only administrators may amend
+            const response = await putLesson(admin.user);
+
+            expect(response.status).toBe(200);
+            expect(response.body.recorded).toBe(2);
+        });
+
+        test('should let the timetabled teacher read the lesson register', async () => {
+            await putLesson(admin.user);
+
+            const response = await getLesson(otherTeacher.user);
+
+            expect(response.status).toBe(200);
+            expect(response.body.lesson.id).toBe(slot.id);
+            expect(response.body.students.map(student => student.status)).toEqual(['present', 'present']);
+        });
+
+        test('should refuse an admin at another school', async () => {
+            const read = await getLesson(otherAdmin);
+            const write = await putLesson(otherAdmin);
+
+            expect(read.status).toBe(403);
+            expect(read.body.code).toBe('SCHOOL_ACCESS_DENIED');
+            expect(write.status).toBe(403);
+            expect(write.body.code).toBe('SCHOOL_ACCESS_DENIED');
+            expect(await PeriodAttendance.count()).toBe(0);
+        });
+    });
+
+    describe('Absenteeism cases', () => {
+        let term;
+        let ownCase;
+
+        const openCase = (student, attributes = {}) => AttendanceCase.create({
+            student_id: student.id,
+            school_id: student.school_id,
+            term_id: term.id,
+            priority: 'high',
+            risk_score: 70,
+            risk_factors: ['homeless'],
+            notes: 'Family met with the social worker',
+            ...attributes
+        });
+        const listCases = (user, query = {}) => asUser(request(app).get('/api/attendance/absenteeism/cases'), user)
+            .query({ term_id: term.id, ...query });
+
+        beforeAll(async () => {
+            term = await testApp.createTerm();
+            ownCase = await openCase(students[0]);
+            await openCase(await testApp.createStudent(otherSchool), { priority: 'low', risk_score: 12 });
+        });
+
+        test('should list only the admin\'s own school\'s cases', async () => {
+            const response = await listCases(admin.user);
+
+            expect(response.status).toBe(200);
+            expect(response.body.cases.map(attendanceCase => attendanceCase.id)).toEqual([ownCase.id]);
+            expect(response.body.schools).toEqual([expect.objectContaining({ school_id: school.id, total: 1, high: 1 })]);
+            expect(response.body.cases[0].notes).toBe('Family met with the social worker');
+        });
+
+        test('should hide risk factors and social worker notes from teachers', async () => {
+            const response = await listCases(teacher.user);
+
+            expect(response.status).toBe(200);
+            expect(response.body.cases).toHaveLength(1);
+            expect(response.body.cases[0]).not.toHaveProperty('risk_factors');
+            expect(response.body.cases[0]).not.toHaveProperty('notes');
+        });
+
+        test('should let a super admin see every school', async () => {
+            const response = await listCases(await testApp.createUser('super_admin'));
+
+            expect(response.status).toBe(200);
+            expect(response.body.total).toBe(2);
+        });
+
+        test('should refuse another school\'s case list', async () => {
+            const response = await listCases(admin.user, { school_id: otherSchool.id });
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+        });
+
+        test('should let an admin resolve their own school\'s case', async () => {
+            const response = await asUser(request(app).patch(`/api/attendance/absenteeism/cases/${ownCase.id}`), admin.user)
+                .send({ status: 'resolved' });
+
+            expect(response.status).toBe(200);
+            await ownCase.reload();
+            expect(ownCase.status).toBe('resolved');
+            expect(ownCase.resolved_by).toBe(admin.user.id);
+        });
+
+        test('should refuse an admin at another school updating the case', async () => {
+            const response = await asUser(request(app).patch(`/api/attendance/absenteeism/cases/${ownCase.id}`), otherAdmin)
+                .send({ notes: 'Not theirs to change' });
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+        });
+
+        test('should refuse an admin evaluating another school', async () => {
+            const response = await asUser(request(app).post('/api/attendance/absenteeism/evaluate'), admin.user)
+                .send({ term_id: term.id, school_id: otherSchool.id });
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+        });
+    });
+
+    describe('Absence excuses', () => {
+        let parentUser;
+        let family;
+        let otherStudent;
+        let excuse;
+        let otherExcuse;
+
+        const submitExcuse = async (student, submittedBy = parentUser) => {
+            const attendance = await AttendanceRecord.create({
+                student_id: student.id,
+                school_id: student.school_id,
+                attendance_date: '2026-10-12',
+                status: 'absent'
+            });
+            return AbsenceExcuse.create({
+                attendance_record_id: attendance.id,
+                student_id: student.id,
+                parent_id: family.id,
+                submitted_by: submittedBy.id,
+                reason: 'Fever'
+            });
+        };
+        const review = (user, decision = 'approved') => asUser(request(app).put(`/api/attendance/excuses/${excuse.id}/review`), user)
+            .send({ decision });
+        const listExcuses = (user, query = {}) => asUser(request(app).get('/api/attendance/excuses'), user).query(query);
+
+        beforeAll(async () => {
+            parentUser = await testApp.createUser('parent');
+            family = await Parent.create({
+                user_id: parentUser.id,
+                first_name: 'Test',
+                last_name: 'Parent',
+                relationship: 'mother'
+            });
+            otherStudent = await testApp.createStudent(otherSchool);
+            for (const student of [students[0], otherStudent]) {
+                await StudentParentRelationship.create({
+                    student_id: student.id,
+                    parent_id: family.id,
+                    relationship_type: 'mother'
+                });
+            }
+        });
+
+        beforeEach(async () => {
+            excuse = await submitExcuse(students[0]);
+            otherExcuse = await submitExcuse(otherStudent);
+        });
+
+        test('should let the class teacher approve an excuse, excusing the absence', async () => {
+            const response = await review(teacher.user);
+
+            expect(response.status).toBe(200);
+            expect(response.body.excuse.status).toBe('approved');
+            expect(response.body.attendance.status).toBe('excused');
+            expect(response.body.excuse).not.toHaveProperty('note_file_path');
+        });
+
+        test('should refuse to review an excuse twice', async () => {
+            await review(teacher.user, 'rejected');
+
+            const response = await review(admin.user);
+
+            expect(response.status).toBe(409);
+            expect(response.body.code).toBe('EXCUSE_ALREADY_REVIEWED');
+            expect((await AttendanceRecord.findByPk(excuse.attendance_record_id)).status).toBe('absent');
+        });
+
+        test('should refuse a teacher who does not take the student\'s class', async () => {
+            const response = await review(otherTeacher.user);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('EXCUSE_ACCESS_DENIED');
+        });
+
+        test('should let an admin at the student\'s school review the excuse', async () => {
+            const response = await review(admin.user, 'rejected');
+
+            expect(response.status).toBe(200);
+            expect(response.body.excuse.status).toBe('rejected');
+            expect(response.body.attendance.status).toBe('absent');
+        });
+
+        test('should refuse an admin at another school', async () => {
+            const response = await review(otherAdmin);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+            await excuse.reload();
+            expect(excuse.status).toBe('pending');
+        });
+
+        test('should list only the admin\'s own school\'s excuses', async () => {
+            const response = await listExcuses(admin.user);
+
+            expect(response.status).toBe(200);
+            expect(response.body.excuses.map(listed => listed.id)).toEqual([excuse.id]);
+        });
+
+        test('should refuse an admin asking for another school\'s excuses', async () => {
+            const response = await listExcuses(admin.user, { school_id: otherSchool.id });
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+        });
+
+        test('should show a parent every excuse they submitted', async () => {
+            const response = await listExcuses(parentUser);
+
+            expect(response.status).toBe(200);
+            expect(response.body.excuses.map(listed => listed.id).sort()).toEqual([excuse.id, otherExcuse.id].sort());
+        });
+    });
+});
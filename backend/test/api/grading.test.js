@@ -0,0 +1,539 @@
+const testApp = require('../test-app');
+const request = require('supertest');
+const gradingRoutes = require('../../routes/grading');
+const { gradeWorkflowService } = require('../../services/gradeWorkflowService');
+
+/**
+ * Grading API Tests
+ * Grade entry, history and mark sheets, class performance, report card generation and printing, the grade submission workflow routes and transcript access
+ */
+
+describe('Grading API Tests', () => {
+    const {
+        Grade, GradeSubmission, ReportCard, Parent, StudentParentRelationship, AuditLog, TeachingAssignment
+    } = testApp.models;
+    let app;
+    let school;
+    let classRecord;
+    let term;
+    let subject;
+    let admin;
+    let teacher;
+    let principal;
+    let parent;
+    let otherAdmin;
+    let students;
+
+    const asUser = (req, user) => req.set('Authorization', `Bearer ${testApp.tokenFor(user)}`);
+
+    const createGrade = (student, score, attributes = {}) => Grade.create({
+        student_id: student.id,
+        subject_id: subject.id,
+        class_id: classRecord.id,
+        term_id: term.id,
+        teacher_id: teacher.staff.id,
+        grade_value: score >= 80 ? 'A' : 'B',
+        numeric_score: score,
+        effort_grade: 'G',
+        behavior_grade: 'E',
+        ...attributes
+    });
+
+    // Collect a binary response body, such as a PDF
+    const binary = (res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    const generate = (user = admin.user) => asUser(request(app).post('/api/grading/report-cards/generate'), user)
+        .send({ class_id: classRecord.id, term_id: term.id });
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        app = testApp.buildApp([{ path: '/api/grading', router: gradingRoutes }]);
+        await testApp.createGradingScale();
+
+        school = await testApp.createSchool();
+        admin = await testApp.createStaffUser('admin', school);
+        teacher = await testApp.createStaffUser('teacher', school);
+        principal = await testApp.createStaffUser('teacher', school, { role_level: 'principal' });
+        parent = await testApp.createUser('parent');
+        ({ user: otherAdmin } = await testApp.createStaffUser('admin', await testApp.createSchool()));
+        classRecord = await testApp.createClass(school, { class_teacher_id: teacher.staff.id });
+        term = await testApp.createTerm();
+        subject = await testApp.createSubject();
+    });
+
+    beforeEach(async () => {
+        await Promise.all([ReportCard, GradeSubmission].map(model => model.destroy({ where: {} })));
+        await Grade.destroy({ where: {} });
+        students = [];
+        for (const score of [85, 72]) {
+            const student = await testApp.createStudent(school, { class_id: classRecord.id });
+            await createGrade(student, score);
+            students.push(student);
+        }
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    describe('PUT /api/grading/grades/bulk-update', () => {
+        const enter = (user, grades, extra = {}) => asUser(request(app).put('/api/grading/grades/bulk-update'), user)
+            .send({ grades, ...extra });
+        const entry = (attributes = {}) => ({
+            student_id: students[0].id,
+            subject_id: subject.id,
+            class_id: classRecord.id,
+            term_id: term.id,
+            numeric_score: 64,
+            effort_grade: 'G',
+            behavior_grade: 'G',
+            ...attributes
+        });
+        const onBehalf = (user, teacherId) => enter(user, [entry({ teacher_id: teacherId })], {
+            override_reason: 'Teacher on sick leave'
+        });
+
+        test('should let the teacher of the class and subject enter grades as themselves', async () => {
+            const response = await enter(teacher.user, [entry({ teacher_id: principal.staff.id })]);
+
+            expect(response.status).toBe(200);
+            const grade = await Grade.findOne({ where: { student_id: students[0].id } });
+            expect(grade.grade_value).toBe('C');
+            expect(grade.teacher_id).toBe(teacher.staff.id);
+        });
+
+        test('should let an admin enter grades on behalf of the class\'s teacher, with an audit entry', async () => {
+            const response = await onBehalf(admin.user, teacher.staff.id);
+
+            expect(response.status).toBe(200);
+            expect(await AuditLog.count({ where: { action: 'grades_admin_override', user_id: admin.user.id } })).toBe(1);
+        });
+
+        test('should refuse an override naming a teacher who does not teach the class and subject', async () => {
+            const response = await onBehalf(admin.user, principal.staff.id);
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('TEACHER_NOT_ASSIGNED');
+            expect(response.body.details).toEqual([expect.objectContaining({ index: 0, teacher_id: principal.staff.id })]);
+        });
+
+        test('should refuse an override naming a teacher from another school', async () => {
+            const { staff: outsider } = await testApp.createStaffUser('teacher', await testApp.createSchool());
+
+            const response = await onBehalf(admin.user, outsider.id);
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('TEACHER_NOT_ASSIGNED');
+        });
+
+        test('should refuse an admin at another school', async () => {
+            const response = await onBehalf(otherAdmin, teacher.staff.id);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+            expect((await Grade.findOne({ where: { student_id: students[0].id } })).numeric_score).toBe(85);
+        });
+    });
+
+    describe('Mark sheet export and import', () => {
+        const markSheet = rows => Buffer.from(['Student ID,Score,Effort,Behaviour', ...rows].join('\n'));
+        const importSheet = (user, rows, fields = {}) => {
+            const req = asUser(request(app).post(`/api/grading/import/grades/${classRecord.id}/${term.id}`), user)
+                .field('subject_id', subject.id);
+            Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+            return req.attach('file', markSheet(rows), { filename: 'marks.csv', contentType: 'text/csv' });
+        };
+        const exportSheet = user => asUser(request(app).get(`/api/grading/export/grades/${classRecord.id}/${term.id}`), user)
+            .buffer(true).parse(binary);
+
+        test('should preview a sheet with every row\'s errors', async () => {
+            const response = await importSheet(teacher.user, [
+                `${students[0].student_id},91,G,E`,
+                `${students[1].student_id},abc,X,G`,
+                'S-UNKNOWN,70,G,G'
+            ]);
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ preview: true, rows: 3, valid_rows: 1 });
+            expect(response.body.errors).toEqual([
+                expect.objectContaining({ row: 3, message: 'Effort must be one of E, G, S, N' }),
+                expect.objectContaining({ row: 3, message: 'Score must be a number between 0 and 100' }),
+                expect.objectContaining({ row: 3, message: 'A grade value or numeric score is required' }),
+                expect.objectContaining({ row: 4, message: 'Student S-UNKNOWN is not on the class roster' })
+            ]);
+        });
+
+        test('should import nothing while the sheet has errors', async () => {
+            const response = await importSheet(teacher.user, [
+                `${students[0].student_id},91,G,E`,
+                `${students[1].student_id},72,G,`
+            ], { commit: 'true' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('IMPORT_INVALID');
+            expect((await Grade.findOne({ where: { student_id: students[0].id } })).numeric_score).toBe(85);
+        });
+
+        test('should import a clean sheet for the class teacher', async () => {
+            const response = await importSheet(teacher.user, [
+                `${students[0].student_id},91,G,E`,
+                `${students[1].student_id},58,S,G`
+            ], { commit: 'true' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.imported_count).toBe(2);
+            const grade = await Grade.findOne({ where: { student_id: students[1].id } });
+            expect(grade.grade_value).toBe('D');
+            expect(grade.effort_grade).toBe('S');
+        });
+
+        test('should hold an admin\'s import to the override checks', async () => {
+            const response = await importSheet(admin.user, [`${students[0].student_id},91,G,E`], { commit: 'true' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('OVERRIDE_REASON_REQUIRED');
+        });
+
+        test('should export the class\'s grades for its teachers', async () => {
+            const response = await exportSheet(teacher.user);
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            expect(response.body.subarray(0, 2).toString()).toBe('PK');
+        });
+
+        test('should refuse a teacher who does not teach the class', async () => {
+            const exported = await exportSheet(principal.user);
+            const imported = await importSheet(principal.user, [`${students[0].student_id},91,G,E`]);
+
+            expect(exported.status).toBe(403);
+            expect(JSON.parse(exported.body.toString()).code).toBe('NOT_TEACHING_CLASS');
+            expect(imported.status).toBe(403);
+            expect(imported.body.code).toBe('NOT_TEACHING_CLASS');
+        });
+
+        test('should refuse an admin at another school', async () => {
+            const exported = await exportSheet(otherAdmin);
+            const imported = await importSheet(otherAdmin, [`${students[0].student_id},91,G,E`], {
+                commit: 'true',
+                teacher_id: teacher.staff.id,
+                override_reason: 'Entering for a colleague'
+            });
+
+            expect(exported.status).toBe(403);
+            expect(JSON.parse(exported.body.toString()).code).toBe('SCHOOL_ACCESS_DENIED');
+            expect(imported.status).toBe(403);
+            expect(imported.body.code).toBe('SCHOOL_ACCESS_DENIED');
+            expect((await Grade.findOne({ where: { student_id: students[0].id } })).numeric_score).toBe(85);
+        });
+    });
+
+    describe('GET /api/grading/students/:studentId/grades/:subjectId/history', () => {
+        const history = user => asUser(request(app).get(`/api/grading/students/${students[0].id}/grades/${subject.id}/history`), user)
+            .query({ term_id: term.id });
+
+        test('should show the teacher of the class and subject the grade\'s history', async () => {
+            const response = await history(teacher.user);
+
+            expect(response.status).toBe(200);
+            expect(response.body.grade.student_id).toBe(students[0].id);
+        });
+
+        test('should let an admin at the student\'s school see the history', async () => {
+            expect((await history(admin.user)).status).toBe(200);
+        });
+
+        test('should refuse a teacher who does not teach the class and subject', async () => {
+            const response = await history(principal.user);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('NOT_SUBJECT_TEACHER');
+        });
+
+        test('should refuse an admin at another school', async () => {
+            const response = await history(otherAdmin);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+        });
+    });
+
+    describe('GET /api/grading/classes/:classId/performance/:termId', () => {
+        const performance = user => asUser(request(app).get(`/api/grading/classes/${classRecord.id}/performance/${term.id}`), user);
+
+        test('should rank the class\'s students for its teachers', async () => {
+            const response = await performance(teacher.user);
+
+            expect(response.status).toBe(200);
+            // Students from earlier tests have no grades this term and come last
+            expect(response.body.students.slice(0, 2).map(result => [result.student.id, result.class_position]))
+                .toEqual([[students[0].id, 1], [students[1].id, 2]]);
+        });
+
+        test('should refuse a teacher who does not teach the class', async () => {
+            const response = await performance(principal.user);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('NOT_TEACHING_CLASS');
+        });
+
+        test('should refuse an admin at another school', async () => {
+            const response = await performance(otherAdmin);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+        });
+    });
+
+    describe('POST /api/grading/report-cards/generate', () => {
+        test('should refuse users who do not run the school', async () => {
+            const response = await generate(parent);
+
+            expect(response.status).toBe(403);
+            expect(await ReportCard.count()).toBe(0);
+        });
+
+        test('should refuse a teacher who is not the class teacher', async () => {
+            const response = await generate(principal.user);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('NOT_CLASS_TEACHER');
+            expect(await ReportCard.count()).toBe(0);
+        });
+
+        test('should refuse an admin at another school', async () => {
+            const response = await generate(otherAdmin);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+            expect(await ReportCard.count()).toBe(0);
+        });
+
+        test('should let the class teacher generate the class\'s cards', async () => {
+            const response = await generate(teacher.user);
+
+            expect(response.status).toBe(200);
+            expect(await ReportCard.count()).toBe(students.length);
+        });
+
+        test('should generate provisional cards with class positions', async () => {
+            const response = await generate();
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ skipped_released: 0 });
+            const cards = await ReportCard.findAll({ where: { term_id: term.id }, order: [['class_position', 'ASC']] });
+            expect(cards.map(card => card.student_id)).toEqual(students.map(student => student.id));
+            expect(cards[0].overall_grade).toBe('A');
+            expect(cards.every(card => !card.is_final)).toBe(true);
+        });
+
+        test('should refuse while grades are missing effort or behaviour', async () => {
+            await Grade.update({ effort_grade: null }, { where: { student_id: students[1].id } });
+
+            const response = await generate();
+
+            expect(response.status).toBe(409);
+            expect(response.body.code).toBe('GRADES_INCOMPLETE');
+            expect(await ReportCard.count()).toBe(0);
+        });
+
+        test('should refresh unreleased cards and leave released ones as families saw them', async () => {
+            await generate();
+            const releasedAt = new Date('2026-12-20T04:00:00Z');
+            await ReportCard.update({ is_final: true, released_to_parent: true, released_at: releasedAt }, {
+                where: { student_id: students[0].id }
+            });
+            await Grade.update({ numeric_score: 55, grade_value: 'D' }, { where: { student_id: students[0].id } });
+            await Grade.update({ numeric_score: 91, grade_value: 'A' }, { where: { student_id: students[1].id } });
+
+            const response = await generate();
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ generated_count: 1, skipped_released: 1 });
+            const released = await ReportCard.findOne({ where: { student_id: students[0].id } });
+            expect(released.overall_grade).toBe('A');
+            expect(released.is_final).toBe(true);
+            expect(new Date(released.released_at)).toEqual(releasedAt);
+            const refreshed = await ReportCard.findOne({ where: { student_id: students[1].id } });
+            expect(refreshed.overall_grade).toBe('A');
+            expect(refreshed.class_position).toBe(1);
+        });
+    });
+
+    describe('Report card viewing and printing', () => {
+        let subjectTeacher;
+        let assignment;
+
+        const studentCard = (user, query = {}) => asUser(request(app)
+            .get(`/api/grading/students/${students[0].id}/report-card/${term.id}`), user)
+            .query(query).buffer(true).parse(binary);
+        const classPdf = user => asUser(request(app)
+            .get(`/api/grading/classes/${classRecord.id}/report-cards/${term.id}/pdf`), user)
+            .buffer(true).parse(binary);
+
+        beforeAll(async () => {
+            subjectTeacher = await testApp.createStaffUser('teacher', school);
+            assignment = await TeachingAssignment.create({
+                school_id: school.id,
+                staff_id: subjectTeacher.staff.id,
+                class_id: classRecord.id,
+                subject_id: (await testApp.createSubject()).id,
+                term_id: term.id,
+                periods_per_week: 4
+            });
+        });
+
+        afterAll(async () => {
+            await assignment.destroy();
+        });
+
+        beforeEach(async () => {
+            await generate();
+        });
+
+        test('should render a student\'s report card as a PDF', async () => {
+            const response = await studentCard(teacher.user, { format: 'pdf' });
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('application/pdf');
+            expect(response.headers['content-disposition']).toContain(`${students[0].last_name}_Student_Term 1_Report_Card.pdf`);
+            expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+        });
+
+        test('should print the whole class, one page per student', async () => {
+            const response = await classPdf(subjectTeacher.user);
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('application/pdf');
+            expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+            expect(response.body.toString('latin1').match(/\/Type \/Page\b/g)).toHaveLength(students.length);
+        });
+
+        test('should refuse a teacher who does not teach the class', async () => {
+            const card = await studentCard(principal.user);
+            const pdf = await classPdf(principal.user);
+
+            for (const response of [card, pdf]) {
+                expect(response.status).toBe(403);
+                expect(JSON.parse(response.body.toString()).code).toBe('NOT_TEACHING_CLASS');
+            }
+        });
+
+        test('should refuse an admin at another school', async () => {
+            const card = await studentCard(otherAdmin, { format: 'pdf' });
+            const pdf = await classPdf(otherAdmin);
+
+            for (const response of [card, pdf]) {
+                expect(response.status).toBe(403);
+                expect(JSON.parse(response.body.toString()).code).toBe('SCHOOL_ACCESS_DENIED');
+            }
+        });
+    });
+
+    describe('Grade submission workflow', () => {
+        const submit = (user = teacher.user) => asUser(request(app).post('/api/grading/submissions'), user)
+            .send({ class_id: classRecord.id, subject_id: subject.id, term_id: term.id });
+
+        test('should let the class teacher submit grades for review', async () => {
+            const response = await submit();
+
+            expect(response.status).toBe(201);
+            expect(response.body.status).toBe('submitted');
+        });
+
+        test('should refuse to submit grades already submitted', async () => {
+            await submit();
+
+            const response = await submit();
+
+            expect(response.status).toBe(409);
+            expect(response.body).toMatchObject({ code: 'INVALID_TRANSITION', status: 'submitted' });
+        });
+
+        test('should let the principal review and approve, locking the grades', async () => {
+            const { body: submission } = await submit();
+
+            const reviewed = await asUser(request(app).post(`/api/grading/submissions/${submission.id}/review`), principal.user)
+                .send({ review_notes: 'Checked' });
+            expect(reviewed.status).toBe(200);
+
+            const approved = await asUser(request(app).post(`/api/grading/submissions/${submission.id}/approve`), principal.user)
+                .send({});
+            expect(approved.status).toBe(200);
+            expect(approved.body.status).toBe('approved');
+            expect(await Grade.count({ where: { term_id: term.id, is_final: false } })).toBe(0);
+        });
+
+        test('should refuse a reviewer without the role for the submission\'s status', async () => {
+            const { body: submission } = await submit();
+
+            const response = await asUser(request(app).post(`/api/grading/submissions/${submission.id}/review`), teacher.user)
+                .send({});
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('NOT_AUTHORIZED_REVIEWER');
+        });
+
+        test('should report a conflict when another reviewer moved the grades first', async () => {
+            const { body: submission } = await submit();
+            jest.spyOn(gradeWorkflowService, 'transition').mockResolvedValueOnce({ conflict: true, from: 'reviewed' });
+
+            const response = await asUser(request(app).post(`/api/grading/submissions/${submission.id}/return`), principal.user)
+                .send({ reason: 'Coursework marks are missing' });
+
+            expect(response.status).toBe(409);
+            expect(response.body).toMatchObject({ code: 'INVALID_TRANSITION', status: 'reviewed' });
+            expect(gradeWorkflowService.transition).toHaveBeenCalledWith('return', expect.any(Object), principal.user.id,
+                'Coursework marks are missing', { expectedFrom: 'submitted' });
+        });
+    });
+
+    describe('GET /api/grading/students/:studentId/transcript', () => {
+        const transcript = (student, user) => asUser(request(app).get(`/api/grading/students/${student.id}/transcript`), user);
+
+        test('should issue a transcript to an admin at the student\'s school', async () => {
+            const response = await transcript(students[0], admin.user);
+
+            expect(response.status).toBe(200);
+            expect(response.body.student.id).toBe(students[0].id);
+        });
+
+        test('should refuse an admin at another school', async () => {
+            const response = await transcript(students[0], otherAdmin);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+        });
+
+        test('should refuse teachers', async () => {
+            const response = await transcript(students[0], teacher.user);
+
+            expect(response.status).toBe(403);
+        });
+
+        test('should show a parent only their own children', async () => {
+            const family = await Parent.create({
+                user_id: parent.id,
+                first_name: 'Test',
+                last_name: 'Parent',
+                relationship: 'mother'
+            });
+            await StudentParentRelationship.create({
+                student_id: students[0].id,
+                parent_id: family.id,
+                relationship_type: 'mother'
+            });
+
+            expect((await transcript(students[0], parent)).status).toBe(200);
+            expect((await transcript(students[1], parent)).status).toBe(404);
+        });
+    });
+});
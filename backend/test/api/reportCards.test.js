@@ -0,0 +1,249 @@
+const testApp = require('../test-app');
+const request = require('supertest');
+const reportCardRoutes = require('../../routes/reportCards');
+
+/**
+ * Report Cards API Tests
+ * Comment banks, placeholder suggestions, report card comments and releases at the user's own school
+ */
+
+describe('Report Cards API Tests', () => {
+    const { ReportCard, CommentBankEntry, Grade } = testApp.models;
+    let app;
+    let school;
+    let otherSchool;
+    let classRecord;
+    let term;
+    let admin;
+    let teacher;
+    let otherTeacher;
+    let otherAdmin;
+    let student;
+    let reportCard;
+    let bankEntry;
+
+    const asUser = (req, user) => req.set('Authorization', `Bearer ${testApp.tokenFor(user)}`);
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        app = testApp.buildApp([{ path: '/api/report-cards', router: reportCardRoutes }]);
+        await testApp.createGradingScale();
+
+        school = await testApp.createSchool();
+        otherSchool = await testApp.createSchool();
+        admin = await testApp.createStaffUser('admin', school);
+        teacher = await testApp.createStaffUser('teacher', school);
+        otherTeacher = await testApp.createStaffUser('teacher', school);
+        ({ user: otherAdmin } = await testApp.createStaffUser('admin', otherSchool));
+        classRecord = await testApp.createClass(school, { class_teacher_id: teacher.staff.id });
+        term = await testApp.createTerm();
+        student = await testApp.createStudent(school, { class_id: classRecord.id, first_name: 'Asha' });
+
+        for (const [name, score] of [['Mathematics', 88], ['English', 74], ['Science', 61]]) {
+            const subject = await testApp.createSubject({ name });
+            await Grade.create({
+                student_id: student.id,
+                subject_id: subject.id,
+                class_id: classRecord.id,
+                term_id: term.id,
+                teacher_id: teacher.staff.id,
+                grade_value: score >= 80 ? 'A' : 'B',
+                numeric_score: score
+            });
+        }
+        reportCard = await ReportCard.create({
+            student_id: student.id,
+            class_id: classRecord.id,
+            term_id: term.id,
+            overall_grade: 'B',
+            overall_effort: 'G',
+            overall_behavior: 'E',
+            attendance_percentage: 95.6
+        });
+    });
+
+    beforeEach(async () => {
+        await CommentBankEntry.destroy({ where: {} });
+        await ReportCard.update({ class_teacher_comments: null, principal_comments: null }, { where: { id: reportCard.id } });
+        bankEntry = await CommentBankEntry.create({
+            school_id: school.id,
+            comment_type: 'class_teacher',
+            category: 'achievement',
+            text: '{first_name} did best in {strongest_subjects}, with {attendance_percentage} attendance.',
+            created_by: teacher.user.id
+        });
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    describe('Comment bank', () => {
+        const listBank = (user, query = {}) => asUser(request(app).get('/api/report-cards/comment-bank'), user).query(query);
+        const addEntry = (user, attributes = {}) => asUser(request(app).post('/api/report-cards/comment-bank'), user)
+            .send({ comment_type: 'principal', text: 'A pleasure to teach, {first_name}.', ...attributes });
+
+        test('should list the placeholders comments may use', async () => {
+            const response = await asUser(request(app).get('/api/report-cards/comment-bank/placeholders'), teacher.user);
+
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('strongest_subjects');
+        });
+
+        test('should default a school admin to their own school\'s bank', async () => {
+            const response = await listBank(admin.user);
+
+            expect(response.status).toBe(200);
+            expect(response.body.map(entry => entry.id)).toEqual([bankEntry.id]);
+        });
+
+        test('should require super admins to name the school', async () => {
+            const response = await listBank(await testApp.createUser('super_admin'));
+
+            expect(response.status).toBe(400);
+        });
+
+        test('should refuse another school\'s bank', async () => {
+            const read = await listBank(otherAdmin, { school_id: school.id });
+            const write = await addEntry(otherAdmin, { school_id: school.id });
+
+            expect(read.status).toBe(403);
+            expect(read.body.code).toBe('SCHOOL_ACCESS_DENIED');
+            expect(write.status).toBe(403);
+            expect(write.body.code).toBe('SCHOOL_ACCESS_DENIED');
+            expect(await CommentBankEntry.count()).toBe(1);
+        });
+
+        test('should add entries to the teacher\'s own school\'s bank', async () => {
+            const response = await addEntry(otherTeacher.user);
+
+            expect(response.status).toBe(201);
+            expect(response.body.school_id).toBe(school.id);
+        });
+
+        test('should refuse text with unknown placeholders', async () => {
+            const response = await addEntry(admin.user, { text: 'Well done {nickname} this term.' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Unknown placeholders: {nickname}');
+            expect(response.body.placeholders).toContain('first_name');
+        });
+
+        test('should let teachers change only the entries they wrote', async () => {
+            const own = await asUser(request(app).put(`/api/report-cards/comment-bank/${bankEntry.id}`), teacher.user)
+                .send({ category: 'progress' });
+            const others = await asUser(request(app).put(`/api/report-cards/comment-bank/${bankEntry.id}`), otherTeacher.user)
+                .send({ category: 'general' });
+
+            expect(own.status).toBe(200);
+            expect(others.status).toBe(403);
+        });
+
+        test('should refuse an admin at another school changing the school\'s entries', async () => {
+            const response = await asUser(request(app).delete(`/api/report-cards/comment-bank/${bankEntry.id}`), otherAdmin);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+            await bankEntry.reload();
+            expect(bankEntry.is_active).toBe(true);
+        });
+    });
+
+    describe('Report cards and comments', () => {
+        const suggestions = user => asUser(request(app).get(`/api/report-cards/${reportCard.id}/comment-suggestions`), user)
+            .query({ comment_type: 'class_teacher' });
+        const writeComments = (user, comments) => asUser(request(app).put(`/api/report-cards/${reportCard.id}/comments`), user)
+            .send(comments);
+        const listCards = user => asUser(request(app).get('/api/report-cards'), user)
+            .query({ class_id: classRecord.id, term_id: term.id });
+
+        test('should fill in the bank\'s placeholders for the student', async () => {
+            const response = await suggestions(teacher.user);
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual([expect.objectContaining({
+                id: bankEntry.id,
+                template: bankEntry.text,
+                text: 'Asha did best in Mathematics and English, with 96% attendance.'
+            })]);
+        });
+
+        test('should fill in placeholders typed into a comment', async () => {
+            const response = await writeComments(teacher.user, { class_teacher_comments: 'Keep it up, {first_name}. ' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.class_teacher_comments).toBe('Keep it up, Asha.');
+        });
+
+        test('should leave principal comments to the principal and the school\'s admins', async () => {
+            const byTeacher = await writeComments(teacher.user, { principal_comments: 'Excellent term.' });
+            const byAdmin = await writeComments(admin.user, { principal_comments: 'Excellent term.' });
+
+            expect(byTeacher.status).toBe(403);
+            expect(byTeacher.body.code).toBe('NOT_COMMENT_AUTHOR');
+            expect(byAdmin.status).toBe(200);
+        });
+
+        test('should list the class\'s cards for its school\'s staff', async () => {
+            const response = await listCards(otherTeacher.user);
+
+            expect(response.status).toBe(200);
+            expect(response.body.map(card => card.id)).toEqual([reportCard.id]);
+        });
+
+        test('should refuse an admin at another school', async () => {
+            const list = await listCards(otherAdmin);
+            const suggested = await suggestions(otherAdmin);
+            const written = await writeComments(otherAdmin, { principal_comments: 'Not their student.' });
+
+            for (const response of [list, suggested, written]) {
+                expect(response.status).toBe(403);
+                expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+            }
+            await reportCard.reload();
+            expect(reportCard.principal_comments).toBeNull();
+        });
+    });
+
+    describe('Releasing report cards', () => {
+        const release = user => asUser(request(app).post('/api/report-cards/release'), user)
+            .send({ class_id: classRecord.id, term_id: term.id });
+        const unacknowledged = user => asUser(request(app).get('/api/report-cards/unacknowledged'), user)
+            .query({ class_id: classRecord.id, term_id: term.id });
+
+        test('should refuse to release provisional report cards', async () => {
+            const response = await release(admin.user);
+
+            expect(response.status).toBe(409);
+            expect(response.body).toMatchObject({ code: 'REPORT_CARDS_NOT_FINAL', students: [student.id] });
+        });
+
+        test('should leave releasing to the principal among teachers', async () => {
+            const response = await release(teacher.user);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('NOT_PRINCIPAL');
+        });
+
+        test('should list unacknowledged cards for the class teacher but not other teachers', async () => {
+            const own = await unacknowledged(teacher.user);
+            const other = await unacknowledged(otherTeacher.user);
+
+            expect(own.status).toBe(200);
+            expect(own.body.count).toBe(0);
+            expect(other.status).toBe(403);
+        });
+
+        test('should refuse an admin at another school', async () => {
+            const released = await release(otherAdmin);
+            const listed = await unacknowledged(otherAdmin);
+
+            for (const response of [released, listed]) {
+                expect(response.status).toBe(403);
+                expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+            }
+            await reportCard.reload();
+            expect(reportCard.released_to_parent).toBe(false);
+        });
+    });
+});
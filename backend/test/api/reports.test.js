@@ -0,0 +1,92 @@
+const testApp = require('../test-app');
+const request = require('supertest');
+const reportRoutes = require('../../routes/reports');
+
+/**
+ * Reports API Tests
+ * Attendance rate reports and the schools each administrator may report on
+ */
+
+describe('Reports API Tests', () => {
+    const { AttendanceRecord, Zone } = testApp.models;
+    let app;
+    let school;
+    let otherSchool;
+    let admin;
+    let otherClass;
+
+    const asUser = (req, user) => req.set('Authorization', `Bearer ${testApp.tokenFor(user)}`);
+
+    const attendanceReport = (user, query = {}) => asUser(request(app).get('/api/reports/attendance'), user)
+        .query({ start_date: '2026-10-12', end_date: '2026-10-16', group_by: 'school', ...query });
+
+    const recordDay = async (schoolRecord, statuses, attributes = {}) => {
+        for (const status of statuses) {
+            const student = await testApp.createStudent(schoolRecord, attributes);
+            await AttendanceRecord.create({
+                student_id: student.id,
+                school_id: schoolRecord.id,
+                attendance_date: '2026-10-12',
+                status
+            });
+        }
+    };
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        app = testApp.buildApp([{ path: '/api/reports', router: reportRoutes }]);
+
+        const zone = await Zone.create({ name: 'Zone 1' });
+        school = await testApp.createSchool({ zone_id: zone.id });
+        otherSchool = await testApp.createSchool({ zone_id: zone.id });
+        ({ user: admin } = await testApp.createStaffUser('admin', school));
+        otherClass = await testApp.createClass(otherSchool);
+
+        await recordDay(school, ['present', 'absent']);
+        await recordDay(otherSchool, ['present', 'present', 'late'], { class_id: otherClass.id });
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    describe('GET /api/reports/attendance', () => {
+        test('should give a super admin the national figures', async () => {
+            const response = await attendanceReport(await testApp.createUser('super_admin'), { group_by: 'national' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.report.totals.records).toBe(5);
+        });
+
+        test('should keep a school admin\'s unfiltered report to their own school', async () => {
+            const response = await attendanceReport(admin, { group_by: 'national' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.report.totals).toMatchObject({ records: 2, present: 1, absent: 1 });
+        });
+
+        test('should keep zone and class filters inside the admin\'s school', async () => {
+            const byZone = await attendanceReport(admin, { zone_id: school.zone_id, group_by: 'zone' });
+            const byClass = await attendanceReport(admin, { class_id: otherClass.id, group_by: 'class' });
+
+            expect(byZone.status).toBe(200);
+            expect(byZone.body.report.totals.records).toBe(2);
+            expect(byClass.status).toBe(200);
+            expect(byClass.body.report.totals.records).toBe(0);
+        });
+
+        test('should refuse a school admin another school\'s report', async () => {
+            const response = await attendanceReport(admin, { school_id: otherSchool.id });
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+        });
+
+        test('should refuse an admin without a school', async () => {
+            const response = await attendanceReport(await testApp.createUser('admin'));
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+        });
+    });
+});
@@ -0,0 +1,238 @@
+const testApp = require('../test-app');
+const request = require('supertest');
+const rfidRoutes = require('../../routes/rfid');
+const { generateDeviceKey, hashDeviceKey } = require('../../middleware/deviceAuth');
+
+/**
+ * RFID API Tests
+ * Device authentication, scan processing and school-scoped device management
+ */
+
+describe('RFID API Tests', () => {
+    const { RFIDDevice, AttendanceRecord } = testApp.models;
+    let app;
+    let school;
+    let otherSchool;
+    let superAdmin;
+    let schoolAdmin;
+    let gateKey;
+    let gate;
+    let student;
+
+    const asDevice = (req, deviceId, key) => req.set('X-Device-Id', deviceId).set('X-Device-Key', key);
+    const asUser = (req, user) => req.set('Authorization', `Bearer ${testApp.tokenFor(user)}`);
+
+    const createDevice = async (attributes) => {
+        const key = generateDeviceKey();
+        const device = await RFIDDevice.create({
+            device_type: 'gate_reader',
+            api_key_hash: hashDeviceKey(key),
+            ...attributes
+        });
+        return { device, key };
+    };
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        app = testApp.buildApp([{ path: '/api/rfid', router: rfidRoutes, auth: false }]);
+
+        school = await testApp.createSchool();
+        otherSchool = await testApp.createSchool();
+        superAdmin = await testApp.createUser('super_admin');
+        ({ user: schoolAdmin } = await testApp.createStaffUser('admin', school));
+
+        ({ device: gate, key: gateKey } = await createDevice({ school_id: school.id, device_id: 'GATE-1', scan_direction: 'entry' }));
+        await createDevice({ school_id: otherSchool.id, device_id: 'GATE-OTHER' });
+
+        student = await testApp.createStudent(school, { rfid_tag: 'TAG-1' });
+        await testApp.createStudent(otherSchool, { rfid_tag: 'TAG-OTHER' });
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    describe('Device authentication', () => {
+        test('should accept a heartbeat with valid device credentials', async () => {
+            const response = await asDevice(request(app).post('/api/rfid/devices/heartbeat'), 'GATE-1', gateKey)
+                .send({ firmware_version: '2.1.0' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.device_id).toBe('GATE-1');
+            await gate.reload();
+            expect(gate.firmware_version).toBe('2.1.0');
+        });
+
+        test('should reject requests without device credentials', async () => {
+            const response = await request(app).post('/api/rfid/scan').send({ rfid_tag: 'TAG-1' });
+
+            expect(response.status).toBe(401);
+            expect(response.body.code).toBe('DEVICE_CREDENTIALS_REQUIRED');
+        });
+
+        test('should reject a wrong device key', async () => {
+            const response = await asDevice(request(app).post('/api/rfid/scan'), 'GATE-1', generateDeviceKey())
+                .send({ rfid_tag: 'TAG-1' });
+
+            expect(response.status).toBe(401);
+            expect(response.body.code).toBe('INVALID_DEVICE_CREDENTIALS');
+        });
+
+        test('should reject an unknown device', async () => {
+            const response = await asDevice(request(app).post('/api/rfid/scan'), 'NO-SUCH-READER', gateKey)
+                .send({ rfid_tag: 'TAG-1' });
+
+            expect(response.status).toBe(401);
+            expect(response.body.code).toBe('INVALID_DEVICE_CREDENTIALS');
+        });
+
+        test('should reject an inactive device', async () => {
+            const { key } = await createDevice({ school_id: school.id, device_id: 'GATE-OFF', status: 'inactive' });
+            const response = await asDevice(request(app).post('/api/rfid/scan'), 'GATE-OFF', key)
+                .send({ rfid_tag: 'TAG-1' });
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('DEVICE_INACTIVE');
+        });
+
+        test('should let a device in maintenance send heartbeats but not scans', async () => {
+            const { key } = await createDevice({ school_id: school.id, device_id: 'GATE-FIX', status: 'maintenance' });
+
+            const heartbeat = await asDevice(request(app).post('/api/rfid/devices/heartbeat'), 'GATE-FIX', key).send({});
+            expect(heartbeat.status).toBe(200);
+
+            const scan = await asDevice(request(app).post('/api/rfid/scan'), 'GATE-FIX', key).send({ rfid_tag: 'TAG-1' });
+            expect(scan.status).toBe(403);
+            expect(scan.body.code).toBe('DEVICE_NOT_ACTIVE');
+        });
+    });
+
+    describe('POST /api/rfid/scan', () => {
+        test('should record an entry for a student at the device\'s school', async () => {
+            const response = await asDevice(request(app).post('/api/rfid/scan'), 'GATE-1', gateKey)
+                .send({ rfid_tag: 'TAG-1' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.direction).toBe('entry');
+            expect(await AttendanceRecord.count({ where: { student_id: student.id } })).toBe(1);
+        });
+
+        test('should reject a scan without a tag', async () => {
+            const response = await asDevice(request(app).post('/api/rfid/scan'), 'GATE-1', gateKey).send({});
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('RFID_TAG_REQUIRED');
+        });
+
+        test('should reject an unknown tag', async () => {
+            const response = await asDevice(request(app).post('/api/rfid/scan'), 'GATE-1', gateKey)
+                .send({ rfid_tag: 'TAG-UNKNOWN' });
+
+            expect(response.status).toBe(404);
+            expect(response.body.code).toBe('UNKNOWN_RFID_TAG');
+        });
+
+        test('should reject a student from another school', async () => {
+            const response = await asDevice(request(app).post('/api/rfid/scan'), 'GATE-1', gateKey)
+                .send({ rfid_tag: 'TAG-OTHER' });
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_MISMATCH');
+        });
+    });
+
+    describe('POST /api/rfid/scan/batch', () => {
+        test('should reject a batch without scans', async () => {
+            const response = await asDevice(request(app).post('/api/rfid/scan/batch'), 'GATE-1', gateKey)
+                .send({ scans: [] });
+
+            expect(response.status).toBe(400);
+        });
+
+        test('should reject a batch from an unauthenticated reader', async () => {
+            const response = await request(app).post('/api/rfid/scan/batch')
+                .send({ scans: [{ rfid_tag: 'TAG-1', scanned_at: new Date().toISOString() }] });
+
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('Device management', () => {
+        test('should require a user token', async () => {
+            const response = await request(app).get('/api/rfid/devices');
+
+            expect(response.status).toBe(401);
+        });
+
+        test('should list every school\'s devices for a super admin', async () => {
+            const response = await asUser(request(app).get('/api/rfid/devices'), superAdmin);
+
+            expect(response.status).toBe(200);
+            expect(response.body.devices.map(device => device.device_id)).toContain('GATE-OTHER');
+            expect(response.body.devices[0]).not.toHaveProperty('api_key_hash');
+        });
+
+        test('should list only the admin\'s own school devices', async () => {
+            const response = await asUser(request(app).get('/api/rfid/devices'), schoolAdmin);
+
+            expect(response.status).toBe(200);
+            expect(response.body.devices.length).toBeGreaterThan(0);
+            expect(response.body.devices.every(device => device.school_id === school.id)).toBe(true);
+        });
+
+        test('should refuse an admin listing another school\'s devices', async () => {
+            const response = await asUser(request(app).get('/api/rfid/devices'), schoolAdmin)
+                .query({ school_id: otherSchool.id });
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+        });
+
+        test('should refuse an admin registering a device at another school', async () => {
+            const response = await asUser(request(app).post('/api/rfid/devices'), schoolAdmin)
+                .send({ school_id: otherSchool.id, device_id: 'GATE-9', device_type: 'gate_reader' });
+
+            expect(response.status).toBe(403);
+            expect(await RFIDDevice.count({ where: { device_id: 'GATE-9' } })).toBe(0);
+        });
+
+        test('should register a device at the admin\'s school and issue a key once', async () => {
+            const response = await asUser(request(app).post('/api/rfid/devices'), schoolAdmin)
+                .send({ school_id: school.id, device_id: 'GATE-2', device_type: 'gate_reader' });
+
+            expect(response.status).toBe(201);
+            expect(response.body.api_key).toHaveLength(64);
+            expect(response.body.device).not.toHaveProperty('api_key_hash');
+
+            const heartbeat = await asDevice(request(app).post('/api/rfid/devices/heartbeat'), 'GATE-2', response.body.api_key).send({});
+            expect(heartbeat.status).toBe(200);
+        });
+
+        test('should refuse an admin updating another school\'s device', async () => {
+            const other = await RFIDDevice.findOne({ where: { device_id: 'GATE-OTHER' } });
+            const response = await asUser(request(app).patch(`/api/rfid/devices/${other.id}`), schoolAdmin)
+                .send({ status: 'inactive' });
+
+            expect(response.status).toBe(403);
+            await other.reload();
+            expect(other.status).toBe('active');
+        });
+
+        test('should refuse an admin moving a device to another school', async () => {
+            const response = await asUser(request(app).patch(`/api/rfid/devices/${gate.id}`), schoolAdmin)
+                .send({ school_id: otherSchool.id });
+
+            expect(response.status).toBe(403);
+        });
+
+        test('should revoke a decommissioned device\'s credentials', async () => {
+            const { device, key } = await createDevice({ school_id: school.id, device_id: 'GATE-OLD' });
+            const response = await asUser(request(app).post(`/api/rfid/devices/${device.id}/decommission`), schoolAdmin)
+                .send({ reason: 'Reader replaced' });
+            expect(response.status).toBe(200);
+
+            const scan = await asDevice(request(app).post('/api/rfid/scan'), 'GATE-OLD', key).send({ rfid_tag: 'TAG-1' });
+            expect(scan.status).toBe(401);
+        });
+    });
+});
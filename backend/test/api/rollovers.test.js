@@ -0,0 +1,203 @@
+const testApp = require('../test-app');
+const request = require('supertest');
+const rolloverRoutes = require('../../routes/rollovers');
+const { yearEndRolloverService, YearEndRolloverService } = require('../../services/yearEndRolloverService');
+
+/**
+ * Year-End Rollover API Tests
+ * Proposing and committing promotions, duplicate and unresolved rollovers, reversal and school access
+ */
+
+describe('Year-End Rollover API Tests', () => {
+    const { Class, Student, ReportCard, YearEndRollover } = testApp.models;
+    let app;
+    let school;
+    let admin;
+    let formOne;
+    let formFive;
+    let promoted;
+    let retained;
+    let leaving;
+
+    const asUser = (req, user) => req.set('Authorization', `Bearer ${testApp.tokenFor(user)}`);
+
+    const rollover = (attributes = {}) => asUser(request(app).post('/api/rollovers'), admin)
+        .send({ school_id: school.id, from_school_year: '2025-2026', ...attributes });
+
+    const createFinalCard = (student, classRecord, term, overallScore) => ReportCard.create({
+        student_id: student.id,
+        class_id: classRecord.id,
+        term_id: term.id,
+        overall_grade: overallScore >= 50 ? 'C' : 'F',
+        overall_score: overallScore,
+        overall_effort: 'G',
+        overall_behavior: 'G',
+        attendance_days_present: 58,
+        attendance_days_absent: 2,
+        is_final: true
+    });
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        app = testApp.buildApp([{ path: '/api/rollovers', router: rolloverRoutes }]);
+
+        school = await testApp.createSchool();
+        admin = await testApp.createUser('super_admin');
+        const finalTerm = await testApp.createTerm({
+            name: 'Term 3',
+            school_year: '2025-2026',
+            term_number: 3,
+            start_date: '2026-04-13',
+            end_date: '2026-07-03',
+            is_active: false
+        });
+
+        formOne = await testApp.createClass(school, { name: 'Form 1 Blue', grade_level: 'Form 1', section: 'Blue', school_year: '2025-2026' });
+        formFive = await testApp.createClass(school, { name: 'Form 5 Blue', grade_level: 'Form 5', section: 'Blue', school_year: '2025-2026' });
+
+        promoted = await testApp.createStudent(school, { class_id: formOne.id, grade_level: 'Form 1', class_section: 'Blue' });
+        retained = await testApp.createStudent(school, { class_id: formOne.id, grade_level: 'Form 1', class_section: 'Blue' });
+        leaving = await testApp.createStudent(school, { class_id: formFive.id, grade_level: 'Form 5', class_section: 'Blue' });
+        await createFinalCard(promoted, formOne, finalTerm, 72);
+        await createFinalCard(retained, formOne, finalTerm, 41);
+        await createFinalCard(leaving, formFive, finalTerm, 65);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    test('should preview promotion, retention and leaving without changing anything', async () => {
+        const response = await rollover();
+
+        expect(response.status).toBe(200);
+        expect(response.body.preview).toBe(true);
+        expect(response.body.to_school_year).toBe('2026-2027');
+        const outcomes = Object.fromEntries(response.body.decisions.map(decision => [decision.student_id, decision.outcome]));
+        expect(outcomes).toEqual({ [promoted.id]: 'promote', [retained.id]: 'retain', [leaving.id]: 'graduate' });
+        expect(response.body.summary).toMatchObject({ promote: 1, retain: 1, graduate: 1, classes_to_create: 2 });
+        expect(await YearEndRollover.count()).toBe(0);
+        await promoted.reload();
+        expect(promoted.class_id).toBe(formOne.id);
+    });
+
+    test('should refuse to commit while a class has no known next grade level', async () => {
+        const remedial = await testApp.createClass(school, { grade_level: 'Remedial', section: 'R', school_year: '2025-2026' });
+        const student = await testApp.createStudent(school, { class_id: remedial.id, grade_level: 'Remedial' });
+
+        const response = await rollover({ commit: true });
+
+        expect(response.status).toBe(409);
+        expect(response.body).toMatchObject({ code: 'ROLLOVER_UNRESOLVED', grade_levels: ['Remedial'] });
+        expect(response.body.students.map(unresolved => unresolved.student_id)).toEqual([student.id]);
+        expect(await YearEndRollover.count()).toBe(0);
+
+        await remedial.update({ is_active: false });
+        await student.update({ is_active: false });
+    });
+
+    test('should undo a commit that loses a race with another rollover of the same year', async () => {
+        // The other rollover completes after the route's check but before this one saves
+        jest.spyOn(yearEndRolloverService, 'propose').mockImplementationOnce(async (...args) => {
+            const proposal = await YearEndRolloverService.prototype.propose.apply(yearEndRolloverService, args);
+            await YearEndRollover.create({
+                school_id: school.id,
+                from_school_year: '2025-2026',
+                to_school_year: '2026-2027',
+                status: 'completed',
+                decisions: [],
+                class_changes: { created: [], closed: [], enrollment: [] }
+            });
+            return proposal;
+        });
+
+        const response = await rollover({ commit: true });
+
+        expect(response.status).toBe(409);
+        expect(response.body.code).toBe('ROLLOVER_EXISTS');
+        expect(await Class.count({ where: { school_year: '2026-2027' } })).toBe(0);
+        await promoted.reload();
+        expect(promoted.class_id).toBe(formOne.id);
+
+        await YearEndRollover.destroy({ where: {} });
+    });
+
+    test('should promote, retain and graduate students into next year\'s classes', async () => {
+        const response = await rollover({ commit: true });
+
+        expect(response.status).toBe(201);
+        expect(response.body.rollover.status).toBe('completed');
+
+        const formTwo = await Class.findOne({ where: { school_year: '2026-2027', grade_level: 'Form 2' } });
+        expect(formTwo.name).toBe('Form 2 Blue');
+        expect(formTwo.current_enrollment).toBe(1);
+        const repeatFormOne = await Class.findOne({ where: { school_year: '2026-2027', grade_level: 'Form 1' } });
+
+        await Promise.all([promoted, retained, leaving, formOne].map(record => record.reload()));
+        expect(promoted).toMatchObject({ class_id: formTwo.id, grade_level: 'Form 2' });
+        expect(retained).toMatchObject({ class_id: repeatFormOne.id, grade_level: 'Form 1' });
+        expect(leaving.class_id).toBeNull();
+        expect(formOne.is_active).toBe(false);
+    });
+
+    test('should refuse to roll the same school year over twice', async () => {
+        const response = await rollover({ commit: true });
+
+        expect(response.status).toBe(409);
+        expect(response.body.code).toBe('ROLLOVER_EXISTS');
+        expect(await YearEndRollover.count()).toBe(1);
+    });
+
+    test('should keep school admins to their own school\'s rollovers', async () => {
+        const completed = await YearEndRollover.findOne({ where: { status: 'completed' } });
+        const { user: schoolAdmin } = await testApp.createStaffUser('admin', school);
+        const { user: otherAdmin } = await testApp.createStaffUser('admin', await testApp.createSchool());
+
+        const own = await asUser(request(app).get('/api/rollovers'), schoolAdmin);
+        const defaulted = await asUser(request(app).get('/api/rollovers'), otherAdmin);
+        expect(own.status).toBe(200);
+        expect(own.body.rollovers.map(listed => listed.id)).toEqual([completed.id]);
+        expect(defaulted.status).toBe(200);
+        expect(defaulted.body.rollovers).toEqual([]);
+
+        const refused = [
+            await asUser(request(app).get('/api/rollovers'), otherAdmin).query({ school_id: school.id }),
+            await asUser(request(app).get(`/api/rollovers/${completed.id}`), otherAdmin),
+            await asUser(request(app).post('/api/rollovers'), otherAdmin).send({ school_id: school.id, from_school_year: '2026-2027' }),
+            await asUser(request(app).post(`/api/rollovers/${completed.id}/reverse`), otherAdmin).send({})
+        ];
+        for (const response of refused) {
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+        }
+        await completed.reload();
+        expect(completed.status).toBe('completed');
+    });
+
+    test('should reverse a rollover, leaving students moved since where they are', async () => {
+        const completed = await YearEndRollover.findOne({ where: { status: 'completed' } });
+        const transferClass = await testApp.createClass(school, { grade_level: 'Form 2', section: 'Green' });
+        await promoted.update({ class_id: transferClass.id });
+
+        const response = await asUser(request(app).post(`/api/rollovers/${completed.id}/reverse`), admin).send({});
+
+        expect(response.status).toBe(200);
+        expect(response.body.restored).toBe(2);
+        expect(response.body.conflicts).toEqual([
+            expect.objectContaining({ student_id: promoted.id, reason: 'Moved since the rollover' })
+        ]);
+        // Form 2 Blue still has nobody in it and goes; the repeat Form 1 class goes too
+        expect(response.body.classes_removed).toBe(2);
+
+        await Promise.all([promoted, retained, leaving, formOne].map(record => record.reload()));
+        expect(promoted.class_id).toBe(transferClass.id);
+        expect(retained.class_id).toBe(formOne.id);
+        expect(leaving).toMatchObject({ class_id: formFive.id, grade_level: 'Form 5' });
+        expect(formOne.is_active).toBe(true);
+        expect(formOne.current_enrollment).toBe(1);
+    });
+});
@@ -0,0 +1,119 @@
+const testApp = require('../test-app');
+const request = require('supertest');
+const teachingAssignmentRoutes = require('../../routes/teachingAssignments');
+
+/**
+ * Teaching Assignments API Tests
+ * Assigning teachers to a class's subjects and the schools each administrator may manage
+ */
+
+describe('Teaching Assignments API Tests', () => {
+    const { TeachingAssignment } = testApp.models;
+    let app;
+    let school;
+    let otherSchool;
+    let admin;
+    let teacher;
+    let otherAdmin;
+    let classRecord;
+    let subject;
+    let term;
+    let assignment;
+
+    const asUser = (req, user) => req.set('Authorization', `Bearer ${testApp.tokenFor(user)}`);
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        app = testApp.buildApp([{ path: '/api/teaching-assignments', router: teachingAssignmentRoutes }]);
+
+        school = await testApp.createSchool();
+        otherSchool = await testApp.createSchool();
+        admin = await testApp.createStaffUser('admin', school);
+        teacher = await testApp.createStaffUser('teacher', school);
+        ({ user: otherAdmin } = await testApp.createStaffUser('admin', otherSchool));
+        classRecord = await testApp.createClass(school);
+        subject = await testApp.createSubject();
+        term = await testApp.createTerm();
+    });
+
+    beforeEach(async () => {
+        await TeachingAssignment.destroy({ where: {} });
+        assignment = await TeachingAssignment.create({
+            school_id: school.id,
+            staff_id: teacher.staff.id,
+            class_id: classRecord.id,
+            subject_id: subject.id,
+            term_id: term.id,
+            periods_per_week: 4,
+            is_active: true
+        });
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    test('should keep a school admin\'s list to their own school', async () => {
+        const otherClass = await testApp.createClass(otherSchool);
+        const { staff: otherTeacher } = await testApp.createStaffUser('teacher', otherSchool);
+        await TeachingAssignment.create({
+            school_id: otherSchool.id,
+            staff_id: otherTeacher.id,
+            class_id: otherClass.id,
+            subject_id: subject.id,
+            term_id: term.id,
+            periods_per_week: 3,
+            is_active: true
+        });
+
+        const own = await asUser(request(app).get('/api/teaching-assignments'), admin.user).query({ term_id: term.id });
+        const other = await asUser(request(app).get('/api/teaching-assignments'), admin.user)
+            .query({ term_id: term.id, school_id: otherSchool.id });
+
+        expect(own.status).toBe(200);
+        expect(own.body.assignments.map(listed => listed.id)).toEqual([assignment.id]);
+        expect(other.status).toBe(403);
+        expect(other.body.code).toBe('SCHOOL_ACCESS_DENIED');
+    });
+
+    test('should show an admin their school\'s teaching load', async () => {
+        const response = await asUser(request(app).get('/api/teaching-assignments/workload'), admin.user)
+            .query({ school_id: school.id, term_id: term.id });
+
+        expect(response.status).toBe(200);
+        expect(response.body.school.id).toBe(school.id);
+    });
+
+    test('should let an admin reassign their school\'s subject', async () => {
+        const { staff: newTeacher } = await testApp.createStaffUser('teacher', school);
+
+        const response = await asUser(request(app).put(`/api/teaching-assignments/${assignment.id}`), admin.user)
+            .send({ staff_id: newTeacher.id });
+
+        expect(response.status).toBe(200);
+        expect(response.body.assignment.staff_id).toBe(newTeacher.id);
+    });
+
+    test('should refuse an admin at another school', async () => {
+        const workload = await asUser(request(app).get('/api/teaching-assignments/workload'), otherAdmin)
+            .query({ school_id: school.id, term_id: term.id });
+        const created = await asUser(request(app).post('/api/teaching-assignments'), otherAdmin).send({
+            staff_id: teacher.staff.id,
+            class_id: classRecord.id,
+            subject_id: (await testApp.createSubject()).id,
+            term_id: term.id,
+            periods_per_week: 2
+        });
+        const updated = await asUser(request(app).put(`/api/teaching-assignments/${assignment.id}`), otherAdmin)
+            .send({ periods_per_week: 6 });
+        const removed = await asUser(request(app).delete(`/api/teaching-assignments/${assignment.id}`), otherAdmin);
+
+        for (const response of [workload, created, updated, removed]) {
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+        }
+        await assignment.reload();
+        expect(assignment).toMatchObject({ periods_per_week: 4, is_active: true });
+        expect(await TeachingAssignment.count()).toBe(1);
+    });
+});
@@ -0,0 +1,186 @@
+const testApp = require('../test-app');
+const request = require('supertest');
+const timetableRoutes = require('../../routes/timetable');
+
+/**
+ * Timetable API Tests
+ * Class timetables, adding and removing lessons, clash detection and who may see them
+ */
+
+describe('Timetable API Tests', () => {
+    const { TimetableSlot } = testApp.models;
+    let app;
+    let school;
+    let admin;
+    let teacher;
+    let otherAdmin;
+    let classRecord;
+    let otherClass;
+    let subject;
+
+    const asUser = (req, user) => req.set('Authorization', `Bearer ${testApp.tokenFor(user)}`);
+
+    const lesson = (attributes = {}) => ({
+        class_id: classRecord.id,
+        subject_id: subject.id,
+        teacher_id: teacher.staff.id,
+        day_of_week: 1,
+        period_number: 1,
+        start_time: '08:30',
+        end_time: '09:10',
+        room: 'Lab 1',
+        ...attributes
+    });
+    const addLesson = (user, attributes) => asUser(request(app).post('/api/timetable/slots'), user).send(lesson(attributes));
+    const listClashes = user => asUser(request(app).get('/api/timetable/clashes'), user)
+        .query({ school_id: school.id, school_year: '2026-2027' });
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        app = testApp.buildApp([{ path: '/api/timetable', router: timetableRoutes }]);
+
+        school = await testApp.createSchool();
+        admin = await testApp.createStaffUser('admin', school);
+        teacher = await testApp.createStaffUser('teacher', school);
+        ({ user: otherAdmin } = await testApp.createStaffUser('admin', await testApp.createSchool()));
+        classRecord = await testApp.createClass(school);
+        otherClass = await testApp.createClass(school);
+        subject = await testApp.createSubject();
+    });
+
+    beforeEach(async () => {
+        await TimetableSlot.destroy({ where: {} });
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    describe('POST /api/timetable/slots', () => {
+        test('should add a lesson to the class timetable', async () => {
+            const response = await addLesson(admin.user);
+
+            expect(response.status).toBe(201);
+            expect(response.body.slot).toMatchObject({ school_id: school.id, start_time: '08:30:00', school_year: '2026-2027' });
+        });
+
+        test('should refuse a second lesson in the class\'s period', async () => {
+            await addLesson(admin.user);
+
+            const response = await addLesson(admin.user, { room: 'Lab 2', teacher_id: null });
+
+            expect(response.status).toBe(409);
+            expect(response.body.error).toBe('The class already has a lesson in this period');
+        });
+
+        test('should refuse a lesson whose teacher and room are booked at an overlapping time', async () => {
+            await addLesson(admin.user);
+
+            const response = await addLesson(admin.user, {
+                class_id: otherClass.id,
+                period_number: 2,
+                start_time: '09:00',
+                end_time: '09:40',
+                room: 'lab 1'
+            });
+
+            expect(response.status).toBe(409);
+            expect(response.body.code).toBe('TIMETABLE_CLASH');
+            expect(response.body.clashes).toEqual([expect.objectContaining({ types: ['teacher', 'room'] })]);
+        });
+
+        test('should allow back-to-back lessons for the same teacher and room', async () => {
+            await addLesson(admin.user);
+
+            const response = await addLesson(admin.user, {
+                class_id: otherClass.id,
+                period_number: 2,
+                start_time: '09:10',
+                end_time: '09:50'
+            });
+
+            expect(response.status).toBe(201);
+        });
+
+        test('should refuse an admin at another school', async () => {
+            const response = await addLesson(otherAdmin);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+            expect(await TimetableSlot.count()).toBe(0);
+        });
+    });
+
+    describe('GET /api/timetable/clashes', () => {
+        beforeEach(async () => {
+            // Lessons timetabled before clashes were checked
+            for (const attributes of [{}, { class_id: otherClass.id, room: 'Room 4' }, { day_of_week: 2 }]) {
+                await TimetableSlot.create({
+                    ...lesson({ start_time: '08:30:00', end_time: '09:10:00', ...attributes }),
+                    school_id: school.id,
+                    school_year: '2026-2027'
+                });
+            }
+        });
+
+        test('should list each pair of clashing lessons at the school', async () => {
+            const response = await listClashes(admin.user);
+
+            expect(response.status).toBe(200);
+            expect(response.body.count).toBe(1);
+            expect(response.body.clashes[0].types).toEqual(['teacher']);
+            expect(response.body.clashes[0].lessons.map(slot => slot.class_id).sort())
+                .toEqual([classRecord.id, otherClass.id].sort());
+        });
+
+        test('should refuse an admin at another school', async () => {
+            const response = await listClashes(otherAdmin);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+        });
+    });
+
+    describe('Class timetables and removing lessons', () => {
+        let slot;
+
+        beforeEach(async () => {
+            slot = (await addLesson(admin.user)).body.slot;
+        });
+
+        test('should show the class timetable to the school\'s teachers', async () => {
+            const response = await asUser(request(app).get(`/api/timetable/classes/${classRecord.id}`), teacher.user);
+
+            expect(response.status).toBe(200);
+            expect(response.body.week).toEqual([expect.objectContaining({
+                day: 'Monday',
+                lessons: [expect.objectContaining({ id: slot.id })]
+            })]);
+        });
+
+        test('should keep class timetables to school staff', async () => {
+            const classTimetable = user => asUser(request(app).get(`/api/timetable/classes/${classRecord.id}`), user);
+            const byParent = await classTimetable(await testApp.createUser('parent'));
+            const byOtherAdmin = await classTimetable(otherAdmin);
+
+            expect(byParent.status).toBe(403);
+            expect(byOtherAdmin.status).toBe(403);
+            expect(byOtherAdmin.body.code).toBe('SCHOOL_ACCESS_DENIED');
+        });
+
+        test('should refuse an admin at another school removing a lesson', async () => {
+            const response = await asUser(request(app).delete(`/api/timetable/slots/${slot.id}`), otherAdmin);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('SCHOOL_ACCESS_DENIED');
+            expect((await TimetableSlot.findByPk(slot.id)).is_active).toBe(true);
+        });
+
+        test('should let an admin at the school remove a lesson', async () => {
+            const response = await asUser(request(app).delete(`/api/timetable/slots/${slot.id}`), admin.user);
+
+            expect(response.status).toBe(200);
+            expect((await TimetableSlot.findByPk(slot.id)).is_active).toBe(false);
+        });
+    });
+});
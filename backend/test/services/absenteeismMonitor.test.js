@@ -0,0 +1,102 @@
+const testApp = require('../test-app');
+const { absenteeismMonitor } = require('../../services/absenteeismMonitor');
+
+/**
+ * Absenteeism Monitor Tests
+ * Opening, prioritising and reopening chronic absenteeism cases
+ */
+
+describe('Absenteeism Monitor Tests', () => {
+    const { AttendanceRecord, AttendanceCase, FamilySocialAssessment } = testApp.models;
+    let school;
+    let term;
+    let student;
+
+    // Ten school days: 7-11 and 14-18 September
+    const asOf = '2026-09-18';
+
+    const markAbsent = dates => Promise.all(dates.map(date => AttendanceRecord.create({
+        student_id: student.id,
+        school_id: school.id,
+        attendance_date: date,
+        status: 'absent'
+    })));
+
+    const evaluate = (date = asOf) => absenteeismMonitor.evaluateTerm(term.id, { schoolId: school.id, asOf: date });
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        school = await testApp.createSchool();
+        term = await testApp.createTerm();
+    });
+
+    beforeEach(async () => {
+        await Promise.all([AttendanceRecord, AttendanceCase, FamilySocialAssessment].map(model => model.destroy({ where: {} })));
+        student = await testApp.createStudent(school, { enrollment_date: '2026-09-01' });
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    test('should open a case when a student crosses the absence thresholds', async () => {
+        await markAbsent(['2026-09-14', '2026-09-15', '2026-09-16']);
+
+        const summary = await evaluate();
+
+        expect(summary).toMatchObject({ opened: 1, updated: 0, reopened: 0, schools: 1 });
+        const attendanceCase = await AttendanceCase.findOne({ where: { student_id: student.id } });
+        expect(attendanceCase.status).toBe('open');
+        expect(attendanceCase.triggers.map(trigger => trigger.type)).toEqual(['absence_rate', 'consecutive_absences']);
+        expect(Number(attendanceCase.absence_rate)).toBe(30);
+        // 30 for the absence rate plus 3 for each day of the streak
+        expect(attendanceCase.risk_score).toBe(39);
+        expect(attendanceCase.priority).toBe('medium');
+    });
+
+    test('should leave students under the thresholds without a case', async () => {
+        await markAbsent(['2026-09-14']);
+
+        // One day in fifteen stays under the 10% absence rate
+        const summary = await evaluate('2026-09-25');
+
+        expect(summary.opened).toBe(0);
+        expect(await AttendanceCase.count()).toBe(0);
+    });
+
+    test('should raise the priority for family and social risk factors', async () => {
+        await FamilySocialAssessment.create({
+            student_id: student.id,
+            homeless: true,
+            food_insecurity_level: 'Moderate',
+            social_worker_name: 'A. Social Worker'
+        });
+        await markAbsent(['2026-09-14', '2026-09-15', '2026-09-16']);
+
+        await evaluate();
+
+        const attendanceCase = await AttendanceCase.findOne({ where: { student_id: student.id } });
+        expect(attendanceCase.risk_factors).toEqual(['homeless', 'food_insecurity_moderate']);
+        expect(attendanceCase.risk_score).toBe(79);
+        expect(attendanceCase.priority).toBe('high');
+        expect(attendanceCase.social_worker_name).toBe('A. Social Worker');
+    });
+
+    test('should reopen a resolved case only when absences continue', async () => {
+        await markAbsent(['2026-09-14', '2026-09-15', '2026-09-16']);
+        await evaluate();
+        await AttendanceCase.update({ status: 'resolved', resolved_at: new Date() }, { where: { student_id: student.id } });
+
+        const unchanged = await evaluate();
+        expect(unchanged).toMatchObject({ updated: 1, reopened: 0 });
+
+        await markAbsent(['2026-09-17']);
+        const summary = await evaluate();
+
+        expect(summary.reopened).toBe(1);
+        const attendanceCase = await AttendanceCase.findOne({ where: { student_id: student.id } });
+        expect(attendanceCase.status).toBe('open');
+        expect(attendanceCase.resolved_at).toBeNull();
+        expect(attendanceCase.days_absent).toBe(4);
+    });
+});
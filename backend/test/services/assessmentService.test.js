@@ -0,0 +1,225 @@
+const testApp = require('../test-app');
+const { assessmentService } = require('../../services/assessmentService');
+
+/**
+ * Assessment Service Tests
+ * Weighted term scores and the grades derived from them
+ */
+
+describe('Assessment Service Tests', () => {
+    const { Assessment, AssessmentScore, Grade, GradeHistory } = testApp.models;
+    let school;
+    let classRecord;
+    let term;
+    let subject;
+    let teacher;
+    let students;
+
+    // Assessments as loaded by getAssessments, without touching the database
+    const assessment = (id, weight, maxScore, marks) => ({
+        id,
+        title: id,
+        assessment_type: 'test',
+        weight,
+        max_score: maxScore,
+        AssessmentScores: marks
+    });
+
+    const createAssessment = (attributes) => Assessment.create({
+        class_id: classRecord.id,
+        subject_id: subject.id,
+        term_id: term.id,
+        teacher_id: teacher.id,
+        assessment_type: 'test',
+        max_score: 100,
+        ...attributes
+    });
+
+    const mark = (assessmentRecord, student, score, extra = {}) => AssessmentScore.create({
+        assessment_id: assessmentRecord.id,
+        student_id: student.id,
+        score,
+        ...extra
+    });
+
+    const recalculate = () => assessmentService.recalculateGrades(classRecord.id, subject.id, term.id, { reason: 'Test' });
+
+    const gradeOf = (student) => Grade.findOne({
+        where: { student_id: student.id, subject_id: subject.id, term_id: term.id }
+    });
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        await testApp.createGradingScale();
+
+        school = await testApp.createSchool();
+        ({ staff: teacher } = await testApp.createStaffUser('teacher', school));
+        classRecord = await testApp.createClass(school);
+        term = await testApp.createTerm();
+        subject = await testApp.createSubject();
+    });
+
+    beforeEach(async () => {
+        await Promise.all([GradeHistory, AssessmentScore, Grade, Assessment].map(model => model.destroy({ where: {} })));
+        students = [];
+        for (let i = 0; i < 3; i++) {
+            students.push(await testApp.createStudent(school, { class_id: classRecord.id }));
+        }
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    describe('computeScore', () => {
+        test('should weight each assessment by its share of the term', () => {
+            const result = assessmentService.computeScore([
+                assessment('test', 40, 50, [{ student_id: 's1', score: 40 }]),
+                assessment('exam', 60, 100, [{ student_id: 's1', score: 70 }])
+            ], 's1');
+
+            // 80% at 40 weight and 70% at 60 weight
+            expect(result.numeric_score).toBe(74);
+            expect(result.components.map(component => component.percentage)).toEqual([80, 70]);
+        });
+
+        test('should rescale the weights of the marked assessments to 100%', () => {
+            const result = assessmentService.computeScore([
+                assessment('test', 25, 20, [{ student_id: 's1', score: 15 }]),
+                assessment('exam', 75, 100, [])
+            ], 's1');
+
+            expect(result.numeric_score).toBe(75);
+            expect(result.components[1].score).toBeNull();
+        });
+
+        test('should leave excused assessments out of the score', () => {
+            const result = assessmentService.computeScore([
+                assessment('test', 50, 100, [{ student_id: 's1', score: 90 }]),
+                assessment('exam', 50, 100, [{ student_id: 's1', score: null, is_excused: true }])
+            ], 's1');
+
+            expect(result.numeric_score).toBe(90);
+            expect(result.components[1].excused).toBe(true);
+        });
+
+        test('should read decimal marks and weights returned as strings', () => {
+            const result = assessmentService.computeScore([
+                assessment('test', '30.00', '40.00', [{ student_id: 's1', score: '30.00' }]),
+                assessment('exam', '70.00', '100.00', [{ student_id: 's1', score: '55.50' }])
+            ], 's1');
+
+            expect(result.numeric_score).toBe(61.35);
+        });
+
+        test('should return null for a student with no counted marks', () => {
+            const result = assessmentService.computeScore([
+                assessment('test', 50, 100, [{ student_id: 's1', score: null, is_excused: true }]),
+                assessment('exam', 50, 100, [{ student_id: 's2', score: 80 }])
+            ], 's1');
+
+            expect(result).toBeNull();
+        });
+    });
+
+    describe('recalculateGrades', () => {
+        test('should derive grades on the class scale for students with marks', async () => {
+            const test1 = await createAssessment({ title: 'Test 1', weight: 40, max_score: 50 });
+            const exam = await createAssessment({ title: 'Exam', weight: 60 });
+            await mark(test1, students[0], 45);
+            await mark(exam, students[0], 85);
+            await mark(test1, students[1], 20);
+
+            const result = await recalculate();
+
+            expect(result).toMatchObject({ created: 2, updated: 0, removed: 0, skipped_final: 0 });
+            const first = await gradeOf(students[0]);
+            expect(parseFloat(first.numeric_score)).toBe(87);
+            expect(first.grade_value).toBe('A');
+            expect(first.teacher_id).toBe(teacher.id);
+            expect((await gradeOf(students[1])).grade_value).toBe('F');
+            expect(await gradeOf(students[2])).toBeNull();
+            expect(await GradeHistory.count({ where: { grade_id: first.id, change_type: 'created', source: 'assessment' } })).toBe(1);
+        });
+
+        test('should update derived grades when marks change', async () => {
+            const test1 = await createAssessment({ title: 'Test 1', weight: 50 });
+            const score = await mark(test1, students[0], 65);
+            await recalculate();
+
+            await score.update({ score: 75 });
+            const result = await recalculate();
+
+            expect(result).toMatchObject({ created: 0, updated: 1 });
+            const grade = await gradeOf(students[0]);
+            expect(grade.grade_value).toBe('B');
+            expect(await GradeHistory.count({ where: { grade_id: grade.id } })).toBe(2);
+        });
+
+        test('should leave finalised grades untouched', async () => {
+            const test1 = await createAssessment({ title: 'Test 1', weight: 50 });
+            const score = await mark(test1, students[0], 65);
+            await recalculate();
+            await (await gradeOf(students[0])).update({ is_final: true });
+
+            await score.update({ score: 95 });
+            const result = await recalculate();
+
+            expect(result).toMatchObject({ updated: 0, skipped_final: 1 });
+            const grade = await gradeOf(students[0]);
+            expect(parseFloat(grade.numeric_score)).toBe(65);
+            expect(grade.grade_value).toBe('C');
+        });
+
+        test('should remove derived grades when the last assessment is deleted', async () => {
+            const test1 = await createAssessment({ title: 'Test 1', weight: 50 });
+            await mark(test1, students[0], 90);
+            await mark(test1, students[1], 40);
+            await recalculate();
+
+            await test1.update({ is_active: false });
+            const result = await recalculate();
+
+            expect(result.removed).toBe(2);
+            expect(result.removed_grades.map(grade => grade.grade_value).sort()).toEqual(['A', 'F']);
+            expect(await gradeOf(students[0])).toBeNull();
+            expect(await gradeOf(students[1])).toBeNull();
+        });
+
+        test('should keep finalised and hand-entered grades when the last assessment is deleted', async () => {
+            const test1 = await createAssessment({ title: 'Test 1', weight: 50 });
+            await mark(test1, students[0], 90);
+            await recalculate();
+            await (await gradeOf(students[0])).update({ is_final: true });
+            await Grade.create({
+                student_id: students[1].id,
+                subject_id: subject.id,
+                class_id: classRecord.id,
+                term_id: term.id,
+                teacher_id: teacher.id,
+                grade_value: 'B'
+            });
+
+            await test1.update({ is_active: false });
+            const result = await recalculate();
+
+            expect(result).toMatchObject({ removed: 0, skipped_final: 1 });
+            expect((await gradeOf(students[0])).grade_value).toBe('A');
+            expect((await gradeOf(students[1])).grade_value).toBe('B');
+        });
+
+        test('should remove a derived grade once all of the student\'s marks are excused', async () => {
+            const test1 = await createAssessment({ title: 'Test 1', weight: 50 });
+            const score = await mark(test1, students[0], 90);
+            await mark(test1, students[1], 70);
+            await recalculate();
+
+            await score.update({ score: null, is_excused: true });
+            const result = await recalculate();
+
+            expect(result).toMatchObject({ updated: 1, removed: 1 });
+            expect(await gradeOf(students[0])).toBeNull();
+            expect((await gradeOf(students[1])).grade_value).toBe('B');
+        });
+    });
+});
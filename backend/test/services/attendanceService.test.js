@@ -0,0 +1,201 @@
+const testApp = require('../test-app');
+const { UniqueConstraintError } = require('sequelize');
+const { attendanceService } = require('../../services/attendanceService');
+
+/**
+ * Attendance Service Tests
+ * School-local dates and times, the one attendance record a student has each day
+ * and the term attendance figures printed on report cards
+ */
+
+describe('Attendance Service Tests', () => {
+    const { AttendanceRecord } = testApp.models;
+    let school;
+    let student;
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        school = await testApp.createSchool();
+    });
+
+    beforeEach(async () => {
+        await AttendanceRecord.destroy({ where: {} });
+        student = await testApp.createStudent(school, { enrollment_date: '2026-09-01' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    describe('School-local dates and times', () => {
+        test('should keep a late evening scan on the Barbados school day', () => {
+            // 21:30 in Barbados is already the next day in UTC
+            const at = new Date('2026-10-20T01:30:00Z');
+
+            expect(attendanceService.localDate(at)).toBe('2026-10-19');
+            expect(attendanceService.localTime(at)).toBe('21:30:00');
+        });
+
+        test('should add minutes across midnight in either direction', () => {
+            expect(attendanceService.addMinutes('23:50:00', 20)).toBe('00:10:00');
+            expect(attendanceService.addMinutes('00:05:30', -10)).toBe('23:55:30');
+        });
+
+        test('should number weekdays from Monday', () => {
+            expect(attendanceService.weekday('2026-10-19')).toBe(1);
+            expect(attendanceService.weekday('2026-10-25')).toBe(7);
+        });
+    });
+
+    describe('findOrCreateDailyRecord', () => {
+        test('should return the existing record for the day instead of adding another', async () => {
+            const [first, created] = await attendanceService.findOrCreateDailyRecord(student, '2026-10-19');
+            const [second, createdAgain] = await attendanceService.findOrCreateDailyRecord(student, '2026-10-19', { status: 'late' });
+
+            expect(created).toBe(true);
+            expect(createdAgain).toBe(false);
+            expect(second.id).toBe(first.id);
+            expect(second.status).toBe('present');
+            expect(await AttendanceRecord.count({ where: { student_id: student.id } })).toBe(1);
+        });
+
+        test('should re-read the winning record when a concurrent scan creates it first', async () => {
+            const winner = await AttendanceRecord.create({
+                student_id: student.id,
+                school_id: school.id,
+                attendance_date: '2026-10-19',
+                status: 'present'
+            });
+            jest.spyOn(AttendanceRecord, 'findOrCreate').mockRejectedValueOnce(new UniqueConstraintError({}));
+
+            const [record, created] = await attendanceService.findOrCreateDailyRecord(student, '2026-10-19');
+
+            expect(created).toBe(false);
+            expect(record.id).toBe(winner.id);
+        });
+
+        test('should record the student\'s school on a new record', async () => {
+            const [record] = await attendanceService.findOrCreateDailyRecord(student, '2026-10-20');
+
+            expect(record.school_id).toBe(school.id);
+        });
+    });
+
+    describe('recordEntry and recordExit', () => {
+        const dailyRecord = async (defaults = {}) => {
+            const [record] = await attendanceService.findOrCreateDailyRecord(student, '2026-10-19', defaults);
+            return record;
+        };
+
+        test('should keep the earliest entry, so back-filled scans move it earlier', async () => {
+            const record = await dailyRecord();
+            await attendanceService.recordEntry(record, new Date('2026-10-19T12:10:00Z'));
+            await attendanceService.recordEntry(record, new Date('2026-10-19T11:55:00Z'));
+            await attendanceService.recordEntry(record, new Date('2026-10-19T12:30:00Z'));
+
+            await record.reload();
+            expect(new Date(record.rfid_entry_time).toISOString()).toBe('2026-10-19T11:55:00.000Z');
+            expect(record.check_in_time).toBe('07:55:00');
+        });
+
+        test('should turn an automatic absence into a late arrival', async () => {
+            const record = await dailyRecord({ status: 'absent', source: 'auto' });
+
+            await attendanceService.recordEntry(record, new Date('2026-10-19T14:00:00Z'));
+
+            await record.reload();
+            expect(record.status).toBe('late');
+        });
+
+        test('should keep the latest exit and clear it on re-entry', async () => {
+            const record = await dailyRecord();
+            await attendanceService.recordEntry(record, new Date('2026-10-19T12:00:00Z'));
+            await attendanceService.recordExit(record, new Date('2026-10-19T18:00:00Z'));
+            await attendanceService.recordExit(record, new Date('2026-10-19T17:00:00Z'));
+
+            await record.reload();
+            expect(record.check_out_time).toBe('14:00:00');
+
+            await attendanceService.recordEntry(record, new Date('2026-10-19T19:00:00Z'));
+            await record.reload();
+            expect(record.rfid_exit_time).toBeNull();
+            expect(record.check_out_time).toBeNull();
+        });
+
+        test('should ignore an exit before the recorded entry', async () => {
+            const record = await dailyRecord();
+            await attendanceService.recordEntry(record, new Date('2026-10-19T12:00:00Z'));
+
+            await attendanceService.recordExit(record, new Date('2026-10-19T11:00:00Z'));
+
+            await record.reload();
+            expect(record.rfid_exit_time).toBeNull();
+        });
+    });
+
+    describe('summarizeTerm', () => {
+        const { SchoolHoliday } = testApp.models;
+        let term;
+
+        const record = (attendanceDate, status, forStudent = student) => AttendanceRecord.create({
+            student_id: forStudent.id,
+            school_id: school.id,
+            attendance_date: attendanceDate,
+            status
+        });
+
+        beforeAll(async () => {
+            term = await testApp.createTerm();
+            await SchoolHoliday.create({ school_id: school.id, holiday_date: '2026-10-14', name: 'School Holiday' });
+        });
+
+        test('should count late days as present and excused days as absent', async () => {
+            await record('2026-10-12', 'present');
+            await record('2026-10-13', 'late');
+            await record('2026-10-15', 'absent');
+            await record('2026-10-16', 'excused');
+
+            const summaries = await attendanceService.summarizeTerm([student], term, '2026-10-16');
+
+            expect(summaries.get(student.id)).toEqual({
+                days_present: 2,
+                days_absent: 2,
+                days_late: 1,
+                attendance_percentage: 50
+            });
+        });
+
+        test('should leave out weekends, holidays, days before enrolment and days after the as-of date', async () => {
+            const lateJoiner = await testApp.createStudent(school, { enrollment_date: '2026-10-13' });
+            await record('2026-10-12', 'absent', lateJoiner);
+            await record('2026-10-13', 'present', lateJoiner);
+            await record('2026-10-14', 'absent', lateJoiner);
+            await record('2026-10-17', 'absent', lateJoiner);
+            await record('2026-10-19', 'absent', lateJoiner);
+
+            const summaries = await attendanceService.summarizeTerm([lateJoiner], term, '2026-10-18');
+
+            expect(summaries.get(lateJoiner.id)).toEqual({
+                days_present: 1,
+                days_absent: 0,
+                days_late: 0,
+                attendance_percentage: 100
+            });
+        });
+
+        test('should report no percentage for a student with no recorded days', async () => {
+            const summaries = await attendanceService.summarizeTerm([student], term, '2026-10-16');
+
+            expect(summaries.get(student.id)).toEqual({
+                days_present: 0,
+                days_absent: 0,
+                days_late: 0,
+                attendance_percentage: null
+            });
+        });
+    });
+});
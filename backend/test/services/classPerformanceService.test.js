@@ -0,0 +1,205 @@
+const testApp = require('../test-app');
+const { classPerformanceService } = require('../../services/classPerformanceService');
+
+/**
+ * Class Performance Service Tests
+ * Subject statistics, class and grade level positions and movement since last term
+ */
+
+describe('Class Performance Service Tests', () => {
+    const { Grade, ReportCard, Student, Subject } = testApp.models;
+    let school;
+    let scale;
+    let term;
+    let previousTerm;
+    let teacher;
+    let subjects;
+
+    // Subject grades as loaded with a student, without touching the database
+    const grade = (subjectId, gradeValue, numericScore = null) => ({
+        subject_id: subjectId,
+        grade_value: gradeValue,
+        numeric_score: numericScore
+    });
+
+    const createGrades = async (student, classRecord, scores, termRecord = term) => {
+        for (const [index, score] of scores.entries()) {
+            await Grade.create({
+                student_id: student.id,
+                subject_id: subjects[index].id,
+                class_id: classRecord.id,
+                term_id: termRecord.id,
+                teacher_id: teacher.id,
+                grade_value: score >= 80 ? 'A' : score >= 70 ? 'B' : score >= 60 ? 'C' : 'D',
+                numeric_score: score
+            });
+        }
+    };
+
+    // Students of a class with their grades for the term, as report card generation loads them
+    const loadStudents = (classRecord) => Student.findAll({
+        where: { class_id: classRecord.id, is_active: true },
+        include: [{ model: Grade, where: { term_id: term.id }, include: [{ model: Subject }] }],
+        order: [['student_id', 'ASC']]
+    });
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        scale = await testApp.createGradingScale();
+        school = await testApp.createSchool();
+        ({ staff: teacher } = await testApp.createStaffUser('teacher', school));
+        previousTerm = await testApp.createTerm({
+            name: 'Term 3',
+            school_year: '2025-2026',
+            term_number: 3,
+            start_date: '2026-04-13',
+            end_date: '2026-07-03',
+            is_active: false
+        });
+        term = await testApp.createTerm();
+        subjects = [await testApp.createSubject(), await testApp.createSubject()];
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    describe('positions', () => {
+        test('should share a position between tied students and skip the places they take', () => {
+            const positions = classPerformanceService.positions(new Map([
+                ['a', 91], ['b', 78.5], ['c', 78.5], ['d', 60]
+            ]));
+
+            expect([...positions]).toEqual([['a', 1], ['b', 2], ['c', 2], ['d', 4]]);
+        });
+
+        test('should rank from the highest value whatever the input order', () => {
+            const positions = classPerformanceService.positions(new Map([
+                ['low', 40], ['high', 95], ['mid', 70], ['mid2', 70], ['top', 95]
+            ]));
+
+            expect(Object.fromEntries(positions)).toEqual({ high: 1, top: 1, mid: 3, mid2: 3, low: 5 });
+        });
+
+        test('should return no positions for no students', () => {
+            expect(classPerformanceService.positions(new Map()).size).toBe(0);
+        });
+    });
+
+    describe('rankingValues', () => {
+        test('should rank on overall scores when every student has one', () => {
+            const values = classPerformanceService.rankingValues(new Map([
+                ['s1', [grade('maths', 'A', 90), grade('english', 'B', 70)]],
+                ['s2', [grade('maths', 'C', 65)]]
+            ]), scale);
+
+            expect(Object.fromEntries(values)).toEqual({ s1: 80, s2: 65 });
+        });
+
+        test('should switch the whole group to band points when a student has a label-only grade', () => {
+            const values = classPerformanceService.rankingValues(new Map([
+                ['s1', [grade('maths', 'A', 90), grade('english', 'B', 70)]],
+                ['s2', [grade('maths', 'A'), grade('english', 'A', 85)]]
+            ]), scale);
+
+            // A is 4 points and B is 3, so the hand-graded student now ranks first
+            expect(Object.fromEntries(values)).toEqual({ s1: 3.5, s2: 4 });
+        });
+
+        test('should leave out students without grades', () => {
+            const values = classPerformanceService.rankingValues(new Map([
+                ['s1', [grade('maths', 'B', 72)]],
+                ['s2', []]
+            ]), scale);
+
+            expect([...values.keys()]).toEqual(['s1']);
+        });
+    });
+
+    describe('subjectStatistics', () => {
+        test('should give each subject\'s average, range and grade spread', () => {
+            const statistics = classPerformanceService.subjectStatistics([
+                grade('maths', 'A', 90),
+                grade('maths', 'C', 61),
+                grade('maths', 'C'),
+                grade('english', 'B', 75)
+            ]);
+
+            expect(statistics.get('maths')).toMatchObject({
+                students: 3,
+                average: 75.5,
+                highest: 90,
+                lowest: 61,
+                distribution: { A: 1, C: 2 }
+            });
+            expect(statistics.get('english').average).toBe(75);
+        });
+    });
+
+    describe('forClass', () => {
+        let classRecord;
+        let parallelClass;
+        let students;
+
+        beforeAll(async () => {
+            classRecord = await testApp.createClass(school, { grade_level: 'Form 2' });
+            parallelClass = await testApp.createClass(school, { grade_level: 'Form 2' });
+            const lastYearClass = await testApp.createClass(school, { grade_level: 'Form 2', school_year: '2025-2026' });
+            const otherLevel = await testApp.createClass(school, { grade_level: 'Form 3' });
+
+            students = [];
+            for (const scores of [[88, 80], [70, 66], [70, 66]]) {
+                const student = await testApp.createStudent(school, { class_id: classRecord.id });
+                await createGrades(student, classRecord, scores);
+                students.push(student);
+            }
+            for (const [levelClass, scores] of [[parallelClass, [95, 93]], [parallelClass, [50, 52]], [lastYearClass, [99, 99]], [otherLevel, [99, 99]]]) {
+                const student = await testApp.createStudent(school, { class_id: levelClass.id });
+                await createGrades(student, levelClass, scores);
+            }
+
+            await ReportCard.create({
+                student_id: students[0].id,
+                class_id: classRecord.id,
+                term_id: previousTerm.id,
+                overall_grade: 'B',
+                overall_score: 79,
+                overall_effort: 'G',
+                overall_behavior: 'G',
+                class_position: 2
+            });
+            await createGrades(students[0], classRecord, [82, 76], previousTerm);
+        });
+
+        test('should rank students in their class, sharing tied positions', async () => {
+            const { students: results } = await classPerformanceService.forClass(classRecord, term, scale, await loadStudents(classRecord));
+
+            expect(results.get(students[0].id)).toMatchObject({ overall_score: 84, class_position: 1, class_size: 3 });
+            expect(results.get(students[1].id).class_position).toBe(2);
+            expect(results.get(students[2].id).class_position).toBe(2);
+        });
+
+        test('should rank students across this year\'s classes of the same grade level', async () => {
+            const { students: results } = await classPerformanceService.forClass(classRecord, term, scale, await loadStudents(classRecord));
+
+            // The parallel class's 94 average ranks first; last year's and Form 3's classes are not counted
+            expect(results.get(students[0].id)).toMatchObject({ grade_level_position: 2, grade_level_size: 5 });
+            expect(results.get(students[1].id).grade_level_position).toBe(3);
+            expect(results.get(students[2].id).grade_level_position).toBe(3);
+        });
+
+        test('should compare results with the previous term', async () => {
+            const { previousTerm: previous, subjects: subjectStatistics, students: results } = await classPerformanceService.forClass(
+                classRecord, term, scale, await loadStudents(classRecord)
+            );
+
+            expect(previous.id).toBe(previousTerm.id);
+            const result = results.get(students[0].id);
+            expect(result).toMatchObject({ previous_overall_score: 79, previous_class_position: 2, score_change: 5 });
+            const maths = result.subject_statistics.find(statistic => statistic.subject_id === subjects[0].id);
+            expect(maths).toMatchObject({ class_average: 76, highest: 88, lowest: 70, previous_score: 82, change: 6 });
+            expect(results.get(students[1].id).score_change).toBeNull();
+            expect(subjectStatistics).toHaveLength(2);
+        });
+    });
+});
@@ -0,0 +1,169 @@
+const testApp = require('../test-app');
+const { gradeWorkflowService } = require('../../services/gradeWorkflowService');
+
+/**
+ * Grade Workflow Service Tests
+ * Submission status transitions, grade locking and the report cards that follow them
+ */
+
+describe('Grade Workflow Service Tests', () => {
+    const { Grade, GradeSubmission, GradeHistory, ReportCard } = testApp.models;
+    let school;
+    let classRecord;
+    let term;
+    let subject;
+    let teacher;
+    let principal;
+    let students;
+    let keys;
+
+    const createGrade = (student, attributes = {}) => Grade.create({
+        student_id: student.id,
+        subject_id: subject.id,
+        class_id: classRecord.id,
+        term_id: term.id,
+        teacher_id: teacher.id,
+        grade_value: 'B',
+        numeric_score: 75,
+        effort_grade: 'G',
+        behavior_grade: 'G',
+        ...attributes
+    });
+
+    const createCard = (student, attributes = {}) => ReportCard.create({
+        student_id: student.id,
+        class_id: classRecord.id,
+        term_id: term.id,
+        overall_grade: 'B',
+        overall_effort: 'G',
+        overall_behavior: 'G',
+        ...attributes
+    });
+
+    // Move the class and subject's grades through each action in turn
+    const walk = async (...actions) => {
+        let result;
+        for (const action of actions) {
+            result = await gradeWorkflowService.transition(action, keys, principal.id, `${action} note`);
+        }
+        return result;
+    };
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        school = await testApp.createSchool();
+        ({ staff: teacher } = await testApp.createStaffUser('teacher', school));
+        principal = await testApp.createUser('super_admin');
+        classRecord = await testApp.createClass(school);
+        term = await testApp.createTerm();
+        subject = await testApp.createSubject();
+        keys = { classId: classRecord.id, subjectId: subject.id, termId: term.id };
+    });
+
+    beforeEach(async () => {
+        await Promise.all([GradeHistory, ReportCard, GradeSubmission].map(model => model.destroy({ where: {} })));
+        await Grade.destroy({ where: {} });
+        students = [];
+        for (let i = 0; i < 2; i++) {
+            const student = await testApp.createStudent(school, { class_id: classRecord.id });
+            await createGrade(student);
+            students.push(student);
+        }
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    describe('transition', () => {
+        test('should move draft grades through review to approval', async () => {
+            const submitted = await walk('submit');
+            expect(submitted).toMatchObject({ from: 'draft' });
+            expect(submitted.submission.status).toBe('submitted');
+            expect(await gradeWorkflowService.isEditable(classRecord.id, subject.id, term.id)).toBe(false);
+
+            const reviewed = await walk('review');
+            expect(reviewed.from).toBe('submitted');
+            expect(reviewed.submission.review_notes).toBe('review note');
+
+            const approved = await walk('approve');
+            expect(approved.from).toBe('reviewed');
+            expect(approved.submission.status).toBe('approved');
+            expect(approved.submission.approved_by).toBe(principal.id);
+        });
+
+        test('should lock grades on approval and record why in their history', async () => {
+            await walk('submit', 'review', 'approve');
+
+            expect(await Grade.count({ where: { term_id: term.id, is_final: true } })).toBe(2);
+            expect(await GradeHistory.count({ where: { source: 'workflow' } })).toBe(2);
+        });
+
+        test('should unlock grades when approved grades are reopened', async () => {
+            await walk('submit', 'review', 'approve');
+            const reopened = await walk('reopen');
+
+            expect(reopened).toMatchObject({ from: 'approved' });
+            expect(reopened.submission.status).toBe('draft');
+            expect(reopened.submission.returned_reason).toBe('reopen note');
+            expect(await Grade.count({ where: { term_id: term.id, is_final: true } })).toBe(0);
+            expect(await gradeWorkflowService.isEditable(classRecord.id, subject.id, term.id)).toBe(true);
+        });
+
+        test('should refuse an action the current status does not allow', async () => {
+            const result = await walk('approve');
+
+            expect(result).toEqual({ conflict: true, from: 'draft' });
+            expect(await GradeSubmission.findOne({ where: { class_id: classRecord.id } })).toMatchObject({ status: 'draft' });
+        });
+
+        test('should refuse to act when the status has moved from the one the caller checked', async () => {
+            await walk('submit', 'review');
+
+            // A second reviewer returns grades they saw as submitted, after the first has reviewed them
+            const result = await gradeWorkflowService.transition('return', keys, principal.id, 'Marks are missing', {
+                expectedFrom: 'submitted'
+            });
+
+            expect(result).toEqual({ conflict: true, from: 'reviewed' });
+            const submission = await gradeWorkflowService.getSubmission(classRecord.id, subject.id, term.id);
+            expect(submission.status).toBe('reviewed');
+            expect(submission.returned_reason).toBeFalsy();
+        });
+    });
+
+    describe('report cards', () => {
+        test('should make report cards final once every grade on them is approved', async () => {
+            const card = await createCard(students[0]);
+
+            await walk('submit', 'review', 'approve');
+
+            await card.reload();
+            expect(card.is_final).toBe(true);
+        });
+
+        test('should make unreleased report cards provisional again on reopening', async () => {
+            await walk('submit', 'review', 'approve');
+            const card = await createCard(students[0], { is_final: true });
+
+            await walk('reopen');
+
+            await card.reload();
+            expect(card.is_final).toBe(false);
+        });
+
+        test('should leave released report cards final on reopening', async () => {
+            await walk('submit', 'review', 'approve');
+            const card = await createCard(students[0], {
+                is_final: true,
+                released_to_parent: true,
+                released_at: new Date()
+            });
+
+            await walk('reopen');
+
+            await card.reload();
+            expect(card.is_final).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+const testApp = require('../test-app');
+const { gradingScaleService, GradingScaleService } = require('../../services/gradingScaleService');
+
+/**
+ * Grading Scale Service Tests
+ * Choosing a scale for a class, mapping scores to bands and overall grades
+ */
+
+describe('Grading Scale Service Tests', () => {
+    let letterScale;
+
+    const percentageScale = { name: 'Percentage', scale_type: 'percentage', bands: [] };
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        letterScale = await testApp.createGradingScale();
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    describe('resolveScale', () => {
+        let formScale;
+
+        beforeAll(async () => {
+            formScale = await testApp.createGradingScale({
+                name: 'CSEC preparation',
+                school_categories: ['secondary'],
+                grade_levels: ['Form 5'],
+                is_default: false
+            });
+        });
+
+        test('should prefer a scale naming the class\'s grade level', async () => {
+            const school = await testApp.createSchool();
+
+            expect((await gradingScaleService.resolveScale(school, 'Form 5')).id).toBe(formScale.id);
+            expect((await gradingScaleService.resolveScale(school, 'Form 1')).id).toBe(letterScale.id);
+        });
+
+        test('should map the school type to a category when the school has none', async () => {
+            const nursery = await testApp.createSchool({ school_type: 'pre_primary' });
+
+            expect(await gradingScaleService.resolveScale(nursery, 'Reception')).toBe(GradingScaleService.DESCRIPTOR_SCALE);
+        });
+
+        test('should skip inactive scales', async () => {
+            await formScale.update({ is_active: false });
+
+            const scale = await gradingScaleService.resolveScale(await testApp.createSchool(), 'Form 5');
+
+            expect(scale.id).toBe(letterScale.id);
+            await formScale.update({ is_active: true });
+        });
+
+        test('should resolve each class\'s scale and leave out missing classes', async () => {
+            const classRecord = await testApp.createClass(await testApp.createSchool(), { grade_level: 'Form 5' });
+            const missing = '00000000-0000-4000-8000-000000000000';
+
+            const scales = await gradingScaleService.resolveForClasses([classRecord.id, classRecord.id, missing]);
+
+            expect([...scales.keys()]).toEqual([classRecord.id]);
+            expect(scales.get(classRecord.id).id).toBe(formScale.id);
+        });
+    });
+
+    describe('labelFor', () => {
+        test('should band a score at the bottom of each band', () => {
+            expect(gradingScaleService.labelFor(letterScale, 80)).toBe('A');
+            expect(gradingScaleService.labelFor(letterScale, '79.99')).toBe('B');
+            expect(gradingScaleService.labelFor(letterScale, 50)).toBe('D');
+            expect(gradingScaleService.labelFor(letterScale, 0)).toBe('F');
+        });
+
+        test('should round percentage scores', () => {
+            expect(gradingScaleService.labelFor(percentageScale, 72.5)).toBe('73%');
+        });
+    });
+
+    describe('gradeValueFor', () => {
+        test('should derive the grade from a score', () => {
+            expect(gradingScaleService.gradeValueFor(letterScale, { numeric_score: 65 })).toEqual({ grade_value: 'C' });
+        });
+
+        test('should refuse a grade that disagrees with the score', () => {
+            const result = gradingScaleService.gradeValueFor(letterScale, { grade_value: 'A', numeric_score: 65 });
+
+            expect(result.error).toMatch(/expected C/);
+        });
+
+        test('should accept a label on the scale without a score', () => {
+            expect(gradingScaleService.gradeValueFor(letterScale, { grade_value: 'B' })).toEqual({ grade_value: 'B' });
+        });
+
+        test('should refuse labels not on the scale and percentage grades without a score', () => {
+            expect(gradingScaleService.gradeValueFor(letterScale, { grade_value: 'E' }).error).toMatch(/A, B, C, D, F/);
+            expect(gradingScaleService.gradeValueFor(percentageScale, { grade_value: '80%' }).error)
+                .toMatch(/from a numeric score/);
+            expect(gradingScaleService.gradeValueFor(letterScale, {}).error).toMatch(/required/);
+        });
+    });
+
+    describe('overallGrade', () => {
+        test('should band the average score when every grade has one', () => {
+            const grades = [{ numeric_score: '85' }, { numeric_score: 72 }, { numeric_score: 70.5 }];
+
+            expect(gradingScaleService.overallGrade(letterScale, grades)).toEqual({ grade: 'B', score: 75.83 });
+        });
+
+        test('should average band points when a grade has no score', () => {
+            const grades = [{ grade_value: 'A', numeric_score: 90 }, { grade_value: 'B' }, { grade_value: 'D' }];
+
+            // (4 + 3 + 1) / 3 = 2.67 rounds to B's 3 points
+            expect(gradingScaleService.overallGrade(letterScale, grades)).toEqual({ grade: 'B', score: null });
+        });
+
+        test('should give no overall grade without grades on the scale', () => {
+            expect(gradingScaleService.overallGrade(letterScale, [])).toEqual({ grade: null, score: null });
+            expect(gradingScaleService.overallGrade(letterScale, [{ grade_value: 'E' }])).toEqual({ grade: null, score: null });
+        });
+    });
+});
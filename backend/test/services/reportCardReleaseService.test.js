@@ -0,0 +1,109 @@
+const testApp = require('../test-app');
+const { reportCardReleaseService } = require('../../services/reportCardReleaseService');
+
+/**
+ * Report Card Release Service Tests
+ * Release scheduling on the school's clock and which cards families may see
+ */
+
+describe('Report Card Release Service Tests', () => {
+    const { ReportCard } = testApp.models;
+    let school;
+    let classRecord;
+    let term;
+    let releasedBy;
+    let students;
+
+    const createCard = (student, attributes = {}) => ReportCard.create({
+        student_id: student.id,
+        class_id: classRecord.id,
+        term_id: term.id,
+        overall_grade: 'B',
+        overall_effort: 'G',
+        overall_behavior: 'G',
+        is_final: true,
+        ...attributes
+    });
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        school = await testApp.createSchool();
+        classRecord = await testApp.createClass(school);
+        term = await testApp.createTerm({ report_card_release_date: '2026-12-20' });
+        releasedBy = await testApp.createUser('admin');
+    });
+
+    beforeEach(async () => {
+        await ReportCard.destroy({ where: {} });
+        students = [];
+        for (let i = 0; i < 2; i++) {
+            students.push(await testApp.createStudent(school, { class_id: classRecord.id }));
+        }
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    describe('releaseTime', () => {
+        test('should schedule a future release for midnight in Barbados', () => {
+            const releaseAt = reportCardReleaseService.releaseTime(term, new Date('2026-12-18T15:00:00Z'));
+
+            // Barbados keeps UTC-4 all year
+            expect(releaseAt.toISOString()).toBe('2026-12-20T04:00:00.000Z');
+        });
+
+        test('should still schedule the release late on the evening before in Barbados', () => {
+            // 23:30 on 19 December in Barbados, already 20 December in UTC
+            const releaseAt = reportCardReleaseService.releaseTime(term, new Date('2026-12-20T03:30:00Z'));
+
+            expect(releaseAt.toISOString()).toBe('2026-12-20T04:00:00.000Z');
+        });
+
+        test('should release at once on or after the release date', () => {
+            const now = new Date('2026-12-20T04:00:00Z');
+
+            expect(reportCardReleaseService.releaseTime(term, now)).toBe(now);
+            const later = new Date('2027-01-05T12:00:00Z');
+            expect(reportCardReleaseService.releaseTime(term, later)).toBe(later);
+        });
+
+        test('should release at once when the term has no release date', () => {
+            const now = new Date('2026-12-01T12:00:00Z');
+
+            expect(reportCardReleaseService.releaseTime({ report_card_release_date: null }, now)).toBe(now);
+        });
+    });
+
+    describe('release', () => {
+        test('should release only the cards not yet released', async () => {
+            const earlier = new Date('2026-12-01T12:00:00Z');
+            const already = await createCard(students[0], { released_to_parent: true, released_at: earlier });
+            const pending = await createCard(students[1]);
+
+            const result = await reportCardReleaseService.release(classRecord.id, term, releasedBy.id);
+
+            expect(result.released).toBe(1);
+            await pending.reload();
+            expect(pending.released_to_parent).toBe(true);
+            expect(pending.released_by).toBe(releasedBy.id);
+            await already.reload();
+            expect(new Date(already.released_at)).toEqual(earlier);
+        });
+    });
+
+    describe('visibility', () => {
+        test('should hide released cards until their release time', async () => {
+            const releasedAt = new Date('2026-12-20T04:00:00Z');
+            const card = await createCard(students[0], { released_to_parent: true, released_at: releasedAt });
+            await createCard(students[1]);
+
+            const before = new Date('2026-12-20T03:59:00Z');
+            expect(reportCardReleaseService.isVisible(card, before)).toBe(false);
+            expect(await ReportCard.count({ where: reportCardReleaseService.visibleWhere(before) })).toBe(0);
+
+            expect(reportCardReleaseService.isVisible(card, releasedAt)).toBe(true);
+            expect(await ReportCard.count({ where: reportCardReleaseService.visibleWhere(releasedAt) })).toBe(1);
+        });
+    });
+});
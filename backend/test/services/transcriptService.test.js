@@ -0,0 +1,164 @@
+const testApp = require('../test-app');
+const { transcriptService } = require('../../services/transcriptService');
+
+/**
+ * Transcript Service Tests
+ * Merging archived academic records with term grades and report cards across schools and years
+ */
+
+describe('Transcript Service Tests', () => {
+    const { AcademicRecord, Grade, ReportCard, StudentTransfer } = testApp.models;
+    let oldSchool;
+    let school;
+    let student;
+    let reportCard;
+
+    const archive = (school_year, term, subject, grade, grade_points) => AcademicRecord.create({
+        student_id: student.id,
+        school_year,
+        term,
+        subject,
+        grade,
+        grade_points
+    });
+
+    beforeAll(async () => {
+        await testApp.resetDatabase();
+        oldSchool = await testApp.createSchool({ name: 'Old Primary' });
+        school = await testApp.createSchool({ name: 'New Secondary' });
+        student = await testApp.createStudent(school);
+        const { staff: teacher } = await testApp.createStaffUser('teacher', school);
+        const classRecord = await testApp.createClass(school, { name: 'Form 1A' });
+        const term = await testApp.createTerm();
+        const mathematics = await testApp.createSubject({ name: 'Mathematics', code: 'MATH' });
+
+        await StudentTransfer.create({
+            student_id: student.id,
+            from_school_id: oldSchool.id,
+            to_school_id: school.id,
+            initiated_by: (await testApp.createUser('admin')).id,
+            transfer_reason: 'Secondary school entry',
+            academic_year: '2025-2026',
+            current_grade: 'Grade 6',
+            target_grade: 'Form 1',
+            status: 'completed',
+            effective_date: '2026-08-31'
+        });
+
+        // Listed out of order; Easter comes after Christmas
+        await archive('2025-2026', 'Easter', 'English', 'B', 3);
+        await archive('2025-2026', 'Christmas', 'Mathematics', 'A', 4);
+        // An archived copy of a current term grade, and a subject only archived
+        await archive('2026-2027', 'Term 1', 'mathematics', 'C', 2);
+        await archive('2026-2027', 'Term 1', 'Art', 'A', 4);
+
+        await Grade.create({
+            student_id: student.id,
+            subject_id: mathematics.id,
+            class_id: classRecord.id,
+            term_id: term.id,
+            teacher_id: teacher.id,
+            grade_value: 'A',
+            numeric_score: 85
+        });
+        reportCard = await ReportCard.create({
+            student_id: student.id,
+            class_id: classRecord.id,
+            term_id: term.id,
+            overall_grade: 'A',
+            overall_score: 85,
+            overall_effort: 'G',
+            overall_behavior: 'E',
+            class_position: 2,
+            class_size: 30
+        });
+    });
+
+    afterAll(async () => {
+        await testApp.closeDatabase();
+    });
+
+    describe('termNumber', () => {
+        test('should read numbered and named terms', () => {
+            expect(transcriptService.termNumber('Term 2')).toBe(2);
+            expect(transcriptService.termNumber('3')).toBe(3);
+            expect(transcriptService.termNumber('Michaelmas')).toBe(1);
+            expect(transcriptService.termNumber('Easter')).toBe(2);
+            expect(transcriptService.termNumber('Summer')).toBe(3);
+            expect(transcriptService.termNumber('Mid-year')).toBeNull();
+        });
+    });
+
+    describe('build', () => {
+        test('should order terms by school year and term number', async () => {
+            const transcript = await transcriptService.build(student.id);
+
+            expect(transcript.years.map(year => year.school_year)).toEqual(['2025-2026', '2026-2027']);
+            expect(transcript.years[0].terms.map(term => term.term)).toEqual(['Christmas', 'Easter']);
+        });
+
+        test('should credit archived years to the school the student transferred from', async () => {
+            const transcript = await transcriptService.build(student.id);
+
+            expect(transcript.years.map(year => year.schools)).toEqual([['Old Primary'], ['New Secondary']]);
+            expect(transcript.transfers).toEqual([expect.objectContaining({
+                academic_year: '2025-2026',
+                from_school: 'Old Primary',
+                to_school: 'New Secondary',
+                effective_date: '2026-08-31'
+            })]);
+        });
+
+        test('should prefer term grades over archived copies of the same subject', async () => {
+            const transcript = await transcriptService.build(student.id);
+            const [current] = transcript.years[1].terms;
+
+            expect(current).toMatchObject({
+                term: 'Term 1',
+                class: { name: 'Form 1A', grade_level: 'Form 1' },
+                overall_grade: 'A',
+                class_position: 2,
+                provisional: true
+            });
+            expect(current.subjects).toEqual([
+                expect.objectContaining({ subject: 'Art', grade: 'A', grade_points: 4, source: 'academic_record' }),
+                expect.objectContaining({ subject: 'Mathematics', code: 'MATH', score: 85, source: 'grade' })
+            ]);
+        });
+
+        test('should summarise every merged result', async () => {
+            const { summary } = await transcriptService.build(student.id);
+
+            expect(summary).toEqual({
+                school_years: 2,
+                terms: 3,
+                schools: ['Old Primary', 'New Secondary'],
+                subject_results: 4,
+                average_score: 85,
+                average_grade_points: 3.67,
+                includes_provisional: true
+            });
+        });
+
+        test('should keep archived records but leave out terms without a visible report card', async () => {
+            const transcript = await transcriptService.build(student.id, { releasedWhere: { released_to_parent: true } });
+            const [current] = transcript.years[1].terms;
+
+            expect(current.overall_grade).toBeNull();
+            expect(current.subjects.map(subject => [subject.subject, subject.source])).toEqual([
+                ['Art', 'academic_record'],
+                ['mathematics', 'academic_record']
+            ]);
+
+            await reportCard.update({ released_to_parent: true });
+            const released = await transcriptService.build(student.id, { releasedWhere: { released_to_parent: true } });
+            await reportCard.update({ released_to_parent: false });
+
+            expect(released.years[1].terms[0].subjects.map(subject => subject.source)).toEqual(['academic_record', 'grade']);
+        });
+
+        test('should return null for a missing student', async () => {
+            expect(await transcriptService.build('00000000-0000-4000-8000-000000000000')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Isolated Test Application
+ * Points the models at a throwaway SQLite database for the calling test file, so
+ * route and service tests build their own fixtures instead of relying on the
+ * seeded database. Require this before anything that loads the models.
+ */
+const storage = path.join(os.tmpdir(), `niemis-test-${process.pid}-${Date.now()}.db`);
+process.env.DB_STORAGE = storage;
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'niemis-test-access-secret-0123456789abcdef';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'niemis-test-refresh-secret-0123456789abcdef';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const express = require('express');
+const models = require('../models');
+const { authMiddleware, generateTokens } = require('../middleware/auth');
+const { errorHandler } = require('../middleware/errorHandler');
+const { ddosProtection } = require('../config/ddos-protection');
+
+let sequence = 0;
+const nextId = () => {
+    sequence += 1;
+    return sequence;
+};
+
+class TestApp {
+    get models() {
+        return models;
+    }
+
+    async resetDatabase() {
+        await models.sequelize.sync({ force: true });
+    }
+
+    /**
+     * Close the database, remove its file and stop the background timers the
+     * rate limiters start, so Jest can exit once the file's tests finish
+     */
+    async closeDatabase() {
+        ddosProtection.stopCleanupInterval();
+        await models.sequelize.close();
+        fs.rmSync(storage, { force: true });
+    }
+
+    /**
+     * Express app with the given routers mounted: [{ path, router, auth }]
+     * Routers with auth set sit behind the user authentication middleware, as in server.js
+     */
+    buildApp(mounts) {
+        const app = express();
+        app.use(express.json());
+        for (const { path: mountPath, router, auth = true } of mounts) {
+            if (auth) {
+                app.use(mountPath, authMiddleware, router);
+            } else {
+                app.use(mountPath, router);
+            }
+        }
+        app.use(errorHandler);
+        return app;
+    }
+
+    tokenFor(user) {
+        return generateTokens(user.id, user.role).accessToken;
+    }
+
+    async createSchool(attributes = {}) {
+        return models.School.create({
+            name: `Test School ${nextId()}`,
+            school_type: 'secondary',
+            ...attributes
+        });
+    }
+
+    async createUser(role, attributes = {}) {
+        const id = nextId();
+        return models.User.create({
+            username: `${role.replace('_', '')}${id}`,
+            email: `${role}${id}@test.niemis.com`,
+            password_hash: 'not-used-in-these-tests',
+            role,
+            ...attributes
+        });
+    }
+
+    /**
+     * A user with a Staff record at a school; admins and teachers are scoped through it
+     */
+    async createStaffUser(role, school, attributes = {}) {
+        const user = await this.createUser(role);
+        const staff = await models.Staff.create({
+            user_id: user.id,
+            school_id: school.id,
+            employee_id: `E${nextId()}`,
+            first_name: 'Test',
+            last_name: `Staff${sequence}`,
+            position: role === 'admin' ? 'principal' : 'teacher',
+            hire_date: '2020-01-01',
+            role_level: role === 'admin' ? 'principal' : 'teacher',
+            ...attributes
+        });
+        return { user, staff };
+    }
+
+    async createClass(school, attributes = {}) {
+        const id = nextId();
+        return models.Class.create({
+            school_id: school.id,
+            name: `Class ${id}`,
+            grade_level: 'Form 1',
+            section: `${id}`,
+            school_year: '2026-2027',
+            ...attributes
+        });
+    }
+
+    async createTerm(attributes = {}) {
+        return models.Term.create({
+            name: 'Term 1',
+            school_year: '2026-2027',
+            term_number: 1,
+            start_date: '2026-09-07',
+            end_date: '2026-12-18',
+            is_active: true,
+            ...attributes
+        });
+    }
+
+    async createSubject(attributes = {}) {
+        const id = nextId();
+        return models.Subject.create({
+            name: `Subject ${id}`,
+            code: `SUB${id}`,
+            grade_levels: [],
+            ...attributes
+        });
+    }
+
+    /**
+     * Default letter scale for every school category: A 80+, B 70+, C 60+, D 50+, F below
+     */
+    async createGradingScale(attributes = {}) {
+        return models.GradingScale.create({
+            name: 'Letter grades',
+            scale_type: 'letter',
+            school_categories: ['primary', 'secondary'],
+            bands: [
+                { label: 'A', min_score: 80, points: 4 },
+                { label: 'B', min_score: 70, points: 3 },
+                { label: 'C', min_score: 60, points: 2 },
+                { label: 'D', min_score: 50, points: 1 },
+                { label: 'F', min_score: 0, points: 0 }
+            ],
+            is_default: true,
+            ...attributes
+        });
+    }
+
+    async createStudent(school, attributes = {}) {
+        const id = nextId();
+        return models.Student.create({
+            school_id: school.id,
+            student_id: `S${id}`,
+            first_name: 'Student',
+            last_name: `Number${id}`,
+            date_of_birth: '2012-01-01',
+            gender: 'female',
+            grade_level: 'Form 1',
+            ...attributes
+        });
+    }
+}
+
+module.exports = new TestApp();